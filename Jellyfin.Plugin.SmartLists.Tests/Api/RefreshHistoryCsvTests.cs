@@ -0,0 +1,80 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Api;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Api;
+
+public class RefreshHistoryCsvTests
+{
+    private static readonly DateTime Start = new(2026, 10, 19, 8, 0, 0, DateTimeKind.Utc);
+
+    private static string[] WriteRow(RefreshHistoryEntry run)
+    {
+        return RefreshHistoryCsv.Write([run]).Split("\r\n");
+    }
+
+    [Fact]
+    public void Write_WritesHeaderAndOneLinePerRun()
+    {
+        // Act
+        var lines = WriteRow(new RefreshHistoryEntry
+        {
+            ListId = "abc",
+            ListName = "Favorites",
+            StartTime = Start,
+            EndTime = Start.AddSeconds(2),
+            Duration = TimeSpan.FromSeconds(1.5),
+            Success = true,
+            ItemCount = 42,
+        });
+
+        // Assert
+        lines[0].Should().Be("StartTime,EndTime,ListName,ListId,ListType,Trigger,Status,DurationSeconds,ItemCount,Message");
+        lines[1].Should().Be("2026-10-19T08:00:00.0000000Z,2026-10-19T08:00:02.0000000Z,Favorites,abc,Playlist,Manual,Success,1.5,42,");
+        lines[2].Should().BeEmpty();
+    }
+
+    [Theory]
+    [InlineData("=HYPERLINK(\"http://x\")", "\"'=HYPERLINK(\"\"http://x\"\")\"")]
+    [InlineData("+1", "'+1")]
+    [InlineData("-1", "'-1")]
+    [InlineData("@SUM(A1)", "'@SUM(A1)")]
+    [InlineData("Top 10 - Movies", "Top 10 - Movies")]
+    public void Write_EscapesFormulasInListNames(string listName, string expected)
+    {
+        // Act
+        var fields = WriteRow(new RefreshHistoryEntry { ListName = listName, StartTime = Start })[1];
+
+        // Assert
+        fields.Should().Contain("," + expected + ",");
+    }
+
+    [Fact]
+    public void Write_QuotesFieldsWithSeparatorsAndLineBreaks()
+    {
+        // Act
+        var csv = RefreshHistoryCsv.Write([new RefreshHistoryEntry
+        {
+            ListName = "Rock, Pop",
+            StartTime = Start,
+            Success = false,
+            ErrorMessage = "line one\nline two",
+        }]);
+
+        // Assert
+        csv.Should().Contain(",\"Rock, Pop\",");
+        csv.Should().Contain(",Failed,");
+        csv.Should().EndWith(",\"line one\nline two\"\r\n");
+    }
+
+    [Fact]
+    public void Write_SkippedRunsHaveNoDurationAndShowTheReason()
+    {
+        // Act
+        var line = WriteRow(new RefreshHistoryEntry { ListName = "Unwatched", StartTime = Start, Success = true, Skipped = true, SkipReason = "no changes" })[1];
+
+        // Assert
+        line.Should().EndWith(",Skipped,,,no changes");
+    }
+}
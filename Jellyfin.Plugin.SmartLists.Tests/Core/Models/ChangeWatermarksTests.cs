@@ -0,0 +1,128 @@
+using System.Text.Json;
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class ChangeWatermarksTests
+{
+    private static readonly DateTime Started = new(2026, 10, 19, 8, 0, 0, DateTimeKind.Utc);
+    private static readonly DateTime LastRefresh = Started.AddHours(2);
+    private static readonly Guid Owner = Guid.Parse("11111111-1111-1111-1111-111111111111");
+    private static readonly Guid OtherUser = Guid.Parse("22222222-2222-2222-2222-222222222222");
+
+    private static SmartPlaylistDto CreateList(string mediaType, params Expression[] expressions)
+    {
+        return new SmartPlaylistDto
+        {
+            Name = "Test",
+            UserId = Owner.ToString("N"),
+            MediaTypes = [mediaType],
+            ExpressionSets = [new ExpressionSet { Expressions = [.. expressions] }],
+        };
+    }
+
+    [Fact]
+    public void HasRelevantChangesSince_NoChanges_ReturnsFalse()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+        watermarks.RecordLibraryChange("Movie", LastRefresh.AddMinutes(-5));
+
+        // Act & Assert
+        watermarks.HasRelevantChangesSince(CreateList("Movie", new Expression("Genres", "Contains", "Drama")), LastRefresh)
+            .Should().BeFalse();
+    }
+
+    [Fact]
+    public void HasRelevantChangesSince_OnlyCountsTheListsMediaTypes()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+        watermarks.RecordLibraryChange("Audio", LastRefresh.AddMinutes(5));
+
+        // Act & Assert
+        watermarks.HasRelevantChangesSince(CreateList("Movie"), LastRefresh).Should().BeFalse();
+        watermarks.HasRelevantChangesSince(CreateList("Audio"), LastRefresh).Should().BeTrue();
+    }
+
+    [Fact]
+    public void HasRelevantChangesSince_SeriesListsWatchEpisodes()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+        watermarks.RecordLibraryChange("Episode", LastRefresh.AddMinutes(5));
+
+        // Act & Assert
+        watermarks.HasRelevantChangesSince(CreateList("Series"), LastRefresh).Should().BeTrue();
+    }
+
+    [Fact]
+    public void HasRelevantChangesSince_UserDataOnlyMattersForUserDataRulesOfRelevantUsers()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+        watermarks.RecordUserDataChange(OtherUser, "Movie", LastRefresh.AddMinutes(5));
+
+        var genreList = CreateList("Movie", new Expression("Genres", "Contains", "Drama"));
+        var unplayedList = CreateList("Movie", new Expression("IsPlayed", "Equal", "false"));
+
+        // Act & Assert - the other user's plays don't affect the owner's unplayed list
+        watermarks.HasRelevantChangesSince(genreList, LastRefresh).Should().BeFalse();
+        watermarks.HasRelevantChangesSince(unplayedList, LastRefresh).Should().BeFalse();
+
+        watermarks.RecordUserDataChange(Owner, "Movie", LastRefresh.AddMinutes(6));
+        watermarks.HasRelevantChangesSince(genreList, LastRefresh).Should().BeFalse();
+        watermarks.HasRelevantChangesSince(unplayedList, LastRefresh).Should().BeTrue();
+    }
+
+    [Fact]
+    public void HasRelevantChangesSince_BeforeTrackingStarted_ReturnsTrue()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+
+        // Act & Assert
+        watermarks.HasRelevantChangesSince(CreateList("Movie"), Started.AddMinutes(-1)).Should().BeTrue();
+    }
+
+    [Fact]
+    public void FromState_RestoresSavedWatermarks()
+    {
+        // Arrange
+        var watermarks = new ChangeWatermarks(Started);
+        watermarks.RecordLibraryChange("Audio", LastRefresh.AddMinutes(5));
+        watermarks.RecordUserDataChange(Owner, "Movie", LastRefresh.AddMinutes(6));
+
+        // Act - saved and read back the way the auto-refresh service does across a restart
+        var json = JsonSerializer.Serialize(watermarks.GetState(), SmartListFileSystem.SharedJsonOptions);
+        var restored = ChangeWatermarks.FromState(JsonSerializer.Deserialize<ChangeWatermarksState>(json, SmartListFileSystem.SharedJsonOptions)!);
+
+        // Assert
+        restored.TrackingSince.Should().Be(Started);
+        restored.HasRelevantChangesSince(CreateList("Audio"), LastRefresh).Should().BeTrue();
+        restored.HasRelevantChangesSince(CreateList("Movie", new Expression("IsPlayed", "Equal", "false")), LastRefresh).Should().BeTrue();
+        restored.HasRelevantChangesSince(CreateList("Movie", new Expression("Genres", "Contains", "Drama")), LastRefresh).Should().BeFalse();
+    }
+
+    [Fact]
+    public void DependsOnTimeOrOtherLists_RelativeDatesShufflesAndCollections()
+    {
+        // Arrange
+        var recent = CreateList("Movie", new Expression("DateCreated", "NewerThan", "days:7"));
+        var inCollection = CreateList("Movie", new Expression("Collections", "Contains", "Marvel"));
+        var shuffled = CreateList("Movie");
+        shuffled.Order = new OrderDto { SortOptions = [new SortOption { SortBy = "Random", SortOrder = SortOrder.Ascending }] };
+        var plain = CreateList("Movie", new Expression("DateCreated", "After", "2020-01-01"));
+
+        // Act & Assert
+        ChangeWatermarks.DependsOnTimeOrOtherLists(recent).Should().BeTrue();
+        ChangeWatermarks.DependsOnTimeOrOtherLists(inCollection).Should().BeTrue();
+        ChangeWatermarks.DependsOnTimeOrOtherLists(shuffled).Should().BeTrue();
+        ChangeWatermarks.DependsOnTimeOrOtherLists(plain).Should().BeFalse();
+    }
+}
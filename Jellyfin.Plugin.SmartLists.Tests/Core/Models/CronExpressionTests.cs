@@ -0,0 +1,133 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class CronExpressionTests
+{
+    // A Monday
+    private static readonly DateTime Now = new(2026, 10, 19, 12, 0, 0);
+
+    [Fact]
+    public void GetNextOccurrences_WeekdaysTwiceADay()
+    {
+        // Arrange
+        var cron = CronExpression.Parse("30 5,17 * * 1-5");
+
+        // Act
+        var runs = cron.GetNextOccurrences(new DateTime(2026, 10, 23, 18, 0, 0), 3);
+
+        // Assert - Friday evening is past, so the weekend is skipped
+        runs.Should().Equal(
+            new DateTime(2026, 10, 26, 5, 30, 0),
+            new DateTime(2026, 10, 26, 17, 30, 0),
+            new DateTime(2026, 10, 27, 5, 30, 0));
+    }
+
+    [Fact]
+    public void GetNextOccurrences_FirstSundayOfTheMonth()
+    {
+        // Arrange
+        var cron = CronExpression.Parse("0 3 * * SUN#1");
+
+        // Act
+        var runs = cron.GetNextOccurrences(Now, 3);
+
+        // Assert
+        runs.Should().Equal(
+            new DateTime(2026, 11, 1, 3, 0, 0),
+            new DateTime(2026, 12, 6, 3, 0, 0),
+            new DateTime(2027, 1, 3, 3, 0, 0));
+    }
+
+    [Fact]
+    public void GetNextOccurrences_LastDayAndLastWeekdayOfTheMonth()
+    {
+        // Act
+        var lastDay = CronExpression.Parse("0 4 L * *").GetNextOccurrences(Now, 2);
+        var lastFriday = CronExpression.Parse("0 2 * * 5L").GetNextOccurrences(Now, 2);
+
+        // Assert
+        lastDay.Should().Equal(new DateTime(2026, 10, 31, 4, 0, 0), new DateTime(2026, 11, 30, 4, 0, 0));
+        lastFriday.Should().Equal(new DateTime(2026, 10, 30, 2, 0, 0), new DateTime(2026, 11, 27, 2, 0, 0));
+    }
+
+    [Fact]
+    public void GetNextOccurrence_IsStrictlyAfterTheGivenTime()
+    {
+        // Arrange
+        var cron = CronExpression.Parse("*/15 * * * *");
+
+        // Act & Assert
+        cron.GetNextOccurrence(new DateTime(2026, 10, 19, 12, 15, 0)).Should().Be(new DateTime(2026, 10, 19, 12, 30, 0));
+        cron.GetNextOccurrence(new DateTime(2026, 10, 19, 12, 14, 59)).Should().Be(new DateTime(2026, 10, 19, 12, 15, 0));
+    }
+
+    [Fact]
+    public void GetNextOccurrence_MatchesEitherDayFieldWhenBothAreSet()
+    {
+        // Arrange - the 1st of the month or any Wednesday
+        var cron = CronExpression.Parse("0 0 1 * 3");
+
+        // Act
+        var runs = cron.GetNextOccurrences(Now, 3);
+
+        // Assert
+        runs.Should().Equal(
+            new DateTime(2026, 10, 21, 0, 0, 0),
+            new DateTime(2026, 10, 28, 0, 0, 0),
+            new DateTime(2026, 11, 1, 0, 0, 0));
+    }
+
+    [Fact]
+    public void GetNextOccurrence_ReturnsNullForADateThatNeverExists()
+    {
+        // Act & Assert
+        CronExpression.Parse("0 0 31 2 *").GetNextOccurrence(Now).Should().BeNull();
+    }
+
+    [Theory]
+    [InlineData("30 5,17 * * 1-5", "At 05:30 and 17:30 on weekdays")]
+    [InlineData("0 3 * * 0#1", "At 03:00 on the first Sunday of the month")]
+    [InlineData("0 4 L * *", "At 04:00 on the last day of the month")]
+    [InlineData("*/15 * * * *", "Every 15 minutes")]
+    [InlineData("0 */2 * * *", "Every 2 hours")]
+    [InlineData("0 9-17 * * 1-5", "Every hour from 09:00 to 17:00 on weekdays")]
+    [InlineData("*/30 8-18 * * MON-FRI", "Every 30 minutes from 08:00 to 18:59 on weekdays")]
+    [InlineData("@daily", "At 00:00 every day")]
+    [InlineData("0 0 29 2 *", "At 00:00 on February 29th")]
+    [InlineData("15 10 * JAN,JUL *", "At 10:15 every day in January and July")]
+    public void Describe_ReadsAsPlainEnglish(string expression, string expected)
+    {
+        // Act & Assert
+        CronExpression.Parse(expression).Describe().Should().Be(expected);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("* * *")]
+    [InlineData("60 * * * *")]
+    [InlineData("0 0 * * 8")]
+    [InlineData("5-1 * * * *")]
+    [InlineData("*/0 * * * *")]
+    [InlineData("0 0 * * 1#6")]
+    [InlineData("every day")]
+    public void TryParse_RejectsInvalidExpressions(string expression)
+    {
+        // Act
+        var parsed = CronExpression.TryParse(expression, out var cron, out var error);
+
+        // Assert
+        parsed.Should().BeFalse();
+        cron.Should().BeNull();
+        error.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public void Parse_TreatsSevenAsSunday()
+    {
+        // Act & Assert
+        CronExpression.Parse("0 0 * * 7").Matches(new DateTime(2026, 10, 25, 0, 0, 0)).Should().BeTrue();
+    }
+}
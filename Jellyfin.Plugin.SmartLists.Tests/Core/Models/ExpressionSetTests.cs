@@ -0,0 +1,97 @@
+using System.Text.Json;
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class ExpressionSetTests
+{
+    [Fact]
+    public void FlatSet_HasNoNestedLogic()
+    {
+        // Arrange
+        var set = new ExpressionSet { Expressions = [new Expression("Name", "Contains", "Star")] };
+
+        // Assert
+        set.HasNestedLogic.Should().BeFalse();
+        set.GetAllExpressions().Should().ContainSingle();
+    }
+
+    [Fact]
+    public void GetAllExpressions_IncludesNestedGroups()
+    {
+        // Arrange
+        var set = new ExpressionSet
+        {
+            Expressions = [new Expression("Name", "Contains", "Star")],
+            Groups =
+            [
+                new ExpressionSet
+                {
+                    Logic = RuleLogic.Or,
+                    Expressions = [new Expression("Genres", "Contains", "Sci-Fi")],
+                    Groups = [new ExpressionSet { Negate = true, Expressions = [new Expression("IsPlayed", "Equal", "true")] }]
+                }
+            ]
+        };
+
+        // Act
+        var memberNames = set.GetAllExpressions().Select(expr => expr.MemberName);
+
+        // Assert
+        set.HasNestedLogic.Should().BeTrue();
+        memberNames.Should().Equal("Name", "Genres", "IsPlayed");
+    }
+
+    [Fact]
+    public void FindRuleUnsupportedInNestedLogic_OnlyFlagsNestedLogicSets()
+    {
+        // Arrange
+        var similarTo = new Expression("SimilarTo", "Equal", "Alien");
+        var collectionOnly = new Expression("Collections", "Contains", "Marvel") { IncludeCollectionOnly = true };
+
+        var flat = new ExpressionSet { Expressions = [similarTo, collectionOnly] };
+        var orGroup = new ExpressionSet { Logic = RuleLogic.Or, Expressions = [new Expression("Name", "Contains", "Star"), similarTo] };
+        var nested = new ExpressionSet { Groups = [new ExpressionSet { Expressions = [collectionOnly] }] };
+        var plainCollections = new ExpressionSet { Negate = true, Expressions = [new Expression("Collections", "Contains", "Marvel")] };
+
+        // Act & Assert
+        flat.FindRuleUnsupportedInNestedLogic().Should().BeNull();
+        orGroup.FindRuleUnsupportedInNestedLogic().Should().BeSameAs(similarTo);
+        nested.FindRuleUnsupportedInNestedLogic().Should().BeSameAs(collectionOnly);
+        plainCollections.FindRuleUnsupportedInNestedLogic().Should().BeNull();
+    }
+
+    [Fact]
+    public void Serialize_FlatSet_KeepsLegacyShape()
+    {
+        // Arrange
+        var set = new ExpressionSet { Expressions = [new Expression("Name", "Contains", "Star")] };
+
+        // Act
+        var json = JsonSerializer.Serialize(set);
+
+        // Assert
+        json.Should().NotContain("Groups").And.NotContain("Logic").And.NotContain("Negate").And.NotContain("HasNestedLogic");
+    }
+
+    [Fact]
+    public void Deserialize_NestedGroup_ReadsLogicAndNegate()
+    {
+        // Arrange
+        var json = "{\"Expressions\":[],\"Groups\":[{\"Expressions\":[{\"MemberName\":\"Name\",\"Operator\":\"Contains\",\"TargetValue\":\"Star\"}],\"Logic\":\"Or\",\"Negate\":true}]}";
+
+        // Act
+        var set = JsonSerializer.Deserialize<ExpressionSet>(json);
+
+        // Assert
+        set.Should().NotBeNull();
+        set!.Groups.Should().ContainSingle();
+        set.Groups![0].Logic.Should().Be(RuleLogic.Or);
+        set.Groups[0].Negate.Should().BeTrue();
+        set.GetAllExpressions().Should().ContainSingle();
+    }
+}
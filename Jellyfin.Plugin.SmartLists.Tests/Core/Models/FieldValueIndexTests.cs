@@ -0,0 +1,79 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class FieldValueIndexTests
+{
+    private static FieldValueIndex CreateIndex()
+    {
+        return FieldValueIndex.FromItemValues(
+        [
+            ["Science Fiction", "Drama"],
+            ["science fiction", "Science Fiction"],
+            ["Drama", "Comedy"],
+            ["Drama"],
+            ["Fiction"]
+        ]);
+    }
+
+    [Fact]
+    public void FromItemValues_CountsEachValueOncePerItemIgnoringCase()
+    {
+        // Act
+        var page = CreateIndex().Search(null, 0, 10);
+
+        // Assert
+        page.TotalRecordCount.Should().Be(4);
+        page.Items.Select(v => (v.Value, v.Count)).Should().Equal(
+            ("Drama", 3), ("Science Fiction", 2), ("Comedy", 1), ("Fiction", 1));
+    }
+
+    [Fact]
+    public void Search_PutsValuesStartingWithTermFirst()
+    {
+        // Act
+        var page = CreateIndex().Search("fic", 0, 10);
+
+        // Assert
+        page.Items.Select(v => v.Value).Should().Equal("Fiction", "Science Fiction");
+    }
+
+    [Fact]
+    public void Search_PagesResults()
+    {
+        // Act
+        var page = CreateIndex().Search(string.Empty, 1, 2);
+
+        // Assert
+        page.TotalRecordCount.Should().Be(4);
+        page.Items.Select(v => v.Value).Should().Equal("Science Fiction", "Comedy");
+    }
+
+    [Fact]
+    public void FindUnmatched_UsesPartialCaseInsensitiveMatching()
+    {
+        // Act
+        var unmatched = CreateIndex().FindUnmatched(["scifi", "SCIENCE", "Drama", " ", "Scifi"]);
+
+        // Assert
+        unmatched.Should().Equal("scifi");
+    }
+
+    [Fact]
+    public void Constructor_MergesCountsOfValuesDifferingInCase()
+    {
+        // Act
+        var index = new FieldValueIndex(
+        [
+            new FieldValueCount { Value = "Marvel", Count = 12 },
+            new FieldValueCount { Value = "marvel ", Count = 3 },
+            new FieldValueCount { Value = "Empty Collection", Count = 0 }
+        ]);
+
+        // Assert
+        index.Search(null, 0, 10).Items.Select(v => (v.Value, v.Count)).Should().Equal(
+            ("Marvel", 15), ("Empty Collection", 0));
+    }
+}
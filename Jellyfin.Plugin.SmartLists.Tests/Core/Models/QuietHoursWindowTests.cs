@@ -0,0 +1,56 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class QuietHoursWindowTests
+{
+    private static readonly DateTime Day = new(2026, 10, 19);
+
+    [Theory]
+    [InlineData(17.75, false)]
+    [InlineData(18, true)]
+    [InlineData(22.5, true)]
+    [InlineData(23, false)]
+    [InlineData(3, false)]
+    public void Contains_SameDayWindow(double hour, bool expected)
+    {
+        // Arrange
+        var window = new QuietHoursWindow(TimeSpan.FromHours(18), TimeSpan.FromHours(23));
+
+        // Act & Assert
+        window.Contains(Day.AddHours(hour)).Should().Be(expected);
+    }
+
+    [Fact]
+    public void GetEnd_WindowCrossingMidnight()
+    {
+        // Arrange
+        var window = new QuietHoursWindow(TimeSpan.FromHours(22), TimeSpan.FromHours(2));
+
+        // Act & Assert - the evening part closes tomorrow, the morning part closes today
+        window.GetEnd(Day.AddHours(23)).Should().Be(Day.AddDays(1).AddHours(2));
+        window.GetEnd(Day.AddHours(1)).Should().Be(Day.AddHours(2));
+        window.GetEnd(Day.AddHours(2)).Should().BeNull();
+        window.GetEnd(Day.AddHours(21.75)).Should().BeNull();
+    }
+
+    [Fact]
+    public void GetEnd_EmptyWindowNeverApplies()
+    {
+        // Arrange
+        var window = new QuietHoursWindow(TimeSpan.FromHours(5), TimeSpan.FromHours(5));
+
+        // Act & Assert
+        window.IsEmpty.Should().BeTrue();
+        window.GetEnd(Day.AddHours(5)).Should().BeNull();
+    }
+
+    [Fact]
+    public void ToString_FormatsAsStartAndEnd()
+    {
+        // Act & Assert
+        new QuietHoursWindow(new TimeSpan(18, 30, 0), TimeSpan.FromHours(1)).ToString().Should().Be("18:30-01:00");
+    }
+}
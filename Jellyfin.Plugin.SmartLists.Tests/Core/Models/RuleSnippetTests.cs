@@ -0,0 +1,89 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Models;
+
+public class RuleSnippetTests
+{
+    private static RuleSnippet CreateSnippet()
+    {
+        return new RuleSnippet
+        {
+            Id = "snippet-1",
+            Name = "Exclude Christmas content",
+            Group = new ExpressionSet
+            {
+                Logic = RuleLogic.Or,
+                Negate = true,
+                Expressions = [new Expression("Tags", "Contains", "Christmas"), new Expression("Name", "Contains", "Xmas")]
+            }
+        };
+    }
+
+    [Fact]
+    public void ApplyTo_ReplacesRulesOfLinkedNestedGroup()
+    {
+        // Arrange
+        var linked = new ExpressionSet { SnippetId = "snippet-1", Expressions = [new Expression("Tags", "Contains", "Old")] };
+        var sets = new List<ExpressionSet>
+        {
+            new ExpressionSet { Expressions = [new Expression("Genres", "Contains", "Comedy")], Groups = [linked] }
+        };
+
+        // Act
+        var changed = CreateSnippet().ApplyTo(sets);
+
+        // Assert
+        changed.Should().BeTrue();
+        linked.Expressions!.Select(expr => expr.TargetValue).Should().Equal("Christmas", "Xmas");
+        linked.Logic.Should().Be(RuleLogic.Or);
+        linked.Negate.Should().BeTrue();
+        linked.SnippetId.Should().Be("snippet-1");
+        sets[0].Expressions!.Should().ContainSingle(expr => expr.TargetValue == "Comedy");
+    }
+
+    [Fact]
+    public void ApplyTo_CopiesRulesInsteadOfSharingThem()
+    {
+        // Arrange
+        var snippet = CreateSnippet();
+        var linked = new ExpressionSet { SnippetId = "snippet-1" };
+
+        // Act
+        snippet.ApplyTo([new ExpressionSet { Groups = [linked] }]);
+        linked.Expressions![0].TargetValue = "Changed";
+
+        // Assert
+        snippet.Group.Expressions![0].TargetValue.Should().Be("Christmas");
+    }
+
+    [Fact]
+    public void ApplyTo_IgnoresUnlinkedGroups()
+    {
+        // Arrange
+        var sets = new List<ExpressionSet> { new ExpressionSet { Expressions = [new Expression("Tags", "Contains", "Christmas")] } };
+
+        // Act & Assert
+        CreateSnippet().ApplyTo(sets).Should().BeFalse();
+    }
+
+    [Fact]
+    public void Unlink_KeepsRulesAndClearsLink()
+    {
+        // Arrange
+        var linked = new ExpressionSet { SnippetId = "snippet-1", Expressions = [new Expression("Tags", "Contains", "Christmas")] };
+        var sets = new List<ExpressionSet> { new ExpressionSet { Groups = [linked] } };
+
+        // Act
+        var changed = RuleSnippet.Unlink(sets, "snippet-1");
+
+        // Assert
+        changed.Should().BeTrue();
+        linked.SnippetId.Should().BeNull();
+        linked.Expressions!.Should().ContainSingle();
+        RuleSnippet.GetLinkedSnippetIds(sets).Should().BeEmpty();
+    }
+}
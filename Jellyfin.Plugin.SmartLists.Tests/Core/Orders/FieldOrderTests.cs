@@ -0,0 +1,65 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Orders;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Orders;
+
+public class FieldOrderTests
+{
+    [Fact]
+    public void SortableFields_IncludesNumericAndDateFieldsWithoutADedicatedOrder()
+    {
+        // Act & Assert
+        FieldOrder.SortableFields.Should().Contain(["CriticRating", "AudioBitrate", "Framerate", "PlayCount", "DateModified", "DateLastSaved", "LastPlayedDate"]);
+        FieldOrder.SortableFields.Should().NotContain(["ProductionYear", "CommunityRating", "DateCreated", "Name", "AudioCodec"]);
+    }
+
+    [Theory]
+    [InlineData("AudioBitrate", true)]
+    [InlineData("PlayCount", true)]
+    [InlineData("audiobitrate", false)]
+    [InlineData("Name", false)]
+    [InlineData(null, false)]
+    public void IsSortableField_AcceptsSortableFields(string? field, bool expected)
+    {
+        // Act & Assert
+        FieldOrder.IsSortableField(field).Should().Be(expected);
+    }
+
+    [Fact]
+    public void ToSortKey_PutsMissingValuesLastInEitherDirection()
+    {
+        // Act
+        var ascending = new double?[] { 320, null, 128 }.Select(v => FieldOrder.ToSortKey(v, false)).Order().ToList();
+        var descending = new double?[] { 320, null, 128 }.Select(v => FieldOrder.ToSortKey(v, true)).OrderDescending().ToList();
+
+        // Assert
+        ascending.Should().Equal(128, 320, double.PositiveInfinity);
+        descending.Should().Equal(320, 128, double.NegativeInfinity);
+    }
+
+    [Fact]
+    public void Constructor_TreatsAnEmptyUserAsTheOwner()
+    {
+        // Act
+        var order = new FieldOrder("PlayCount", true, "");
+
+        // Assert
+        order.UserId.Should().BeNull();
+        order.Name.Should().Be("PlayCount Descending");
+    }
+
+    [Fact]
+    public void FormatSortKey_FormatsNumbersDatesAndMissingValues()
+    {
+        // Arrange
+        var date = new DateTimeOffset(2024, 5, 6, 21, 15, 0, TimeSpan.Zero).ToUnixTimeSeconds();
+
+        // Act & Assert
+        new FieldOrder("AudioBitrate", true).FormatSortKey(320d).Should().Be("320");
+        new FieldOrder("Framerate", false).FormatSortKey(23.976).Should().Be("23.98");
+        new FieldOrder("DateModified", true).FormatSortKey((double)date).Should().Be("2024-05-06");
+        new FieldOrder("LastPlayedDate", true).FormatSortKey((double)date).Should().Be("2024-05-06 21:15");
+        new FieldOrder("CriticRating", true).FormatSortKey(double.NegativeInfinity).Should().Be("none");
+    }
+}
@@ -0,0 +1,48 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Orders;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Orders;
+
+public class FormatSortKeyTests
+{
+    [Fact]
+    public void FormatSortKey_FormatsCommonKeyTypes()
+    {
+        // Arrange
+        var order = new NameOrder();
+
+        // Act & Assert
+        order.FormatSortKey("Heat").Should().Be("Heat");
+        order.FormatSortKey(1995).Should().Be("1995");
+        order.FormatSortKey(7.456).Should().Be("7.46");
+        order.FormatSortKey(8f).Should().Be("8");
+        order.FormatSortKey(new DateTime(2021, 3, 4, 15, 30, 0)).Should().Be("2021-03-04");
+        order.FormatSortKey(DateTime.MinValue).Should().Be("none");
+    }
+
+    [Fact]
+    public void FormatSortKey_FormatsRuntimeTicksAsDuration()
+    {
+        // Act & Assert
+        new RuntimeOrder().FormatSortKey(new TimeSpan(1, 42, 5).Ticks).Should().Be("1:42:05");
+        new RuntimeOrderDesc().FormatSortKey(new TimeSpan(0, 3, 27).Ticks).Should().Be("3:27");
+    }
+
+    [Fact]
+    public void FormatSortKey_FormatsLastPlayedTicksAsDateOrNever()
+    {
+        // Act & Assert
+        new LastPlayedOrder().FormatSortKey(new DateTime(2024, 12, 31, 20, 5, 0).Ticks).Should().Be("2024-12-31 20:05");
+        new LastPlayedOrderDesc().FormatSortKey(DateTime.MinValue.Ticks).Should().Be("never");
+    }
+
+    [Fact]
+    public void FormatSortKey_HidesRandomAndNoOrderKeys()
+    {
+        // Act & Assert
+        new RandomOrder().FormatSortKey(12345).Should().Be("random");
+        new WeightedRandomOrder().FormatSortKey(-0.25).Should().Be("random");
+        new NoOrder().FormatSortKey("anything").Should().BeEmpty();
+    }
+}
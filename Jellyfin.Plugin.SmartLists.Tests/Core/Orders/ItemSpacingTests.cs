@@ -0,0 +1,98 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Orders;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Orders;
+
+public class ItemSpacingTests
+{
+    // Items are "Artist:Title"; the key is the artist
+    private static List<string> Space(int distance, params string[] items)
+    {
+        return ItemSpacing.Apply(items, item => item.Split(':')[0], distance);
+    }
+
+    [Fact]
+    public void Apply_MovesBackToBackRepeatsApart()
+    {
+        // Act
+        var result = Space(1, "A:1", "A:2", "A:3", "B:1", "B:2", "C:1");
+
+        // Assert
+        result.Should().Equal("A:1", "B:1", "A:2", "B:2", "A:3", "C:1");
+    }
+
+    [Fact]
+    public void Apply_KeepsTheSortOrderWhenNothingRepeats()
+    {
+        // Act
+        var result = Space(3, "A:1", "B:1", "C:1", "D:1", "A:2");
+
+        // Assert
+        result.Should().Equal("A:1", "B:1", "C:1", "D:1", "A:2");
+    }
+
+    [Fact]
+    public void Apply_KeepsRepeatsAtLeastDistanceApart()
+    {
+        // Act
+        var result = Space(2, "A:1", "A:2", "B:1", "B:2", "C:1", "C:2");
+
+        // Assert
+        result.Should().Equal("A:1", "B:1", "C:1", "A:2", "B:2", "C:2");
+    }
+
+    [Fact]
+    public void Apply_KeepsEveryItemWhenSpacingIsImpossible()
+    {
+        // Act
+        var result = Space(2, "A:1", "A:2", "A:3", "B:1");
+
+        // Assert - once only A is left it is placed anyway
+        result.Should().Equal("A:1", "B:1", "A:2", "A:3");
+    }
+
+    [Fact]
+    public void Apply_ItemsWithoutAKeyAreNeverHeldBack()
+    {
+        // Act
+        var result = Space(1, "A:1", "A:2", ":1", ":2");
+
+        // Assert
+        result.Should().Equal("A:1", ":1", "A:2", ":2");
+    }
+
+    [Fact]
+    public void Apply_ComparesKeysIgnoringCase()
+    {
+        // Act
+        var result = Space(1, "Queen:1", "QUEEN:2", "ABBA:1");
+
+        // Assert
+        result.Should().Equal("Queen:1", "ABBA:1", "QUEEN:2");
+    }
+
+    [Theory]
+    [InlineData(0)]
+    [InlineData(-2)]
+    public void Apply_DistanceBelowOneLeavesTheOrderUnchanged(int distance)
+    {
+        // Act
+        var result = Space(distance, "A:1", "A:2", "B:1");
+
+        // Assert
+        result.Should().Equal("A:1", "A:2", "B:1");
+    }
+
+    [Theory]
+    [InlineData("Artist", true)]
+    [InlineData("albumname", true)]
+    [InlineData("SeriesName", true)]
+    [InlineData("Genre", false)]
+    [InlineData(null, false)]
+    public void IsSupportedField_AcceptsKnownFields(string? field, bool expected)
+    {
+        // Act & Assert
+        ItemSpacing.IsSupportedField(field).Should().Be(expected);
+    }
+}
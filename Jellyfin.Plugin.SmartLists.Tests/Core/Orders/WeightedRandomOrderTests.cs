@@ -0,0 +1,107 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Orders;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.Orders;
+
+public class WeightedRandomOrderTests
+{
+    private const int Runs = 2000;
+
+    private static List<(Guid Id, double Value)> CreateValues(params double[] values)
+    {
+        return values.Select(value => (Guid.NewGuid(), value)).ToList();
+    }
+
+    // Counts how often each item comes first over many shuffles
+    private static Dictionary<Guid, int> CountFirstPlaces(List<(Guid Id, double Value)> values, double strength)
+    {
+        var random = new Random(42);
+        var counts = values.ToDictionary(v => v.Id, _ => 0);
+        for (int run = 0; run < Runs; run++)
+        {
+            var keys = WeightedRandomOrder.ComputeKeys(values, strength, random);
+            counts[keys.MaxBy(pair => pair.Value).Key]++;
+        }
+
+        return counts;
+    }
+
+    [Fact]
+    public void ComputeKeys_ReturnsAKeyForEveryItem()
+    {
+        // Arrange
+        var values = CreateValues(1, 5, 5, 9);
+
+        // Act
+        var keys = WeightedRandomOrder.ComputeKeys(values, 3, new Random(42));
+
+        // Assert
+        keys.Keys.Should().BeEquivalentTo(values.Select(v => v.Id));
+        keys.Values.Should().OnlyContain(key => !double.IsNaN(key) && !double.IsInfinity(key));
+    }
+
+    [Fact]
+    public void ComputeKeys_ZeroStrengthIsAPlainShuffle()
+    {
+        // Arrange
+        var values = CreateValues(1, 2, 3, 4);
+
+        // Act
+        var counts = CountFirstPlaces(values, 0);
+
+        // Assert - each item comes first about a quarter of the time
+        counts.Values.Should().OnlyContain(count => count > Runs / 4 * 0.8 && count < Runs / 4 * 1.2);
+    }
+
+    [Fact]
+    public void ComputeKeys_FavorsHigherValues()
+    {
+        // Arrange
+        var values = CreateValues(1, 2, 3, 4);
+
+        // Act
+        var counts = CountFirstPlaces(values, 3);
+
+        // Assert - the top item is 8 times as likely as the bottom one, and every item still gets a turn
+        var ordered = values.OrderBy(v => v.Value).Select(v => counts[v.Id]).ToList();
+        ordered.Should().BeInAscendingOrder();
+        ordered[0].Should().BePositive();
+        ((double)ordered[3] / ordered[0]).Should().BeInRange(5, 12);
+    }
+
+    [Fact]
+    public void ComputeKeys_EqualValuesAreTreatedEqually()
+    {
+        // Arrange
+        var values = CreateValues(7, 7, 7);
+
+        // Act
+        var counts = CountFirstPlaces(values, 10);
+
+        // Assert
+        counts.Values.Should().OnlyContain(count => count > Runs / 3 * 0.8 && count < Runs / 3 * 1.2);
+    }
+
+    [Fact]
+    public void ComputeKeys_ClampsStrength()
+    {
+        // Arrange
+        var values = CreateValues(1, 2, 3);
+
+        // Act & Assert - out-of-range strengths behave like the nearest valid one
+        CountFirstPlaces(values, -5).Should().Equal(CountFirstPlaces(values, 0));
+        CountFirstPlaces(values, 50).Should().Equal(CountFirstPlaces(values, WeightedRandomOrder.MaxBiasStrength));
+    }
+
+    [Theory]
+    [InlineData("CommunityRating", true)]
+    [InlineData("lastplayed", true)]
+    [InlineData("Name", false)]
+    [InlineData(null, false)]
+    public void IsSupportedBiasField_AcceptsKnownFields(string? field, bool expected)
+    {
+        // Act & Assert
+        WeightedRandomOrder.IsSupportedBiasField(field).Should().Be(expected);
+    }
+}
@@ -0,0 +1,139 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.QueryEngine;
+
+public class CalendarDateRuleTests
+{
+    // Wednesday 21 October 2026, midday UTC
+    private static readonly DateTimeOffset Now = new(2026, 10, 21, 12, 0, 0, TimeSpan.Zero);
+
+    private sealed class FixedTimeProvider(DateTimeOffset utcNow, TimeZoneInfo timeZone) : TimeProvider
+    {
+        public override TimeZoneInfo LocalTimeZone => timeZone;
+
+        public override DateTimeOffset GetUtcNow() => utcNow;
+    }
+
+    private static double Timestamp(int year, int month, int day, int hour = 12)
+    {
+        return new DateTimeOffset(year, month, day, hour, 0, 0, TimeSpan.Zero).ToUnixTimeSeconds();
+    }
+
+    private static bool Matches(string field, string op, string value, double timestamp, DateTimeOffset? now = null, TimeZoneInfo? timeZone = null)
+    {
+        var provider = new FixedTimeProvider(now ?? Now, timeZone ?? TimeZoneInfo.Utc);
+        return CalendarDateRule.Create(new Expression(field, op, value), provider).Matches(timestamp);
+    }
+
+    [Theory]
+    [InlineData("current:week", 2026, 10, 19, true)]
+    [InlineData("current:week", 2026, 10, 25, true)]
+    [InlineData("current:week", 2026, 10, 18, false)]
+    [InlineData("previous:week", 2026, 10, 12, true)]
+    [InlineData("current:month", 2026, 10, 1, true)]
+    [InlineData("current:month", 2026, 11, 1, false)]
+    [InlineData("previous:month", 2026, 9, 30, true)]
+    [InlineData("previous:month", 2026, 10, 1, false)]
+    [InlineData("current:quarter", 2026, 10, 1, true)]
+    [InlineData("current:quarter", 2026, 9, 30, false)]
+    [InlineData("previous:quarter", 2026, 7, 1, true)]
+    [InlineData("current:year", 2026, 1, 1, true)]
+    [InlineData("previous:year", 2025, 12, 31, true)]
+    public void InPeriod_MatchesCalendarWindows(string period, int year, int month, int day, bool expected)
+    {
+        // Act & Assert
+        Matches("DateCreated", "InPeriod", period, Timestamp(year, month, day)).Should().Be(expected);
+    }
+
+    [Fact]
+    public void InPeriod_PreviousMonthCrossesYearBoundary()
+    {
+        // Arrange
+        var january = new DateTimeOffset(2027, 1, 10, 12, 0, 0, TimeSpan.Zero);
+
+        // Act & Assert
+        Matches("DateCreated", "InPeriod", "previous:month", Timestamp(2026, 12, 31), january).Should().BeTrue();
+        Matches("DateCreated", "InPeriod", "previous:month", Timestamp(2026, 11, 30), january).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData(1999, 10, 21, true)]
+    [InlineData(1954, 10, 21, true)]
+    [InlineData(2026, 10, 21, false)]
+    [InlineData(2025, 10, 22, false)]
+    public void OnThisDay_MatchesSameDayInEarlierYears(int year, int month, int day, bool expected)
+    {
+        // Act & Assert
+        Matches("ReleaseDate", "OnThisDay", string.Empty, Timestamp(year, month, day, 0)).Should().Be(expected);
+    }
+
+    [Fact]
+    public void OnThisDay_LeapDayMatchesFebruaryTwentyEighth()
+    {
+        // Arrange
+        var february28 = new DateTimeOffset(2027, 2, 28, 12, 0, 0, TimeSpan.Zero);
+
+        // Act & Assert
+        Matches("ReleaseDate", "OnThisDay", string.Empty, Timestamp(2024, 2, 29, 0), february28).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData("7:days", 2020, 10, 28, true)]
+    [InlineData("7:days", 2020, 10, 14, true)]
+    [InlineData("7:days", 2020, 10, 29, false)]
+    [InlineData("2:weeks", 2020, 11, 4, true)]
+    [InlineData("7:days", 2026, 10, 22, false)]
+    public void AnniversaryWithin_MatchesDaysAroundToday(string window, int year, int month, int day, bool expected)
+    {
+        // Act & Assert
+        Matches("DateCreated", "AnniversaryWithin", window, Timestamp(year, month, day)).Should().Be(expected);
+    }
+
+    [Fact]
+    public void AnniversaryWithin_WrapsAroundNewYear()
+    {
+        // Arrange
+        var december30 = new DateTimeOffset(2026, 12, 30, 12, 0, 0, TimeSpan.Zero);
+
+        // Act & Assert
+        Matches("DateCreated", "AnniversaryWithin", "5:days", Timestamp(2019, 1, 2), december30).Should().BeTrue();
+    }
+
+    [Fact]
+    public void Dates_UseServerTimeZone_AndReleaseDatesStayCalendarDates()
+    {
+        // Arrange: 20:00 UTC on 20 October is already 21 October at UTC+10
+        var timeZone = TimeZoneInfo.CreateCustomTimeZone("Test+10", TimeSpan.FromHours(10), "Test+10", "Test+10");
+        var now = new DateTimeOffset(2026, 10, 20, 20, 0, 0, TimeSpan.Zero);
+
+        // Act & Assert
+        Matches("DateCreated", "OnThisDay", string.Empty, Timestamp(2025, 10, 20, 20), now, timeZone).Should().BeTrue();
+        Matches("ReleaseDate", "OnThisDay", string.Empty, Timestamp(2025, 10, 21, 0), now, timeZone).Should().BeTrue();
+        Matches("ReleaseDate", "OnThisDay", string.Empty, Timestamp(2025, 10, 20, 0), now, timeZone).Should().BeFalse();
+    }
+
+    [Fact]
+    public void MissingDates_DoNotMatch()
+    {
+        // Act & Assert
+        Matches("DateCreated", "InPeriod", "current:year", 0).Should().BeFalse();
+        Matches("LastPlayedDate", "InPeriod", "current:year", -1).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData("InPeriod", "current:decade")]
+    [InlineData("InPeriod", "next:month")]
+    [InlineData("AnniversaryWithin", "7")]
+    [InlineData("AnniversaryWithin", "3:months")]
+    [InlineData("AnniversaryWithin", "200:days")]
+    public void InvalidValues_AreRejected(string op, string value)
+    {
+        // Act
+        var act = () => CalendarDateRule.Create(new Expression("DateCreated", op, value), TimeProvider.System);
+
+        // Assert
+        act.Should().Throw<ArgumentException>();
+    }
+}
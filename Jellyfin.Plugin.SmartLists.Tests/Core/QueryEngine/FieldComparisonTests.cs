@@ -0,0 +1,102 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.QueryEngine;
+
+public class FieldComparisonTests
+{
+    private const string UserA = "11111111111111111111111111111111";
+    private const string UserB = "22222222222222222222222222222222";
+
+    private static double Timestamp(int year, int month, int day)
+    {
+        return new DateTimeOffset(year, month, day, 0, 0, 0, TimeSpan.Zero).ToUnixTimeSeconds();
+    }
+
+    private static bool Evaluate(Expression rule, Operand operand)
+    {
+        return Engine.CompileRule<Operand>(rule, UserA)(operand);
+    }
+
+    [Theory]
+    [InlineData(8.1f, 75f, true)]
+    [InlineData(7.5f, 75f, false)]
+    [InlineData(6.0f, 75f, false)]
+    public void NumericComparison_AppliesAdjustmentToComparedField(float communityRating, float criticRating, bool expected)
+    {
+        // Arrange
+        var rule = new Expression("CommunityRating", "GreaterThan", "/10") { CompareField = "CriticRating" };
+        var operand = new Operand("Movie") { CommunityRating = communityRating, CriticRating = criticRating };
+
+        // Act & Assert
+        Evaluate(rule, operand).Should().Be(expected);
+    }
+
+    [Fact]
+    public void NumericComparison_DoesNotMatchWhenComparedFieldHasNoValue()
+    {
+        // Arrange
+        var rule = new Expression("CommunityRating", "GreaterThan", string.Empty) { CompareField = "CriticRating" };
+        var operand = new Operand("Movie") { CommunityRating = 8f };
+
+        // Act & Assert
+        Evaluate(rule, operand).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData(2016, 1, 2, true)]
+    [InlineData(2014, 12, 31, false)]
+    public void DateComparison_ShiftsComparedDateByCalendarUnits(int year, int month, int day, bool expected)
+    {
+        // Arrange
+        var rule = new Expression("DateCreated", "After", "+5:years") { CompareField = "ReleaseDate" };
+        var operand = new Operand("Movie") { ReleaseDate = Timestamp(2011, 1, 1), DateCreated = Timestamp(year, month, day) };
+
+        // Act & Assert
+        Evaluate(rule, operand).Should().Be(expected);
+    }
+
+    [Fact]
+    public void UserSpecificFields_ReadEachSideForItsOwnUser()
+    {
+        // Arrange
+        var rule = new Expression("PlayCount", "GreaterThan", string.Empty) { CompareField = "PlayCount", CompareUserId = UserB };
+        var operand = new Operand("Movie");
+        operand.PlayCountByUser[UserA] = 3;
+        operand.PlayCountByUser[UserB] = 1;
+
+        // Act & Assert
+        Evaluate(rule, operand).Should().BeTrue();
+        Evaluate(new Expression("PlayCount", "GreaterThan", string.Empty) { UserId = UserB, CompareField = "PlayCount" }, operand).Should().BeFalse();
+    }
+
+    [Fact]
+    public void TextComparison_IgnoresCase()
+    {
+        // Arrange
+        var rule = new Expression("Name", "Contains", string.Empty) { CompareField = "SeriesName" };
+        var operand = new Operand("The Expanse: Recap") { SeriesName = "the expanse" };
+
+        // Act & Assert
+        Evaluate(rule, operand).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData("CommunityRating", "DateCreated", "GreaterThan", "")]
+    [InlineData("CommunityRating", "CriticRating", "Contains", "")]
+    [InlineData("CommunityRating", "CriticRating", "GreaterThan", "10")]
+    [InlineData("DateCreated", "ReleaseDate", "After", "5 years")]
+    [InlineData("Name", "SeriesName", "Equal", "+1")]
+    public void InvalidComparisons_AreRejected(string field, string compareField, string op, string adjustment)
+    {
+        // Arrange
+        var rule = new Expression(field, op, adjustment) { CompareField = compareField };
+
+        // Act
+        var act = () => Engine.CompileRule<Operand>(rule, UserA);
+
+        // Assert
+        act.Should().Throw<ArgumentException>();
+    }
+}
@@ -0,0 +1,95 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Core.QueryEngine;
+
+public class RuleScoringTests
+{
+    private const string UserId = "11111111111111111111111111111111";
+
+    private static readonly List<Expression> Rules =
+    [
+        new Expression("IsFavorite", "Equal", "true") { Weight = 3 },
+        new Expression("IsPlayed", "Equal", "false"),
+        new Expression("CommunityRating", "GreaterThan", "7.5") { Weight = 2 },
+        new Expression("OfficialRating", "Equal", "R") { Weight = -1.5 },
+    ];
+
+    private static double Score(Operand operand)
+    {
+        var compiled = Rules.Select(rule => Engine.CompileRule<Operand>(rule, UserId)).ToList();
+        return RuleScoring.Score(compiled, [.. Rules.Select(rule => rule.EffectiveWeight)], operand);
+    }
+
+    private static Operand CreateOperand(bool favorite, bool played, float rating, string officialRating = "PG-13")
+    {
+        var operand = new Operand("Movie") { CommunityRating = rating, OfficialRating = officialRating };
+        operand.IsFavoriteByUser[UserId] = favorite;
+        operand.IsPlayedByUser[UserId] = played;
+        return operand;
+    }
+
+    [Fact]
+    public void Score_AddsWeightsOfMatchingRules()
+    {
+        // Act & Assert
+        Score(CreateOperand(favorite: true, played: false, rating: 8f)).Should().Be(6);
+        Score(CreateOperand(favorite: false, played: false, rating: 8f)).Should().Be(3);
+        Score(CreateOperand(favorite: false, played: true, rating: 5f)).Should().Be(0);
+    }
+
+    [Fact]
+    public void Score_NegativeWeightsPenalizeMatches()
+    {
+        // Act & Assert
+        Score(CreateOperand(favorite: true, played: true, rating: 5f, officialRating: "R")).Should().Be(1.5);
+    }
+
+    [Fact]
+    public void Score_RulesThatFailToEvaluateDoNotMatch()
+    {
+        // Arrange
+        var rules = new List<Func<Operand, bool>> { _ => throw new InvalidOperationException(), _ => true };
+
+        // Act & Assert
+        RuleScoring.Score(rules, [5, 1], new Operand("Movie")).Should().Be(1);
+    }
+
+    [Theory]
+    [InlineData(0.5, null, true)]
+    [InlineData(0, null, false)]
+    [InlineData(-1, null, false)]
+    [InlineData(3, 3.0, true)]
+    [InlineData(2.5, 3.0, false)]
+    [InlineData(0, 0.0, true)]
+    public void MeetsMinimum_UsesMinScoreOrRequiresAPositiveScore(double score, double? minScore, bool expected)
+    {
+        // Act & Assert
+        RuleScoring.MeetsMinimum(score, minScore).Should().Be(expected);
+    }
+
+    [Fact]
+    public void GetScoredExpressions_FlattensGroupsAndSkipsListLevelRules()
+    {
+        // Arrange
+        var sets = new List<ExpressionSet>
+        {
+            new() { Expressions = [new Expression("Name", "Contains", "a"), new Expression("SimilarTo", "Equal", "Heat")] },
+            new()
+            {
+                Logic = RuleLogic.Or,
+                Expressions = [new Expression("Collections", "Contains", "Marvel") { IncludeCollectionOnly = true }],
+                Groups = [new ExpressionSet { Expressions = [new Expression("Genres", "Contains", "Drama")] }],
+            },
+        };
+
+        // Act
+        var scored = RuleScoring.GetScoredExpressions(sets);
+
+        // Assert
+        scored.Select(expr => expr.MemberName).Should().Equal("Name", "Genres");
+    }
+}
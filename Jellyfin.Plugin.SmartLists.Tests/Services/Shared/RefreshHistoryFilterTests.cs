@@ -0,0 +1,84 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Services.Shared;
+
+public class RefreshHistoryFilterTests
+{
+    private static readonly DateTime Morning = new(2026, 10, 19, 8, 0, 0, DateTimeKind.Utc);
+
+    private static readonly RefreshHistoryEntry Succeeded = new()
+    {
+        ListName = "Recently Added Movies",
+        ListType = SmartListType.Playlist,
+        TriggerType = RefreshTriggerType.Scheduled,
+        StartTime = Morning,
+        Success = true,
+    };
+
+    private static readonly RefreshHistoryEntry Failed = new()
+    {
+        ListName = "Kids Shows",
+        ListType = SmartListType.Collection,
+        TriggerType = RefreshTriggerType.Manual,
+        StartTime = Morning.AddHours(1),
+        Success = false,
+    };
+
+    private static readonly RefreshHistoryEntry Skipped = new()
+    {
+        ListName = "Unwatched Movies",
+        ListType = SmartListType.Playlist,
+        TriggerType = RefreshTriggerType.Scheduled,
+        StartTime = Morning.AddHours(2),
+        Success = true,
+        Skipped = true,
+    };
+
+    private static IEnumerable<string> Matching(RefreshHistoryFilter filter)
+    {
+        return new[] { Succeeded, Failed, Skipped }.Where(filter.Matches).Select(r => r.ListName);
+    }
+
+    [Fact]
+    public void Matches_NoCriteria_MatchesEveryRun()
+    {
+        // Act & Assert
+        Matching(new RefreshHistoryFilter()).Should().HaveCount(3);
+    }
+
+    [Fact]
+    public void Matches_Search_IgnoresCaseAndSurroundingSpaces()
+    {
+        // Act & Assert
+        Matching(new RefreshHistoryFilter { Search = "  movies " })
+            .Should().Equal("Recently Added Movies", "Unwatched Movies");
+    }
+
+    [Fact]
+    public void Matches_Outcome_TellsSkippedRunsFromSuccessfulOnes()
+    {
+        // Act & Assert - skipped runs are recorded as successful, but only match the Skipped outcome
+        Matching(new RefreshHistoryFilter { Outcome = RefreshOutcome.Success }).Should().Equal("Recently Added Movies");
+        Matching(new RefreshHistoryFilter { Outcome = RefreshOutcome.Failed }).Should().Equal("Kids Shows");
+        Matching(new RefreshHistoryFilter { Outcome = RefreshOutcome.Skipped }).Should().Equal("Unwatched Movies");
+    }
+
+    [Fact]
+    public void Matches_ListTypeAndTrigger()
+    {
+        // Act & Assert
+        Matching(new RefreshHistoryFilter { ListType = SmartListType.Collection }).Should().Equal("Kids Shows");
+        Matching(new RefreshHistoryFilter { ListType = SmartListType.Playlist, TriggerType = RefreshTriggerType.Manual }).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Matches_DateRange_IncludesFromAndExcludesTo()
+    {
+        // Act & Assert
+        Matching(new RefreshHistoryFilter { FromUtc = Morning.AddHours(1), ToUtc = Morning.AddHours(2) })
+            .Should().Equal("Kids Shows");
+    }
+}
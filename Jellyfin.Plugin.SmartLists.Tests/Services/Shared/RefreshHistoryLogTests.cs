@@ -0,0 +1,196 @@
+using System.Text.Json;
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Services.Shared;
+
+public sealed class RefreshHistoryLogTests : IDisposable
+{
+    private static readonly JsonSerializerOptions LineJsonOptions = new(SmartListFileSystem.SharedJsonOptions) { WriteIndented = false };
+
+    private readonly string _directory = Path.Combine(Path.GetTempPath(), "smartlists-history-" + Guid.NewGuid().ToString("N"));
+    private readonly string _filePath;
+
+    public RefreshHistoryLogTests()
+    {
+        Directory.CreateDirectory(_directory);
+        _filePath = Path.Combine(_directory, "refresh-history.jsonl");
+    }
+
+    public void Dispose()
+    {
+        Directory.Delete(_directory, recursive: true);
+    }
+
+    private RefreshHistoryLog CreateLog(int retentionDays = 30)
+    {
+        return new RefreshHistoryLog(_filePath, () => retentionDays, NullLogger.Instance);
+    }
+
+    private static RefreshHistoryEntry CreateRun(string listId, DateTime startTime, bool success = true, int seconds = 5)
+    {
+        return new RefreshHistoryEntry
+        {
+            ListId = listId,
+            ListName = "List " + listId,
+            StartTime = startTime,
+            EndTime = startTime.AddSeconds(seconds),
+            Duration = TimeSpan.FromSeconds(seconds),
+            Success = success,
+        };
+    }
+
+    [Fact]
+    public void Append_RunsSurviveReload()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        log.Append(CreateRun("a", now.AddHours(-2)));
+        log.Append(CreateRun("b", now.AddHours(-1), success: false));
+
+        // Act
+        var runs = CreateLog().GetRuns(now.AddDays(-1));
+
+        // Assert
+        runs.Select(r => (r.ListId, r.Success)).Should().Equal(("a", true), ("b", false));
+    }
+
+    [Fact]
+    public void Load_DropsRunsOlderThanRetention()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        log.Append(CreateRun("old", now.AddDays(-40)));
+        log.Append(CreateRun("recent", now.AddDays(-1)));
+
+        // Act
+        var runs = CreateLog(retentionDays: 30).GetRuns(DateTime.MinValue);
+
+        // Assert - dropped from memory and from the file
+        runs.Select(r => r.ListId).Should().Equal("recent");
+        File.ReadAllLines(_filePath).Should().ContainSingle();
+    }
+
+    [Fact]
+    public void Load_SkipsTornLineAndRewritesFile()
+    {
+        // Arrange - the last write was cut short by a crash
+        var now = DateTime.UtcNow;
+        CreateLog().Append(CreateRun("a", now));
+        File.AppendAllText(_filePath, "{\"ListId\":\"b\",\"Sta");
+
+        // Act
+        var runs = CreateLog().GetRuns(DateTime.MinValue);
+
+        // Assert - the file is rewritten, so new runs aren't appended to the broken line
+        runs.Select(r => r.ListId).Should().Equal("a");
+        File.ReadAllLines(_filePath).Should().ContainSingle()
+            .Which.Should().Contain("\"ListId\":\"a\"");
+    }
+
+    [Fact]
+    public void Load_OverMaxRuns_KeepsNewestRunsDownToLowWaterMark()
+    {
+        // Arrange
+        var start = DateTime.UtcNow.AddDays(-1);
+        File.WriteAllLines(_filePath, Enumerable.Range(0, RefreshHistoryLog.MaxRuns + 1)
+            .Select(i => JsonSerializer.Serialize(new RefreshHistoryEntry { ListId = i.ToString(), StartTime = start.AddSeconds(i) }, LineJsonOptions)));
+
+        // Act
+        var runs = CreateLog().GetRuns(DateTime.MinValue);
+
+        // Assert
+        runs.Should().HaveCount(RefreshHistoryLog.CompactedRuns);
+        runs[0].ListId.Should().Be((RefreshHistoryLog.MaxRuns + 1 - RefreshHistoryLog.CompactedRuns).ToString());
+        runs[^1].ListId.Should().Be(RefreshHistoryLog.MaxRuns.ToString());
+        File.ReadLines(_filePath).Count().Should().Be(RefreshHistoryLog.CompactedRuns);
+    }
+
+    [Fact]
+    public void GetLastSuccessfulStarts_IgnoresFailedAndSkippedRuns()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        log.Append(CreateRun("a", now.AddHours(-3)));
+        log.Append(CreateRun("a", now.AddHours(-2), success: false));
+        log.Append(new RefreshHistoryEntry { ListId = "a", StartTime = now.AddHours(-1), Success = true, Skipped = true });
+        log.Append(CreateRun("b", now.AddHours(-1), success: false));
+
+        // Act
+        var starts = log.GetLastSuccessfulStarts();
+
+        // Assert
+        starts.Should().ContainSingle().Which.Should().Be(new KeyValuePair<string, DateTime>("a", now.AddHours(-3)));
+    }
+
+    [Fact]
+    public void GetAverageDurations_AveragesLatestCompletedRunsPerList()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        log.Append(CreateRun("a", now.AddHours(-3), seconds: 100));
+        log.Append(CreateRun("a", now.AddHours(-2), success: false, seconds: 2));
+        log.Append(CreateRun("a", now.AddHours(-1), seconds: 4));
+        log.Append(new RefreshHistoryEntry { ListId = "a", StartTime = now, Success = true, Skipped = true });
+        log.Append(new RefreshHistoryEntry { ListId = "b", StartTime = now, Success = true, Skipped = true });
+
+        // Act - after a reload, as after a server restart
+        var averages = CreateLog().GetAverageDurations(2);
+
+        // Assert
+        averages.Should().ContainSingle().Which.Should().Be(new KeyValuePair<string, TimeSpan>("a", TimeSpan.FromSeconds(3)));
+    }
+
+    [Fact]
+    public void QueryPage_ReturnsNewestFirstWithTotalCount()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        foreach (var listId in new[] { "a", "b", "c", "d", "e" })
+        {
+            log.Append(CreateRun(listId, now));
+        }
+
+        // Act
+        var page = log.QueryPage(new RefreshHistoryFilter(), 1, 2);
+
+        // Assert
+        page.TotalRecordCount.Should().Be(5);
+        page.Items.Select(r => r.ListId).Should().Equal("d", "c");
+    }
+
+    [Fact]
+    public void QueryPage_OrdersByStartTimeNotCompletionOrder()
+    {
+        // Arrange - the long run started first but finished last
+        var now = DateTime.UtcNow;
+        var log = CreateLog();
+        log.Append(CreateRun("short", now.AddMinutes(-5)));
+        log.Append(CreateRun("long", now.AddMinutes(-10), seconds: 600));
+
+        // Act & Assert - the same before and after a reload
+        log.QueryPage(new RefreshHistoryFilter(), 0, 10).Items.Select(r => r.ListId).Should().Equal("short", "long");
+        CreateLog().QueryPage(new RefreshHistoryFilter(), 0, 10).Items.Select(r => r.ListId).Should().Equal("short", "long");
+    }
+
+    [Fact]
+    public void QueryPage_ReturnsCopies()
+    {
+        // Arrange
+        var log = CreateLog();
+        log.Append(CreateRun("a", DateTime.UtcNow));
+
+        // Act
+        log.QueryPage(new RefreshHistoryFilter(), 0, 10).Items[0].ListName = "Changed";
+
+        // Assert
+        log.Query(new RefreshHistoryFilter()).Single().ListName.Should().Be("List a");
+    }
+}
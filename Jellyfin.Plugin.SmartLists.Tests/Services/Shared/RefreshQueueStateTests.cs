@@ -0,0 +1,131 @@
+using FluentAssertions;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Xunit;
+
+namespace Jellyfin.Plugin.SmartLists.Tests.Services.Shared;
+
+public class RefreshQueueStateTests
+{
+    private static RefreshQueueState CreateQueue(params string[] listIds)
+    {
+        var queue = new RefreshQueueState();
+        foreach (var listId in listIds)
+        {
+            queue.TryEnqueue(new RefreshQueueItem { ListId = listId, ListName = "List " + listId });
+        }
+
+        return queue;
+    }
+
+    private static IEnumerable<string> Waiting(RefreshQueueState queue)
+    {
+        return queue.GetItems().Select(i => i.ListId);
+    }
+
+    [Fact]
+    public void TryEnqueue_SkipsListAlreadyWaiting()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b");
+
+        // Act
+        var added = queue.TryEnqueue(new RefreshQueueItem { ListId = "a" });
+
+        // Assert
+        added.Should().BeFalse();
+        Waiting(queue).Should().Equal("a", "b");
+    }
+
+    [Fact]
+    public void TryDequeue_TakesItemsInOrderAndAllowsRequeue()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b");
+
+        // Act
+        queue.TryDequeue(out var first).Should().BeTrue();
+
+        // Assert - a list can be queued again as soon as it leaves the queue
+        first!.ListId.Should().Be("a");
+        queue.TryEnqueue(new RefreshQueueItem { ListId = "a" }).Should().BeTrue();
+        Waiting(queue).Should().Equal("b", "a");
+    }
+
+    [Fact]
+    public void MoveToFront_MovesWaitingItemAhead()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b", "c");
+
+        // Act
+        var moved = queue.MoveToFront("c");
+
+        // Assert
+        moved!.ListName.Should().Be("List c");
+        Waiting(queue).Should().Equal("c", "a", "b");
+    }
+
+    [Fact]
+    public void MoveToFront_ListNotWaiting_ReturnsNull()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b");
+
+        // Act & Assert
+        queue.MoveToFront("x").Should().BeNull();
+        Waiting(queue).Should().Equal("a", "b");
+    }
+
+    [Fact]
+    public void Remove_DropsWaitingItemAndAllowsRequeue()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b", "c");
+
+        // Act
+        var removed = queue.Remove("b");
+
+        // Assert
+        removed!.ListId.Should().Be("b");
+        queue.Remove("b").Should().BeNull();
+        Waiting(queue).Should().Equal("a", "c");
+        queue.TryEnqueue(new RefreshQueueItem { ListId = "b" }).Should().BeTrue();
+        queue.Count.Should().Be(3);
+    }
+
+    [Fact]
+    public void CancelProcessing_OnlyCancelsTheListBeingProcessed()
+    {
+        // Arrange
+        var queue = CreateQueue("a", "b");
+        queue.TryDequeue(out var item);
+        using var cancellation = new CancellationTokenSource();
+        queue.BeginProcessing(item!, cancellation);
+
+        // Act & Assert - a waiting list can't be cancelled, only removed
+        queue.IsProcessing("a").Should().BeTrue();
+        queue.CancelProcessing("b").Should().BeFalse();
+        cancellation.IsCancellationRequested.Should().BeFalse();
+
+        queue.CancelProcessing("a").Should().BeTrue();
+        cancellation.IsCancellationRequested.Should().BeTrue();
+    }
+
+    [Fact]
+    public void CancelProcessing_AfterProcessingEnds_ReturnsFalse()
+    {
+        // Arrange
+        var queue = CreateQueue("a");
+        queue.TryDequeue(out var item);
+        using var cancellation = new CancellationTokenSource();
+        queue.BeginProcessing(item!, cancellation);
+
+        // Act
+        queue.EndProcessing();
+
+        // Assert
+        queue.Current.Should().BeNull();
+        queue.CancelProcessing("a").Should().BeFalse();
+        cancellation.IsCancellationRequested.Should().BeFalse();
+    }
+}
@@ -74,6 +74,12 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return new Services.Collections.CollectionStore(fileSystem);
         }
 
+        private RuleSnippetStore GetSnippetStore()
+        {
+            var fileSystem = new SmartListFileSystem(_applicationPaths);
+            return new RuleSnippetStore(fileSystem);
+        }
+
         private Services.Playlists.PlaylistService GetPlaylistService()
         {
             try
@@ -227,6 +233,82 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return true;
         }
 
+        /// <summary>
+        /// Validates every MatchRegex pattern in the given expression sets, including nested groups.
+        /// </summary>
+        /// <param name="expressionSets">The expression sets to check.</param>
+        /// <param name="errorMessage">Output parameter containing error message if validation fails.</param>
+        /// <returns>True if all patterns are valid, false otherwise.</returns>
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
+        private static bool TryValidateRegexPatterns(List<ExpressionSet>? expressionSets, out string errorMessage)
+        {
+            errorMessage = string.Empty;
+
+            foreach (var expression in (expressionSets ?? []).Where(set => set != null).SelectMany(set => set.GetAllExpressions()))
+            {
+                if (expression.Operator != "MatchRegex" || string.IsNullOrEmpty(expression.TargetValue))
+                {
+                    continue;
+                }
+
+                if (!IsValidRegexPattern(expression.TargetValue, out var regexError))
+                {
+                    errorMessage = $"Invalid regex pattern: {regexError}";
+                    return false;
+                }
+
+                try
+                {
+                    _ = new Regex(expression.TargetValue, RegexOptions.None, TimeSpan.FromMilliseconds(100));
+                }
+                catch (ArgumentException ex)
+                {
+                    errorMessage = $"Invalid regex pattern '{expression.TargetValue}': {ex.Message}";
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Rejects SimilarTo and collection-only Collections rules in groups that use OR, NOT or nested groups,
+        /// where they would otherwise be ignored.
+        /// </summary>
+        /// <param name="expressionSets">The expression sets to check.</param>
+        /// <param name="errorMessage">Output parameter containing error message if validation fails.</param>
+        /// <returns>True if no such rule is in a nested logic group, false otherwise.</returns>
+        private static bool TryValidateNestedLogic(List<ExpressionSet>? expressionSets, out string errorMessage)
+        {
+            var expression = (expressionSets ?? []).Where(set => set != null).Select(set => set.FindRuleUnsupportedInNestedLogic()).FirstOrDefault(expr => expr != null);
+            errorMessage = expression == null
+                ? string.Empty
+                : $"{expression.MemberName} rules can't be used in groups with OR, NOT or nested groups. Move the rule to a plain AND group.";
+            return expression == null;
+        }
+
+        /// <summary>
+        /// Validates the cron expressions of Cron schedules.
+        /// </summary>
+        /// <param name="schedules">The schedules to check.</param>
+        /// <param name="errorMessage">Output parameter containing error message if validation fails.</param>
+        /// <returns>True if all cron expressions are valid, false otherwise.</returns>
+        private static bool TryValidateSchedules(List<Schedule>? schedules, out string errorMessage)
+        {
+            errorMessage = string.Empty;
+
+            foreach (var schedule in (schedules ?? []).Where(s => s?.Trigger == Core.Enums.ScheduleTrigger.Cron))
+            {
+                if (!CronExpression.TryParse(schedule.CronExpression, out _, out var cronError))
+                {
+                    errorMessage = $"Invalid cron schedule: {cronError}";
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
         /// <summary>
         /// Gets the current user ID from Jellyfin claims.
         /// </summary>
@@ -398,6 +480,56 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Explain why an item is or is not in a saved smart list.
+        /// Shows each rule's result and the item's actual values, and whether sorting limits cut the item.
+        /// </summary>
+        /// <param name="id">The list ID.</param>
+        /// <param name="itemId">The item ID.</param>
+        /// <param name="userId">For playlists, the playlist user to evaluate for. Defaults to the first user.</param>
+        /// <returns>The explanation.</returns>
+        [HttpGet("{id}/explain/{itemId}")]
+        [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3003:Review code for file path injection vulnerabilities", Justification = "ID is validated as GUID before use, preventing path injection")]
+        public async Task<ActionResult<SmartListExplanation>> ExplainSmartListItem([FromRoute, Required] string id, [FromRoute, Required] string itemId, [FromQuery] string? userId = null)
+        {
+            if (!Guid.TryParse(id, out var guidId))
+            {
+                return BadRequest("Invalid list ID format");
+            }
+
+            if (!Guid.TryParse(itemId, out var itemGuid))
+            {
+                return BadRequest("Invalid item ID format");
+            }
+
+            try
+            {
+                SmartListExplanation? explanation;
+                var playlist = await GetPlaylistStore().GetByIdAsync(guidId);
+                if (playlist != null)
+                {
+                    explanation = GetPlaylistService().Explain(playlist, itemGuid, userId);
+                }
+                else
+                {
+                    var collection = await GetCollectionStore().GetByIdAsync(guidId);
+                    if (collection == null)
+                    {
+                        return NotFound("List not found");
+                    }
+
+                    explanation = GetCollectionService().Explain(collection, itemGuid);
+                }
+
+                return explanation == null ? NotFound("Item not found") : Ok(explanation);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error explaining item {ItemId} for smart list {ListId}", itemId, id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error explaining item");
+            }
+        }
+
         /// <summary>
         /// Create a new smart list (playlist or collection).
         /// </summary>
@@ -418,6 +550,30 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 });
             }
 
+            if (!TryValidateSchedules(list.Schedules, out var scheduleError))
+            {
+                logger.LogWarning("CreateSmartList validation failed: {Error}. Name={Name}", scheduleError, list.Name);
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = scheduleError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (!TryValidateNestedLogic(list.ExpressionSets, out var nestedLogicError))
+            {
+                logger.LogWarning("CreateSmartList validation failed: {Error}. Name={Name}", nestedLogicError, list.Name);
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = nestedLogicError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            await SyncLinkedSnippetsAsync(list.ExpressionSets);
+
             // Route to appropriate handler based on type
             if (list.Type == Core.Enums.SmartListType.Collection)
             {
@@ -429,6 +585,54 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Evaluate an unsaved smart list without creating or updating anything.
+        /// Used by the editor to show a live count of matching items while rules are being edited.
+        /// </summary>
+        /// <param name="list">The in-progress smart list (playlist or collection).</param>
+        /// <param name="sampleSize">Number of leading items to return.</param>
+        /// <returns>Match counts and the first items of the list.</returns>
+        [HttpPost("preview")]
+        public ActionResult<SmartListPreviewResult> PreviewSmartList([FromBody] SmartListDto? list, [FromQuery] int sampleSize = SmartListPreviewBuilder.DefaultSampleSize)
+        {
+            if (list == null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = "List data is required",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (!TryValidateRegexPatterns(list.ExpressionSets, out var regexError))
+            {
+                return Ok(SmartListPreviewBuilder.Failed(regexError));
+            }
+
+            if (!TryValidateNestedLogic(list.ExpressionSets, out var nestedLogicError))
+            {
+                return Ok(SmartListPreviewBuilder.Failed(nestedLogicError));
+            }
+
+            try
+            {
+                if (list.Type == Core.Enums.SmartListType.Collection)
+                {
+                    var collection = list as SmartCollectionDto ?? JsonSerializer.Deserialize<SmartCollectionDto>(JsonSerializer.Serialize(list))!;
+                    return Ok(GetCollectionService().Preview(collection, sampleSize));
+                }
+
+                var playlist = list as SmartPlaylistDto ?? JsonSerializer.Deserialize<SmartPlaylistDto>(JsonSerializer.Serialize(list))!;
+                return Ok(GetPlaylistService().Preview(playlist, sampleSize));
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error previewing smart list '{ListName}'", list.Name);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error previewing smart list");
+            }
+        }
+
         [System.Diagnostics.CodeAnalysis.SuppressMessage("Security", "CA3012:Review code for regex injection vulnerabilities", Justification = "Regex patterns are validated with IsValidRegexPattern method including length limits and timeout")]
         private async Task<ActionResult<SmartListDto>> CreatePlaylistInternal(SmartPlaylistDto playlist)
         {
@@ -595,9 +799,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 {
                     foreach (var expressionSet in playlist.ExpressionSets)
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -808,9 +1012,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 {
                     foreach (var expressionSet in collection.ExpressionSets)
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -905,6 +1109,28 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return BadRequest("List data is required");
             }
 
+            if (!TryValidateSchedules(list.Schedules, out var scheduleError))
+            {
+                logger.LogWarning("UpdateSmartList validation failed: {Error}. Name={Name}", scheduleError, list.Name);
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = scheduleError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (!TryValidateNestedLogic(list.ExpressionSets, out var nestedLogicError))
+            {
+                logger.LogWarning("UpdateSmartList validation failed: {Error}. Name={Name}", nestedLogicError, list.Name);
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation Error",
+                    Detail = nestedLogicError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
             var stopwatch = Stopwatch.StartNew();
             try
             {
@@ -913,6 +1139,8 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     return BadRequest("Invalid list ID format");
                 }
 
+                await SyncLinkedSnippetsAsync(list.ExpressionSets);
+
                 // Determine type and route to appropriate handler
                 // Try to find existing list to determine type
                 var playlistStore = GetPlaylistStore();
@@ -1061,9 +1289,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 {
                     foreach (var expressionSet in playlist.ExpressionSets)
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -1430,9 +1658,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 {
                     foreach (var expressionSet in collection.ExpressionSets)
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 if (expression.Operator == "MatchRegex" && !string.IsNullOrEmpty(expression.TargetValue))
                                 {
@@ -1786,10 +2014,18 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 },
                 Operators = Core.Constants.Operators.AllOperators,
                 FieldOperators = GetFieldOperators(),
+                ComparableFields = Core.QueryEngine.FieldComparison.ComparableFields,
+                ComparisonOperators = Core.Constants.Operators.GetFieldComparisonOperatorsDictionary(),
+                ServerTimeZone = new
+                {
+                    Name = TimeZoneInfo.Local.DisplayName,
+                    UtcOffsetMinutes = TimeZoneInfo.Local.GetUtcOffset(DateTimeOffset.UtcNow).TotalMinutes,
+                },
                 OrderOptions = new[]
                 {
                     new { Value = "NoOrder", Label = "No Order" },
                     new { Value = "Random", Label = "Random" },
+                    new { Value = "WeightedRandom", Label = "Smart Shuffle" },
                     new { Value = "Name Ascending", Label = "Name Ascending" },
                     new { Value = "Name Descending", Label = "Name Descending" },
                     new { Value = "ProductionYear Ascending", Label = "Production Year Ascending" },
@@ -1802,9 +2038,18 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     new { Value = "CommunityRating Descending", Label = "Community Rating Descending" },
                     new { Value = "Similarity Ascending", Label = "Similarity Ascending" },
                     new { Value = "Similarity Descending", Label = "Similarity Descending" },
+                    new { Value = "Score Ascending", Label = "Score Ascending" },
+                    new { Value = "Score Descending", Label = "Score Descending" },
                     new { Value = "PlayCount (owner) Ascending", Label = "Play Count (owner) Ascending" },
                     new { Value = "PlayCount (owner) Descending", Label = "Play Count (owner) Descending" },
-                }
+                },
+                // Numeric and date fields without a dedicated order can be sorted by too (see FieldOrder)
+                SortFields = Core.Orders.FieldOrder.SortableFields.Select(field => new
+                {
+                    Value = field,
+                    Kind = Core.QueryEngine.FieldComparison.GetKind(field),
+                    UserSpecific = Core.QueryEngine.Expression.IsUserSpecificField(field),
+                }),
             };
 
             return Ok(fields);
@@ -1918,6 +2163,304 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Get one page of the library values of a tag-based field, with item counts.
+        /// </summary>
+        /// <param name="field">The field name, e.g. Genres or Actors.</param>
+        /// <param name="search">Only return values containing this text.</param>
+        /// <param name="mediaTypes">Comma-separated media types to take values from. Defaults to all.</param>
+        /// <param name="startIndex">Index of the first value to return.</param>
+        /// <param name="limit">Maximum number of values to return.</param>
+        /// <returns>The values and the total number of matching values.</returns>
+        [HttpGet("values/{field}")]
+        public ActionResult<FieldValuePage> GetFieldValues(
+            [FromRoute] string field,
+            [FromQuery] string? search,
+            [FromQuery] string? mediaTypes,
+            [FromQuery] int startIndex = 0,
+            [FromQuery] int limit = LibraryFieldValues.DefaultPageSize)
+        {
+            if (!LibraryFieldValues.IsSupported(field))
+            {
+                return BadRequest($"Value suggestions are not available for field '{field}'");
+            }
+
+            try
+            {
+                var index = LibraryFieldValues.GetIndex(field, LibraryFieldValues.ParseMediaTypes(mediaTypes), null, _libraryManager, logger);
+                return Ok(index.Search(search, startIndex, Math.Clamp(limit, 1, LibraryFieldValues.MaxPageSize)));
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error retrieving library values for field {Field}", field);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error retrieving library values");
+            }
+        }
+
+        /// <summary>
+        /// Check which rule values of a tag-based field match no library value.
+        /// </summary>
+        /// <param name="field">The field name, e.g. Genres or Actors.</param>
+        /// <param name="values">Semicolon-separated rule values.</param>
+        /// <param name="mediaTypes">Comma-separated media types to take values from. Defaults to all.</param>
+        /// <returns>The values that would not match any item.</returns>
+        [HttpGet("values/{field}/unmatched")]
+        public ActionResult<object> GetUnmatchedFieldValues([FromRoute] string field, [FromQuery] string? values, [FromQuery] string? mediaTypes)
+        {
+            if (!LibraryFieldValues.IsSupported(field))
+            {
+                return BadRequest($"Value suggestions are not available for field '{field}'");
+            }
+
+            try
+            {
+                var index = LibraryFieldValues.GetIndex(field, LibraryFieldValues.ParseMediaTypes(mediaTypes), null, _libraryManager, logger);
+                return Ok(new { Unmatched = index.FindUnmatched((values ?? string.Empty).Split(';')) });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error checking library values for field {Field}", field);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error checking library values");
+            }
+        }
+
+        /// <summary>
+        /// Get all rule snippets.
+        /// </summary>
+        /// <returns>List of rule snippets, ordered by name.</returns>
+        [HttpGet("snippets")]
+        public async Task<ActionResult<IEnumerable<RuleSnippet>>> GetRuleSnippets()
+        {
+            try
+            {
+                return Ok(await GetSnippetStore().GetAllAsync());
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error retrieving rule snippets");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error retrieving rule snippets");
+            }
+        }
+
+        /// <summary>
+        /// Create a rule snippet.
+        /// </summary>
+        /// <param name="snippet">The snippet to create.</param>
+        /// <returns>The created snippet.</returns>
+        [HttpPost("snippets")]
+        public async Task<ActionResult<RuleSnippet>> CreateRuleSnippet([FromBody, Required] RuleSnippet snippet)
+        {
+            if (!TryValidateSnippet(snippet, out var validationError))
+            {
+                return BadRequest(new { message = validationError });
+            }
+
+            try
+            {
+                var store = GetSnippetStore();
+                var existing = await store.GetAllAsync();
+                if (existing.Any(s => string.Equals(s.Name, snippet.Name, StringComparison.OrdinalIgnoreCase)))
+                {
+                    return Conflict(new { message = $"A snippet named '{snippet.Name}' already exists" });
+                }
+
+                snippet.Id = Guid.NewGuid().ToString();
+                snippet.DateCreated = DateTime.UtcNow;
+                snippet.DateModified = snippet.DateCreated;
+
+                var saved = await store.SaveAsync(snippet);
+                logger.LogInformation("Created rule snippet '{SnippetName}'", saved.Name);
+                return Ok(saved);
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error creating rule snippet '{SnippetName}'", snippet.Name);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error creating rule snippet");
+            }
+        }
+
+        /// <summary>
+        /// Update a rule snippet. Every list with a group linked to the snippet is updated as well;
+        /// the lists pick up the new rules on their next refresh.
+        /// </summary>
+        /// <param name="id">The snippet ID.</param>
+        /// <param name="snippet">The updated snippet.</param>
+        /// <returns>The updated snippet and the number of linked lists that were updated.</returns>
+        [HttpPut("snippets/{id}")]
+        public async Task<ActionResult> UpdateRuleSnippet([FromRoute, Required] string id, [FromBody, Required] RuleSnippet snippet)
+        {
+            if (!TryValidateSnippet(snippet, out var validationError))
+            {
+                return BadRequest(new { message = validationError });
+            }
+
+            try
+            {
+                var store = GetSnippetStore();
+                var existing = await store.GetByIdAsync(id);
+                if (existing == null)
+                {
+                    return NotFound("Snippet not found");
+                }
+
+                var all = await store.GetAllAsync();
+                if (all.Any(s => !string.Equals(s.Id, existing.Id, StringComparison.OrdinalIgnoreCase) && string.Equals(s.Name, snippet.Name, StringComparison.OrdinalIgnoreCase)))
+                {
+                    return Conflict(new { message = $"A snippet named '{snippet.Name}' already exists" });
+                }
+
+                snippet.Id = existing.Id;
+                snippet.DateCreated = existing.DateCreated;
+                snippet.DateModified = DateTime.UtcNow;
+
+                var saved = await store.SaveAsync(snippet);
+                var updatedLists = await UpdateListsLinkedToSnippetAsync(saved.Id, saved);
+
+                logger.LogInformation("Updated rule snippet '{SnippetName}' and {ListCount} linked lists", saved.Name, updatedLists);
+                return Ok(new { Snippet = saved, UpdatedLists = updatedLists });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error updating rule snippet {SnippetId}", id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error updating rule snippet");
+            }
+        }
+
+        /// <summary>
+        /// Delete a rule snippet. Groups linked to it are unlinked and keep their current rules.
+        /// </summary>
+        /// <param name="id">The snippet ID.</param>
+        /// <returns>The number of lists that were unlinked.</returns>
+        [HttpDelete("snippets/{id}")]
+        public async Task<ActionResult> DeleteRuleSnippet([FromRoute, Required] string id)
+        {
+            try
+            {
+                if (!await GetSnippetStore().DeleteAsync(id))
+                {
+                    return NotFound("Snippet not found");
+                }
+
+                var updatedLists = await UpdateListsLinkedToSnippetAsync(id, null);
+
+                logger.LogInformation("Deleted rule snippet {SnippetId} and unlinked it from {ListCount} lists", id, updatedLists);
+                return Ok(new { UpdatedLists = updatedLists });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error deleting rule snippet {SnippetId}", id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error deleting rule snippet");
+            }
+        }
+
+        private static bool TryValidateSnippet(RuleSnippet? snippet, out string errorMessage)
+        {
+            errorMessage = string.Empty;
+
+            if (snippet == null)
+            {
+                errorMessage = "Snippet data is required";
+                return false;
+            }
+
+            snippet.Name = snippet.Name?.Trim() ?? string.Empty;
+            if (snippet.Name.Length == 0 || snippet.Name.Length > 100)
+            {
+                errorMessage = "Snippet name is required and must be at most 100 characters";
+                return false;
+            }
+
+            if (snippet.Group == null || !snippet.Group.GetAllExpressions().Any())
+            {
+                errorMessage = "A snippet needs at least one rule";
+                return false;
+            }
+
+            // A snippet can be linked into any group, including nested ones
+            var unsupported = snippet.Group.GetAllExpressions().FirstOrDefault(ExpressionSet.IsHandledOutsideRules);
+            if (unsupported != null)
+            {
+                errorMessage = $"{unsupported.MemberName} rules can't be used in snippets";
+                return false;
+            }
+
+            snippet.ClearNestedLinks();
+            return TryValidateRegexPatterns([snippet.Group], out errorMessage);
+        }
+
+        /// <summary>
+        /// Applies a snippet to every playlist and collection with a group linked to it, or unlinks those groups
+        /// when the snippet was deleted (<paramref name="snippet"/> is null).
+        /// </summary>
+        /// <returns>The number of lists that were changed.</returns>
+        private async Task<int> UpdateListsLinkedToSnippetAsync(string snippetId, RuleSnippet? snippet)
+        {
+            var updatedLists = 0;
+
+            var playlistStore = GetPlaylistStore();
+            foreach (var playlist in await playlistStore.GetAllAsync())
+            {
+                var changed = snippet != null ? snippet.ApplyTo(playlist.ExpressionSets) : RuleSnippet.Unlink(playlist.ExpressionSets, snippetId);
+                if (changed)
+                {
+                    var saved = await playlistStore.SaveAsync(playlist);
+
+                    // The snippet may change which fields the list uses, and with them its auto-refresh triggers
+                    AutoRefreshService.Instance?.UpdatePlaylistInCache(saved);
+                    updatedLists++;
+                }
+            }
+
+            var collectionStore = GetCollectionStore();
+            foreach (var collection in await collectionStore.GetAllAsync())
+            {
+                var changed = snippet != null ? snippet.ApplyTo(collection.ExpressionSets) : RuleSnippet.Unlink(collection.ExpressionSets, snippetId);
+                if (changed)
+                {
+                    var saved = await collectionStore.SaveAsync(collection);
+                    AutoRefreshService.Instance?.UpdateCollectionInCache(saved);
+                    updatedLists++;
+                }
+            }
+
+            return updatedLists;
+        }
+
+        /// <summary>
+        /// Brings groups linked to a rule snippet up to date before a list is saved, and unlinks groups
+        /// whose snippet no longer exists.
+        /// </summary>
+        private async Task SyncLinkedSnippetsAsync(List<ExpressionSet>? expressionSets)
+        {
+            var linkedIds = RuleSnippet.GetLinkedSnippetIds(expressionSets);
+            if (linkedIds.Count == 0)
+            {
+                return;
+            }
+
+            try
+            {
+                var snippets = await GetSnippetStore().GetAllAsync();
+                foreach (var snippetId in linkedIds)
+                {
+                    var snippet = snippets.FirstOrDefault(s => string.Equals(s.Id, snippetId, StringComparison.OrdinalIgnoreCase));
+                    if (snippet != null)
+                    {
+                        snippet.ApplyTo(expressionSets);
+                    }
+                    else
+                    {
+                        RuleSnippet.Unlink(expressionSets, snippetId);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                // Save the rules as sent rather than failing the whole save
+                logger.LogWarning(ex, "Could not sync linked rule snippets, saving the rules as sent");
+            }
+        }
+
         /// <summary>
         /// Enable a smart list (playlist or collection).
         /// </summary>
@@ -2831,6 +3374,36 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Describe a cron expression and list its next runs in the server's time zone.
+        /// Used by the schedule editor to preview Cron schedules while they are typed.
+        /// </summary>
+        /// <param name="expression">The cron expression.</param>
+        /// <param name="count">How many upcoming runs to return (1-20).</param>
+        [HttpGet("schedule/cron")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        public IActionResult PreviewCronSchedule([FromQuery] string? expression, [FromQuery] int count = 5)
+        {
+            if (!CronExpression.TryParse(expression, out var cron, out var error))
+            {
+                return Ok(new
+                {
+                    Valid = false,
+                    Error = error,
+                    ServerTimeZone = TimeZoneInfo.Local.DisplayName,
+                });
+            }
+
+            var nextRuns = cron.GetNextOccurrences(DateTime.Now, Math.Clamp(count, 1, 20));
+            return Ok(new
+            {
+                Valid = true,
+                Description = cron.Describe(),
+                NextRuns = nextRuns.Select(run => run.ToString("ddd yyyy-MM-dd HH:mm", System.Globalization.CultureInfo.InvariantCulture)).ToList(),
+                ServerTimeZone = TimeZoneInfo.Local.DisplayName,
+            });
+        }
+
         /// <summary>
         /// Get refresh status including ongoing operations, history, and statistics
         /// </summary>
@@ -2847,41 +3420,50 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                     return StatusCode(StatusCodes.Status500InternalServerError, "RefreshStatusService is not available");
                 }
 
-                var ongoing = _refreshStatusService.GetOngoingOperations().Select(op => new
-                {
-                    listId = op.ListId,
-                    listName = op.ListName,
-                    listType = op.ListType.ToString(),
-                    triggerType = op.TriggerType.ToString(),
-                    startTime = op.StartTime.ToString("o"),
-                    totalItems = op.TotalItems,
-                    processedItems = op.ProcessedItems,
-                    estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
-                    elapsedTime = op.ElapsedTime.TotalSeconds,
-                    errorMessage = op.ErrorMessage,
-                    batchCurrentIndex = op.BatchCurrentIndex,
-                    batchTotalCount = op.BatchTotalCount
+                var ongoing = _refreshStatusService.GetOngoingOperations().Select(ToOngoingItem).ToList();
+
+                var history = _refreshStatusService.GetRefreshHistory().Select(ToHistoryItem).ToList();
+
+                var statistics = _refreshStatusService.GetStatistics();
+
+                var deferred = _refreshQueueService.GetDeferredItems().Select(d => new
+                {
+                    listId = d.ListId,
+                    listName = d.ListName,
+                    listType = d.ListType.ToString(),
+                    triggerType = d.TriggerType.ToString(),
+                    operationType = d.OperationType.ToString(),
+                    queuedAt = d.QueuedAt.ToString("o"),
+                    runsAt = d.DeferredUntil?.ToString("o")
                 }).ToList();
 
-                var history = _refreshStatusService.GetRefreshHistory().Select(h => new
-                {
-                    listId = h.ListId,
-                    listName = h.ListName,
-                    listType = h.ListType.ToString(),
-                    triggerType = h.TriggerType.ToString(),
-                    startTime = h.StartTime.ToString("o"),
-                    endTime = h.EndTime?.ToString("o"),
-                    duration = h.Duration.TotalSeconds,
-                    success = h.Success,
-                    errorMessage = h.ErrorMessage
+                var queued = _refreshQueueService.GetQueuedItems().Select(q => new
+                {
+                    listId = q.ListId,
+                    listName = q.ListName,
+                    listType = q.ListType.ToString(),
+                    triggerType = q.TriggerType.ToString(),
+                    operationType = q.OperationType.ToString(),
+                    queuedAt = q.QueuedAt.ToString("o")
                 }).ToList();
 
-                var statistics = _refreshStatusService.GetStatistics();
+                var config = Plugin.Instance?.Configuration;
+                var quietHoursEnd = RefreshQueueService.GetQuietHoursEnd(Core.Enums.RefreshTriggerType.Scheduled);
 
                 return Ok(new
                 {
                     ongoingOperations = ongoing,
+                    queuedOperations = queued,
                     history = history,
+                    deferredOperations = deferred,
+                    quietHours = new
+                    {
+                        enabled = config?.QuietHoursEnabled ?? false,
+                        active = quietHoursEnd.HasValue,
+                        window = config != null ? new QuietHoursWindow(config.QuietHoursStart, config.QuietHoursEnd).ToString() : null,
+                        endsAt = quietHoursEnd?.ToString("o"),
+                        allowManual = config?.QuietHoursAllowManual ?? true
+                    },
                     statistics = new
                     {
                         totalLists = statistics.TotalLists,
@@ -2890,7 +3472,9 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                         lastRefreshTime = statistics.LastRefreshTime?.ToString("o"),
                         averageRefreshDuration = statistics.AverageRefreshDuration?.TotalSeconds,
                         successfulRefreshes = statistics.SuccessfulRefreshes,
-                        failedRefreshes = statistics.FailedRefreshes
+                        failedRefreshes = statistics.FailedRefreshes,
+                        skippedRefreshes = statistics.SkippedRefreshes,
+                        lastSkippedTime = statistics.LastSkippedTime?.ToString("o")
                     }
                 });
             }
@@ -2902,7 +3486,19 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         }
 
         /// <summary>
-        /// Get refresh history (last refresh per list)
+        /// Stream live refresh status events (queued, started, progress, completed, failed, skipped) as Server-Sent Events.
+        /// The status page falls back to polling <c>Status</c> when the stream is unavailable.
+        /// </summary>
+        [HttpGet("Status/Events")]
+        [Produces("text/event-stream")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        public async Task GetRefreshStatusEvents()
+        {
+            await RefreshStatusEventStream.WriteAsync(Response, _refreshStatusService, _ => true, HttpContext.RequestAborted).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Get each list's most recent refresh.
         /// </summary>
         [HttpGet("Status/History")]
         [ProducesResponseType(StatusCodes.Status200OK)]
@@ -2911,20 +3507,57 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         {
             try
             {
-                var history = _refreshStatusService.GetRefreshHistory().Select(h => new
-                {
-                    listId = h.ListId,
-                    listName = h.ListName,
-                    listType = h.ListType.ToString(),
-                    triggerType = h.TriggerType.ToString(),
-                    startTime = h.StartTime.ToString("o"),
-                    endTime = h.EndTime?.ToString("o"),
-                    duration = h.Duration.TotalSeconds,
-                    success = h.Success,
-                    errorMessage = h.ErrorMessage
-                }).ToList();
+                return Ok(_refreshStatusService.GetRefreshHistory().Select(ToHistoryItem).ToList());
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting refresh history");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh history");
+            }
+        }
 
-                return Ok(history);
+        /// <summary>
+        /// Get one page of retained refresh runs, newest first, matching the given filters.
+        /// </summary>
+        /// <param name="search">Only runs of lists whose name contains this text.</param>
+        /// <param name="listType">Only runs of this list type (Playlist or Collection).</param>
+        /// <param name="triggerType">Only runs started by this trigger (Manual, Auto or Scheduled).</param>
+        /// <param name="status">Only runs with this outcome (Success, Failed or Skipped).</param>
+        /// <param name="from">Only runs started at or after this time.</param>
+        /// <param name="to">Only runs started before this time.</param>
+        /// <param name="startIndex">Index of the first run to return.</param>
+        /// <param name="limit">Maximum number of runs to return.</param>
+        /// <returns>The runs and the total number of matching runs.</returns>
+        [HttpGet("Status/History/Runs")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetRefreshHistoryRuns(
+            [FromQuery] string? search = null,
+            [FromQuery] string? listType = null,
+            [FromQuery] string? triggerType = null,
+            [FromQuery] string? status = null,
+            [FromQuery] DateTimeOffset? from = null,
+            [FromQuery] DateTimeOffset? to = null,
+            [FromQuery] int startIndex = 0,
+            [FromQuery] int limit = 50)
+        {
+            if (!TryCreateHistoryFilter(search, listType, triggerType, status, from, to, out var filter, out var error))
+            {
+                return BadRequest(error);
+            }
+
+            try
+            {
+                startIndex = Math.Max(0, startIndex);
+                var page = _refreshStatusService.HistoryLog.QueryPage(filter, startIndex, Math.Clamp(limit, 1, 500));
+
+                return Ok(new
+                {
+                    items = page.Items.Select(ToHistoryItem).ToList(),
+                    totalRecordCount = page.TotalRecordCount,
+                    startIndex,
+                });
             }
             catch (Exception ex)
             {
@@ -2933,6 +3566,259 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Download every retained refresh run matching the given filters, newest first, as CSV or JSON.
+        /// Takes the same filters as <see cref="GetRefreshHistoryRuns"/>.
+        /// </summary>
+        /// <param name="format">csv (default) or json.</param>
+        [HttpGet("Status/History/Export")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult ExportRefreshHistory(
+            [FromQuery] string? search = null,
+            [FromQuery] string? listType = null,
+            [FromQuery] string? triggerType = null,
+            [FromQuery] string? status = null,
+            [FromQuery] DateTimeOffset? from = null,
+            [FromQuery] DateTimeOffset? to = null,
+            [FromQuery] string format = "csv")
+        {
+            var isJson = string.Equals(format, "json", StringComparison.OrdinalIgnoreCase);
+            if (!isJson && !string.Equals(format, "csv", StringComparison.OrdinalIgnoreCase))
+            {
+                return BadRequest($"Unsupported export format '{format}'. Use csv or json.");
+            }
+
+            if (!TryCreateHistoryFilter(search, listType, triggerType, status, from, to, out var filter, out var error))
+            {
+                return BadRequest(error);
+            }
+
+            try
+            {
+                var runs = _refreshStatusService.HistoryLog.Query(filter);
+                var timestamp = DateTime.Now.ToString("yyyyMMdd_HHmmss", System.Globalization.CultureInfo.InvariantCulture);
+
+                var content = isJson
+                    ? JsonSerializer.Serialize(runs.Select(ToHistoryItem), SmartListFileSystem.SharedJsonOptions)
+                    : RefreshHistoryCsv.Write(runs);
+
+                return File(
+                    System.Text.Encoding.UTF8.GetBytes(content),
+                    isJson ? "application/json" : "text/csv",
+                    $"smartlists_refresh_history_{timestamp}.{(isJson ? "json" : "csv")}");
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error exporting refresh history");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error exporting refresh history");
+            }
+        }
+
+        private static bool TryCreateHistoryFilter(
+            string? search,
+            string? listType,
+            string? triggerType,
+            string? status,
+            DateTimeOffset? from,
+            DateTimeOffset? to,
+            out RefreshHistoryFilter filter,
+            out string? error)
+        {
+            filter = new RefreshHistoryFilter
+            {
+                Search = search,
+                FromUtc = from?.UtcDateTime,
+                ToUtc = to?.UtcDateTime,
+            };
+            error = null;
+
+            if (!string.IsNullOrEmpty(listType))
+            {
+                if (!Enum.TryParse<Core.Enums.SmartListType>(listType, ignoreCase: true, out var parsedListType) || !Enum.IsDefined(parsedListType))
+                {
+                    error = $"Unknown list type '{listType}'";
+                    return false;
+                }
+
+                filter.ListType = parsedListType;
+            }
+
+            if (!string.IsNullOrEmpty(triggerType))
+            {
+                if (!Enum.TryParse<Core.Enums.RefreshTriggerType>(triggerType, ignoreCase: true, out var parsedTriggerType) || !Enum.IsDefined(parsedTriggerType))
+                {
+                    error = $"Unknown trigger type '{triggerType}'";
+                    return false;
+                }
+
+                filter.TriggerType = parsedTriggerType;
+            }
+
+            if (!string.IsNullOrEmpty(status))
+            {
+                if (!Enum.TryParse<RefreshOutcome>(status, ignoreCase: true, out var outcome) || !Enum.IsDefined(outcome))
+                {
+                    error = $"Unknown status '{status}'. Use Success, Failed or Skipped.";
+                    return false;
+                }
+
+                filter.Outcome = outcome;
+            }
+
+            return true;
+        }
+
+        private static object ToHistoryItem(RefreshHistoryEntry h)
+        {
+            return new
+            {
+                listId = h.ListId,
+                listName = h.ListName,
+                listType = h.ListType.ToString(),
+                triggerType = h.TriggerType.ToString(),
+                startTime = h.StartTime.ToString("o"),
+                endTime = h.EndTime?.ToString("o"),
+                duration = h.Duration.TotalSeconds,
+                success = h.Success,
+                errorMessage = h.ErrorMessage,
+                skipped = h.Skipped,
+                skipReason = h.SkipReason,
+                itemCount = h.ItemCount,
+            };
+        }
+
+        /// <summary>
+        /// Get refresh trends from the retained run history: a summary per list, and for <paramref name="listId"/>
+        /// one bucket per server-local day with run, failure and duration totals and the resulting item count.
+        /// </summary>
+        /// <param name="listId">The list to chart; omit for the summaries only.</param>
+        /// <param name="days">How many days back to look (1 to the retention period).</param>
+        [HttpGet("Status/History/Trends")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public IActionResult GetRefreshTrends([FromQuery] string? listId = null, [FromQuery] int days = 30)
+        {
+            try
+            {
+                var retentionDays = Plugin.Instance?.Configuration.RefreshHistoryRetentionDays ?? Configuration.PluginConfiguration.DefaultRefreshHistoryRetentionDays;
+                days = Math.Clamp(days, 1, retentionDays);
+
+                var firstDay = DateTime.Now.Date.AddDays(1 - days);
+                var runs = _refreshStatusService.HistoryLog.GetRuns(firstDay.ToUniversalTime());
+
+                var lists = runs
+                    .GroupBy(r => r.ListId)
+                    .Select(g =>
+                    {
+                        var latest = g.OrderBy(r => r.StartTime).Last();
+                        var completed = g.Where(r => !r.Skipped).ToList();
+                        return new
+                        {
+                            listId = g.Key,
+                            listName = latest.ListName,
+                            listType = latest.ListType.ToString(),
+                            runs = completed.Count,
+                            failures = completed.Count(r => !r.Success),
+                            skipped = g.Count(r => r.Skipped),
+                            averageDuration = completed.Count > 0 ? completed.Average(r => r.Duration.TotalSeconds) : (double?)null,
+                            itemCount = g.Where(r => r.Success && r.ItemCount.HasValue).OrderBy(r => r.StartTime).LastOrDefault()?.ItemCount,
+                        };
+                    })
+                    .OrderBy(l => l.listName, StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                object? daily = null;
+                if (!string.IsNullOrEmpty(listId))
+                {
+                    daily = RefreshHistoryLog.AggregateByDay(runs.Where(r => r.ListId == listId), firstDay, days)
+                        .Select(d => new
+                        {
+                            date = d.Date.ToString("yyyy-MM-dd", System.Globalization.CultureInfo.InvariantCulture),
+                            runs = d.Runs,
+                            failures = d.Failures,
+                            skipped = d.Skipped,
+                            averageDuration = d.AverageDuration?.TotalSeconds,
+                            maxDuration = d.MaxDuration?.TotalSeconds,
+                            itemCount = d.ItemCount,
+                        })
+                        .ToList();
+                }
+
+                return Ok(new
+                {
+                    days,
+                    retentionDays,
+                    lists,
+                    listId,
+                    daily,
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting refresh trends");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting refresh trends");
+            }
+        }
+
+        /// <summary>
+        /// Get every enabled list's upcoming scheduled refreshes, with each list's average refresh duration.
+        /// Run times are the quarter-hour schedule checks, in server local time.
+        /// </summary>
+        /// <param name="days">How many days ahead to look (1-14).</param>
+        [HttpGet("Status/Timeline")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public async Task<IActionResult> GetScheduleTimeline([FromQuery] int days = 7)
+        {
+            try
+            {
+                var fromUtc = DateTime.UtcNow;
+                var toUtc = fromUtc.AddDays(Math.Clamp(days, 1, 14));
+
+                var lists = new List<SmartListDto>();
+                lists.AddRange(await GetPlaylistStore().GetAllAsync());
+                lists.AddRange(await GetCollectionStore().GetAllAsync());
+
+                // Averaged from the persisted history so the estimates survive a restart
+                var averageDurations = _refreshStatusService.HistoryLog.GetAverageDurations(10);
+
+                var timeline = lists
+                    .Where(list => list.Enabled && !string.IsNullOrEmpty(list.Id) && list.Schedules != null && list.Schedules.Any(s => s?.Trigger != null))
+                    .Select(list => new
+                    {
+                        listId = list.Id,
+                        listName = list.Name,
+                        listType = list.Type.ToString(),
+                        averageDuration = averageDurations.TryGetValue(list.Id!, out var average) ? average.TotalSeconds : (double?)null,
+                        schedules = list.Schedules.Where(s => s?.Trigger != null).Select(schedule => new
+                        {
+                            schedule,
+                            runs = AutoRefreshService.GetScheduledRuns(schedule, fromUtc, toUtc)
+                                .Select(run => run.ToLocalTime().ToString("yyyy-MM-ddTHH:mm", System.Globalization.CultureInfo.InvariantCulture))
+                                .ToList(),
+                        }).ToList(),
+                    })
+                    .OrderBy(list => list.listName, StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                return Ok(new
+                {
+                    from = fromUtc.ToLocalTime().ToString("yyyy-MM-ddTHH:mm", System.Globalization.CultureInfo.InvariantCulture),
+                    days = Math.Clamp(days, 1, 14),
+                    checkIntervalMinutes = 15,
+                    serverTimeZone = TimeZoneInfo.Local.DisplayName,
+                    lists = timeline,
+                });
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Error getting schedule timeline");
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error getting schedule timeline");
+            }
+        }
+
         /// <summary>
         /// Get ongoing refresh operations
         /// </summary>
@@ -2943,21 +3829,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         {
             try
             {
-                var ongoing = _refreshStatusService.GetOngoingOperations().Select(op => new
-                {
-                    listId = op.ListId,
-                    listName = op.ListName,
-                    listType = op.ListType.ToString(),
-                    triggerType = op.TriggerType.ToString(),
-                    startTime = op.StartTime.ToString("o"),
-                    totalItems = op.TotalItems,
-                    processedItems = op.ProcessedItems,
-                    estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
-                    elapsedTime = op.ElapsedTime.TotalSeconds,
-                    errorMessage = op.ErrorMessage,
-                    batchCurrentIndex = op.BatchCurrentIndex,
-                    batchTotalCount = op.BatchTotalCount
-                }).ToList();
+                var ongoing = _refreshStatusService.GetOngoingOperations().Select(ToOngoingItem).ToList();
 
                 return Ok(ongoing);
             }
@@ -2968,6 +3840,78 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Cancel the refresh the queue is processing for a list. The queue continues with the next waiting refresh.
+        /// Only refreshes run by the queue (manual, auto, scheduled and created or edited lists) can be cancelled.
+        /// </summary>
+        /// <param name="listId">The list ID.</param>
+        [HttpPost("Status/Ongoing/{listId}/Cancel")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult CancelOngoingOperation([FromRoute, Required] string listId)
+        {
+            if (!_refreshQueueService.CancelProcessing(listId))
+            {
+                return NotFound(new { message = "This refresh is not running in the queue, so it can't be cancelled" });
+            }
+
+            return Ok(new { message = "Cancellation requested" });
+        }
+
+        /// <summary>
+        /// Move a waiting refresh to the front of the queue, so it runs after the current one.
+        /// </summary>
+        /// <param name="listId">The list ID.</param>
+        [HttpPost("Status/Queue/{listId}/MoveToFront")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult MoveQueuedOperationToFront([FromRoute, Required] string listId)
+        {
+            if (!_refreshQueueService.MoveToFront(listId))
+            {
+                return NotFound(new { message = "This refresh is no longer waiting in the queue" });
+            }
+
+            return Ok(new { message = "Moved to the front of the queue" });
+        }
+
+        /// <summary>
+        /// Remove a waiting refresh from the queue without running it.
+        /// </summary>
+        /// <param name="listId">The list ID.</param>
+        [HttpDelete("Status/Queue/{listId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult RemoveQueuedOperation([FromRoute, Required] string listId)
+        {
+            if (!_refreshQueueService.RemoveQueuedItem(listId))
+            {
+                return NotFound(new { message = "This refresh is no longer waiting in the queue" });
+            }
+
+            return Ok(new { message = "Removed from the queue" });
+        }
+
+        private object ToOngoingItem(RefreshOperation op)
+        {
+            return new
+            {
+                listId = op.ListId,
+                listName = op.ListName,
+                listType = op.ListType.ToString(),
+                triggerType = op.TriggerType.ToString(),
+                startTime = op.StartTime.ToString("o"),
+                totalItems = op.TotalItems,
+                processedItems = op.ProcessedItems,
+                estimatedTimeRemaining = op.EstimatedTimeRemaining?.TotalSeconds,
+                elapsedTime = op.ElapsedTime.TotalSeconds,
+                errorMessage = op.ErrorMessage,
+                batchCurrentIndex = op.BatchCurrentIndex,
+                batchTotalCount = op.BatchTotalCount,
+                canCancel = _refreshQueueService.IsProcessing(op.ListId)
+            };
+        }
+
 
     }
 }
\ No newline at end of file
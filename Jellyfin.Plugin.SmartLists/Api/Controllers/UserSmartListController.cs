@@ -39,6 +39,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
         private readonly UserPlaylistStore _userPlaylistStore;
         private readonly IgnoreStore _ignoreStore;
         private readonly ISmartListFileSystem _fileSystem;
+        private readonly RefreshStatusService _refreshStatusService;
 
         public UserSmartListController(
             ILogger<UserSmartListController> logger,
@@ -49,7 +50,8 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             UserPlaylistService userPlaylistService,
             UserPlaylistStore userPlaylistStore,
             IgnoreStore ignoreStore,
-            ISmartListFileSystem fileSystem)
+            ISmartListFileSystem fileSystem,
+            RefreshStatusService refreshStatusService)
         {
             _logger = logger;
             _applicationPaths = applicationPaths;
@@ -60,6 +62,7 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             _userPlaylistStore = userPlaylistStore;
             _ignoreStore = ignoreStore;
             _fileSystem = fileSystem;
+            _refreshStatusService = refreshStatusService;
         }
 
         private UserPlaylistStore GetUserPlaylistStore()
@@ -223,6 +226,11 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return BadRequest("Playlist name is required");
             }
 
+            if (!TryValidateNestedLogic(playlist, out var nestedLogicError))
+            {
+                return BadRequest(nestedLogicError);
+            }
+
             // Set user ID and generate new ID
             playlist.UserId = userId.ToString();
             playlist.Id = Guid.NewGuid().ToString();
@@ -277,6 +285,48 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             return CreatedAtAction(nameof(GetById), new { id = saved.Id }, saved);
         }
 
+        /// <summary>
+        /// Evaluates an unsaved smart playlist for the current user without creating anything.
+        /// Used by the wizard to show a live count of matching items.
+        /// </summary>
+        [HttpPost("preview")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public ActionResult<SmartListPreviewResult> Preview([FromBody] UserSmartPlaylistDto playlist, [FromQuery] int sampleSize = SmartListPreviewBuilder.DefaultSampleSize)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            // Always evaluate in the caller's own context
+            playlist.UserId = userId.ToString();
+
+            try
+            {
+                return Ok(_userPlaylistService.Preview(playlist, sampleSize));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error previewing smart playlist '{Name}' for user {UserId}", playlist.Name, userId);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error previewing playlist");
+            }
+        }
+
+        /// <summary>
+        /// Rejects SimilarTo and collection-only Collections rules in groups with OR, NOT or nested groups,
+        /// where they would otherwise be ignored.
+        /// </summary>
+        private static bool TryValidateNestedLogic(UserSmartPlaylistDto playlist, out string errorMessage)
+        {
+            var expression = (playlist.ExpressionSets ?? []).Where(set => set != null).Select(set => set.FindRuleUnsupportedInNestedLogic()).FirstOrDefault(expr => expr != null);
+            errorMessage = expression == null
+                ? string.Empty
+                : $"{expression.MemberName} rules can't be used in groups with OR, NOT or nested groups. Move the rule to a plain AND group.";
+            return expression == null;
+        }
+
         /// <summary>
         /// Updates an existing smart playlist.
         /// </summary>
@@ -298,6 +348,11 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 return BadRequest("Invalid playlist ID format");
             }
 
+            if (!TryValidateNestedLogic(playlist, out var nestedLogicError))
+            {
+                return BadRequest(nestedLogicError);
+            }
+
             var store = GetUserPlaylistStore();
             var existing = await store.GetByIdAsync(userId.ToString(), id).ConfigureAwait(false);
 
@@ -419,6 +474,30 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             });
         }
 
+        /// <summary>
+        /// Streams live refresh status events for the current user's playlists as Server-Sent Events.
+        /// </summary>
+        [HttpGet("Status/Events")]
+        [Produces("text/event-stream")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public async Task<IActionResult> GetRefreshStatusEvents()
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            await RefreshStatusEventStream.WriteAsync(
+                Response,
+                _refreshStatusService,
+                args => Guid.TryParse(args.OwnerUserId, out var ownerId) && ownerId == userId,
+                HttpContext.RequestAborted).ConfigureAwait(false);
+
+            return new EmptyResult();
+        }
+
         /// <summary>
         /// Refreshes all smart playlists for the current user.
         /// </summary>
@@ -507,6 +586,50 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
 
         // ==================== Playlist Items ====================
 
+        /// <summary>
+        /// Explains why an item is or is not in one of the current user's smart playlists.
+        /// </summary>
+        [HttpGet("{playlistId}/explain/{itemId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<SmartListExplanation>> ExplainItem(string playlistId, string itemId)
+        {
+            var userId = GetCurrentUserId();
+            if (userId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!Guid.TryParse(playlistId, out _) || !Guid.TryParse(itemId, out var itemGuid))
+            {
+                return BadRequest("Invalid playlist or item ID format");
+            }
+
+            // Verify smart playlist exists and belongs to user
+            var smartPlaylist = await GetUserPlaylistStore().GetByIdAsync(userId.ToString(), playlistId).ConfigureAwait(false);
+            if (smartPlaylist == null)
+            {
+                return NotFound($"Smart playlist {playlistId} not found");
+            }
+
+            try
+            {
+                var explanation = await _userPlaylistService.ExplainAsync(smartPlaylist, itemGuid).ConfigureAwait(false);
+                if (explanation == null)
+                {
+                    return NotFound($"Item {itemId} not found");
+                }
+
+                return Ok(explanation);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error explaining item {ItemId} for playlist {PlaylistId}", itemId, playlistId);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error explaining item");
+            }
+        }
+
         /// <summary>
         /// Gets all items in a smart playlist from the SOURCE (IncludedItemIds) with their ignore status.
         /// This returns the ORIGINAL list before ignore filtering, so users can see all items and toggle ignores.
@@ -1398,6 +1521,75 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
             }
         }
 
+        /// <summary>
+        /// Gets one page of the values of a tag-based field in the current user's libraries, with item counts.
+        /// </summary>
+        [HttpGet("values/{field}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public ActionResult<FieldValuePage> GetFieldValues(
+            [FromRoute] string field,
+            [FromQuery] string? search,
+            [FromQuery] string? mediaTypes,
+            [FromQuery] int startIndex = 0,
+            [FromQuery] int limit = LibraryFieldValues.DefaultPageSize)
+        {
+            var user = _userManager.GetUserById(GetCurrentUserId());
+            if (user == null)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!LibraryFieldValues.IsSupported(field))
+            {
+                return BadRequest($"Value suggestions are not available for field '{field}'");
+            }
+
+            try
+            {
+                var index = LibraryFieldValues.GetIndex(field, LibraryFieldValues.ParseMediaTypes(mediaTypes), user, _libraryManager, _logger);
+                return Ok(index.Search(search, startIndex, Math.Clamp(limit, 1, LibraryFieldValues.MaxPageSize)));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving library values for field {Field} for user {UserId}", field, user.Id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error retrieving library values");
+            }
+        }
+
+        /// <summary>
+        /// Checks which rule values of a tag-based field match nothing in the current user's libraries.
+        /// </summary>
+        [HttpGet("values/{field}/unmatched")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+        public ActionResult<object> GetUnmatchedFieldValues([FromRoute] string field, [FromQuery] string? values, [FromQuery] string? mediaTypes)
+        {
+            var user = _userManager.GetUserById(GetCurrentUserId());
+            if (user == null)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (!LibraryFieldValues.IsSupported(field))
+            {
+                return BadRequest($"Value suggestions are not available for field '{field}'");
+            }
+
+            try
+            {
+                var index = LibraryFieldValues.GetIndex(field, LibraryFieldValues.ParseMediaTypes(mediaTypes), user, _libraryManager, _logger);
+                return Ok(new { Unmatched = index.FindUnmatched((values ?? string.Empty).Split(';')) });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error checking library values for field {Field} for user {UserId}", field, user.Id);
+                return StatusCode(StatusCodes.Status500InternalServerError, "Error checking library values");
+            }
+        }
+
         /// <summary>
         /// Gets available filter fields and operators (same as admin).
         /// </summary>
@@ -1503,6 +1695,13 @@ namespace Jellyfin.Plugin.SmartLists.Api.Controllers
                 },
                 Operators = Core.Constants.Operators.AllOperators,
                 FieldOperators = Core.Constants.Operators.GetFieldOperatorsDictionary(),
+                ComparableFields = Core.QueryEngine.FieldComparison.ComparableFields,
+                ComparisonOperators = Core.Constants.Operators.GetFieldComparisonOperatorsDictionary(),
+                ServerTimeZone = new
+                {
+                    Name = TimeZoneInfo.Local.DisplayName,
+                    UtcOffsetMinutes = TimeZoneInfo.Local.GetUtcOffset(DateTimeOffset.UtcNow).TotalMinutes,
+                },
             };
 
             return Ok(fields);
@@ -0,0 +1,72 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Text;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+
+namespace Jellyfin.Plugin.SmartLists.Api
+{
+    /// <summary>
+    /// Writes refresh runs as CSV (RFC 4180) for the history export.
+    /// </summary>
+    internal static class RefreshHistoryCsv
+    {
+        private static readonly string[] Header =
+        [
+            "StartTime", "EndTime", "ListName", "ListId", "ListType", "Trigger", "Status", "DurationSeconds", "ItemCount", "Message",
+        ];
+
+        public static string Write(IEnumerable<RefreshHistoryEntry> runs)
+        {
+            var csv = new StringBuilder();
+            csv.AppendJoin(',', Header).Append("\r\n");
+
+            foreach (var run in runs)
+            {
+                string[] fields =
+                [
+                    run.StartTime.ToString("o", CultureInfo.InvariantCulture),
+                    run.EndTime?.ToString("o", CultureInfo.InvariantCulture) ?? string.Empty,
+                    run.ListName,
+                    run.ListId,
+                    run.ListType.ToString(),
+                    run.TriggerType.ToString(),
+                    run.Skipped ? "Skipped" : run.Success ? "Success" : "Failed",
+                    run.Skipped ? string.Empty : run.Duration.TotalSeconds.ToString("0.###", CultureInfo.InvariantCulture),
+                    run.ItemCount?.ToString(CultureInfo.InvariantCulture) ?? string.Empty,
+                    (run.Skipped ? run.SkipReason : run.ErrorMessage) ?? string.Empty,
+                ];
+
+                for (var i = 0; i < fields.Length; i++)
+                {
+                    if (i > 0)
+                    {
+                        csv.Append(',');
+                    }
+
+                    csv.Append(Escape(fields[i]));
+                }
+
+                csv.Append("\r\n");
+            }
+
+            return csv.ToString();
+        }
+
+        private static string Escape(string value)
+        {
+            // List names are user-provided; keep spreadsheets from evaluating them as formulas
+            if (value.Length > 0 && "=+-@\t\r".Contains(value[0], StringComparison.Ordinal))
+            {
+                value = "'" + value;
+            }
+
+            if (value.IndexOfAny([',', '"', '\r', '\n']) >= 0)
+            {
+                return "\"" + value.Replace("\"", "\"\"", StringComparison.Ordinal) + "\"";
+            }
+
+            return value;
+        }
+    }
+}
@@ -0,0 +1,115 @@
+using System;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Channels;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using Microsoft.AspNetCore.Http;
+
+namespace Jellyfin.Plugin.SmartLists.Api
+{
+    /// <summary>
+    /// Streams refresh status events to a client as Server-Sent Events until the client disconnects.
+    /// Each event is written as "event: &lt;type&gt;" with a camelCase JSON payload; a comment line is sent
+    /// periodically so proxies keep the connection open.
+    /// </summary>
+    internal static class RefreshStatusEventStream
+    {
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(15);
+
+        /// <summary>
+        /// Writes status events matching <paramref name="filter"/> to the response until <paramref name="cancellationToken"/> fires.
+        /// </summary>
+        public static async Task WriteAsync(
+            HttpResponse response,
+            RefreshStatusService refreshStatusService,
+            Func<RefreshStatusEventArgs, bool> filter,
+            CancellationToken cancellationToken)
+        {
+            // Slow clients lose old progress events rather than growing the buffer
+            var channel = Channel.CreateBounded<RefreshStatusEventArgs>(new BoundedChannelOptions(256)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true,
+            });
+
+            void OnStatusChanged(object? sender, RefreshStatusEventArgs args)
+            {
+                if (filter(args))
+                {
+                    channel.Writer.TryWrite(args);
+                }
+            }
+
+            response.ContentType = "text/event-stream";
+            response.Headers.CacheControl = "no-cache";
+            response.Headers["X-Accel-Buffering"] = "no"; // Disable nginx response buffering
+
+            refreshStatusService.StatusChanged += OnStatusChanged;
+            try
+            {
+                // Tell the client how long to wait before reconnecting, and that the stream is live
+                await response.WriteAsync("retry: 5000\nevent: connected\ndata: {}\n\n", cancellationToken).ConfigureAwait(false);
+                await response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+
+                while (!cancellationToken.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                    heartbeat.CancelAfter(HeartbeatInterval);
+
+                    bool hasEvents;
+                    try
+                    {
+                        hasEvents = await channel.Reader.WaitToReadAsync(heartbeat.Token).ConfigureAwait(false);
+                    }
+                    catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                    {
+                        await response.WriteAsync(": keep-alive\n\n", cancellationToken).ConfigureAwait(false);
+                        await response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+                        continue;
+                    }
+
+                    if (!hasEvents)
+                    {
+                        break;
+                    }
+
+                    while (channel.Reader.TryRead(out var args))
+                    {
+                        await response.WriteAsync(Format(args), cancellationToken).ConfigureAwait(false);
+                    }
+
+                    await response.Body.FlushAsync(cancellationToken).ConfigureAwait(false);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected
+            }
+            finally
+            {
+                refreshStatusService.StatusChanged -= OnStatusChanged;
+                channel.Writer.TryComplete();
+            }
+        }
+
+        private static string Format(RefreshStatusEventArgs args)
+        {
+            var payload = JsonSerializer.Serialize(
+                new
+                {
+                    listId = args.ListId,
+                    listName = args.ListName,
+                    listType = args.ListType.ToString(),
+                    triggerType = args.TriggerType.ToString(),
+                    totalItems = args.TotalItems,
+                    processedItems = args.ProcessedItems,
+                    duration = args.Duration?.TotalSeconds,
+                    message = args.Message,
+                    timestamp = args.Timestamp.ToString("o"),
+                });
+
+            return "event: " + JsonNamingPolicy.CamelCase.ConvertName(args.EventType.ToString()) + "\ndata: " + payload + "\n\n";
+        }
+    }
+}
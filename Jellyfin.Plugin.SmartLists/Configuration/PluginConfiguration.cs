@@ -83,6 +83,51 @@ namespace Jellyfin.Plugin.SmartLists.Configuration
         /// </summary>
         public TimeSpan DefaultScheduleInterval { get; set; } = TimeSpan.FromMinutes(15); // 15 minutes default
 
+        /// <summary>
+        /// Gets or sets the default cron expression for Cron triggers.
+        /// </summary>
+        public string DefaultScheduleCronExpression { get; set; } = "0 3 * * *"; // 3:00 AM every day
+
+        /// <summary>
+        /// Gets or sets whether quiet hours are enabled. During quiet hours, scheduled and auto refreshes
+        /// are deferred until the window ends.
+        /// </summary>
+        public bool QuietHoursEnabled { get; set; } = false;
+
+        /// <summary>
+        /// Gets or sets the time quiet hours start (server local time).
+        /// </summary>
+        public TimeSpan QuietHoursStart { get; set; } = TimeSpan.FromHours(18); // 6:00 PM default
+
+        /// <summary>
+        /// Gets or sets the time quiet hours end (server local time). May be earlier than the start
+        /// for a window that crosses midnight.
+        /// </summary>
+        public TimeSpan QuietHoursEnd { get; set; } = TimeSpan.FromHours(23); // 11:00 PM default
+
+        /// <summary>
+        /// Gets or sets whether manual refreshes (including creating and editing lists) run during quiet hours.
+        /// When disabled, they are deferred like scheduled and auto refreshes.
+        /// </summary>
+        public bool QuietHoursAllowManual { get; set; } = true;
+
+        /// <summary>
+        /// Default number of days refresh history is kept for trends.
+        /// </summary>
+        public const int DefaultRefreshHistoryRetentionDays = 30;
+
+        private int _refreshHistoryRetentionDays = DefaultRefreshHistoryRetentionDays;
+
+        /// <summary>
+        /// Gets or sets how many days of refresh runs are kept for the status page history and trend charts.
+        /// Range: 1-365
+        /// Default: 30
+        /// </summary>
+        public int RefreshHistoryRetentionDays
+        {
+            get => _refreshHistoryRetentionDays;
+            set => _refreshHistoryRetentionDays = value < 1 ? DefaultRefreshHistoryRetentionDays : Math.Min(value, 365);
+        }
 
         private int _processingBatchSize = 300;
 
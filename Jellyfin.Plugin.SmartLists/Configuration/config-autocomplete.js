@@ -0,0 +1,347 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== VALUE SUGGESTIONS =====
+    // Typeahead for the tag-based (IsIn / IsNotIn) value input of fields like Genres or Actors.
+    // Suggestions are the field's actual library values with item counts, fetched page by page
+    // while typing or scrolling. Tags that match no library value are flagged, since the rule
+    // would then silently match nothing.
+
+    const SUGGESTION_FIELDS = ['Genres', 'Studios', 'Tags', 'Artists', 'AlbumArtists', 'AudioLanguages', 'OfficialRating', 'Collections'];
+    const PAGE_SIZE = 20;
+    const SEARCH_DELAY_MS = 200;
+    const CHECK_DELAY_MS = 400;
+    const UNMATCHED_BORDER = '#ff9800';
+
+    /**
+     * Endpoint path for library values. The user pages override this with their own endpoint.
+     */
+    SmartLists.getFieldValuesEndpoint = function () {
+        return SmartLists.ENDPOINTS.base + '/values';
+    };
+
+    function parseValuesResponse(response) {
+        if (response && typeof response.ok !== 'undefined') {
+            if (!response.ok) {
+                return Promise.reject(response);
+            }
+            return response.json();
+        }
+        return Promise.resolve(response);
+    }
+
+    function isSuggestionField(fieldName) {
+        return SUGGESTION_FIELDS.indexOf(fieldName) !== -1 || SmartLists.getPeopleFieldMap()[fieldName] === 'People';
+    }
+
+    // The field whose values apply to the rule row, resolving People to the selected person type
+    function getRowField(valueContainer) {
+        const ruleRow = valueContainer.closest('.rule-row');
+        const fieldSelect = ruleRow ? ruleRow.querySelector('.rule-field-select') : null;
+        let fieldName = fieldSelect ? fieldSelect.value : '';
+        if (fieldName === 'People') {
+            const peopleSelect = ruleRow.querySelector('.rule-people-select');
+            fieldName = peopleSelect && peopleSelect.value ? peopleSelect.value : 'People';
+        }
+        return isSuggestionField(fieldName) ? fieldName : null;
+    }
+
+    function getMediaTypesQuery(valueContainer) {
+        const page = valueContainer.closest('[data-role="page"]');
+        const mediaTypes = page && SmartLists.getSelectedMediaTypes ? SmartLists.getSelectedMediaTypes(page) : [];
+        return Array.isArray(mediaTypes) ? mediaTypes.join(',') : '';
+    }
+
+    function fetchValues(fieldName, path, query) {
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.getFieldValuesEndpoint() + '/' + encodeURIComponent(fieldName) + path, query),
+            contentType: 'application/json'
+        }).then(parseValuesResponse);
+    }
+
+    function getTagTexts(valueContainer) {
+        return Array.from(valueContainer.querySelectorAll('.tag-item span')).map(function (span) {
+            return span.textContent.trim();
+        });
+    }
+
+    function setTagMatched(tag, matched) {
+        if (matched) {
+            tag.removeAttribute('data-unmatched');
+            tag.style.borderColor = '#444';
+            tag.style.color = '#ccc';
+            tag.removeAttribute('title');
+        } else {
+            tag.setAttribute('data-unmatched', 'true');
+            tag.style.borderColor = UNMATCHED_BORDER;
+            tag.style.color = UNMATCHED_BORDER;
+            tag.title = 'Not found in the library: this value matches no items';
+        }
+    }
+
+    // Flags the tags that match no library value. Only the latest check for a container is applied.
+    function checkTags(state) {
+        const valueContainer = state.valueContainer;
+        const tags = Array.from(valueContainer.querySelectorAll('.tag-item'));
+        const fieldName = getRowField(valueContainer);
+        const checkId = ++state.checkId;
+
+        if (!fieldName || tags.length === 0) {
+            tags.forEach(function (tag) { setTagMatched(tag, true); });
+            return;
+        }
+
+        fetchValues(fieldName, '/unmatched', {
+            values: getTagTexts(valueContainer).join(';'),
+            mediaTypes: getMediaTypesQuery(valueContainer)
+        }).then(function (result) {
+            if (checkId !== state.checkId) {
+                return;
+            }
+            const unmatched = (result && result.Unmatched ? result.Unmatched : []).map(function (value) {
+                return value.toLowerCase();
+            });
+            Array.from(valueContainer.querySelectorAll('.tag-item')).forEach(function (tag) {
+                const span = tag.querySelector('span');
+                setTagMatched(tag, !span || unmatched.indexOf(span.textContent.trim().toLowerCase()) === -1);
+            });
+        }).catch(function (err) {
+            // Suggestions are a convenience: leave the tags unflagged if the check fails
+            console.warn('SmartLists: could not check rule values against the library', err);
+        });
+    }
+
+    function scheduleCheck(state) {
+        clearTimeout(state.checkTimer);
+        state.checkTimer = setTimeout(function () {
+            checkTags(state);
+        }, CHECK_DELAY_MS);
+    }
+
+    // ===== SUGGESTION LIST =====
+    function createList(valueContainer) {
+        const list = document.createElement('div');
+        list.className = 'value-suggestions';
+        list.setAttribute('role', 'listbox');
+        list.style.cssText = 'display: none; position: absolute; left: 0; right: 0; top: 100%; z-index: 20; max-height: 16em; overflow-y: auto; background: #202020; border: 1px solid #444; box-shadow: 0 4px 12px rgba(0,0,0,0.5); font-size: 0.9em;';
+        valueContainer.style.position = 'relative';
+        valueContainer.appendChild(list);
+        return list;
+    }
+
+    function closeList(state) {
+        state.list.style.display = 'none';
+        state.list.innerHTML = '';
+        state.items = [];
+        state.activeIndex = -1;
+    }
+
+    function setActive(state, index) {
+        const options = state.list.querySelectorAll('.value-suggestion');
+        if (options.length === 0) {
+            state.activeIndex = -1;
+            return;
+        }
+        state.activeIndex = Math.max(0, Math.min(index, options.length - 1));
+        options.forEach(function (option, i) {
+            const active = i === state.activeIndex;
+            option.style.background = active ? 'rgba(0, 164, 220, 0.25)' : 'transparent';
+            option.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    function renderList(state) {
+        const existing = getTagTexts(state.valueContainer).map(function (text) { return text.toLowerCase(); });
+        let html = '';
+        state.items.forEach(function (item, index) {
+            const taken = existing.indexOf(item.Value.toLowerCase()) !== -1;
+            html += '<div class="value-suggestion" role="option" data-index="' + index + '" style="display: flex; justify-content: space-between; gap: 1em; padding: 0.45em 0.75em; cursor: pointer;' + (taken ? ' opacity: 0.5;' : '') + '">' +
+                '<span class="value-suggestion-text" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + SmartLists.escapeHtml(item.Value) + '</span>' +
+                '<span style="color: #888; flex: 0 0 auto;">' + item.Count + (item.Count === 1 ? ' item' : ' items') + '</span>' +
+                '</div>';
+        });
+
+        if (state.items.length === 0) {
+            html = '<div style="padding: 0.45em 0.75em; color: ' + UNMATCHED_BORDER + ';">' +
+                (state.query ? 'No library values contain "' + SmartLists.escapeHtml(state.query) + '"' : 'No values in the library for this field') +
+                '</div>';
+        } else if (state.items.length < state.total) {
+            html += '<div class="value-suggestions-more" style="padding: 0.35em 0.75em; color: #888; font-size: 0.9em;">Showing ' + state.items.length + ' of ' + state.total + ', scroll for more</div>';
+        }
+
+        state.list.innerHTML = html;
+        state.list.style.display = 'block';
+        if (state.activeIndex >= 0) {
+            setActive(state, state.activeIndex);
+        }
+    }
+
+    // Loads the first page for the current input text, or the next page when append is set
+    function loadPage(state, append) {
+        const fieldName = getRowField(state.valueContainer);
+        if (!fieldName || (append && (state.loading || state.items.length >= state.total))) {
+            return;
+        }
+
+        const query = state.input.value.trim();
+        const requestId = ++state.requestId;
+        state.loading = true;
+
+        fetchValues(fieldName, '', {
+            search: query,
+            mediaTypes: getMediaTypesQuery(state.valueContainer),
+            startIndex: append ? state.items.length : 0,
+            limit: PAGE_SIZE
+        }).then(function (page) {
+            if (requestId !== state.requestId || document.activeElement !== state.input) {
+                return;
+            }
+            state.query = query;
+            state.items = (append ? state.items : []).concat(page && page.Items ? page.Items : []);
+            state.total = page && page.TotalRecordCount ? page.TotalRecordCount : 0;
+            if (!append) {
+                state.activeIndex = -1;
+            }
+            renderList(state);
+        }).catch(function (err) {
+            console.warn('SmartLists: could not load library values', err);
+        }).then(function () {
+            if (requestId === state.requestId) {
+                state.loading = false;
+            }
+        });
+    }
+
+    function scheduleSearch(state) {
+        clearTimeout(state.searchTimer);
+        state.searchTimer = setTimeout(function () {
+            loadPage(state, false);
+        }, SEARCH_DELAY_MS);
+    }
+
+    function acceptSuggestion(state, index) {
+        const item = state.items[index];
+        if (!item) {
+            return;
+        }
+        SmartLists.addTagToContainer(state.valueContainer, item.Value);
+        state.input.value = '';
+        SmartLists.updateHiddenInput(state.valueContainer);
+        closeList(state);
+        state.input.focus();
+    }
+
+    /**
+     * Adds library-backed suggestions and unmatched-value flags to a tag-based value input.
+     * Must be called before the input's own key handlers are attached, so a highlighted
+     * suggestion takes precedence over adding the typed text on Enter.
+     */
+    SmartLists.enableValueSuggestions = function (valueContainer, input) {
+        const state = {
+            valueContainer: valueContainer,
+            input: input,
+            list: createList(valueContainer),
+            items: [],
+            total: 0,
+            query: '',
+            activeIndex: -1,
+            requestId: 0,
+            checkId: 0,
+            loading: false,
+            searchTimer: null,
+            checkTimer: null
+        };
+
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+
+        input.addEventListener('focus', function () {
+            if (getRowField(valueContainer)) {
+                scheduleSearch(state);
+            }
+        });
+
+        input.addEventListener('input', function () {
+            if (getRowField(valueContainer)) {
+                scheduleSearch(state);
+            }
+        });
+
+        input.addEventListener('blur', function () {
+            clearTimeout(state.searchTimer);
+            state.requestId++;
+            closeList(state);
+        });
+
+        input.addEventListener('keydown', function (e) {
+            if (state.list.style.display === 'none') {
+                return;
+            }
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActive(state, state.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+                if (e.key === 'ArrowDown' && state.activeIndex >= state.items.length - 3) {
+                    loadPage(state, true);
+                }
+            } else if (e.key === 'Enter' && state.activeIndex >= 0) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                acceptSuggestion(state, state.activeIndex);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                closeList(state);
+            }
+        });
+
+        // Keep focus in the input while picking with the mouse
+        state.list.addEventListener('mousedown', function (e) {
+            e.preventDefault();
+        });
+
+        state.list.addEventListener('click', function (e) {
+            const option = e.target.closest('.value-suggestion');
+            if (option) {
+                acceptSuggestion(state, parseInt(option.getAttribute('data-index'), 10));
+            }
+        });
+
+        state.list.addEventListener('scroll', function () {
+            if (state.list.scrollTop + state.list.clientHeight >= state.list.scrollHeight - 40) {
+                loadPage(state, true);
+            }
+        });
+
+        // Re-check the tags whenever one is added or removed
+        const tagContainer = valueContainer.querySelector('.tag-input-container');
+        if (tagContainer && typeof MutationObserver !== 'undefined') {
+            new MutationObserver(function () {
+                scheduleCheck(state);
+            }).observe(tagContainer, { childList: true });
+        }
+
+        // Switching person type changes which values exist, so check again. The value input is
+        // rebuilt on every field or operator change, so the row listener looks up the current one.
+        valueContainer._valueSuggestions = state;
+        const ruleRow = valueContainer.closest('.rule-row');
+        const peopleSelect = ruleRow ? ruleRow.querySelector('.rule-people-select') : null;
+        if (peopleSelect && !peopleSelect._valueSuggestionsBound) {
+            peopleSelect._valueSuggestionsBound = true;
+            peopleSelect.addEventListener('change', function () {
+                const current = valueContainer._valueSuggestions;
+                if (current && valueContainer.contains(current.input)) {
+                    scheduleCheck(current);
+                }
+            });
+        }
+
+        // Restored tags are added before the rule row is fully populated, so wait before checking
+        scheduleCheck(state);
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,289 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== REFRESH TRENDS =====
+    // Per-list charts of refresh duration, item count and success rate per day, drawn as inline SVG
+    // (no chart library, so the page works on servers without internet access). Data comes from
+    // Status/History/Trends, which aggregates the refresh history kept on the server.
+
+    const CHART_WIDTH = 640;
+    const CHART_HEIGHT = 150;
+    const PADDING = { top: 10, right: 12, bottom: 22, left: 52 };
+    const MAX_X_LABELS = 8;
+    const DAY_OPTIONS = [7, 14, 30];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const COLORS = {
+        line: '#00a4dc',
+        secondary: 'rgba(0,164,220,0.35)',
+        success: '#4caf50',
+        failure: '#f44336',
+        grid: 'rgba(255,255,255,0.1)',
+        text: '#aaa'
+    };
+
+    function formatSeconds(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        if (seconds < 60) return (seconds < 10 ? Math.round(seconds * 10) / 10 : Math.round(seconds)) + 's';
+        return SmartLists.formatRuntime(seconds / 60);
+    }
+
+    function formatCount(value) {
+        return value === null || value === undefined ? '-' : String(Math.round(value));
+    }
+
+    // Dates are server-local days ("yyyy-MM-dd"), so they are split rather than parsed with Date
+    function formatDay(date) {
+        const parts = date.split('-');
+        return parseInt(parts[2], 10) + ' ' + MONTH_NAMES[parseInt(parts[1], 10) - 1];
+    }
+
+    // Rounds the axis maximum up to 1, 2 or 5 times a power of ten
+    function niceMax(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const normalized = value / magnitude;
+        const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+        return step * magnitude;
+    }
+
+    function plotWidth() {
+        return CHART_WIDTH - PADDING.left - PADDING.right;
+    }
+
+    function plotHeight() {
+        return CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    }
+
+    function xFor(index, count) {
+        const slot = plotWidth() / count;
+        return PADDING.left + slot * index + slot / 2;
+    }
+
+    function yFor(value, max) {
+        return PADDING.top + plotHeight() - (value / max) * plotHeight();
+    }
+
+    function renderFrame(days, max, formatValue) {
+        let svg = '';
+        [0, 0.5, 1].forEach(function (fraction) {
+            const y = yFor(max * fraction, max);
+            svg += '<line x1="' + PADDING.left + '" x2="' + (CHART_WIDTH - PADDING.right) + '" y1="' + y + '" y2="' + y + '" stroke="' + COLORS.grid + '" />';
+            svg += '<text x="' + (PADDING.left - 6) + '" y="' + (y + 4) + '" text-anchor="end" font-size="11" fill="' + COLORS.text + '">' + SmartLists.escapeHtml(formatValue(max * fraction)) + '</text>';
+        });
+
+        const every = Math.max(1, Math.ceil(days.length / MAX_X_LABELS));
+        days.forEach(function (day, index) {
+            if ((days.length - 1 - index) % every === 0) {
+                svg += '<text x="' + xFor(index, days.length) + '" y="' + (CHART_HEIGHT - 6) + '" text-anchor="middle" font-size="11" fill="' + COLORS.text + '">' + formatDay(day.date) + '</text>';
+            }
+        });
+        return svg;
+    }
+
+    function wrapSvg(content, label) {
+        return '<svg viewBox="0 0 ' + CHART_WIDTH + ' ' + CHART_HEIGHT + '" role="img" aria-label="' + SmartLists.escapeHtmlAttribute(label) +
+            '" style="width: 100%; max-width: ' + CHART_WIDTH + 'px; height: auto; display: block;">' + content + '</svg>';
+    }
+
+    /**
+     * Renders one or more series as lines with a dot per day. Days without a value break the line.
+     * series: [{ key, color, label, width }]; the first series is the main one.
+     */
+    SmartLists.renderLineChart = function (days, series, formatValue, label) {
+        let max = 0;
+        series.forEach(function (s) {
+            days.forEach(function (day) {
+                if (day[s.key] !== null && day[s.key] !== undefined) max = Math.max(max, day[s.key]);
+            });
+        });
+        max = niceMax(max);
+
+        let svg = renderFrame(days, max, formatValue);
+        series.forEach(function (s) {
+            let path = '';
+            let drawing = false;
+            days.forEach(function (day, index) {
+                const value = day[s.key];
+                if (value === null || value === undefined) {
+                    drawing = false;
+                    return;
+                }
+                path += (drawing ? 'L' : 'M') + xFor(index, days.length).toFixed(1) + ' ' + yFor(value, max).toFixed(1);
+                drawing = true;
+            });
+            if (path) {
+                svg += '<path d="' + path + '" fill="none" stroke="' + s.color + '" stroke-width="' + (s.width || 2) + '" />';
+            }
+            days.forEach(function (day, index) {
+                const value = day[s.key];
+                if (value === null || value === undefined) return;
+                svg += '<circle cx="' + xFor(index, days.length).toFixed(1) + '" cy="' + yFor(value, max).toFixed(1) + '" r="3" fill="' + s.color + '">' +
+                    '<title>' + SmartLists.escapeHtml(formatDay(day.date) + ' - ' + s.label + ': ' + formatValue(value)) + '</title></circle>';
+            });
+        });
+        return wrapSvg(svg, label);
+    };
+
+    /**
+     * Renders successful and failed runs per day as stacked bars, with the day's success rate in the tooltip.
+     */
+    SmartLists.renderSuccessChart = function (days, label) {
+        const max = niceMax(Math.max.apply(null, days.map(function (day) { return day.runs; }).concat([0])));
+        const barWidth = Math.max(2, plotWidth() / days.length * 0.6);
+
+        let svg = renderFrame(days, max, formatCount);
+        days.forEach(function (day, index) {
+            if (day.runs === 0 && day.skipped === 0) return;
+
+            const x = (xFor(index, days.length) - barWidth / 2).toFixed(1);
+            const successes = day.runs - day.failures;
+            const rate = day.runs > 0 ? Math.round(successes / day.runs * 100) + '% successful' : 'no runs';
+            let title = formatDay(day.date) + ' - ' + day.runs + (day.runs === 1 ? ' run' : ' runs') + ', ' + day.failures + ' failed (' + rate + ')';
+            if (day.skipped > 0) title += ', ' + day.skipped + ' skipped';
+
+            svg += '<g><title>' + SmartLists.escapeHtml(title) + '</title>';
+            if (successes > 0) {
+                svg += '<rect x="' + x + '" y="' + yFor(successes, max).toFixed(1) + '" width="' + barWidth.toFixed(1) + '" height="' + (plotHeight() * successes / max).toFixed(1) + '" fill="' + COLORS.success + '" />';
+            }
+            if (day.failures > 0) {
+                svg += '<rect x="' + x + '" y="' + yFor(day.runs, max).toFixed(1) + '" width="' + barWidth.toFixed(1) + '" height="' + (plotHeight() * day.failures / max).toFixed(1) + '" fill="' + COLORS.failure + '" />';
+            }
+            if (day.runs === 0) {
+                // Only skipped runs: a marker on the axis so the day isn't mistaken for no activity
+                svg += '<rect x="' + x + '" y="' + (yFor(0, max) - 2) + '" width="' + barWidth.toFixed(1) + '" height="2" fill="' + COLORS.text + '" />';
+            }
+            svg += '</g>';
+        });
+        return wrapSvg(svg, label);
+    };
+
+    function renderChartBlock(title, summary, svg) {
+        return '<div style="margin-top: 1.25em;">' +
+            '<div style="display: flex; justify-content: space-between; align-items: baseline; flex-wrap: wrap; gap: 0.5em; margin-bottom: 0.25em;">' +
+            '<strong>' + SmartLists.escapeHtml(title) + '</strong>' +
+            '<span style="font-size: 0.85em; color: #aaa;">' + SmartLists.escapeHtml(summary) + '</span>' +
+            '</div>' + svg + '</div>';
+    }
+
+    function renderControls(data, listId) {
+        let html = '<div style="display: flex; gap: 1em; flex-wrap: wrap; align-items: center;">';
+        html += '<select id="refresh-trends-list" is="emby-select" style="min-width: 16em;">';
+        data.lists.forEach(function (list) {
+            html += '<option value="' + SmartLists.escapeHtmlAttribute(list.listId) + '"' + (list.listId === listId ? ' selected' : '') + '>' +
+                SmartLists.escapeHtml(list.listName + ' (' + list.listType + ')') + '</option>';
+        });
+        html += '</select>';
+
+        html += '<select id="refresh-trends-days" is="emby-select">';
+        const dayOptions = DAY_OPTIONS.filter(function (days) { return days < data.retentionDays; }).concat([data.retentionDays]);
+        dayOptions.forEach(function (days) {
+            html += '<option value="' + days + '"' + (days === data.days ? ' selected' : '') + '>Last ' + days + ' days</option>';
+        });
+        html += '</select></div>';
+        return html;
+    }
+
+    function renderCharts(data, list) {
+        const days = data.daily || [];
+        const completedDays = days.filter(function (day) { return day.runs > 0; });
+        const totalRuns = completedDays.reduce(function (sum, day) { return sum + day.runs; }, 0);
+        const totalFailures = completedDays.reduce(function (sum, day) { return sum + day.failures; }, 0);
+
+        if (totalRuns === 0) {
+            return '<p style="color: #aaa; margin-top: 1em;">' + SmartLists.escapeHtml(list.listName) + ' has no completed refreshes in this period.</p>';
+        }
+
+        const first = completedDays[0];
+        const last = completedDays[completedDays.length - 1];
+        let durationSummary = 'Latest day average ' + formatSeconds(last.averageDuration);
+        if (completedDays.length > 1 && first.averageDuration > 0) {
+            const ratio = last.averageDuration / first.averageDuration;
+            if (ratio >= 1.5 || ratio <= 0.67) {
+                durationSummary += ' (' + (ratio >= 1 ? Math.round(ratio * 10) / 10 + 'x slower' : Math.round(10 / ratio) / 10 + 'x faster') + ' than ' + formatDay(first.date) + ')';
+            }
+        }
+
+        const countedDays = days.filter(function (day) { return day.itemCount !== null && day.itemCount !== undefined; });
+        let countSummary = 'No item counts recorded';
+        if (countedDays.length > 0) {
+            const firstCount = countedDays[0].itemCount;
+            const lastCount = countedDays[countedDays.length - 1].itemCount;
+            countSummary = lastCount + ' items now';
+            if (countedDays.length > 1 && lastCount !== firstCount) {
+                countSummary += ', ' + firstCount + ' on ' + formatDay(countedDays[0].date);
+            }
+        }
+
+        const successRate = Math.round((totalRuns - totalFailures) / totalRuns * 100);
+
+        let html = renderChartBlock('Refresh duration', durationSummary,
+            SmartLists.renderLineChart(days, [
+                { key: 'maxDuration', color: COLORS.secondary, label: 'Slowest', width: 1 },
+                { key: 'averageDuration', color: COLORS.line, label: 'Average' }
+            ], formatSeconds, 'Refresh duration per day'));
+        html += '<div style="font-size: 0.8em; color: #aaa;">Dark line: average per day. Light line: slowest run.</div>';
+        html += renderChartBlock('Item count', countSummary,
+            SmartLists.renderLineChart(days, [{ key: 'itemCount', color: COLORS.line, label: 'Items' }], formatCount, 'Item count per day'));
+        html += renderChartBlock('Refresh results', totalRuns + ' runs, ' + totalFailures + ' failed (' + successRate + '% successful)',
+            SmartLists.renderSuccessChart(days, 'Successful and failed refreshes per day'));
+        return html;
+    }
+
+    /**
+     * Loads the refresh trend charts into the status page.
+     * Keeps the chosen list and period across reloads of the status page.
+     */
+    SmartLists.loadRefreshTrends = function (page) {
+        const container = page ? page.querySelector('#refresh-trends-container') : null;
+        if (!container) return Promise.resolve();
+
+        const query = { days: container._trendsDays || 30 };
+        if (container._trendsListId) {
+            query.listId = container._trendsListId;
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base + '/Status/History/Trends', query),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (response && typeof response.ok !== 'undefined') {
+                return response.ok ? response.json() : Promise.reject(new Error('HTTP ' + response.status + ': ' + response.statusText));
+            }
+            return response;
+        }).then(function (data) {
+            data = data || {};
+            const lists = data.lists || [];
+            if (lists.length === 0) {
+                container.innerHTML = '<p style="color: #aaa;">No refresh history in the last ' + (data.days || 30) + ' days. Trends will appear after refreshing lists.</p>';
+                return null;
+            }
+
+            // Chart the busiest list until one is chosen; fetch again if the chosen list has no runs in this period
+            let list = lists.find(function (l) { return l.listId === data.listId; });
+            if (!list) {
+                list = lists.slice().sort(function (a, b) { return b.runs - a.runs; })[0];
+                container._trendsListId = list.listId;
+                return SmartLists.loadRefreshTrends(page);
+            }
+
+            container._trendsDays = data.days;
+            container.innerHTML = renderControls(data, list.listId) + renderCharts(data, list);
+
+            container.querySelector('#refresh-trends-list').addEventListener('change', function (e) {
+                container._trendsListId = e.target.value;
+                SmartLists.loadRefreshTrends(page);
+            });
+            container.querySelector('#refresh-trends-days').addEventListener('change', function (e) {
+                container._trendsDays = parseInt(e.target.value, 10);
+                SmartLists.loadRefreshTrends(page);
+            });
+            return null;
+        }).catch(function (err) {
+            console.error('Error loading refresh trends:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Error loading refresh trends: ' + SmartLists.escapeHtml(err && err.message ? err.message : 'unknown error') + '</p>';
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
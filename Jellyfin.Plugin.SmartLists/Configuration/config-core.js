@@ -11,7 +11,10 @@
         refresh: 'Plugins/SmartLists/refresh',
         refreshDirect: 'Plugins/SmartLists/refresh-direct',
         export: 'Plugins/SmartLists/export',
-        import: 'Plugins/SmartLists/import'
+        import: 'Plugins/SmartLists/import',
+        preview: 'Plugins/SmartLists/preview',
+        cronPreview: 'Plugins/SmartLists/schedule/cron',
+        statusEvents: 'Plugins/SmartLists/Status/Events'
     };
 
     // Field type constants to avoid duplication
@@ -53,12 +56,34 @@
         { value: 'AlbumName', label: 'Album Name' },
         { value: 'Artist', label: 'Artist' },
         { value: 'Similarity', label: 'Similarity (requires Similar To rule)' },
+        { value: 'Score', label: 'Score (requires scoring mode)' },
         { value: 'TrackNumber', label: 'Track Number' },
         { value: 'Resolution', label: 'Resolution' },
         { value: 'Random', label: 'Random' },
+        { value: 'WeightedRandom', label: 'Smart Shuffle (weighted random)' },
         { value: 'NoOrder', label: 'No Order' }
     ];
 
+    // Fields a smart shuffle can favor, and the bias strength range (0 is a plain shuffle)
+    SmartLists.SHUFFLE_BIAS_OPTIONS = [
+        { value: 'CommunityRating', label: 'Higher rating' },
+        { value: 'LastPlayed', label: 'Not played recently' },
+        { value: 'DateCreated', label: 'Recently added' },
+        { value: 'PlayCount', label: 'Fewer plays' }
+    ];
+    SmartLists.SHUFFLE_BIAS_DEFAULT_STRENGTH = 3;
+    SmartLists.SHUFFLE_BIAS_MAX_STRENGTH = 10;
+
+    // Fields the sorted output can be spaced by, so the same value doesn't repeat within a few items
+    SmartLists.SPACING_FIELD_OPTIONS = [
+        { value: '', label: 'Off' },
+        { value: 'Artist', label: 'Artist' },
+        { value: 'AlbumName', label: 'Album' },
+        { value: 'SeriesName', label: 'Series' }
+    ];
+    SmartLists.SPACING_DEFAULT_DISTANCE = 3;
+    SmartLists.SPACING_MAX_DISTANCE = 50;
+
     SmartLists.SORT_ORDER_OPTIONS = [
         { value: 'Ascending', label: 'Ascending' },
         { value: 'Descending', label: 'Descending' }
@@ -66,6 +91,9 @@
 
     // Constants for operators
     SmartLists.RELATIVE_DATE_OPERATORS = ['NewerThan', 'OlderThan'];
+    // Date operators anchored to the calendar on the server; OnThisDay takes no value
+    SmartLists.CALENDAR_DATE_OPERATORS = ['InPeriod', 'OnThisDay', 'AnniversaryWithin'];
+    SmartLists.VALUELESS_OPERATORS = ['OnThisDay'];
     SmartLists.MULTI_VALUE_OPERATORS = ['IsIn', 'IsNotIn'];
 
     // Global state - availableFields is populated by loadAndPopulateFields
@@ -102,6 +130,27 @@
         return false;
     };
 
+    // Flatten expression sets (including nested logic groups) into a single list of expressions.
+    // Use this wherever the logic structure does not matter (search, "has any rules" checks).
+    SmartLists.getAllExpressions = function (expressionSets) {
+        const result = [];
+        const visit = function (set) {
+            if (!set) return;
+            if (set.Expressions) {
+                for (var i = 0; i < set.Expressions.length; i++) {
+                    if (set.Expressions[i]) {
+                        result.push(set.Expressions[i]);
+                    }
+                }
+            }
+            if (set.Groups) {
+                set.Groups.forEach(visit);
+            }
+        };
+        (expressionSets || []).forEach(visit);
+        return result;
+    };
+
     /**
      * Escape HTML entities for safe insertion into HTML content.
      * Returns empty string for null/undefined, converts to string, then escapes:
@@ -395,6 +444,7 @@
             return response.json();
         }).then(function (fields) {
             SmartLists.availableFields = fields;
+            SmartLists.addFieldSortOptions(fields);
             return fields;
         }).catch(function (err) {
             console.error('Error loading or parsing fields:', err);
@@ -402,6 +452,56 @@
         });
     };
 
+    /**
+     * Adds a sort option for every numeric or date field the server can sort by (fields.SortFields),
+     * labelled like the field in the rule editor. User-data fields (PlayCount, LastPlayedDate) get a
+     * user choice in the sort box, so they are listed as "(choose user)" next to the "(owner)" sorts.
+     * @param {Object} fields - The response of the fields endpoint
+     */
+    SmartLists.addFieldSortOptions = function (fields) {
+        if (!fields || !Array.isArray(fields.SortFields)) return;
+
+        const labels = {};
+        Object.keys(fields).forEach(function (key) {
+            if (!Array.isArray(fields[key])) return;
+            fields[key].forEach(function (field) {
+                if (field && field.Value && field.Label && !labels[field.Value]) {
+                    labels[field.Value] = field.Label;
+                }
+            });
+        });
+
+        // Keep Random, Smart Shuffle and No Order at the end of the list
+        let insertAt = SmartLists.SORT_OPTIONS.findIndex(function (opt) { return opt.value === 'Random'; });
+        if (insertAt === -1) insertAt = SmartLists.SORT_OPTIONS.length;
+
+        fields.SortFields.forEach(function (sortField) {
+            const exists = SmartLists.SORT_OPTIONS.some(function (opt) { return opt.value === sortField.Value; });
+            if (exists) return;
+
+            const label = labels[sortField.Value] || sortField.Value;
+            SmartLists.SORT_OPTIONS.splice(insertAt++, 0, {
+                value: sortField.Value,
+                label: sortField.UserSpecific ? label + ' (choose user)' : label,
+                fieldLabel: label,
+                kind: sortField.Kind,
+                isFieldSort: true,
+                userSpecific: sortField.UserSpecific === true
+            });
+        });
+    };
+
+    /**
+     * Gets the generated field sort option for a Sort By value, or null for the fixed sorts.
+     * @param {string} sortBy - The Sort By value
+     * @returns {Object|null} The sort option
+     */
+    SmartLists.getFieldSortOption = function (sortBy) {
+        return SmartLists.SORT_OPTIONS.find(function (opt) {
+            return opt.isFieldSort && opt.value === sortBy;
+        }) || null;
+    };
+
     SmartLists.populateSelect = function (selectElement, options, defaultValue, forceSelection) {
         defaultValue = defaultValue !== undefined ? defaultValue : null;
         forceSelection = forceSelection !== undefined ? forceSelection : true;
@@ -559,6 +659,23 @@
             boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
             position: 'relative'
         },
+        logicSubgroup: {
+            border: '1px dashed #555',
+            borderRadius: '2px',
+            padding: '1em 1em 0.3em 1em',
+            margin: '0.8em 0',
+            background: 'rgba(255, 255, 255, 0.03)',
+            position: 'relative'
+        },
+        logicGroupHeader: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.8em',
+            flexWrap: 'wrap',
+            marginBottom: '0.8em',
+            fontSize: '0.85em',
+            color: '#aaa'
+        },
         buttons: {
             action: {
                 base: {
@@ -583,6 +700,19 @@
                     cursor: 'pointer',
                     fontWeight: '500'
                 }
+            },
+            drag: {
+                base: {
+                    padding: '0.2em 0.4em',
+                    fontSize: '1em',
+                    lineHeight: '1',
+                    border: '1px solid transparent',
+                    background: 'transparent',
+                    color: '#888',
+                    borderRadius: '4px',
+                    cursor: 'grab',
+                    flex: '0 0 auto'
+                }
             }
         },
         separators: {
@@ -903,6 +1033,169 @@
         activeNotifications = [];
     };
 
+    // Live status events: one Server-Sent Events stream per browser tab, shared by the status page
+    // and refresh notifications. Read with fetch rather than EventSource so the request can carry the
+    // Authorization header. Listeners receive (type, data); the 'connected' and 'disconnected' types
+    // report the stream state so callers can fall back to polling while it is down.
+    var STATUS_EVENTS_RETRY_MS = 5000;
+    var STATUS_EVENTS_MAX_RETRY_MS = 60000;
+    var statusEventListeners = [];
+    var statusEventStream = null;
+    var statusEventReconnectTimer = null;
+    var statusEventRetryMs = STATUS_EVENTS_RETRY_MS;
+
+    // Overridden by the user page, which streams only the current user's lists
+    SmartLists.getStatusEventsEndpoint = function () {
+        return SmartLists.ENDPOINTS.statusEvents;
+    };
+
+    SmartLists.isStatusStreamConnected = function () {
+        return !!(statusEventStream && statusEventStream.connected);
+    };
+
+    // Subscribe to live status events. Returns a function that unsubscribes; the stream closes
+    // when the last listener unsubscribes.
+    SmartLists.onStatusEvent = function (listener) {
+        statusEventListeners.push(listener);
+        connectStatusEvents();
+
+        return function () {
+            var index = statusEventListeners.indexOf(listener);
+            if (index !== -1) {
+                statusEventListeners.splice(index, 1);
+            }
+            if (statusEventListeners.length === 0) {
+                disconnectStatusEvents();
+            }
+        };
+    };
+
+    function dispatchStatusEvent(type, data) {
+        statusEventListeners.slice().forEach(function (listener) {
+            try {
+                listener(type, data);
+            } catch (e) {
+                console.error('[SmartLists] Error in status event listener:', e);
+            }
+        });
+    }
+
+    function connectStatusEvents() {
+        if (statusEventStream || statusEventReconnectTimer) {
+            return;
+        }
+
+        var apiClient = SmartLists.getApiClient();
+        if (!apiClient || typeof fetch !== 'function' || typeof TextDecoder === 'undefined' || typeof AbortController === 'undefined') {
+            // No streaming support: listeners keep polling
+            return;
+        }
+
+        var stream = { controller: new AbortController(), connected: false };
+        statusEventStream = stream;
+
+        fetch(apiClient.getUrl(SmartLists.getStatusEventsEndpoint()), {
+            headers: {
+                'Authorization': 'MediaBrowser Token="' + apiClient.accessToken() + '"',
+                'Accept': 'text/event-stream'
+            },
+            signal: stream.controller.signal
+        }).then(function (response) {
+            if (!response.ok || !response.body) {
+                throw new Error('HTTP ' + response.status);
+            }
+
+            var reader = response.body.getReader();
+            var decoder = new TextDecoder();
+            var buffer = '';
+
+            function read() {
+                return reader.read().then(function (result) {
+                    if (result.done) {
+                        return;
+                    }
+                    buffer += decoder.decode(result.value, { stream: true }).replace(/\r\n?/g, '\n');
+                    var frames = buffer.split('\n\n');
+                    buffer = frames.pop();
+                    frames.forEach(function (frame) {
+                        handleStatusEventFrame(stream, frame);
+                    });
+                    return read();
+                });
+            }
+
+            return read();
+        }).catch(function (error) {
+            if (!stream.controller.signal.aborted) {
+                console.warn('[SmartLists] Live status updates unavailable, falling back to polling:', error.message || error);
+            }
+        }).then(function () {
+            if (statusEventStream !== stream) {
+                // Closed on purpose
+                return;
+            }
+
+            statusEventStream = null;
+            if (stream.connected) {
+                dispatchStatusEvent('disconnected', null);
+            }
+
+            if (statusEventListeners.length > 0) {
+                // Back off while the server keeps refusing, so old servers aren't asked every few seconds
+                statusEventReconnectTimer = setTimeout(function () {
+                    statusEventReconnectTimer = null;
+                    connectStatusEvents();
+                }, statusEventRetryMs);
+                statusEventRetryMs = Math.min(statusEventRetryMs * 2, STATUS_EVENTS_MAX_RETRY_MS);
+            }
+        });
+    }
+
+    function handleStatusEventFrame(stream, frame) {
+        var type = 'message';
+        var dataLines = [];
+
+        frame.split('\n').forEach(function (line) {
+            if (line.indexOf('event:') === 0) {
+                type = line.slice(6).trim();
+            } else if (line.indexOf('data:') === 0) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+            // Comments (keep-alives) and retry hints are ignored
+        });
+
+        if (dataLines.length === 0) {
+            return;
+        }
+
+        var data = null;
+        try {
+            data = JSON.parse(dataLines.join('\n'));
+        } catch (e) {
+            console.warn('[SmartLists] Ignoring malformed status event:', e);
+            return;
+        }
+
+        if (type === 'connected') {
+            stream.connected = true;
+            statusEventRetryMs = STATUS_EVENTS_RETRY_MS;
+        }
+
+        dispatchStatusEvent(type, data);
+    }
+
+    function disconnectStatusEvents() {
+        if (statusEventReconnectTimer) {
+            clearTimeout(statusEventReconnectTimer);
+            statusEventReconnectTimer = null;
+        }
+        if (statusEventStream) {
+            var stream = statusEventStream;
+            statusEventStream = null;
+            stream.controller.abort();
+        }
+    }
+
     SmartLists.cleanupModalListeners = function (modal) {
         // Remove any existing backdrop listener to prevent accumulation
         if (modal._modalBackdropHandler) {
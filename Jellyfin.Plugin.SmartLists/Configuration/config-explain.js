@@ -0,0 +1,331 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE EXPLAIN =====
+    // Answers "why is (or isn't) this item in my list?" for saved lists. The server evaluates
+    // every rule against the item and reports the actual values, so the result always matches
+    // what a refresh would do. Shared by the admin list cards and the user page's track table.
+
+    const EXPLAIN_SEARCH_LIMIT = 10;
+    const GUID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+    function getOperatorLabel(operator) {
+        const operators = (SmartLists.availableFields && SmartLists.availableFields.Operators) || [];
+        for (let i = 0; i < operators.length; i++) {
+            if (operators[i].Value === operator) {
+                return operators[i].Label;
+            }
+        }
+        return operator;
+    }
+
+    function getFieldLabel(memberName) {
+        if (memberName === 'ItemType') {
+            return 'Media Type';
+        }
+        return SmartLists.getPeopleFieldDisplayName ? SmartLists.getPeopleFieldDisplayName(memberName) : memberName;
+    }
+
+    function renderResultIcon(passed) {
+        if (passed === true) {
+            return '<span style="color: #4CAF50; font-weight: bold;" title="Passed">✓</span>';
+        }
+        if (passed === false) {
+            return '<span style="color: #f44336; font-weight: bold;" title="Failed">✗</span>';
+        }
+        return '<span style="color: #888;" title="Evaluated for the whole list">–</span>';
+    }
+
+    function describeExclusion(explanation) {
+        switch (explanation.ExcludedBy) {
+            case 'MediaType':
+                return 'It is not one of the list\'s media types, or it is not in a library the list user can see.';
+            case 'Rules':
+                return 'It does not match the rules.';
+            case 'MaxItems':
+                return 'It matches the rules, but the Max Items limit (' + explanation.MaxItems + ') was reached before it in sort order.';
+            case 'MaxPlayTime':
+                return 'It matches the rules, but the Max Playtime limit (' + SmartLists.formatRuntime(explanation.MaxPlayTimeMinutes) + ') was reached before it in sort order.';
+            case 'Ignored':
+                return 'It is on the playlist\'s ignore list.';
+            default:
+                return '';
+        }
+    }
+
+    function formatActualValue(value) {
+        return value === null || value === undefined || value === '' ?
+            '<em style="color: #888;">empty</em>' :
+            SmartLists.escapeHtml(value);
+    }
+
+    function renderExpressionRow(expression) {
+        let target = expression.TargetValue || '';
+        if (expression.Operator === 'Weekday' && SmartLists.getDayNameFromValue) {
+            target = SmartLists.getDayNameFromValue(target);
+        }
+
+        let condition = ' "' + SmartLists.escapeHtml(target) + '"';
+        if (SmartLists.CALENDAR_DATE_OPERATORS.indexOf(expression.Operator) !== -1) {
+            const calendarValue = SmartLists.formatCalendarDateValue(expression.Operator, target);
+            condition = calendarValue ? ' ' + SmartLists.escapeHtml(calendarValue) : '';
+        }
+        let actual = formatActualValue(expression.ActualValue);
+        if (expression.CompareField) {
+            const adjustment = SmartLists.formatCompareAdjustment ? SmartLists.formatCompareAdjustment(target) : target;
+            condition = ' ' + SmartLists.escapeHtml(getFieldLabel(expression.CompareField) + (adjustment ? ' ' + adjustment : ''));
+            actual += ' <span style="color: #888;">vs</span> ' + formatActualValue(expression.CompareValue);
+        }
+
+        return '<tr style="border-top: 1px solid rgba(255,255,255,0.06);">' +
+            '<td style="padding: 0.3em 0.5em; width: 1.5em; text-align: center;">' + renderResultIcon(expression.Passed) + '</td>' +
+            '<td style="padding: 0.3em 0.5em; font-family: monospace;">' +
+            SmartLists.escapeHtml(getFieldLabel(expression.MemberName)) + ' ' +
+            SmartLists.escapeHtml(getOperatorLabel(expression.Operator)) + condition +
+            (expression.Weight !== null && expression.Weight !== undefined ?
+                ' <span style="color: #888;">(' + SmartLists.escapeHtml(SmartLists.formatRuleWeight(expression.Weight)) + ')</span>' : '') +
+            '</td>' +
+            '<td style="padding: 0.3em 0.5em; color: #ccc; word-break: break-word;">' + actual +
+            (expression.Note ? '<div class="fieldDescription" style="margin: 0.15em 0 0 0;">' + SmartLists.escapeHtml(expression.Note) + '</div>' : '') +
+            '</td>' +
+            '</tr>';
+    }
+
+    function renderSetHtml(set, label) {
+        const joiner = set.Logic === 'Or' ? 'any' : 'all';
+        const header = renderResultIcon(set.Passed) + ' <strong>' + SmartLists.escapeHtml(label) + '</strong>' +
+            ' <span style="color: #888; font-size: 0.9em;">(' + (set.Negate ? 'NOT ' : '') + joiner + ' of)</span>';
+
+        let html = '<div style="padding: 0.4em 0.6em; margin: 0.3em 0; border-left: 3px solid ' + (set.Passed ? '#4CAF50' : '#f44336') + '; background: rgba(255,255,255,0.02);">';
+        html += '<div>' + header + '</div>';
+
+        const expressions = set.Expressions || [];
+        if (expressions.length > 0) {
+            html += '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em; margin-top: 0.3em;">' +
+                '<thead><tr style="color: #888; text-align: left;">' +
+                '<th></th><th style="padding: 0.2em 0.5em; font-weight: normal;">Rule</th><th style="padding: 0.2em 0.5em; font-weight: normal;">Item value</th>' +
+                '</tr></thead><tbody>';
+            expressions.forEach(function (expression) {
+                html += renderExpressionRow(expression);
+            });
+            html += '</tbody></table>';
+        }
+
+        (set.Groups || []).forEach(function (group, index) {
+            html += '<div style="margin-left: 1em;">' + renderSetHtml(group, 'Nested group ' + (index + 1)) + '</div>';
+        });
+
+        html += '</div>';
+        return html;
+    }
+
+    function parseExplainResponse(response) {
+        if (response && typeof response.ok !== 'undefined') {
+            if (!response.ok) {
+                throw new Error(response.status === 404 ? 'Item or list not found' : 'HTTP ' + response.status);
+            }
+            return response.json();
+        }
+        return Promise.resolve(response);
+    }
+
+    /**
+     * Renders an explanation returned by an explain endpoint.
+     */
+    SmartLists.renderExplanationHtml = function (explanation) {
+        let html = '<div class="explain-result-content" style="margin-top: 0.5em;">';
+
+        if (explanation.InList) {
+            html += '<div style="color: #4CAF50; font-weight: 500;">✓ ' + SmartLists.escapeHtml(explanation.ItemName) + ' is in the list' +
+                (explanation.Position ? ' at position ' + explanation.Position : '') + '.</div>';
+        } else {
+            html += '<div style="color: #f44336; font-weight: 500;">✗ ' + SmartLists.escapeHtml(explanation.ItemName) + ' is not in the list.</div>';
+            const reason = describeExclusion(explanation);
+            if (reason) {
+                html += '<div style="margin-top: 0.25em;">' + SmartLists.escapeHtml(reason) + '</div>';
+            }
+        }
+
+        if (explanation.Message && explanation.ExcludedBy !== 'Ignored') {
+            html += '<div class="fieldDescription" style="margin-top: 0.25em;">' + SmartLists.escapeHtml(explanation.Message) + '</div>';
+        }
+
+        if (explanation.MatchCount > 0 || explanation.ItemCount > 0) {
+            html += '<div class="fieldDescription" style="margin-top: 0.25em;">' +
+                explanation.MatchCount.toLocaleString() + ' items match the rules, ' +
+                explanation.ItemCount.toLocaleString() + ' after limits.</div>';
+        }
+
+        if (explanation.ScoringMode && explanation.Score !== null && explanation.Score !== undefined) {
+            const minimum = explanation.MinScore !== null && explanation.MinScore !== undefined ?
+                'minimum ' + explanation.MinScore : 'needs more than 0';
+            html += '<div style="margin-top: 0.25em;">Score: <strong>' + explanation.Score + '</strong> (' + minimum + ')</div>';
+        }
+
+        const sets = explanation.Sets || [];
+        if (sets.length > 0) {
+            html += '<div style="margin-top: 0.5em;">';
+            sets.forEach(function (set, index) {
+                if (index > 0) {
+                    html += '<em style="color: #888; font-size: 0.9em;">OR</em>';
+                }
+                html += renderSetHtml(set, sets.length > 1 ? 'Rule group ' + (index + 1) : 'Rules');
+            });
+            html += '</div>';
+        }
+
+        html += '</div>';
+        return html;
+    };
+
+    /**
+     * Fetches an explanation from url (an endpoint path) and renders it into target.
+     */
+    SmartLists.loadExplanation = function (target, url, query) {
+        const apiClient = SmartLists.getApiClient();
+        target.innerHTML = '<div class="fieldDescription">Evaluating rules…</div>';
+
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(url, query),
+            contentType: 'application/json'
+        }).then(parseExplainResponse).then(function (explanation) {
+            target.innerHTML = SmartLists.renderExplanationHtml(explanation);
+        }).catch(function (err) {
+            console.error('Error explaining item:', err);
+            target.innerHTML = '<div style="color: #f44336;">Could not explain item: ' + SmartLists.escapeHtml(err && err.message ? err.message : 'unknown error') + '</div>';
+        });
+    };
+
+    function explainInSection(section, itemId) {
+        const listId = section.getAttribute('data-list-id');
+        const userSelect = section.querySelector('.explain-user-select');
+        const query = userSelect && userSelect.value ? { userId: userSelect.value } : undefined;
+        section.querySelector('.explain-search-results').innerHTML = '';
+        SmartLists.loadExplanation(section.querySelector('.explain-result'), SmartLists.ENDPOINTS.base + '/' + listId + '/explain/' + itemId, query);
+    }
+
+    function populateExplainUserSelect(section) {
+        const userIds = (section.getAttribute('data-user-ids') || '').split(',').filter(Boolean);
+        if (userIds.length < 2 || section.querySelector('.explain-user-select')) {
+            return;
+        }
+
+        const select = document.createElement('select');
+        select.className = 'emby-select explain-user-select';
+        select.setAttribute('aria-label', 'Evaluate for user');
+        select.style.cssText = 'width: auto; padding: 0.3em;';
+        userIds.forEach(function (userId) {
+            const option = document.createElement('option');
+            option.value = userId;
+            option.textContent = userId;
+            select.appendChild(option);
+            SmartLists.resolveUserIdToName(SmartLists.getApiClient(), userId).then(function (name) {
+                if (name) {
+                    option.textContent = name;
+                }
+            });
+        });
+        section.querySelector('.explain-controls').appendChild(select);
+    }
+
+    /**
+     * Handles the Explain button on an admin list card: explains the item directly when an
+     * ID was entered, otherwise searches the library by name and lists the hits to pick from.
+     */
+    SmartLists.searchItemToExplain = function (section) {
+        populateExplainUserSelect(section);
+
+        const input = section.querySelector('.explain-search-input');
+        const term = input ? input.value.trim() : '';
+        const results = section.querySelector('.explain-search-results');
+        if (!term) {
+            results.innerHTML = '<div class="fieldDescription">Enter an item name or ID.</div>';
+            return;
+        }
+
+        if (GUID_PATTERN.test(term)) {
+            explainInSection(section, term.replace(/-/g, ''));
+            return;
+        }
+
+        const apiClient = SmartLists.getApiClient();
+        const query = {
+            SearchTerm: term,
+            Recursive: true,
+            Limit: EXPLAIN_SEARCH_LIMIT,
+            UserId: apiClient.getCurrentUserId()
+        };
+        const mediaTypes = section.getAttribute('data-media-types');
+        if (mediaTypes) {
+            query.IncludeItemTypes = mediaTypes;
+        }
+
+        results.innerHTML = '<div class="fieldDescription">Searching…</div>';
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Items', query),
+            contentType: 'application/json'
+        }).then(parseExplainResponse).then(function (response) {
+            const items = (response && response.Items) || [];
+            if (items.length === 0) {
+                results.innerHTML = '<div class="fieldDescription">No items found.</div>';
+                return;
+            }
+
+            let html = '<div style="display: flex; flex-wrap: wrap; gap: 0.3em; margin-top: 0.4em;">';
+            items.forEach(function (item) {
+                let label = item.Name || item.Id;
+                if (item.SeriesName) {
+                    label = item.SeriesName + ' – ' + label;
+                } else if (item.AlbumArtist) {
+                    label = item.AlbumArtist + ' – ' + label;
+                }
+                if (item.ProductionYear) {
+                    label += ' (' + item.ProductionYear + ')';
+                }
+                html += '<button type="button" is="emby-button" class="emby-button explain-search-result" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '" style="font-size: 0.85em; padding: 0.3em 0.6em; margin: 0;">' +
+                    SmartLists.escapeHtml(label) + '</button>';
+            });
+            html += '</div>';
+            results.innerHTML = html;
+        }).catch(function (err) {
+            console.error('Error searching items to explain:', err);
+            results.innerHTML = '<div style="color: #f44336;">Search failed.</div>';
+        });
+    };
+
+    /**
+     * Handles a click on one of the search hits shown by searchItemToExplain.
+     */
+    SmartLists.explainSearchResult = function (button) {
+        const section = button.closest('.explain-section');
+        if (section) {
+            explainInSection(section, button.getAttribute('data-item-id'));
+        }
+    };
+
+    /**
+     * Builds the "Explain an Item" section for an admin list card.
+     */
+    SmartLists.generateExplainSectionHtml = function (playlist) {
+        const userIds = (playlist.UserPlaylists || []).map(function (userPlaylist) {
+            return userPlaylist.UserId;
+        }).filter(Boolean);
+
+        return '<div class="explain-section" data-list-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '"' +
+            ' data-media-types="' + SmartLists.escapeHtmlAttribute((playlist.MediaTypes || []).join(',')) + '"' +
+            ' data-user-ids="' + SmartLists.escapeHtmlAttribute(userIds.join(',')) + '"' +
+            ' style="margin-bottom: 1em; margin-left: 0.5em;">' +
+            '<h4 style="margin: 0 0 0.5em 0; color: #fff; font-size: 1em;">Explain an Item</h4>' +
+            '<div class="fieldDescription" style="margin-bottom: 0.5em;">Find out which rules an item passes or fails, and whether a limit cut it from the list.</div>' +
+            '<div class="explain-controls" style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap;">' +
+            '<input type="text" class="emby-input explain-search-input" placeholder="Item name or ID" aria-label="Item name or ID" style="flex: 1; min-width: 180px; padding: 0.3em 0.5em;">' +
+            '<button is="emby-button" type="button" class="emby-button raised explain-item-btn" style="margin: 0;">Explain</button>' +
+            '</div>' +
+            '<div class="explain-search-results"></div>' +
+            '<div class="explain-result"></div>' +
+            '</div>';
+    };
+
+})(window.SmartLists = window.SmartLists || {});
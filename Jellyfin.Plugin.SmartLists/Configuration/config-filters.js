@@ -113,29 +113,23 @@
             }
 
             // Search in rules (field names, operators, and values)
-            if (playlist.ExpressionSets) {
-                for (var i = 0; i < playlist.ExpressionSets.length; i++) {
-                    const expressionSet = playlist.ExpressionSets[i];
-                    if (expressionSet.Expressions) {
-                        for (var j = 0; j < expressionSet.Expressions.length; j++) {
-                            const expression = expressionSet.Expressions[j];
-                            // Search in field name
-                            if (expression.MemberName && expression.MemberName.toLowerCase().indexOf(searchTerm) !== -1) {
-                                return true;
-                            }
+            const allExpressions = SmartLists.getAllExpressions(playlist.ExpressionSets);
+            for (var i = 0; i < allExpressions.length; i++) {
+                const expression = allExpressions[i];
+                // Search in field name
+                if (expression.MemberName && expression.MemberName.toLowerCase().indexOf(searchTerm) !== -1) {
+                    return true;
+                }
 
-                            // Search in operator
-                            if (expression.Operator && expression.Operator.toLowerCase().indexOf(searchTerm) !== -1) {
-                                return true;
-                            }
+                // Search in operator
+                if (expression.Operator && expression.Operator.toLowerCase().indexOf(searchTerm) !== -1) {
+                    return true;
+                }
 
-                            // Search in target value (coerce to string to handle numbers/booleans)
-                            // Check for null/undefined explicitly to allow searching for 0 or false
-                            if (expression.TargetValue != null && String(expression.TargetValue).toLowerCase().indexOf(searchTerm) !== -1) {
-                                return true;
-                            }
-                        }
-                    }
+                // Search in target value (coerce to string to handle numbers/booleans)
+                // Check for null/undefined explicitly to allow searching for 0 or false
+                if (expression.TargetValue != null && String(expression.TargetValue).toLowerCase().indexOf(searchTerm) !== -1) {
+                    return true;
                 }
             }
 
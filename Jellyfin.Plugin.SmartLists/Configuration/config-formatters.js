@@ -175,7 +175,8 @@
             { value: 'Weekly', label: 'Weekly' },
             { value: 'Monthly', label: 'Monthly' },
             { value: 'Yearly', label: 'Yearly' },
-            { value: 'Interval', label: 'Interval' }
+            { value: 'Interval', label: 'Interval' },
+            { value: 'Cron', label: 'Cron' }
         );
         // Mark the default option as selected
         for (var i = 0; i < options.length; i++) {
@@ -226,6 +227,43 @@
         return days[index] || 'Sunday';
     };
 
+    /**
+     * Format the value of a calendar date rule for display
+     * @param {string} operator - InPeriod, OnThisDay or AnniversaryWithin
+     * @param {string} value - The stored value (e.g., "previous:month", "7:days")
+     * @returns {string} Readable value (e.g., "last month", "7 days"), empty for OnThisDay
+     */
+    SmartLists.formatCalendarDateValue = function (operator, value) {
+        var parts = String(value || '').split(':');
+        if (operator === 'InPeriod' && parts.length === 2) {
+            return (parts[0] === 'previous' ? 'last ' : 'this ') + parts[1];
+        }
+        if (operator === 'AnniversaryWithin' && parts.length === 2) {
+            return parts[0] + ' ' + (parts[0] === '1' ? parts[1].replace(/s$/, '') : parts[1]);
+        }
+        return operator === 'OnThisDay' ? '' : String(value || '');
+    };
+
+    /**
+     * Format a rule weight or score for display
+     * @param {number} weight - The weight (rules without one weigh 1)
+     * @returns {string} Signed weight (e.g., "+3", "-1.5", "0")
+     */
+    SmartLists.formatRuleWeight = function (weight) {
+        var value = weight === undefined || weight === null ? 1 : Number(weight);
+        var text = String(Math.round(value * 100) / 100);
+        return value > 0 ? '+' + text : text;
+    };
+
+    /**
+     * Check whether a rule adds to the score in scoring mode.
+     * SimilarTo and collection-only Collections rules are applied to the whole list instead.
+     */
+    SmartLists.isScoredRule = function (expression) {
+        return !!expression && expression.MemberName !== 'SimilarTo' &&
+            !(expression.MemberName === 'Collections' && expression.IncludeCollectionOnly === true);
+    };
+
     /**
      * Get ordinal suffix for day of month (1st, 2nd, 3rd, 4th, etc.)
      */
@@ -382,7 +420,7 @@
         // Check if Schedules array exists and has items
         if (playlist.Schedules && playlist.Schedules.length > 0) {
             var scheduleTexts = playlist.Schedules.map(function (schedule) {
-                return SmartLists.formatSingleSchedule(schedule);
+                return SmartLists.formatSingleSchedule(schedule) + (schedule.OnlyIfChanged ? ' (if changed)' : '');
             });
             return scheduleTexts.join(' • ');
         }
@@ -391,12 +429,25 @@
         return 'No schedule';
     };
 
+    // Helper function to format a Smart Shuffle sort, e.g. "Smart Shuffle (favoring higher rating, strength 3)"
+    SmartLists.formatShuffleBias = function (sortOption) {
+        var biasField = (sortOption && sortOption.BiasField) || SmartLists.SHUFFLE_BIAS_OPTIONS[0].value;
+        var strength = sortOption && sortOption.BiasStrength !== undefined && sortOption.BiasStrength !== null
+            ? sortOption.BiasStrength
+            : SmartLists.SHUFFLE_BIAS_DEFAULT_STRENGTH;
+        var biasOption = SmartLists.SHUFFLE_BIAS_OPTIONS.find(function (opt) { return opt.value === biasField; });
+        var biasLabel = biasOption ? biasOption.label.toLowerCase() : biasField;
+        return 'Smart Shuffle (favoring ' + biasLabel + ', strength ' + strength + ')';
+    };
+
     // Helper function to format sort display text
-    SmartLists.formatSortDisplay = function (playlist) {
+    SmartLists.formatSortDisplay = function (playlist, userNames) {
         if (!playlist.Order) {
             return 'Default';
         }
 
+        var spacing = SmartLists.formatSpacing(playlist.Order);
+
         // New format: SortOptions array
         if (playlist.Order.SortOptions && playlist.Order.SortOptions.length > 0) {
             return playlist.Order.SortOptions.map(function (opt) {
@@ -412,16 +463,35 @@
                 if (displaySortBy === 'Random' || displaySortBy === 'NoOrder' || displaySortBy === 'No Order') {
                     return displaySortBy === 'NoOrder' ? 'No Order' : displaySortBy;
                 }
+                // Smart Shuffle shows what it favors instead of a direction
+                if (displaySortBy === 'WeightedRandom') {
+                    return SmartLists.formatShuffleBias(opt);
+                }
+                // Sorts on user data name the user they read, e.g. "PlayCount (Alice) Descending"
+                if (opt.UserId) {
+                    var userName = userNames && (userNames[opt.UserId] || userNames[String(opt.UserId).replace(/-/g, '').toLowerCase()]);
+                    return displaySortBy + ' (' + (userName || 'another user') + ') ' + opt.SortOrder;
+                }
                 return displaySortBy + ' ' + opt.SortOrder;
-            }).join(' → ');
+            }).join(' → ') + spacing;
         }
 
         // Legacy format: Order.Name string
         if (playlist.Order.Name) {
-            return playlist.Order.Name;
+            return playlist.Order.Name + spacing;
         }
 
-        return 'Default';
+        return spacing ? 'Default' + spacing : 'Default';
+    };
+
+    // Helper function to format the spacing suffix of a sort, e.g. " · Artist spaced 3 apart" (empty when spacing is off)
+    SmartLists.formatSpacing = function (order) {
+        if (!order || !order.SpacingField || !(order.SpacingDistance > 0)) {
+            return '';
+        }
+        var fieldOption = SmartLists.SPACING_FIELD_OPTIONS.find(function (opt) { return opt.value === order.SpacingField; });
+        var fieldLabel = fieldOption ? fieldOption.label : order.SpacingField;
+        return ' · ' + fieldLabel + ' spaced ' + order.SpacingDistance + ' apart';
     };
 
     SmartLists.formatSingleSchedule = function (schedule) {
@@ -471,6 +541,8 @@
             if (interval === '12:00:00') return 'Every 12 hours';
             if (interval === '24:00:00' || interval === '1.00:00:00') return 'Every 24 hours';
             return 'Every ' + interval;
+        } else if (schedule.Trigger === 'Cron') {
+            return 'Cron: ' + (schedule.CronExpression || '(no expression)');
         }
         return schedule.Trigger || 'Unknown';
     };
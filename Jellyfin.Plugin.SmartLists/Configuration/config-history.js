@@ -0,0 +1,261 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== FORM UNDO / REDO =====
+    // Keeps snapshots of the whole create/edit form (rules and groups, sorts, schedules, media
+    // types, users, limits and options) so edits can be undone with the toolbar buttons or
+    // Ctrl+Z / Ctrl+Shift+Z. A snapshot is taken once the form has been still for a moment, so
+    // typing a name is one step rather than one per key. Text fields keep their own native undo.
+
+    const SETTLE_DELAY_MS = 400;
+    const BASELINE_WINDOW_MS = 1500;
+    const RESTORE_SETTLE_MS = 600;
+    const MAX_ENTRIES = 50;
+
+    function getHistory(page) {
+        if (!page._formHistory) {
+            page._formHistory = {
+                entries: [],
+                index: -1,
+                timer: null,
+                restoring: false,
+                baselineUntil: 0
+            };
+        }
+        return page._formHistory;
+    }
+
+    function getSimilarityFields(page) {
+        const rows = page.querySelectorAll('#rules-container .rule-row');
+        for (let i = 0; i < rows.length; i++) {
+            const fieldSelect = rows[i].querySelector('.rule-field-select');
+            if (fieldSelect && fieldSelect.value === 'SimilarTo') {
+                return SmartLists.getSimilarityComparisonFields(rows[i]);
+            }
+        }
+        return null;
+    }
+
+    // Captures the form in the shape populateListForm reads, as a string so snapshots compare cheaply
+    function captureFormState(page) {
+        const listType = SmartLists.getElementValue(page, '#listType', 'Playlist');
+        const state = {
+            Type: listType,
+            Name: SmartLists.getElementValue(page, '#playlistName'),
+            Public: SmartLists.getElementChecked(page, '#playlistIsPublic', false),
+            Enabled: SmartLists.getElementChecked(page, '#playlistIsEnabled', true),
+            AutoRefresh: SmartLists.getElementValue(page, '#autoRefreshMode', 'Never'),
+            Schedules: SmartLists.collectSchedulesFromForm(page),
+            MaxItems: SmartLists.getElementValue(page, '#playlistMaxItems'),
+            MaxPlayTimeMinutes: SmartLists.getElementValue(page, '#playlistMaxPlayTimeMinutes'),
+            ScoringMode: SmartLists.getElementChecked(page, '#playlistScoringMode', false),
+            MinScore: SmartLists.getElementValue(page, '#playlistMinScore'),
+            MediaTypes: SmartLists.getSelectedMediaTypes(page),
+            ExpressionSets: SmartLists.collectRulesFromForm(page),
+            Order: SmartLists.collectOrderFromForm(page),
+            SimilarityComparisonFields: getSimilarityFields(page)
+        };
+
+        if (listType === 'Collection') {
+            state.UserId = SmartLists.getElementValue(page, '#playlistUser');
+        } else {
+            state.UserPlaylists = (SmartLists.getSelectedUserIds ? SmartLists.getSelectedUserIds(page) : []).map(function (userId) {
+                return { UserId: userId };
+            });
+        }
+
+        return JSON.stringify(state);
+    }
+
+    function updateButtons(page) {
+        const history = getHistory(page);
+        const undoBtn = page.querySelector('.form-undo-btn');
+        const redoBtn = page.querySelector('.form-redo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = history.index <= 0;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = history.index >= history.entries.length - 1;
+        }
+    }
+
+    function recordSnapshot(page) {
+        const history = getHistory(page);
+        if (history.restoring) {
+            return;
+        }
+
+        let snapshot;
+        try {
+            snapshot = captureFormState(page);
+        } catch (err) {
+            console.warn('SmartLists: could not capture the form for undo', err);
+            return;
+        }
+
+        // Loading a list fills the form in several async steps; fold those into the starting point
+        if (history.index < 0 || Date.now() < history.baselineUntil) {
+            history.entries = [snapshot];
+            history.index = 0;
+        } else if (snapshot !== history.entries[history.index]) {
+            history.entries = history.entries.slice(0, history.index + 1);
+            history.entries.push(snapshot);
+            if (history.entries.length > MAX_ENTRIES) {
+                history.entries.shift();
+            }
+            history.index = history.entries.length - 1;
+        }
+        updateButtons(page);
+    }
+
+    function scheduleSnapshot(page) {
+        const history = getHistory(page);
+        if (history.restoring) {
+            return;
+        }
+        clearTimeout(history.timer);
+        history.timer = setTimeout(function () {
+            recordSnapshot(page);
+        }, SETTLE_DELAY_MS);
+    }
+
+    function restoreEntry(page, index) {
+        const history = getHistory(page);
+        if (index < 0 || index >= history.entries.length || history.restoring) {
+            return;
+        }
+
+        clearTimeout(history.timer);
+        history.restoring = true;
+        history.index = index;
+        updateButtons(page);
+
+        try {
+            SmartLists.populateListForm(page, JSON.parse(history.entries[index]));
+        } catch (err) {
+            console.error('Error restoring form state:', err);
+            SmartLists.showNotification('Could not restore the form: ' + err.message);
+        }
+
+        // Users and some rule options are set asynchronously; re-read the form once they are in place
+        // so comparing the next change against this entry does not register a phantom step
+        setTimeout(function () {
+            history.restoring = false;
+            try {
+                history.entries[history.index] = captureFormState(page);
+            } catch (err) {
+                console.warn('SmartLists: could not capture the form for undo', err);
+            }
+            updateButtons(page);
+        }, RESTORE_SETTLE_MS);
+    }
+
+    /**
+     * Undoes the last change to the create/edit form.
+     */
+    SmartLists.undoFormChange = function (page) {
+        const history = getHistory(page);
+        // Take any change still waiting to be recorded first, so it is the one undone
+        if (history.timer && !history.restoring) {
+            clearTimeout(history.timer);
+            history.timer = null;
+            recordSnapshot(page);
+        }
+        restoreEntry(page, history.index - 1);
+    };
+
+    /**
+     * Redoes the last undone change to the create/edit form.
+     */
+    SmartLists.redoFormChange = function (page) {
+        restoreEntry(page, getHistory(page).index + 1);
+    };
+
+    /**
+     * Starts a new history from the current form, e.g. after a list is loaded for editing or saved.
+     */
+    SmartLists.resetFormHistory = function (page) {
+        const history = getHistory(page);
+        history.entries = [];
+        history.index = -1;
+        history.baselineUntil = Date.now() + BASELINE_WINDOW_MS;
+        updateButtons(page);
+        scheduleSnapshot(page);
+    };
+
+    function isTextEditingTarget(target) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        if (target.tagName === 'TEXTAREA' || target.isContentEditable) {
+            return true;
+        }
+        return target.tagName === 'INPUT' && ['text', 'search', 'number', 'url', 'email'].indexOf(target.type) !== -1;
+    }
+
+    /**
+     * Adds the Undo / Redo toolbar to the create/edit form and starts recording changes.
+     */
+    SmartLists.initFormHistory = function (page) {
+        const form = page.querySelector('#playlistForm');
+        if (!form || form.querySelector('.form-history-toolbar')) {
+            return;
+        }
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'form-history-toolbar';
+        toolbar.style.cssText = 'display: flex; justify-content: flex-end; gap: 0.5em; margin-bottom: 0.5em;';
+        toolbar.innerHTML =
+            '<button type="button" is="emby-button" class="emby-button raised form-undo-btn" title="Undo (Ctrl+Z)" aria-label="Undo" disabled>↶ Undo</button>' +
+            '<button type="button" is="emby-button" class="emby-button raised form-redo-btn" title="Redo (Ctrl+Shift+Z)" aria-label="Redo" disabled>↷ Redo</button>';
+        form.insertBefore(toolbar, form.firstChild);
+
+        toolbar.querySelector('.form-undo-btn').addEventListener('click', function () {
+            SmartLists.undoFormChange(page);
+        });
+        toolbar.querySelector('.form-redo-btn').addEventListener('click', function () {
+            SmartLists.redoFormChange(page);
+        });
+
+        form.addEventListener('input', function () {
+            scheduleSnapshot(page);
+        });
+        form.addEventListener('change', function () {
+            scheduleSnapshot(page);
+        });
+
+        // Adding, removing and moving rules, groups, sorts and schedules only shows up as DOM changes
+        if (typeof MutationObserver !== 'undefined') {
+            new MutationObserver(function () {
+                scheduleSnapshot(page);
+            }).observe(form, { childList: true, subtree: true });
+        }
+
+        page.addEventListener('keydown', function (e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            const isUndo = key === 'z' && !e.shiftKey;
+            const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+            if (!isUndo && !isRedo) {
+                return;
+            }
+
+            const createTab = page.querySelector('#create-tab');
+            if (!createTab || createTab.classList.contains('hide') || isTextEditingTarget(e.target)) {
+                return;
+            }
+
+            e.preventDefault();
+            if (isUndo) {
+                SmartLists.undoFormChange(page);
+            } else {
+                SmartLists.redoFormChange(page);
+            }
+        });
+
+        SmartLists.resetFormHistory(page);
+    };
+
+})(window.SmartLists = window.SmartLists || {});
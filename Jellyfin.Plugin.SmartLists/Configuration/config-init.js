@@ -46,6 +46,66 @@
                 SmartLists.reinitializeExistingRules(page);
             }
 
+            // The fields response added the field sorts, so refresh sort boxes created before it arrived
+            SmartLists.updateAllSortOptionsVisibility(page);
+
+            // Add the Builder / Advanced (text query) tabs above the rules
+            SmartLists.initRuleQueryEditor(page);
+
+            // Show a live count of matching items while the list is edited
+            SmartLists.initLivePreview(page, {
+                containerSelector: '#livePreviewContainer',
+                watchSelector: '#playlistForm',
+                rulesSelector: '#rules-container',
+                ignoreSelector: '#playlistName, #playlistIsPublic, #playlistIsEnabled, #autoRefreshMode',
+                endpoint: SmartLists.ENDPOINTS.preview,
+                buildPayload: function (p) {
+                    return SmartLists.buildPlaylistPayload(p, { preview: true });
+                }
+            });
+
+            // Show the first items under the current sort stack, with their sort key values
+            SmartLists.initSortPreview(page, {
+                containerSelector: '#sortPreviewContainer',
+                watchSelector: '#playlistForm',
+                observeSelectors: ['#rules-container', '#sorts-container'],
+                ignoreSelector: '#playlistName, #playlistIsPublic, #playlistIsEnabled, #autoRefreshMode',
+                endpoint: SmartLists.ENDPOINTS.preview,
+                buildPayload: function (p) {
+                    return SmartLists.buildPlaylistPayload(p, { preview: true });
+                }
+            });
+
+            // Describe the list being edited in plain words above the form
+            SmartLists.initListSentence(page, {
+                containerSelector: '#listSentenceContainer',
+                watchSelector: '#playlistForm',
+                rulesSelector: '#playlistForm',
+                buildList: function (p) {
+                    const expressionSets = SmartLists.collectActiveRules(p, '#rules-container', { silent: true });
+                    if (!expressionSets) {
+                        return null;
+                    }
+                    return {
+                        MediaTypes: SmartLists.getSelectedMediaTypes(p),
+                        ExpressionSets: expressionSets,
+                        Order: SmartLists.collectOrderFromForm(p),
+                        MaxItems: SmartLists.getElementValue(p, '#playlistMaxItems'),
+                        MaxPlayTimeMinutes: SmartLists.getElementValue(p, '#playlistMaxPlayTimeMinutes'),
+                        ScoringMode: SmartLists.isScoringMode(p),
+                        MinScore: SmartLists.getElementValue(p, '#playlistMinScore')
+                    };
+                },
+                resolveUserNames: function (list) {
+                    return SmartLists.resolveListUserNames(SmartLists.getApiClient(), list);
+                }
+            });
+
+            // Undo / redo for the create/edit form
+            if (SmartLists.initFormHistory) {
+                SmartLists.initFormHistory(page);
+            }
+
             // Enable form submission
             const editState = SmartLists.getPageEditState(page);
             const submitBtn = page.querySelector('#submitBtn');
@@ -157,6 +217,24 @@
             SmartLists.populateSelectElement(defaultScheduleIntervalElement, SmartLists.generateIntervalOptions('00:15:00')); // Default 15 minutes
         }
 
+        // Quiet hours window and toggle
+        const quietHoursStartElement = page.querySelector('#quietHoursStart');
+        if (quietHoursStartElement) {
+            SmartLists.populateSelectElement(quietHoursStartElement, SmartLists.generateTimeOptions('18:00'));
+        }
+
+        const quietHoursEndElement = page.querySelector('#quietHoursEnd');
+        if (quietHoursEndElement) {
+            SmartLists.populateSelectElement(quietHoursEndElement, SmartLists.generateTimeOptions('23:00'));
+        }
+
+        const quietHoursEnabledElement = page.querySelector('#quietHoursEnabled');
+        if (quietHoursEnabledElement) {
+            quietHoursEnabledElement.addEventListener('change', function () {
+                SmartLists.updateQuietHoursOptions(page);
+            });
+        }
+
         // Populate sort options (legacy format for backward compatibility)
         const SORT_OPTIONS_LEGACY = SmartLists.SORT_OPTIONS.map(function (opt) { return { Value: opt.value, Label: opt.label }; });
         const SORT_ORDER_OPTIONS_LEGACY = SmartLists.SORT_ORDER_OPTIONS.map(function (opt) { return { Value: opt.value, Label: opt.label }; });
@@ -356,6 +434,11 @@
         SmartLists.setElementChecked(page, '#playlistIsPublic', config.DefaultMakePublic || false);
         SmartLists.setElementChecked(page, '#playlistIsEnabled', true); // Default to enabled
 
+        // New lists use boolean rules
+        SmartLists.setElementChecked(page, '#playlistScoringMode', false);
+        SmartLists.setElementValue(page, '#playlistMinScore', '');
+        SmartLists.updateScoringModeUI(page);
+
         // Reinitialize schedule system
         SmartLists.initializeScheduleSystem(page);
 
@@ -388,6 +471,9 @@
         SmartLists.setElementValue(page, '#autoRefreshMode', 'OnLibraryChanges');
         SmartLists.setElementChecked(page, '#playlistIsPublic', false);
         SmartLists.setElementChecked(page, '#playlistIsEnabled', true);
+        SmartLists.setElementChecked(page, '#playlistScoringMode', false);
+        SmartLists.setElementValue(page, '#playlistMinScore', '');
+        SmartLists.updateScoringModeUI(page);
 
         // Reinitialize schedule system with fallback defaults
         SmartLists.initializeScheduleSystem(page);
@@ -572,8 +658,9 @@
                     window.SmartLists.Status.loadStatusPage();
                 });
             } else {
-                // Stop polling when leaving status tab
+                // Stop polling and live updates when leaving status tab
                 window.SmartLists.Status.stopPolling();
+                window.SmartLists.Status.stopLiveUpdates();
                 // Also stop aggressive polling if it's running
                 if (window.SmartLists.Status.stopAggressivePolling) {
                     window.SmartLists.Status.stopAggressivePolling();
@@ -704,6 +791,14 @@
             }, SmartLists.getEventListenerOptions(pageSignal));
         }
 
+        // Setup scoring mode toggle (shows rule weights and the minimum score)
+        const scoringModeCheckbox = page.querySelector('#playlistScoringMode');
+        if (scoringModeCheckbox) {
+            scoringModeCheckbox.addEventListener('change', function () {
+                SmartLists.updateScoringModeUI(page);
+            }, SmartLists.getEventListenerOptions(pageSignal));
+        }
+
         page.addEventListener('click', function (e) {
             const target = e.target;
 
@@ -798,6 +893,17 @@
                     SmartLists.disablePlaylist(page, button.getAttribute('data-playlist-id'), button.getAttribute('data-playlist-name'));
                 }
             }
+            if (target.closest('.explain-item-btn')) {
+                const section = target.closest('.explain-section');
+                if (section && SmartLists.searchItemToExplain) {
+                    SmartLists.searchItemToExplain(section);
+                }
+            }
+            if (target.closest('.explain-search-result')) {
+                if (SmartLists.explainSearchResult) {
+                    SmartLists.explainSearchResult(target.closest('.explain-search-result'));
+                }
+            }
             if (target.closest('#cancelEditBtn')) {
                 if (SmartLists.cancelEdit) {
                     SmartLists.cancelEdit(page);
@@ -857,6 +963,17 @@
             }
         }, SmartLists.getEventListenerOptions(pageSignal));
 
+        // Enter in a card's "Explain an Item" box runs the search
+        page.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' && e.target.classList && e.target.classList.contains('explain-search-input')) {
+                e.preventDefault();
+                const section = e.target.closest('.explain-section');
+                if (section && SmartLists.searchItemToExplain) {
+                    SmartLists.searchItemToExplain(section);
+                }
+            }
+        }, SmartLists.getEventListenerOptions(pageSignal));
+
         const playlistForm = page.querySelector('#playlistForm');
         if (playlistForm) {
             playlistForm.addEventListener('submit', function (e) {
@@ -1073,6 +1190,12 @@
                 processingBatchSizeEl.value = config.ProcessingBatchSize !== undefined && config.ProcessingBatchSize !== null && config.ProcessingBatchSize > 0 ? config.ProcessingBatchSize : 300;
             }
 
+            // Load refresh history retention setting
+            const retentionDaysEl = page.querySelector('#refreshHistoryRetentionDays');
+            if (retentionDaysEl) {
+                retentionDaysEl.value = config.RefreshHistoryRetentionDays > 0 ? config.RefreshHistoryRetentionDays : 30;
+            }
+
             // Load schedule configuration values
             const defaultScheduleTriggerElement = page.querySelector('#defaultScheduleTrigger');
             if (defaultScheduleTriggerElement) {
@@ -1115,6 +1238,34 @@
                 defaultScheduleIntervalElement.value = config.DefaultScheduleInterval;
             }
 
+            const defaultScheduleCronElement = page.querySelector('#defaultScheduleCronExpression');
+            if (defaultScheduleCronElement) {
+                defaultScheduleCronElement.value = config.DefaultScheduleCronExpression || '';
+            }
+
+            // Load quiet hours - TimeSpans arrive as "HH:mm:ss", the selects use "HH:mm"
+            const quietHoursEnabledElement = page.querySelector('#quietHoursEnabled');
+            if (quietHoursEnabledElement) {
+                quietHoursEnabledElement.checked = config.QuietHoursEnabled || false;
+            }
+
+            const quietHoursStartElement = page.querySelector('#quietHoursStart');
+            if (quietHoursStartElement && config.QuietHoursStart) {
+                quietHoursStartElement.value = config.QuietHoursStart.substring(0, 5);
+            }
+
+            const quietHoursEndElement = page.querySelector('#quietHoursEnd');
+            if (quietHoursEndElement && config.QuietHoursEnd) {
+                quietHoursEndElement.value = config.QuietHoursEnd.substring(0, 5);
+            }
+
+            const quietHoursAllowManualElement = page.querySelector('#quietHoursAllowManual');
+            if (quietHoursAllowManualElement) {
+                quietHoursAllowManualElement.checked = config.QuietHoursAllowManual !== false;
+            }
+
+            SmartLists.updateQuietHoursOptions(page);
+
             // Update preview after loading configuration
             SmartLists.updatePlaylistNamePreview(page);
 
@@ -1125,6 +1276,15 @@
         });
     };
 
+    // Show the quiet hours window options only while quiet hours are enabled
+    SmartLists.updateQuietHoursOptions = function (page) {
+        const enabledElement = page.querySelector('#quietHoursEnabled');
+        const optionsElement = page.querySelector('#quietHoursOptions');
+        if (enabledElement && optionsElement) {
+            optionsElement.classList.toggle('hide', !enabledElement.checked);
+        }
+    };
+
     SmartLists.saveConfiguration = function (page) {
         Dashboard.showLoadingMsg();
         const apiClient = SmartLists.getApiClient();
@@ -1223,6 +1383,15 @@
                 config.DefaultScheduleInterval = '00:15:00';
             }
 
+            const defaultScheduleCronValue = page.querySelector('#defaultScheduleCronExpression').value.trim();
+            config.DefaultScheduleCronExpression = defaultScheduleCronValue || '0 3 * * *';
+
+            // Save quiet hours - TimeSpan format "HH:mm:ss"
+            config.QuietHoursEnabled = page.querySelector('#quietHoursEnabled').checked;
+            config.QuietHoursStart = (page.querySelector('#quietHoursStart').value || '18:00') + ':00';
+            config.QuietHoursEnd = (page.querySelector('#quietHoursEnd').value || '23:00') + ':00';
+            config.QuietHoursAllowManual = page.querySelector('#quietHoursAllowManual').checked;
+
             // Allow empty strings for prefix and suffix
             const prefixValue = page.querySelector('#playlistNamePrefix').value;
             const suffixValue = page.querySelector('#playlistNameSuffix').value;
@@ -1238,6 +1407,10 @@
                 config.ProcessingBatchSize = (isNaN(parsedValue) || parsedValue <= 0) ? 300 : parsedValue;
             }
 
+            // Save refresh history retention setting (1-365 days)
+            const retentionDays = parseInt(page.querySelector('#refreshHistoryRetentionDays').value, 10);
+            config.RefreshHistoryRetentionDays = isNaN(retentionDays) || retentionDays <= 0 ? 30 : Math.min(retentionDays, 365);
+
             apiClient.updatePluginConfiguration(SmartLists.getPluginId(), config).then(function () {
                 Dashboard.hideLoadingMsg();
                 SmartLists.showNotification('Configuration saved successfully.', 'success');
@@ -1419,9 +1592,10 @@
             page._mediaTypeAbortController = null;
         }
 
-        // Stop status polling timers
+        // Stop status polling timers and live updates
         if (window.SmartLists && window.SmartLists.Status) {
             window.SmartLists.Status.stopPolling();
+            window.SmartLists.Status.stopLiveUpdates();
             if (window.SmartLists.Status.stopAggressivePolling) {
                 window.SmartLists.Status.stopAggressivePolling();
             }
@@ -0,0 +1,440 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE LINT =====
+    // Checks the rules for mistakes that make a list match nothing (or not what was meant)
+    // before it is saved. Warnings never block saving: they are shown on the offending rule
+    // and the user can choose "Save anyway".
+
+    // Approximate unit lengths in days, only used to compare NewerThan/OlderThan rules with each other
+    const RELATIVE_UNIT_DAYS = { hours: 1 / 24, days: 1, weeks: 7, months: 30, years: 365 };
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function describeExpression(expression) {
+        return SmartLists.serializeRuleQuery ?
+            SmartLists.serializeRuleQuery([{ Expressions: [expression] }]) :
+            expression.MemberName + ' ' + expression.Operator + ' ' + expression.TargetValue;
+    }
+
+    function normalizeId(id) {
+        return String(id || '').replace(/-/g, '').toLowerCase();
+    }
+
+    function isFieldOfType(memberName, typeName) {
+        return SmartLists.FIELD_TYPES[typeName].indexOf(memberName) !== -1;
+    }
+
+    // Returns { low, lowInclusive, high, highInclusive } for a comparison rule, in a unit that is
+    // only comparable between rules with the same key, or null when the rule is not a range.
+    function getRange(expression) {
+        const memberName = expression.MemberName;
+        const operator = expression.Operator;
+        const value = String(expression.TargetValue).trim();
+
+        if (isFieldOfType(memberName, 'NUMERIC_FIELDS')) {
+            const number = parseFloat(value);
+            if (isNaN(number)) {
+                return null;
+            }
+            switch (operator) {
+                case 'Equal': return { key: 'value', low: number, lowInclusive: true, high: number, highInclusive: true };
+                case 'GreaterThan': return { key: 'value', low: number, lowInclusive: false };
+                case 'GreaterThanOrEqual': return { key: 'value', low: number, lowInclusive: true };
+                case 'LessThan': return { key: 'value', high: number, highInclusive: false };
+                case 'LessThanOrEqual': return { key: 'value', high: number, highInclusive: true };
+                default: return null;
+            }
+        }
+
+        if (isFieldOfType(memberName, 'DATE_FIELDS')) {
+            if (SmartLists.RELATIVE_DATE_OPERATORS.indexOf(operator) !== -1) {
+                const parts = value.split(':');
+                const amount = parseFloat(parts[0]);
+                const unitDays = RELATIVE_UNIT_DAYS[parts[1]];
+                if (isNaN(amount) || !unitDays) {
+                    return null;
+                }
+                // Measured as "days from now", so NewerThan 7 days is everything after -7
+                const offset = -amount * unitDays;
+                return operator === 'NewerThan' ?
+                    { key: 'relative', low: offset, lowInclusive: false } :
+                    { key: 'relative', high: offset, highInclusive: false };
+            }
+
+            const time = Date.parse(value);
+            if (isNaN(time)) {
+                return null;
+            }
+            switch (operator) {
+                case 'Equal': return { key: 'absolute', low: time, lowInclusive: true, high: time + DAY_MS, highInclusive: false };
+                case 'After': return { key: 'absolute', low: time + DAY_MS, lowInclusive: true };
+                case 'Before': return { key: 'absolute', high: time, highInclusive: false };
+                default: return null;
+            }
+        }
+
+        return null;
+    }
+
+    function isEmptyRange(low, lowInclusive, high, highInclusive) {
+        return low > high || (low === high && !(lowInclusive && highInclusive));
+    }
+
+    // Rules in an AND group that can never all be true: impossible ranges and conflicting exact values
+    function findContradictions(expressionSet, path, warnings) {
+        if (expressionSet.Logic === 'Or') {
+            return;
+        }
+
+        const ranges = {};
+        const exactValues = {};
+
+        (expressionSet.Expressions || []).forEach(function (expression, index) {
+            // Rules comparing two fields have no fixed value to check against other rules
+            if (!expression || expression.CompareField) {
+                return;
+            }
+            const fieldKey = expression.MemberName + '|' + normalizeId(expression.UserId);
+            const range = getRange(expression);
+
+            if (range) {
+                const key = fieldKey + '|' + range.key;
+                const bounds = ranges[key] || (ranges[key] = {});
+                if (range.low !== undefined && (bounds.low === undefined || range.low > bounds.low || (range.low === bounds.low && !range.lowInclusive))) {
+                    bounds.low = range.low;
+                    bounds.lowInclusive = range.lowInclusive;
+                    bounds.lowSource = expression;
+                }
+                if (range.high !== undefined && (bounds.high === undefined || range.high < bounds.high || (range.high === bounds.high && !range.highInclusive))) {
+                    bounds.high = range.high;
+                    bounds.highInclusive = range.highInclusive;
+                    bounds.highSource = expression;
+                }
+
+                if (!bounds.reported && bounds.low !== undefined && bounds.high !== undefined &&
+                    isEmptyRange(bounds.low, bounds.lowInclusive, bounds.high, bounds.highInclusive)) {
+                    bounds.reported = true;
+                    const other = bounds.lowSource === expression ? bounds.highSource : bounds.lowSource;
+                    warnings.push({
+                        path: path,
+                        expression: index,
+                        message: 'Can never match together with "' + describeExpression(other) + '": no value is in both ranges.'
+                    });
+                }
+                return;
+            }
+
+            // List fields can hold several values, so two different Equal rules can both be true
+            if (isFieldOfType(expression.MemberName, 'LIST_FIELDS') || isFieldOfType(expression.MemberName, 'NUMERIC_FIELDS') ||
+                isFieldOfType(expression.MemberName, 'DATE_FIELDS') || (expression.Operator !== 'Equal' && expression.Operator !== 'NotEqual')) {
+                return;
+            }
+
+            const value = String(expression.TargetValue).trim().toLowerCase();
+            const known = exactValues[fieldKey] || (exactValues[fieldKey] = { equal: null, notEqual: [] });
+            let conflict = null;
+            if (expression.Operator === 'Equal') {
+                if (known.equal && known.equal.value !== value) {
+                    conflict = known.equal.source;
+                } else {
+                    conflict = known.notEqual.filter(function (entry) {
+                        return entry.value === value;
+                    }).map(function (entry) {
+                        return entry.source;
+                    })[0] || null;
+                }
+                known.equal = known.equal || { value: value, source: expression };
+            } else {
+                if (known.equal && known.equal.value === value) {
+                    conflict = known.equal.source;
+                }
+                known.notEqual.push({ value: value, source: expression });
+            }
+
+            if (conflict) {
+                warnings.push({
+                    path: path,
+                    expression: index,
+                    message: 'Can never match together with "' + describeExpression(conflict) + '".'
+                });
+            }
+        });
+    }
+
+    function expressionSignature(expression) {
+        return Object.keys(expression).sort().map(function (key) {
+            let value = expression[key];
+            if (key === 'TargetValue') {
+                value = String(value).trim().toLowerCase();
+            } else if (key === 'UserId' || key === 'CompareUserId') {
+                value = normalizeId(value);
+            }
+            return key + '=' + value;
+        }).join('|');
+    }
+
+    function findDuplicates(expressionSet, path, warnings) {
+        const seen = {};
+        (expressionSet.Expressions || []).forEach(function (expression, index) {
+            if (!expression) {
+                return;
+            }
+            const signature = expressionSignature(expression);
+            if (seen[signature]) {
+                warnings.push({ path: path, expression: index, message: 'Duplicate of another rule in this group.' });
+            } else {
+                seen[signature] = true;
+            }
+        });
+    }
+
+    // Strips .NET-only constructs that JavaScript does not understand, so the rest can be
+    // checked with the browser's engine. Returns null if the pattern uses syntax .NET rejects.
+    function toJavaScriptPattern(pattern) {
+        // Possessive quantifiers are not supported by .NET
+        const unescaped = pattern.replace(/\\./g, '').replace(/\[[^\]]*\]/g, 'x');
+        if (/[*+?}]\+/.test(unescaped)) {
+            return null;
+        }
+
+        return pattern
+            .replace(/\\[AGZz]/g, '')
+            .replace(/\(\?[imnsx]*(?:-[imnsx]+)?\)/g, '')
+            .replace(/\(\?[imnsx]*(?:-[imnsx]+)?:/g, '(?:')
+            .replace(/\(\?>/g, '(?:')
+            .replace(/\(\?'([A-Za-z_][A-Za-z0-9_]*)'/g, '(?<$1>');
+    }
+
+    function getRegexError(pattern) {
+        if (!pattern) {
+            return 'The regular expression is empty.';
+        }
+        if (pattern.length > 1000) {
+            return 'The regular expression is longer than 1000 characters.';
+        }
+
+        const jsPattern = toJavaScriptPattern(pattern);
+        if (jsPattern === null) {
+            return 'Possessive quantifiers (such as a++) are not supported by .NET regular expressions.';
+        }
+
+        try {
+            // Unicode categories such as \p{L} need the u flag in JavaScript but are plain .NET syntax
+            new RegExp(jsPattern, /\\[pP]\{/.test(jsPattern) ? 'u' : '');
+            return null;
+        } catch (err) {
+            return 'The regular expression does not compile: ' + err.message;
+        }
+    }
+
+    function lintExpressionSet(expressionSet, path, context, warnings) {
+        const expressions = expressionSet.Expressions || [];
+        const groups = expressionSet.Groups || [];
+
+        if (SmartLists.getAllExpressions([expressionSet]).length === 0) {
+            warnings.push({ path: path, message: 'This group has no complete rules and is ignored when saving.' });
+            return;
+        }
+
+        findContradictions(expressionSet, path, warnings);
+        findDuplicates(expressionSet, path, warnings);
+
+        expressions.forEach(function (expression, index) {
+            if (!expression) {
+                return;
+            }
+
+            if (expression.Operator === 'MatchRegex') {
+                const regexError = getRegexError(expression.TargetValue);
+                if (regexError) {
+                    warnings.push({ path: path, expression: index, message: regexError });
+                }
+            }
+
+            if (expression.UserId && isFieldOfType(expression.MemberName, 'USER_DATA_FIELDS') && context.userIds.length > 0 &&
+                context.userIds.indexOf(normalizeId(expression.UserId)) === -1) {
+                warnings.push({ path: path, expression: index, message: 'Checks the playback data of a user who is not one of this list\'s users.' });
+            }
+
+            if (expression.CompareUserId && isFieldOfType(expression.CompareField, 'USER_DATA_FIELDS') && context.userIds.length > 0 &&
+                context.userIds.indexOf(normalizeId(expression.CompareUserId)) === -1) {
+                warnings.push({ path: path, expression: index, message: 'Compares with the playback data of a user who is not one of this list\'s users.' });
+            }
+
+            if (expression.MemberName === 'SimilarTo' && !context.hasSimilaritySort) {
+                warnings.push({ path: path, expression: index, message: 'Similar To works with a "Similarity" sort; without it the most similar items are not listed first or kept by the limits.' });
+            }
+        });
+
+        groups.forEach(function (group, index) {
+            if (group) {
+                lintExpressionSet(group, path.concat(index), context, warnings);
+            }
+        });
+    }
+
+    /**
+     * Checks a list's rules and returns warnings as { path, expression, message }. path holds the
+     * index of the top-level expression set followed by the indexes of nested groups; expression is
+     * the index of the rule within that group, or undefined for warnings about the group itself.
+     * context: { userIds: [], sortOptions: [] }.
+     */
+    SmartLists.lintRules = function (expressionSets, context) {
+        const lintContext = {
+            userIds: ((context && context.userIds) || []).map(normalizeId),
+            hasSimilaritySort: ((context && context.sortOptions) || []).some(function (sortOption) {
+                return sortOption && sortOption.SortBy === 'Similarity';
+            })
+        };
+
+        const warnings = [];
+        (expressionSets || []).forEach(function (expressionSet, index) {
+            if (expressionSet) {
+                lintExpressionSet(expressionSet, [index], lintContext, warnings);
+            }
+        });
+        return warnings;
+    };
+
+    // ===== DISPLAY =====
+
+    function resolveWarningElement(ruleElements, warning) {
+        let node = ruleElements.sets[warning.path[0]];
+        for (let i = 1; node && i < warning.path.length; i++) {
+            node = node.groups[warning.path[i]];
+        }
+        if (!node) {
+            return null;
+        }
+        if (warning.expression === undefined) {
+            return node.element.querySelector(':scope > .logic-group-header') || node.element;
+        }
+        return node.expressions[warning.expression] || null;
+    }
+
+    function createWarningElement(message) {
+        const warningDiv = document.createElement('div');
+        warningDiv.className = 'rule-lint-warning';
+        warningDiv.setAttribute('role', 'alert');
+        warningDiv.style.cssText = 'flex-basis: 100%; width: 100%; box-sizing: border-box; margin: 0.4em 0 0 0; padding: 0.3em 0.6em; border-left: 3px solid #ff9800; background: rgba(255,152,0,0.1); color: #ffb74d; font-size: 0.9em;';
+        warningDiv.textContent = '⚠ ' + message;
+        return warningDiv;
+    }
+
+    /**
+     * Lints the rules of a list payload built from the form (see buildPlaylistPayload). In builder
+     * mode each warning gets the element it refers to, and groups without complete rules, which are
+     * dropped from the payload, are reported as well.
+     */
+    SmartLists.lintPlaylistForm = function (page, playlistDto) {
+        const userIds = playlistDto.UserPlaylists ?
+            playlistDto.UserPlaylists.map(function (userPlaylist) {
+                return userPlaylist.UserId;
+            }) :
+            [playlistDto.UserId];
+
+        const warnings = SmartLists.lintRules(playlistDto.ExpressionSets, {
+            userIds: userIds.filter(Boolean),
+            sortOptions: playlistDto.Order ? playlistDto.Order.SortOptions : []
+        });
+
+        if (SmartLists.isRuleQueryModeActive && SmartLists.isRuleQueryModeActive(page)) {
+            return warnings;
+        }
+
+        const ruleElements = SmartLists.mapRuleElements(page);
+        warnings.forEach(function (warning) {
+            warning.element = resolveWarningElement(ruleElements, warning);
+        });
+
+        // A single blank group just means "no rules", so only flag empty groups next to real rules
+        if (ruleElements.sets.length > 0) {
+            ruleElements.emptyGroups.forEach(function (logicGroup) {
+                warnings.push({
+                    element: logicGroup.querySelector(':scope > .logic-group-header') || logicGroup,
+                    message: 'This group has no complete rules and is ignored when saving.'
+                });
+            });
+        }
+
+        return warnings;
+    };
+
+    /**
+     * Removes all lint warnings from the form.
+     */
+    SmartLists.clearRuleLint = function (page) {
+        page.querySelectorAll('.rule-lint-warning').forEach(function (warning) {
+            warning.remove();
+        });
+        const summary = page.querySelector('#ruleLintSummary');
+        if (summary) {
+            summary.innerHTML = '';
+            summary.style.display = 'none';
+        }
+    };
+
+    /**
+     * Shows warnings from lintPlaylistForm inline on their rule rows and groups, plus a summary
+     * with a "Save anyway" button next to the submit button. onSaveAnyway is called when it is clicked.
+     */
+    SmartLists.showRuleLint = function (page, warnings, onSaveAnyway) {
+        SmartLists.clearRuleLint(page);
+
+        const unplaced = [];
+        warnings.forEach(function (warning) {
+            if (warning.element) {
+                warning.element.appendChild(createWarningElement(warning.message));
+            } else {
+                unplaced.push(warning.message);
+            }
+        });
+
+        // Editing a rule makes its warning stale; it is checked again on the next save
+        if (!page._ruleLintEditListener) {
+            page._ruleLintEditListener = function (e) {
+                const ruleRow = e.target.closest ? e.target.closest('.rule-row') : null;
+                if (ruleRow) {
+                    ruleRow.querySelectorAll('.rule-lint-warning').forEach(function (warning) {
+                        warning.remove();
+                    });
+                }
+            };
+            page.addEventListener('change', page._ruleLintEditListener);
+            page.addEventListener('input', page._ruleLintEditListener);
+        }
+
+        const summary = page.querySelector('#ruleLintSummary');
+        if (!summary) {
+            return;
+        }
+
+        let html = '<div style="font-weight: 500; color: #ffb74d;">⚠ ' + warnings.length + (warnings.length === 1 ? ' possible problem' : ' possible problems') + ' with the rules</div>';
+        if (unplaced.length > 0) {
+            html += '<ul style="margin: 0.4em 0; padding-left: 1.5em;">' + unplaced.map(function (message) {
+                return '<li>' + SmartLists.escapeHtml(message) + '</li>';
+            }).join('') + '</ul>';
+        }
+        if (unplaced.length < warnings.length) {
+            html += '<div class="fieldDescription">See the highlighted rules above.</div>';
+        }
+        html += '<div style="margin-top: 0.5em; display: flex; gap: 0.5em;">' +
+            '<button type="button" is="emby-button" class="emby-button raised rule-lint-save-anyway" style="margin: 0;">Save anyway</button>' +
+            '<button type="button" is="emby-button" class="emby-button raised rule-lint-dismiss" style="margin: 0;">Keep editing</button>' +
+            '</div>';
+
+        summary.innerHTML = html;
+        summary.style.display = 'block';
+
+        summary.querySelector('.rule-lint-save-anyway').addEventListener('click', function () {
+            SmartLists.clearRuleLint(page);
+            onSaveAnyway();
+        });
+        summary.querySelector('.rule-lint-dismiss').addEventListener('click', function () {
+            summary.style.display = 'none';
+        });
+
+        summary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -113,142 +113,218 @@
         });
     };
 
+    /**
+     * Resolves the names of the users checked by a list's rules and sorts, for SmartLists.generateListSentence.
+     */
+    SmartLists.resolveListUserNames = function (apiClient, list) {
+        const userIds = SmartLists.getSentenceUserIds(list);
+        return Promise.all(userIds.map(function (userId) {
+            return SmartLists.resolveUserIdToName(apiClient, userId);
+        })).then(function (names) {
+            const userNames = {};
+            userIds.forEach(function (userId, index) {
+                userNames[normalizeUserId(userId)] = names[index];
+            });
+            return userNames;
+        });
+    };
+
+    // Names already looked up while rendering the rules, so the card sentence does not wait for them
+    function getCachedUserNames(list) {
+        const userNames = {};
+        SmartLists.getSentenceUserIds(list).forEach(function (userId) {
+            const normalizedId = normalizeUserId(userId);
+            if (userNameCache.has(normalizedId)) {
+                userNames[normalizedId] = userNameCache.get(normalizedId);
+            }
+        });
+        return userNames;
+    }
+
     // ===== PLAYLIST CRUD OPERATIONS =====
-    SmartLists.createPlaylist = function (page) {
-        // Get edit state to determine if we're creating or updating
+
+    /**
+     * Builds the list DTO from the editor form.
+     * Returns { dto, error }. A null dto with a null error means the problem was already reported
+     * (invalid text query). With options.preview the name is optional and nothing is notified,
+     * so the result can be sent to the preview endpoint while the list is still being edited.
+     */
+    SmartLists.buildPlaylistPayload = function (page, options) {
+        const isPreview = !!(options && options.preview);
         const editState = SmartLists.getPageEditState(page);
+        const playlistName = SmartLists.getElementValue(page, '#playlistName');
 
-        // Only scroll to top when creating new playlist (not when updating existing)
-        if (!editState.editMode) {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        }
+        // Get list type to provide appropriate error messages
+        const listType = SmartLists.getElementValue(page, '#listType', 'Playlist');
+        const isCollection = listType === 'Collection';
+        const listTypeName = isCollection ? 'Collection' : 'Playlist';
 
-        try {
-            const apiClient = SmartLists.getApiClient();
-            const playlistName = SmartLists.getElementValue(page, '#playlistName');
+        if (!playlistName && !isPreview) {
+            return { dto: null, error: listTypeName + ' name is required.' };
+        }
 
-            // Get list type to provide appropriate error messages
-            const listType = SmartLists.getElementValue(page, '#listType', 'Playlist');
-            const isCollection = listType === 'Collection';
-            const listTypeName = isCollection ? 'Collection' : 'Playlist';
+        // Get selected media types early to gate series-only flags
+        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
+        if (selectedMediaTypes.length === 0) {
+            return { dto: null, error: 'At least one media type must be selected.' };
+        }
 
-            if (!playlistName) {
-                SmartLists.showNotification(listTypeName + ' name is required.');
-                return;
-            }
+        // Collect rules from the active editor (builder or text query)
+        const expressionSets = SmartLists.collectActiveRules(page, undefined, { silent: isPreview });
+        if (!expressionSets) {
+            return { dto: null, error: isPreview ? 'Rule query is invalid.' : null };
+        }
 
-            // Get selected media types early to gate series-only flags
-            const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
-            if (selectedMediaTypes.length === 0) {
-                SmartLists.showNotification('At least one media type must be selected.');
-                return;
-            }
+        // Collect sorting options from the new sort boxes, plus spacing
+        const order = SmartLists.collectOrderFromForm(page);
+
+        const isPublic = SmartLists.getElementChecked(page, '#playlistIsPublic', false);
+        const isEnabled = SmartLists.getElementChecked(page, '#playlistIsEnabled', true); // Default to true
+        const autoRefreshMode = SmartLists.getElementValue(page, '#autoRefreshMode', 'Never');
+
+        // Collect schedules from the new schedule boxes
+        const schedules = SmartLists.collectSchedulesFromForm(page);
+        // Handle maxItems with validation using helper function
+        // Empty string means no limit (0), consistent with UI text "Set to 0 for no limit"
+        const maxItemsInput = SmartLists.getElementValue(page, '#playlistMaxItems');
+        let maxItems;
+        if (maxItemsInput === '') {
+            maxItems = 0; // Empty = no limit
+        } else {
+            const parsedValue = parseInt(maxItemsInput, 10);
+            maxItems = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+        }
 
-            // Collect rules from form using helper function
-            const expressionSets = SmartLists.collectRulesFromForm(page);
+        // Handle maxPlayTimeMinutes with helper function
+        const maxPlayTimeMinutesInput = SmartLists.getElementValue(page, '#playlistMaxPlayTimeMinutes');
+        let maxPlayTimeMinutes;
+        if (maxPlayTimeMinutesInput === '') {
+            maxPlayTimeMinutes = 0;
+        } else {
+            const parsedValue = parseInt(maxPlayTimeMinutesInput, 10);
+            maxPlayTimeMinutes = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+        }
 
-            // Collect sorting options from the new sort boxes
-            const sortOptions = SmartLists.collectSortsFromForm(page);
+        // Scoring mode: an empty minimum score means any score above zero
+        const scoringMode = SmartLists.getElementChecked(page, '#playlistScoringMode', false);
+        const minScoreInput = SmartLists.getElementValue(page, '#playlistMinScore');
+        const parsedMinScore = parseFloat(minScoreInput);
+        const minScore = scoringMode && minScoreInput !== '' && !isNaN(parsedMinScore) ? parsedMinScore : null;
+
+        // Get selected user ID(s) - collections use single select, playlists use multi-select
+        let userIds;
+        if (isCollection) {
+            // Collections: single user
+            const userId = SmartLists.getElementValue(page, '#playlistUser');
+            userIds = userId ? [userId] : [];
+        } else {
+            // Playlists: potentially multiple users
+            userIds = SmartLists.getSelectedUserIds ? SmartLists.getSelectedUserIds(page) : [];
+        }
 
-            const isPublic = SmartLists.getElementChecked(page, '#playlistIsPublic', false);
-            const isEnabled = SmartLists.getElementChecked(page, '#playlistIsEnabled', true); // Default to true
-            const autoRefreshMode = SmartLists.getElementValue(page, '#autoRefreshMode', 'Never');
+        if (!userIds || userIds.length === 0) {
+            return { dto: null, error: 'Please select at least one ' + (isCollection ? 'collection user' : 'playlist user') + '.' };
+        }
 
-            // Collect schedules from the new schedule boxes
-            const schedules = SmartLists.collectSchedulesFromForm(page);
-            // Handle maxItems with validation using helper function
-            // Empty string means no limit (0), consistent with UI text "Set to 0 for no limit"
-            const maxItemsInput = SmartLists.getElementValue(page, '#playlistMaxItems');
-            let maxItems;
-            if (maxItemsInput === '') {
-                maxItems = 0; // Empty = no limit
-            } else {
-                const parsedValue = parseInt(maxItemsInput, 10);
-                maxItems = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
+        // Collections are server-wide and don't have library assignments
+
+        // Collect similarity comparison fields from SimilarTo rules
+        let similarityComparisonFields = null;
+        const allRules = page.querySelectorAll('.rule-row');
+        for (var i = 0; i < allRules.length; i++) {
+            const ruleRow = allRules[i];
+            const fieldSelect = ruleRow.querySelector('.rule-field-select');
+            if (fieldSelect && fieldSelect.value === 'SimilarTo') {
+                const fields = SmartLists.getSimilarityComparisonFields(ruleRow);
+                if (fields && fields.length > 0) {
+                    similarityComparisonFields = fields;
+                    break; // Use the first SimilarTo rule's settings for the entire playlist
+                }
             }
+        }
 
-            // Handle maxPlayTimeMinutes with helper function
-            const maxPlayTimeMinutesInput = SmartLists.getElementValue(page, '#playlistMaxPlayTimeMinutes');
-            let maxPlayTimeMinutes;
-            if (maxPlayTimeMinutesInput === '') {
-                maxPlayTimeMinutes = 0;
-            } else {
-                const parsedValue = parseInt(maxPlayTimeMinutesInput, 10);
-                maxPlayTimeMinutes = (isNaN(parsedValue) || parsedValue < 0) ? 0 : parsedValue;
-            }
+        const playlistDto = {
+            Type: listType,
+            Name: playlistName || '',
+            ExpressionSets: expressionSets,
+            Order: order,
+            Enabled: isEnabled,
+            MediaTypes: selectedMediaTypes,
+            MaxItems: maxItems,
+            MaxPlayTimeMinutes: maxPlayTimeMinutes,
+            ScoringMode: scoringMode,
+            MinScore: minScore,
+            AutoRefresh: autoRefreshMode,
+            Schedules: schedules.length > 0 ? schedules : []
+        };
 
-            // Get selected user ID(s) - collections use single select, playlists use multi-select
-            let userIds;
-            if (isCollection) {
-                // Collections: single user
-                const userId = SmartLists.getElementValue(page, '#playlistUser');
-                userIds = userId ? [userId] : [];
-            } else {
-                // Playlists: potentially multiple users
-                userIds = SmartLists.getSelectedUserIds ? SmartLists.getSelectedUserIds(page) : [];
-            }
+        // Add type-specific fields
+        if (isCollection) {
+            // Collections: single UserId
+            playlistDto.UserId = userIds[0];
+            // Collections are server-wide, no library assignment needed
+        } else {
+            // Playlists: send UserPlaylists array structure
+            playlistDto.UserPlaylists = userIds.map(function (userId) {
+                return {
+                    UserId: userId,
+                    JellyfinPlaylistId: null  // Backend will populate on creation
+                };
+            });
+            // Only set Public for single-user playlists (multi-user playlists are always private)
+            playlistDto.Public = userIds.length === 1 ? isPublic : false;
+        }
 
-            if (!userIds || userIds.length === 0) {
-                SmartLists.showNotification('Please select at least one ' + (isCollection ? 'collection user' : 'playlist user') + '.');
-                return;
-            }
+        // Add similarity comparison fields if specified
+        if (similarityComparisonFields) {
+            playlistDto.SimilarityComparisonFields = similarityComparisonFields;
+        }
 
-            // Collections are server-wide and don't have library assignments
-
-            // Collect similarity comparison fields from SimilarTo rules
-            let similarityComparisonFields = null;
-            const allRules = page.querySelectorAll('.rule-row');
-            for (var i = 0; i < allRules.length; i++) {
-                const ruleRow = allRules[i];
-                const fieldSelect = ruleRow.querySelector('.rule-field-select');
-                if (fieldSelect && fieldSelect.value === 'SimilarTo') {
-                    const fields = SmartLists.getSimilarityComparisonFields(ruleRow);
-                    if (fields && fields.length > 0) {
-                        similarityComparisonFields = fields;
-                        break; // Use the first SimilarTo rule's settings for the entire playlist
-                    }
-                }
-            }
+        // Add ID if in edit mode
+        if (editState.editMode && editState.editingPlaylistId) {
+            playlistDto.Id = editState.editingPlaylistId;
+        }
 
-            const playlistDto = {
-                Type: listType,
-                Name: playlistName,
-                ExpressionSets: expressionSets,
-                Order: { SortOptions: sortOptions },
-                Enabled: isEnabled,
-                MediaTypes: selectedMediaTypes,
-                MaxItems: maxItems,
-                MaxPlayTimeMinutes: maxPlayTimeMinutes,
-                AutoRefresh: autoRefreshMode,
-                Schedules: schedules.length > 0 ? schedules : []
-            };
-
-            // Add type-specific fields
-            if (isCollection) {
-                // Collections: single UserId
-                playlistDto.UserId = userIds[0];
-                // Collections are server-wide, no library assignment needed
-            } else {
-                // Playlists: send UserPlaylists array structure
-                playlistDto.UserPlaylists = userIds.map(function (userId) {
-                    return {
-                        UserId: userId,
-                        JellyfinPlaylistId: null  // Backend will populate on creation
-                    };
-                });
-                // Only set Public for single-user playlists (multi-user playlists are always private)
-                playlistDto.Public = userIds.length === 1 ? isPublic : false;
-            }
+        return { dto: playlistDto, error: null };
+    };
+
+    /**
+     * Saves the list in the form. Unless options.skipLint is set, the rules are linted first and
+     * any warnings are shown with a "Save anyway" option instead of saving.
+     */
+    SmartLists.createPlaylist = function (page, options) {
+        // Get edit state to determine if we're creating or updating
+        const editState = SmartLists.getPageEditState(page);
+
+        // Only scroll to top when creating new playlist (not when updating existing)
+        if (!editState.editMode) {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+
+        try {
+            const apiClient = SmartLists.getApiClient();
+            const playlistName = SmartLists.getElementValue(page, '#playlistName');
+            const listTypeName = SmartLists.getElementValue(page, '#listType', 'Playlist') === 'Collection' ? 'Collection' : 'Playlist';
 
-            // Add similarity comparison fields if specified
-            if (similarityComparisonFields) {
-                playlistDto.SimilarityComparisonFields = similarityComparisonFields;
+            const payload = SmartLists.buildPlaylistPayload(page);
+            if (!payload.dto) {
+                if (payload.error) {
+                    SmartLists.showNotification(payload.error);
+                }
+                return;
             }
+            const playlistDto = payload.dto;
 
-            // Add ID if in edit mode (reuse editState from top of function)
-            if (editState.editMode && editState.editingPlaylistId) {
-                playlistDto.Id = editState.editingPlaylistId;
+            if (!(options && options.skipLint)) {
+                const warnings = SmartLists.lintPlaylistForm(page, playlistDto);
+                if (warnings.length > 0) {
+                    SmartLists.showRuleLint(page, warnings, function () {
+                        SmartLists.createPlaylist(page, { skipLint: true });
+                    });
+                    return;
+                }
             }
+            SmartLists.clearRuleLint(page);
 
             const requestType = editState.editMode ? 'PUT' : 'POST';
             const url = editState.editMode ?
@@ -293,7 +369,7 @@
                 SmartLists.showNotification(message, 'success');
 
                 // Then show notification that refresh has started (refresh happens automatically on backend)
-                SmartLists.notifyRefreshQueued(listTypeName, playlistName);
+                SmartLists.notifyRefreshQueued(listTypeName, playlistName, editingPlaylistId);
 
                 // Exit edit mode and redirect after successful API call
                 if (editState.editMode) {
@@ -322,6 +398,9 @@
 
                 // Clear form after successful creation/update
                 SmartLists.clearForm(page);
+                if (SmartLists.resetFormHistory) {
+                    SmartLists.resetFormHistory(page);
+                }
 
                 // Reload list to show updated state
                 if (SmartLists.loadPlaylistList) {
@@ -355,6 +434,8 @@
 
         SmartLists.setElementValue(page, '#playlistName', '');
 
+        SmartLists.clearRuleLint(page);
+
         // Clean up all existing event listeners before clearing rules
         const rulesContainer = page.querySelector('#rules-container');
         if (rulesContainer) {
@@ -365,6 +446,7 @@
 
             rulesContainer.innerHTML = '';
         }
+        SmartLists.resetRuleEditorMode(page);
 
         // Clear media type selections
         SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
@@ -388,6 +470,144 @@
         SmartLists.updateRuleButtonVisibility(page);
     };
 
+    /**
+     * Fills the create/edit form with a list: type, name, options, schedules, limits, media types,
+     * users, rules and sorts. Does not change the edit state or the active tab.
+     */
+    SmartLists.populateListForm = function (page, playlist) {
+        // Determine list type
+        const listType = playlist.Type || 'Playlist';
+        const isCollection = listType === 'Collection';
+
+        // Extract userIds BEFORE calling handleListTypeChange (which triggers loadUsers)
+        // This ensures pendingUserIds is set before loadUsers checks for it
+        let userIds = [];
+        if (!isCollection) {
+            // Playlists can have multiple users
+            if (playlist.UserPlaylists && playlist.UserPlaylists.length > 0) {
+                userIds = playlist.UserPlaylists.map(function (up) { return up.UserId; });
+            } else if (playlist.UserId) {
+                userIds = [String(playlist.UserId)];
+            }
+            // Store userIds to set after users are loaded (loadUsers is async)
+            page._pendingUserIds = userIds;
+        }
+
+        // Set list type
+        SmartLists.setElementValue(page, '#listType', listType);
+
+        // Trigger type change handler to show/hide fields
+        SmartLists.handleListTypeChange(page);
+
+        // Populate form with playlist data using helper functions
+        SmartLists.setElementValue(page, '#playlistName', playlist.Name || '');
+
+        // Only set public for playlists
+        if (!isCollection) {
+            SmartLists.setElementChecked(page, '#playlistIsPublic', playlist.Public || false);
+        }
+
+        SmartLists.setElementChecked(page, '#playlistIsEnabled', playlist.Enabled !== false); // Default to true for backward compatibility
+
+        // Handle AutoRefresh with backward compatibility
+        const autoRefreshValue = playlist.AutoRefresh !== undefined ? playlist.AutoRefresh : 'Never';
+        const autoRefreshElement = page.querySelector('#autoRefreshMode');
+        if (autoRefreshElement) {
+            autoRefreshElement.value = autoRefreshValue;
+        }
+
+        // Handle schedule settings with backward compatibility
+        SmartLists.loadSchedulesIntoUI(page, playlist);
+
+        // Handle MaxItems with backward compatibility for existing playlists
+        // Default to 0 (unlimited) for old playlists that didn't have this setting
+        const maxItemsValue = (playlist.MaxItems !== undefined && playlist.MaxItems !== null) ? playlist.MaxItems : 0;
+        const maxItemsElement = page.querySelector('#playlistMaxItems');
+        if (maxItemsElement) {
+            maxItemsElement.value = maxItemsValue;
+        } else {
+            console.warn('Max Items element not found when trying to populate edit form');
+        }
+
+        // Handle MaxPlayTimeMinutes with backward compatibility for existing playlists
+        // Default to 0 (unlimited) for old playlists that didn't have this setting
+        const maxPlayTimeMinutesValue = (playlist.MaxPlayTimeMinutes !== undefined && playlist.MaxPlayTimeMinutes !== null) ? playlist.MaxPlayTimeMinutes : 0;
+        const maxPlayTimeMinutesElement = page.querySelector('#playlistMaxPlayTimeMinutes');
+        if (maxPlayTimeMinutesElement) {
+            maxPlayTimeMinutesElement.value = maxPlayTimeMinutesValue;
+        } else {
+            console.warn('Max Playtime Minutes element not found when trying to populate edit form');
+        }
+
+        // Scoring mode (lists created before it existed use boolean rules)
+        SmartLists.setElementChecked(page, '#playlistScoringMode', playlist.ScoringMode === true);
+        SmartLists.setElementValue(page, '#playlistMinScore', playlist.MinScore !== undefined && playlist.MinScore !== null ? playlist.MinScore : '');
+
+        // Set media types
+        // Set flag to skip change event handlers while we programmatically set checkbox states
+        page._skipMediaTypeChangeHandlers = true;
+
+        if (playlist.MediaTypes && playlist.MediaTypes.length > 0) {
+            SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', playlist.MediaTypes, 'media-type-multi-select-checkbox', 'Select media types...');
+        } else {
+            SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
+        }
+
+        // Clear flag to re-enable change event handlers
+        page._skipMediaTypeChangeHandlers = false;
+
+        // Set the list owner (for both playlists and collections)
+        if (isCollection) {
+            // Collections always have single user
+            const userIdString = playlist.UserId ? String(playlist.UserId) : null;
+            if (userIdString) {
+                SmartLists.setUserIdValueWithRetry(page, userIdString);
+            }
+        } else {
+            // Playlists can have multiple users
+            // userIds were already extracted and stored in page._pendingUserIds above
+            // Try to set immediately if users are already loaded, otherwise wait for loadUsers
+            const checkboxes = page.querySelectorAll('#userMultiSelectOptions .user-multi-select-checkbox');
+            if (checkboxes.length > 0 && page._pendingUserIds) {
+                // Users already loaded, set immediately
+                if (SmartLists.setSelectedUserIds) {
+                    SmartLists.setSelectedUserIds(page, page._pendingUserIds);
+                }
+                page._pendingUserIds = null; // Clear since we set it
+            }
+            // If checkboxes don't exist yet, loadUsers will set them when it finishes
+
+            if (SmartLists.updatePublicCheckboxVisibility) {
+                SmartLists.updatePublicCheckboxVisibility(page);
+            }
+        }
+
+        // Store similarity comparison fields on page for populateRuleRow to access
+        page._editingPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
+
+        // Replace existing rules with the saved logic groups (applies to both playlists and collections)
+        SmartLists.clearRuleLint(page);
+        SmartLists.resetRuleEditorMode(page);
+        SmartLists.loadRulesIntoUI(page, playlist.ExpressionSets);
+
+        // Set sort options AFTER rules are populated so hasSimilarToRuleInForm() can detect them
+        SmartLists.loadSortOptionsIntoUI(page, playlist);
+        // Update weights, the minimum score and sort options visibility based on populated rules and scoring mode
+        SmartLists.updateScoringModeUI(page);
+
+        // Update field selects first, then per-field options visibility based on selected media types
+        SmartLists.updateAllFieldSelects(page);
+        SmartLists.updateAllTagsOptionsVisibility(page);
+        SmartLists.updateAllStudiosOptionsVisibility(page);
+        SmartLists.updateAllGenresOptionsVisibility(page);
+        SmartLists.updateAllAudioLanguagesOptionsVisibility(page);
+        SmartLists.updateAllCollectionsOptionsVisibility(page);
+        SmartLists.updateAllNextUnwatchedOptionsVisibility(page);
+
+        // Update button visibility
+        SmartLists.updateRuleButtonVisibility(page);
+    };
+
     SmartLists.editPlaylist = function (page, playlistId) {
         const apiClient = SmartLists.getApiClient();
         Dashboard.showLoadingMsg();
@@ -413,182 +633,11 @@
             }
 
             try {
-                // Determine list type
-                const listType = playlist.Type || 'Playlist';
-                const isCollection = listType === 'Collection';
-
-                // Extract userIds BEFORE calling handleListTypeChange (which triggers loadUsers)
-                // This ensures pendingUserIds is set before loadUsers checks for it
-                let userIds = [];
-                if (!isCollection) {
-                    // Playlists can have multiple users
-                    if (playlist.UserPlaylists && playlist.UserPlaylists.length > 0) {
-                        userIds = playlist.UserPlaylists.map(function (up) { return up.UserId; });
-                    } else if (playlist.UserId) {
-                        userIds = [String(playlist.UserId)];
-                    }
-                    // Store userIds to set after users are loaded (loadUsers is async)
-                    page._pendingUserIds = userIds;
+                SmartLists.populateListForm(page, playlist);
+                if (SmartLists.resetFormHistory) {
+                    SmartLists.resetFormHistory(page);
                 }
 
-                // Set list type
-                SmartLists.setElementValue(page, '#listType', listType);
-
-                // Trigger type change handler to show/hide fields
-                SmartLists.handleListTypeChange(page);
-
-                // Populate form with playlist data using helper functions
-                SmartLists.setElementValue(page, '#playlistName', playlist.Name || '');
-
-                // Only set public for playlists
-                if (!isCollection) {
-                    SmartLists.setElementChecked(page, '#playlistIsPublic', playlist.Public || false);
-                }
-
-                SmartLists.setElementChecked(page, '#playlistIsEnabled', playlist.Enabled !== false); // Default to true for backward compatibility
-
-                // Handle AutoRefresh with backward compatibility
-                const autoRefreshValue = playlist.AutoRefresh !== undefined ? playlist.AutoRefresh : 'Never';
-                const autoRefreshElement = page.querySelector('#autoRefreshMode');
-                if (autoRefreshElement) {
-                    autoRefreshElement.value = autoRefreshValue;
-                }
-
-                // Handle schedule settings with backward compatibility
-                SmartLists.loadSchedulesIntoUI(page, playlist);
-
-                // Handle MaxItems with backward compatibility for existing playlists
-                // Default to 0 (unlimited) for old playlists that didn't have this setting
-                const maxItemsValue = (playlist.MaxItems !== undefined && playlist.MaxItems !== null) ? playlist.MaxItems : 0;
-                const maxItemsElement = page.querySelector('#playlistMaxItems');
-                if (maxItemsElement) {
-                    maxItemsElement.value = maxItemsValue;
-                } else {
-                    console.warn('Max Items element not found when trying to populate edit form');
-                }
-
-                // Handle MaxPlayTimeMinutes with backward compatibility for existing playlists
-                // Default to 0 (unlimited) for old playlists that didn't have this setting
-                const maxPlayTimeMinutesValue = (playlist.MaxPlayTimeMinutes !== undefined && playlist.MaxPlayTimeMinutes !== null) ? playlist.MaxPlayTimeMinutes : 0;
-                const maxPlayTimeMinutesElement = page.querySelector('#playlistMaxPlayTimeMinutes');
-                if (maxPlayTimeMinutesElement) {
-                    maxPlayTimeMinutesElement.value = maxPlayTimeMinutesValue;
-                } else {
-                    console.warn('Max Playtime Minutes element not found when trying to populate edit form');
-                }
-
-                // Set media types
-                // Set flag to skip change event handlers while we programmatically set checkbox states
-                page._skipMediaTypeChangeHandlers = true;
-
-                if (playlist.MediaTypes && playlist.MediaTypes.length > 0) {
-                    SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', playlist.MediaTypes, 'media-type-multi-select-checkbox', 'Select media types...');
-                } else {
-                    SmartLists.setSelectedItems(page, 'mediaTypesMultiSelect', [], 'media-type-multi-select-checkbox', 'Select media types...');
-                }
-
-                // Clear flag to re-enable change event handlers
-                page._skipMediaTypeChangeHandlers = false;
-
-                // Set the list owner (for both playlists and collections)
-                // isCollection is already declared above on line 425
-                if (isCollection) {
-                    // Collections always have single user
-                    const userIdString = playlist.UserId ? String(playlist.UserId) : null;
-                    if (userIdString) {
-                        SmartLists.setUserIdValueWithRetry(page, userIdString);
-                    }
-                } else {
-                    // Playlists can have multiple users
-                    // userIds were already extracted and stored in page._pendingUserIds above
-                    // Try to set immediately if users are already loaded, otherwise wait for loadUsers
-                    const checkboxes = page.querySelectorAll('#userMultiSelectOptions .user-multi-select-checkbox');
-                    if (checkboxes.length > 0 && page._pendingUserIds) {
-                        // Users already loaded, set immediately
-                        if (SmartLists.setSelectedUserIds) {
-                            SmartLists.setSelectedUserIds(page, page._pendingUserIds);
-                        }
-                        page._pendingUserIds = null; // Clear since we set it
-                    }
-                    // If checkboxes don't exist yet, loadUsers will set them when it finishes
-
-                    if (SmartLists.updatePublicCheckboxVisibility) {
-                        SmartLists.updatePublicCheckboxVisibility(page);
-                    }
-                }
-
-                // Clear existing rules (applies to both playlists and collections)
-                const rulesContainer = page.querySelector('#rules-container');
-                rulesContainer.innerHTML = '';
-
-                // Populate logic groups and rules
-                if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0 &&
-                    playlist.ExpressionSets.some(function (es) { return es.Expressions && es.Expressions.length > 0; })) {
-                    playlist.ExpressionSets.forEach(function (expressionSet, groupIndex) {
-                        let logicGroup;
-
-                        if (groupIndex === 0) {
-                            // Create first logic group
-                            logicGroup = SmartLists.createInitialLogicGroup(page);
-                            // Remove only the rules, preserve the label
-                            const rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                            rulesToRemove.forEach(function (rule) {
-                                rule.remove();
-                            });
-                        } else {
-                            // Add subsequent logic groups
-                            logicGroup = SmartLists.addNewLogicGroup(page);
-                            // Remove only the rules, preserve the label
-                            const rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                            rulesToRemove.forEach(function (rule) {
-                                rule.remove();
-                            });
-                        }
-
-                        // Store similarity comparison fields on page for populateRuleRow to access
-                        page._editingPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
-
-                        // Add rules to this logic group
-                        if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                            expressionSet.Expressions.forEach(function (expression) {
-                                SmartLists.addRuleToGroup(page, logicGroup);
-                                const ruleRows = logicGroup.querySelectorAll('.rule-row');
-                                const currentRule = ruleRows[ruleRows.length - 1];
-
-                                // Use populateRuleRow for consistency with clone flow
-                                // populateRuleRow handles all field population including:
-                                // - People sub-fields
-                                // - User-specific rules
-                                // - Value inputs (including relative date operators)
-                                // - Per-field option selects (NextUnwatched, Collections, Tags, Studios, Genres, SimilarTo)
-                                // - Regex help updates
-                                SmartLists.populateRuleRow(currentRule, expression, page);
-                            });
-                        }
-                    });
-                } else {
-                    // No rules exist - create an initial logic group with a placeholder rule
-                    // This matches the behavior when creating a new playlist
-                    SmartLists.createInitialLogicGroup(page);
-                }
-
-                // Set sort options AFTER rules are populated so hasSimilarToRuleInForm() can detect them
-                SmartLists.loadSortOptionsIntoUI(page, playlist);
-                // Update sort options visibility based on populated rules
-                SmartLists.updateAllSortOptionsVisibility(page);
-
-                // Update field selects first, then per-field options visibility based on selected media types
-                SmartLists.updateAllFieldSelects(page);
-                SmartLists.updateAllTagsOptionsVisibility(page);
-                SmartLists.updateAllStudiosOptionsVisibility(page);
-                SmartLists.updateAllGenresOptionsVisibility(page);
-                SmartLists.updateAllAudioLanguagesOptionsVisibility(page);
-                SmartLists.updateAllCollectionsOptionsVisibility(page);
-                SmartLists.updateAllNextUnwatchedOptionsVisibility(page);
-
-                // Update button visibility
-                SmartLists.updateRuleButtonVisibility(page);
-
                 // Set edit mode state
                 SmartLists.setPageEditState(page, true, playlistId);
 
@@ -716,6 +765,10 @@
                     maxPlayTimeMinutesElement.value = maxPlayTimeMinutesValue;
                 }
 
+                // Handle scoring mode
+                SmartLists.setElementChecked(page, '#playlistScoringMode', playlist.ScoringMode === true);
+                SmartLists.setElementValue(page, '#playlistMinScore', playlist.MinScore !== undefined && playlist.MinScore !== null ? playlist.MinScore : '');
+
                 // Store media types to set later (after all updates are complete)
                 const clonedMediaTypes = playlist.MediaTypes && playlist.MediaTypes.length > 0 ? playlist.MediaTypes : [];
 
@@ -751,46 +804,13 @@
                     }
                 }
 
-                // Clear existing rules and populate with cloned rules (applies to both playlists and collections)
-                const rulesContainer = page.querySelector('#rules-container');
-                if (rulesContainer) {
-                    rulesContainer.innerHTML = '';
-                }
-
-                // Populate rules from cloned playlist
-                if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
-                    playlist.ExpressionSets.forEach(function (expressionSet, setIndex) {
-                        const logicGroup = setIndex === 0 ? SmartLists.createInitialLogicGroup(page) : SmartLists.addNewLogicGroup(page);
-
-                        // Store similarity comparison fields on page for populateRuleRow to access
-                        page._cloningPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
-
-                        if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                            expressionSet.Expressions.forEach(function (expression, expIndex) {
-                                if (expIndex === 0) {
-                                    // Use the first rule row that's already in the group
-                                    const firstRuleRow = logicGroup.querySelector('.rule-row');
-                                    if (firstRuleRow) {
-                                        SmartLists.populateRuleRow(firstRuleRow, expression, page);
-                                    }
-                                } else {
-                                    // Add additional rule rows
-                                    SmartLists.addRuleToGroup(page, logicGroup);
-                                    const newRuleRow = logicGroup.querySelector('.rule-row:last-child');
-                                    if (newRuleRow) {
-                                        SmartLists.populateRuleRow(newRuleRow, expression, page);
-                                    }
-                                }
-                            });
-                        }
-                    });
-                } else {
-                    // If no rules, create initial empty group
-                    SmartLists.createInitialLogicGroup(page);
-                }
+                // Store similarity comparison fields on page for populateRuleRow to access
+                page._cloningPlaylistSimilarityFields = playlist.SimilarityComparisonFields;
 
-                // Update button visibility
-                SmartLists.updateRuleButtonVisibility(page);
+                // Replace existing rules with the cloned logic groups (applies to both playlists and collections)
+                SmartLists.clearRuleLint(page);
+                SmartLists.resetRuleEditorMode(page);
+                SmartLists.loadRulesIntoUI(page, playlist.ExpressionSets);
 
                 // Update field selects first, then per-field options visibility based on selected media types
                 SmartLists.updateAllFieldSelects(page);
@@ -803,8 +823,8 @@
 
                 // Set sort options AFTER rules are populated so hasSimilarToRuleInForm() can detect them
                 SmartLists.loadSortOptionsIntoUI(page, playlist);
-                // Update sort options visibility based on populated rules
-                SmartLists.updateAllSortOptionsVisibility(page);
+                // Update weights, the minimum score and sort options visibility based on populated rules and scoring mode
+                SmartLists.updateScoringModeUI(page);
 
 
 
@@ -817,6 +837,10 @@
                     page._mediaTypeUpdateTimer = null;
                 }
 
+                if (SmartLists.resetFormHistory) {
+                    SmartLists.resetFormHistory(page);
+                }
+
                 // Show success message
                 SmartLists.showNotification('List "' + playlistName + '" cloned successfully! You can now modify and create the new list.', 'success');
 
@@ -852,6 +876,9 @@
 
         // Clear form
         SmartLists.clearForm(page);
+        if (SmartLists.resetFormHistory) {
+            SmartLists.resetFormHistory(page);
+        }
 
         // Switch to Manage tab after canceling edit
         SmartLists.switchToTab(page, 'manage');
@@ -860,7 +887,58 @@
         SmartLists.showNotification('Edit mode cancelled.', 'success');
     };
 
-    SmartLists.notifyRefreshQueued = function (listTypeName, playlistName) {
+    // Refreshes whose outcome is announced when the live status stream reports it, keyed by list ID
+    // (or by name for new lists, whose ID isn't known yet). Entries expire so a missed event can't leak.
+    var REFRESH_WATCH_TTL_MS = 30 * 60 * 1000;
+    var watchedRefreshes = {};
+    var unsubscribeRefreshWatch = null;
+
+    SmartLists.watchRefreshOutcome = function (listTypeName, playlistName, listId) {
+        if (!SmartLists.onStatusEvent || (!listId && !playlistName)) {
+            return;
+        }
+
+        watchedRefreshes[listId || 'name:' + playlistName] = {
+            listTypeName: listTypeName || 'List',
+            expiresAt: Date.now() + REFRESH_WATCH_TTL_MS
+        };
+
+        if (!unsubscribeRefreshWatch) {
+            unsubscribeRefreshWatch = SmartLists.onStatusEvent(handleRefreshWatchEvent);
+        }
+    };
+
+    function handleRefreshWatchEvent(type, data) {
+        var now = Date.now();
+        Object.keys(watchedRefreshes).forEach(function (key) {
+            if (watchedRefreshes[key].expiresAt < now) {
+                delete watchedRefreshes[key];
+            }
+        });
+
+        if (type === 'completed' || type === 'failed' || type === 'skipped') {
+            var key = watchedRefreshes[data.listId] ? data.listId : 'name:' + data.listName;
+            var watch = watchedRefreshes[key];
+            if (watch) {
+                delete watchedRefreshes[key];
+                var label = watch.listTypeName + ' "' + data.listName + '"';
+                if (type === 'completed') {
+                    SmartLists.showNotification(label + ' refreshed in ' + Math.max(1, Math.round(data.duration || 0)) + 's.', 'success');
+                } else if (type === 'failed') {
+                    SmartLists.showNotification('Refresh failed for ' + label + ': ' + (data.message || 'Unknown error'), 'error');
+                } else {
+                    SmartLists.showNotification('Refresh skipped for ' + label + ' (' + (data.message || 'no changes') + ').', 'info');
+                }
+            }
+        }
+
+        if (Object.keys(watchedRefreshes).length === 0 && unsubscribeRefreshWatch) {
+            unsubscribeRefreshWatch();
+            unsubscribeRefreshWatch = null;
+        }
+    }
+
+    SmartLists.notifyRefreshQueued = function (listTypeName, playlistName, listId) {
         // Show single notification with status page link
         var statusLink = SmartLists.createStatusPageLink('status page');
         var message = 'Refresh started';
@@ -870,7 +948,10 @@
         message += '. Check the ' + statusLink + ' for progress.';
         SmartLists.showNotification(message, 'info', { html: true });
 
-        // Start aggressive polling on status page to catch the operation
+        // Announce the outcome when the live stream reports it
+        SmartLists.watchRefreshOutcome(listTypeName, playlistName, listId);
+
+        // Without a live stream, poll aggressively on the status page to catch the operation
         if (window.SmartLists && window.SmartLists.Status && window.SmartLists.Status.startAggressivePolling) {
             window.SmartLists.Status.startAggressivePolling();
         }
@@ -880,7 +961,7 @@
         const apiClient = SmartLists.getApiClient();
 
         // Show notification that refresh has started and start aggressive polling
-        SmartLists.notifyRefreshQueued('List', playlistName);
+        SmartLists.notifyRefreshQueued('List', playlistName, playlistId);
 
         // Make API call (fire and forget - notification already shown)
         apiClient.ajax({
@@ -1017,124 +1098,218 @@
     // Note: getPeopleFieldDisplayName is defined in config-formatters.js to avoid duplication
 
     // ===== GENERATE RULES HTML =====
-    SmartLists.generateRulesHtml = async function (playlist, apiClient) {
-        let rulesHtml = '';
-        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
-            for (let groupIndex = 0; groupIndex < playlist.ExpressionSets.length; groupIndex++) {
-                const expressionSet = playlist.ExpressionSets[groupIndex];
-                if (groupIndex > 0) {
-                    rulesHtml += '<strong style="color: #888;">OR</strong><br>';
-                }
+    SmartLists.generateExpressionHtml = async function (rule, playlist, apiClient) {
+        let fieldName = rule.MemberName;
+        if (fieldName === 'ItemType') fieldName = 'Media Type';
+
+        // Map people field names to friendly display names
+        const displayName = SmartLists.getPeopleFieldDisplayName(fieldName);
+        if (displayName !== fieldName) {
+            fieldName = displayName;
+        }
+        let operator = rule.Operator;
+        switch (operator) {
+            case 'Equal': operator = 'equals'; break;
+            case 'NotEqual': operator = 'not equals'; break;
+            case 'Contains': operator = 'contains'; break;
+            case 'NotContains': operator = "not contains"; break;
+            case 'IsIn': operator = 'is in'; break;
+            case 'IsNotIn': operator = 'is not in'; break;
+            case 'GreaterThan': operator = '>'; break;
+            case 'LessThan': operator = '<'; break;
+            case 'After': operator = 'after'; break;
+            case 'Before': operator = 'before'; break;
+            case 'GreaterThanOrEqual': operator = '>='; break;
+            case 'LessThanOrEqual': operator = '<='; break;
+            case 'MatchRegex': operator = 'matches regex'; break;
+            case 'InPeriod': operator = 'in'; break;
+            case 'OnThisDay': operator = 'on this day (earlier years)'; break;
+            case 'AnniversaryWithin': operator = 'anniversary within'; break;
+        }
+        let value = rule.TargetValue;
+        if (rule.MemberName === 'IsPlayed') { value = value === 'true' ? 'Yes (Played)' : 'No (Unplayed)'; }
+        if (rule.MemberName === 'NextUnwatched') { value = value === 'true' ? 'Yes (Next to Watch)' : 'No (Not Next)'; }
 
-                if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                    rulesHtml += '<div style="padding: 0.6em; background: rgba(255,255,255,0.02); border-radius: 4px; margin: 0.3em 0;">';
+        // Format weekday operator value to show day name instead of number
+        if (rule.Operator === 'Weekday') {
+            value = SmartLists.getDayNameFromValue(value);
+        }
 
-                    for (let ruleIndex = 0; ruleIndex < expressionSet.Expressions.length; ruleIndex++) {
-                        const rule = expressionSet.Expressions[ruleIndex];
-                        if (ruleIndex > 0) {
-                            rulesHtml += '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>';
-                        }
+        // Calendar date operators read as "in last month" / "anniversary within 7 days"
+        const isCalendarOperator = SmartLists.CALENDAR_DATE_OPERATORS.indexOf(rule.Operator) !== -1;
+        if (isCalendarOperator) {
+            value = SmartLists.formatCalendarDateValue(rule.Operator, value);
+        }
 
-                        let fieldName = rule.MemberName;
-                        if (fieldName === 'ItemType') fieldName = 'Media Type';
+        // Check if this rule has a specific user and resolve username
+        let userInfo = '';
+        if (rule.UserId && rule.UserId !== '00000000-0000-0000-0000-000000000000') {
+            try {
+                const userName = await SmartLists.resolveUserIdToName(apiClient, rule.UserId);
+                userInfo = ' for ' + (userName || 'Unknown User');
+            } catch (err) {
+                console.error('Error resolving username for rule:', err);
+                userInfo = ' for specific user';
+            }
+        }
 
-                        // Map people field names to friendly display names
-                        const displayName = SmartLists.getPeopleFieldDisplayName(fieldName);
-                        if (displayName !== fieldName) {
-                            fieldName = displayName;
-                        }
-                        let operator = rule.Operator;
-                        switch (operator) {
-                            case 'Equal': operator = 'equals'; break;
-                            case 'NotEqual': operator = 'not equals'; break;
-                            case 'Contains': operator = 'contains'; break;
-                            case 'NotContains': operator = "not contains"; break;
-                            case 'IsIn': operator = 'is in'; break;
-                            case 'IsNotIn': operator = 'is not in'; break;
-                            case 'GreaterThan': operator = '>'; break;
-                            case 'LessThan': operator = '<'; break;
-                            case 'After': operator = 'after'; break;
-                            case 'Before': operator = 'before'; break;
-                            case 'GreaterThanOrEqual': operator = '>='; break;
-                            case 'LessThanOrEqual': operator = '<='; break;
-                            case 'MatchRegex': operator = 'matches regex'; break;
-                        }
-                        let value = rule.TargetValue;
-                        if (rule.MemberName === 'IsPlayed') { value = value === 'true' ? 'Yes (Played)' : 'No (Unplayed)'; }
-                        if (rule.MemberName === 'NextUnwatched') { value = value === 'true' ? 'Yes (Next to Watch)' : 'No (Not Next)'; }
+        // Add NextUnwatched configuration info
+        let nextUnwatchedInfo = '';
+        if (rule.MemberName === 'NextUnwatched' && rule.IncludeUnwatchedSeries !== undefined) {
+            nextUnwatchedInfo = rule.IncludeUnwatchedSeries ? ' (including unwatched series)' : ' (excluding unwatched series)';
+        }
 
-                        // Format weekday operator value to show day name instead of number
-                        if (rule.Operator === 'Weekday') {
-                            value = SmartLists.getDayNameFromValue(value);
-                        }
+        // Add Collections configuration info
+        let collectionsInfo = '';
+        if (rule.MemberName === 'Collections') {
+            if (rule.IncludeCollectionOnly === true) {
+                collectionsInfo = ' (collection only)';
+            } else if (rule.IncludeEpisodesWithinSeries === true) {
+                collectionsInfo = ' (including episodes within series)';
+            }
+        }
 
-                        // Check if this rule has a specific user and resolve username
-                        let userInfo = '';
-                        if (rule.UserId && rule.UserId !== '00000000-0000-0000-0000-000000000000') {
-                            try {
-                                const userName = await SmartLists.resolveUserIdToName(apiClient, rule.UserId);
-                                userInfo = ' for ' + (userName || 'Unknown User');
-                            } catch (err) {
-                                console.error('Error resolving username for rule:', err);
-                                userInfo = ' for specific user';
-                            }
-                        }
+        // Add Tags configuration info
+        let tagsInfo = '';
+        if (rule.MemberName === 'Tags' && rule.IncludeParentSeriesTags === true) {
+            tagsInfo = ' (including parent series tags)';
+        }
 
-                        // Add NextUnwatched configuration info
-                        let nextUnwatchedInfo = '';
-                        if (rule.MemberName === 'NextUnwatched' && rule.IncludeUnwatchedSeries !== undefined) {
-                            nextUnwatchedInfo = rule.IncludeUnwatchedSeries ? ' (including unwatched series)' : ' (excluding unwatched series)';
-                        }
+        // Add Studios configuration info
+        let studiosInfo = '';
+        if (rule.MemberName === 'Studios' && rule.IncludeParentSeriesStudios === true) {
+            studiosInfo = ' (including parent series studios)';
+        }
 
-                        // Add Collections configuration info
-                        let collectionsInfo = '';
-                        if (rule.MemberName === 'Collections') {
-                            if (rule.IncludeCollectionOnly === true) {
-                                collectionsInfo = ' (collection only)';
-                            } else if (rule.IncludeEpisodesWithinSeries === true) {
-                                collectionsInfo = ' (including episodes within series)';
-                            }
-                        }
+        // Add Genres configuration info
+        let genresInfo = '';
+        if (rule.MemberName === 'Genres' && rule.IncludeParentSeriesGenres === true) {
+            genresInfo = ' (including parent series genres)';
+        }
 
-                        // Add Tags configuration info
-                        let tagsInfo = '';
-                        if (rule.MemberName === 'Tags' && rule.IncludeParentSeriesTags === true) {
-                            tagsInfo = ' (including parent series tags)';
-                        }
+        // Add AudioLanguages configuration info
+        let audioLanguagesInfo = '';
+        if (rule.MemberName === 'AudioLanguages' && rule.OnlyDefaultAudioLanguage === true) {
+            audioLanguagesInfo = ' (default only)';
+        }
 
-                        // Add Studios configuration info
-                        let studiosInfo = '';
-                        if (rule.MemberName === 'Studios' && rule.IncludeParentSeriesStudios === true) {
-                            studiosInfo = ' (including parent series studios)';
-                        }
+        // Add SimilarTo comparison fields info
+        let similarityInfo = '';
+        if (rule.MemberName === 'SimilarTo') {
+            if (playlist.SimilarityComparisonFields && playlist.SimilarityComparisonFields.length > 0) {
+                similarityInfo = ' (comparing: ' + playlist.SimilarityComparisonFields.join(', ') + ')';
+            } else {
+                similarityInfo = ' (comparing: Genre, Tags)'; // Default
+            }
+        }
 
-                        // Add Genres configuration info
-                        let genresInfo = '';
-                        if (rule.MemberName === 'Genres' && rule.IncludeParentSeriesGenres === true) {
-                            genresInfo = ' (including parent series genres)';
-                        }
+        // Field comparisons show the compared field and its adjustment instead of a quoted value
+        let comparedValue = (isCalendarOperator ? (value ? ' ' + value : '') : ' "' + value + '"') + userInfo;
+        if (rule.CompareField) {
+            // "PlayCount for Alice > PlayCount for Bob": each side names its own user
+            fieldName += userInfo;
+            comparedValue = ' ' + (SmartLists.getPeopleFieldDisplayName(rule.CompareField) || rule.CompareField);
+            if (rule.CompareUserId && rule.CompareUserId !== '00000000-0000-0000-0000-000000000000') {
+                try {
+                    const compareUserName = await SmartLists.resolveUserIdToName(apiClient, rule.CompareUserId);
+                    comparedValue += ' for ' + (compareUserName || 'Unknown User');
+                } catch (err) {
+                    console.error('Error resolving username for rule:', err);
+                    comparedValue += ' for specific user';
+                }
+            }
+            const adjustment = SmartLists.formatCompareAdjustment ? SmartLists.formatCompareAdjustment(value) : String(value || '').trim();
+            if (adjustment) {
+                comparedValue += ' ' + adjustment;
+            }
+        }
 
-                        // Add AudioLanguages configuration info
-                        let audioLanguagesInfo = '';
-                        if (rule.MemberName === 'AudioLanguages' && rule.OnlyDefaultAudioLanguage === true) {
-                            audioLanguagesInfo = ' (default only)';
-                        }
+        let ruleHtml = '<span style="font-family: monospace; background: #232323; padding: 4px 4px; border-radius: 3px;">';
+        ruleHtml += SmartLists.escapeHtml(fieldName) + ' ' + SmartLists.escapeHtml(operator) + SmartLists.escapeHtml(comparedValue) + SmartLists.escapeHtml(nextUnwatchedInfo) + SmartLists.escapeHtml(collectionsInfo) + SmartLists.escapeHtml(tagsInfo) + SmartLists.escapeHtml(studiosInfo) + SmartLists.escapeHtml(genresInfo) + SmartLists.escapeHtml(audioLanguagesInfo) + SmartLists.escapeHtml(similarityInfo);
+        ruleHtml += '</span>';
+        return ruleHtml;
+    };
 
-                        // Add SimilarTo comparison fields info
-                        let similarityInfo = '';
-                        if (rule.MemberName === 'SimilarTo') {
-                            if (playlist.SimilarityComparisonFields && playlist.SimilarityComparisonFields.length > 0) {
-                                similarityInfo = ' (comparing: ' + playlist.SimilarityComparisonFields.join(', ') + ')';
-                            } else {
-                                similarityInfo = ' (comparing: Genre, Tags)'; // Default
-                            }
-                        }
+    // Render one logic group, recursing into nested groups. Items are joined with the
+    // group's AND/OR operator; negated groups are prefixed with NOT.
+    SmartLists.generateExpressionSetHtml = async function (expressionSet, playlist, apiClient, isNested) {
+        const separator = expressionSet.Logic === 'Or' ?
+            '<br><em style="color: #888; font-size: 0.9em;">OR</em><br>' :
+            '<br><em style="color: #888; font-size: 0.9em;">AND</em><br>';
+        const items = [];
+
+        const expressions = expressionSet.Expressions || [];
+        for (let ruleIndex = 0; ruleIndex < expressions.length; ruleIndex++) {
+            if (expressions[ruleIndex]) {
+                items.push(await SmartLists.generateExpressionHtml(expressions[ruleIndex], playlist, apiClient));
+            }
+        }
 
-                        rulesHtml += '<span style="font-family: monospace; background: #232323; padding: 4px 4px; border-radius: 3px;">';
-                        rulesHtml += SmartLists.escapeHtml(fieldName) + ' ' + SmartLists.escapeHtml(operator) + ' "' + SmartLists.escapeHtml(value) + '"' + SmartLists.escapeHtml(userInfo) + SmartLists.escapeHtml(nextUnwatchedInfo) + SmartLists.escapeHtml(collectionsInfo) + SmartLists.escapeHtml(tagsInfo) + SmartLists.escapeHtml(studiosInfo) + SmartLists.escapeHtml(genresInfo) + SmartLists.escapeHtml(audioLanguagesInfo) + SmartLists.escapeHtml(similarityInfo);
-                        rulesHtml += '</span>';
-                    }
-                    rulesHtml += '</div>';
+        const groups = expressionSet.Groups || [];
+        for (let subgroupIndex = 0; subgroupIndex < groups.length; subgroupIndex++) {
+            if (groups[subgroupIndex] && SmartLists.getAllExpressions([groups[subgroupIndex]]).length > 0) {
+                items.push(await SmartLists.generateExpressionSetHtml(groups[subgroupIndex], playlist, apiClient, true));
+            }
+        }
+
+        if (items.length === 0) {
+            return '';
+        }
+
+        const containerStyle = isNested ?
+            'display: inline-block; padding: 0.4em 0.6em; border: 1px dashed #555; border-radius: 4px; margin: 0.3em 0 0.3em 1em;' :
+            'padding: 0.6em; background: rgba(255,255,255,0.02); border-radius: 4px; margin: 0.3em 0;';
+        let groupHtml = '<div style="' + containerStyle + '">';
+        if (expressionSet.Negate === true) {
+            groupHtml += '<strong style="color: #f44336; font-size: 0.9em;">NOT</strong><br>';
+        }
+        groupHtml += items.join(separator);
+        groupHtml += '</div>';
+        return groupHtml;
+    };
+
+    // Scoring mode lists have no AND/OR structure: show each rule with its weight, then the minimum score
+    async function generateScoredRulesHtml(playlist, apiClient) {
+        const expressions = SmartLists.getAllExpressions(playlist.ExpressionSets || []);
+        if (expressions.length === 0) {
+            return 'No rules defined';
+        }
+
+        let rulesHtml = '<div style="padding: 0.6em; background: rgba(255,255,255,0.02); border-radius: 4px; margin: 0.3em 0;">';
+        for (let i = 0; i < expressions.length; i++) {
+            const weight = SmartLists.isScoredRule(expressions[i]) ? SmartLists.formatRuleWeight(expressions[i].Weight) : '';
+            rulesHtml += '<div style="margin: 0.3em 0;">' +
+                '<span style="display: inline-block; min-width: 3em; font-weight: bold; color: ' + (weight.charAt(0) === '-' ? '#f44336' : '#00a4dc') + ';">' + SmartLists.escapeHtml(weight) + '</span>' +
+                await SmartLists.generateExpressionHtml(expressions[i], playlist, apiClient) +
+                '</div>';
+        }
+
+        const minScore = playlist.MinScore !== undefined && playlist.MinScore !== null ?
+            'Items need a score of at least ' + playlist.MinScore :
+            'Items need a score above 0';
+        rulesHtml += '<em style="color: #888; font-size: 0.9em;">Scoring mode. ' + SmartLists.escapeHtml(minScore) + '.</em>';
+        rulesHtml += '</div>';
+        return rulesHtml;
+    }
+
+    SmartLists.generateRulesHtml = async function (playlist, apiClient) {
+        // Sorts on another user's data are shown with that user's name, so have it cached for the card
+        await SmartLists.resolveListUserNames(apiClient, playlist);
+
+        if (playlist.ScoringMode === true) {
+            return generateScoredRulesHtml(playlist, apiClient);
+        }
+
+        let rulesHtml = '';
+        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0) {
+            for (let groupIndex = 0; groupIndex < playlist.ExpressionSets.length; groupIndex++) {
+                const expressionSet = playlist.ExpressionSets[groupIndex];
+                if (groupIndex > 0) {
+                    rulesHtml += '<strong style="color: #888;">OR</strong><br>';
+                }
+
+                if (expressionSet) {
+                    rulesHtml += await SmartLists.generateExpressionSetHtml(expressionSet, playlist, apiClient, false);
                 }
             }
         } else {
@@ -1163,7 +1338,7 @@
         // Format last scheduled refresh display
         const lastRefreshDisplay = SmartLists.formatRelativeTimeFromIso(playlist.LastRefreshed, 'N/A') || 'N/A';
         const dateCreatedDisplay = SmartLists.formatRelativeTimeFromIso(playlist.DateCreated, 'Unknown');
-        const sortName = SmartLists.formatSortDisplay(playlist);
+        const sortName = SmartLists.formatSortDisplay(playlist, getCachedUserNames(playlist));
 
         // Use the resolved username passed as parameter (for playlists) or libraries (for collections)
         const userName = resolvedUserName || 'Unknown User';
@@ -1221,6 +1396,7 @@
         const eStatsDisplay = SmartLists.escapeHtml(statsDisplay);
         const eTotalRuntimeLong = totalRuntimeLong ? SmartLists.escapeHtml(totalRuntimeLong) : null;
         const eListType = SmartLists.escapeHtml(listType);
+        const eSentence = SmartLists.escapeHtml(SmartLists.generateListSentence(playlist, getCachedUserNames(playlist)));
 
         // Helper function to build Jellyfin URL from ID
         const buildJellyfinUrl = function (jellyfinId) {
@@ -1334,6 +1510,8 @@
             '</div>' +
             '</div>' +
             '</div>' +
+            // Plain-language summary (always visible)
+            '<div class="playlist-sentence" style="padding: 0 0.75em 0.75em 2.9em; color: #bbb; font-size: 0.9em;">' + eSentence + '</div>' +
 
             // Detailed content (initially hidden)
             '<div class="playlist-details" style="display: none; padding: 0 0.75em 0.75em 0.75em; background: #202020;">' +
@@ -1426,6 +1604,9 @@
             '</table>' +
             '</div>' +
 
+            // Explain an item
+            (SmartLists.generateExplainSectionHtml ? SmartLists.generateExplainSectionHtml(playlist) : '') +
+
             // Action buttons
             '<div class="playlist-actions" style="margin-top: 1em; margin-left: 0.5em;">' +
             '<button is="emby-button" type="button" class="emby-button raised edit-playlist-btn" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name || '') + '">Edit</button>' +
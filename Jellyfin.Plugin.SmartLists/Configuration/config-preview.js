@@ -0,0 +1,539 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== LIVE PREVIEW =====
+    // Shows how many library items match the list being edited, plus the first hits,
+    // using the dry-run preview endpoint. Updates shortly after each change to the form
+    // and never creates or saves anything.
+
+    const PREVIEW_DEBOUNCE_MS = 800;
+    const PREVIEW_SAMPLE_SIZE = 25;
+    const PREVIEW_ENABLED_KEY = 'smartListsLivePreviewEnabled';
+
+    function isPreviewEnabled() {
+        try {
+            return localStorage.getItem(PREVIEW_ENABLED_KEY) !== 'false';
+        } catch (err) {
+            return true;
+        }
+    }
+
+    function savePreviewEnabled(enabled) {
+        try {
+            localStorage.setItem(PREVIEW_ENABLED_KEY, enabled ? 'true' : 'false');
+        } catch (err) {
+            console.warn('Failed to save live preview preference:', err);
+        }
+    }
+
+    function createPreviewPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'live-preview-panel';
+        panel.style.cssText = 'margin: 1em 0 1.5em 0; padding: 0.75em 1em; background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.1); border-radius: 4px;';
+        panel.innerHTML =
+            '<div style="display: flex; align-items: center; justify-content: space-between; gap: 1em; flex-wrap: wrap;">' +
+            '<div class="live-preview-summary" aria-live="polite" style="font-weight: 500;">Matching items</div>' +
+            '<label class="emby-checkbox-label" style="margin: 0;">' +
+            '<input type="checkbox" is="emby-checkbox" class="emby-checkbox live-preview-toggle" data-embycheckbox="true">' +
+            '<span class="checkboxLabel">Live preview</span>' +
+            '<span class="checkboxOutline">' +
+            '<span class="material-icons checkboxIcon checkboxIcon-checked check" aria-hidden="true"></span>' +
+            '<span class="material-icons checkboxIcon checkboxIcon-unchecked" aria-hidden="true"></span>' +
+            '</span>' +
+            '</label>' +
+            '</div>' +
+            '<div class="live-preview-detail fieldDescription" style="margin-top: 0.25em;"></div>' +
+            '<div class="live-preview-items" style="max-height: 320px; overflow-y: auto; margin-top: 0.5em;"></div>';
+        return panel;
+    }
+
+    function setPreviewStatus(panel, summary, detail) {
+        panel.querySelector('.live-preview-summary').textContent = summary;
+        panel.querySelector('.live-preview-detail').textContent = detail || '';
+    }
+
+    function formatPreviewItemDetails(item) {
+        const parts = [];
+        if (item.SeriesName) {
+            parts.push(item.SeriesName);
+        }
+        if (item.Artist) {
+            parts.push(item.Artist);
+        }
+        if (item.Album) {
+            parts.push(item.Album);
+        }
+        if (item.ProductionYear) {
+            parts.push(String(item.ProductionYear));
+        }
+        return parts.join(' · ');
+    }
+
+    function renderPreviewItems(panel, items) {
+        const container = panel.querySelector('.live-preview-items');
+        if (!items || items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        let html = '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em;"><tbody>';
+        items.forEach(function (item, index) {
+            const runtime = item.RuntimeTicks ? SmartLists.formatRuntime(Math.round(item.RuntimeTicks / 600000000)) : null;
+            html += '<tr style="border-top: 1px solid rgba(255,255,255,0.06);">' +
+                '<td style="padding: 0.3em 0.5em 0.3em 0; color: #888; width: 2.5em; text-align: right;">' + (index + 1) + '</td>' +
+                '<td style="padding: 0.3em 0.5em;">' + SmartLists.escapeHtml(item.Name) + '</td>' +
+                '<td style="padding: 0.3em 0.5em; color: #aaa;">' + SmartLists.escapeHtml(formatPreviewItemDetails(item)) + '</td>' +
+                '<td style="padding: 0.3em 0; color: #888; text-align: right; white-space: nowrap;">' + SmartLists.escapeHtml(runtime || '') + '</td>' +
+                '</tr>';
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    function renderPreviewResult(panel, result) {
+        if (!result.Success) {
+            setPreviewStatus(panel, 'Matching items: –', result.Message);
+            renderPreviewItems(panel, []);
+            return;
+        }
+
+        let summary = result.MatchCount.toLocaleString() + ' of ' + result.CandidateCount.toLocaleString() + ' items match';
+        if (result.ItemCount !== result.MatchCount) {
+            summary += ' (' + result.ItemCount.toLocaleString() + ' after limits)';
+        }
+
+        let detail = '';
+        if (result.Items.length > 0) {
+            detail = result.ItemCount > result.Items.length ?
+                'Showing the first ' + result.Items.length + ' in list order.' :
+                'Showing all items in list order.';
+        }
+        detail += (detail ? ' ' : '') + 'Evaluated in ' + (result.ElapsedMilliseconds / 1000).toFixed(1) + 's.';
+
+        setPreviewStatus(panel, summary, detail);
+        renderPreviewItems(panel, result.Items);
+    }
+
+    function parsePreviewResponse(response) {
+        if (response && typeof response.ok !== 'undefined') {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        }
+        return Promise.resolve(response);
+    }
+
+    /**
+     * Adds the live preview panel to options.containerSelector and keeps it updated while the form changes.
+     * options.endpoint is the preview endpoint, options.buildPayload(page) returns { dto, error } like
+     * SmartLists.buildPlaylistPayload, options.watchSelector limits which part of the page triggers updates,
+     * options.ignoreSelector lists fields that do not affect the result (e.g. the name) and
+     * options.rulesSelector is watched for rules and groups being added or removed.
+     */
+    SmartLists.initLivePreview = function (page, options) {
+        if (page._livePreview) {
+            return;
+        }
+
+        const container = page.querySelector(options.containerSelector);
+        if (!container) {
+            return;
+        }
+
+        const panel = createPreviewPanel();
+        container.appendChild(panel);
+
+        page._livePreview = {
+            options: options,
+            panel: panel,
+            timer: null,
+            requestId: 0
+        };
+
+        const toggle = panel.querySelector('.live-preview-toggle');
+        toggle.checked = isPreviewEnabled();
+        toggle.addEventListener('change', function () {
+            savePreviewEnabled(toggle.checked);
+            if (toggle.checked) {
+                SmartLists.refreshLivePreview(page);
+            } else {
+                SmartLists.cancelLivePreview(page);
+                setPreviewStatus(panel, 'Matching items', 'Live preview is off.');
+                renderPreviewItems(panel, []);
+            }
+        });
+
+        const watchRoot = options.watchSelector ? page.querySelector(options.watchSelector) : page;
+        const onFormChange = function (e) {
+            if (panel.contains(e.target)) {
+                return;
+            }
+            if (options.ignoreSelector && e.target.matches && e.target.matches(options.ignoreSelector)) {
+                return;
+            }
+            SmartLists.scheduleLivePreview(page);
+        };
+        if (watchRoot) {
+            watchRoot.addEventListener('input', onFormChange);
+            watchRoot.addEventListener('change', onFormChange);
+        }
+
+        // Adding or removing rules and groups does not fire input events
+        const rulesContainer = options.rulesSelector ? page.querySelector(options.rulesSelector) : null;
+        if (rulesContainer && typeof MutationObserver !== 'undefined') {
+            new MutationObserver(function () {
+                SmartLists.scheduleLivePreview(page);
+            }).observe(rulesContainer, { childList: true, subtree: true });
+        }
+
+        if (toggle.checked) {
+            SmartLists.scheduleLivePreview(page);
+        } else {
+            setPreviewStatus(panel, 'Matching items', 'Live preview is off.');
+        }
+    };
+
+    /**
+     * Schedules a preview update after the debounce delay, replacing any pending one.
+     */
+    SmartLists.scheduleLivePreview = function (page) {
+        const state = page._livePreview;
+        if (!state || !state.panel.querySelector('.live-preview-toggle').checked) {
+            return;
+        }
+
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        state.timer = setTimeout(function () {
+            state.timer = null;
+            SmartLists.refreshLivePreview(page);
+        }, PREVIEW_DEBOUNCE_MS);
+    };
+
+    /**
+     * Drops any pending update and ignores responses to requests already in flight.
+     */
+    SmartLists.cancelLivePreview = function (page) {
+        const state = page._livePreview;
+        if (!state) {
+            return;
+        }
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+        state.requestId++;
+    };
+
+    SmartLists.refreshLivePreview = function (page) {
+        const state = page._livePreview;
+        if (!state) {
+            return;
+        }
+
+        const panel = state.panel;
+        const requestId = ++state.requestId;
+
+        let payload;
+        try {
+            payload = state.options.buildPayload(page);
+        } catch (err) {
+            console.error('Error building live preview payload:', err);
+            return;
+        }
+
+        if (!payload.dto) {
+            setPreviewStatus(panel, 'Matching items: –', payload.error);
+            renderPreviewItems(panel, []);
+            return;
+        }
+
+        panel.querySelector('.live-preview-summary').textContent = 'Counting matching items…';
+
+        const apiClient = SmartLists.getApiClient();
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(state.options.endpoint, { sampleSize: PREVIEW_SAMPLE_SIZE }),
+            data: JSON.stringify(payload.dto),
+            contentType: 'application/json'
+        }).then(parsePreviewResponse).then(function (result) {
+            // A newer request has been made since this one started
+            if (requestId !== state.requestId) {
+                return;
+            }
+            renderPreviewResult(panel, result);
+        }).catch(function (err) {
+            if (requestId !== state.requestId) {
+                return;
+            }
+            console.error('Error loading live preview:', err);
+            setPreviewStatus(panel, 'Matching items: –', 'Preview failed: ' + (err && err.message ? err.message : 'unknown error'));
+            renderPreviewItems(panel, []);
+        });
+    };
+
+    // ===== SORT PREVIEW =====
+    // Shows the first items under the current rules and sort stack, with each item's value
+    // for every sort level, so tie-breaking and "Ignore Article" can be checked before saving.
+    // Uses the same dry-run endpoint as the live preview and only runs while the panel is open.
+
+    const SORT_PREVIEW_SAMPLE_SIZE = 20;
+    const SORT_PREVIEW_OPEN_KEY = 'smartListsSortPreviewOpen';
+
+    function isSortPreviewOpen() {
+        try {
+            return localStorage.getItem(SORT_PREVIEW_OPEN_KEY) === 'true';
+        } catch (err) {
+            return false;
+        }
+    }
+
+    function saveSortPreviewOpen(open) {
+        try {
+            localStorage.setItem(SORT_PREVIEW_OPEN_KEY, open ? 'true' : 'false');
+        } catch (err) {
+            console.warn('Failed to save sort preview preference:', err);
+        }
+    }
+
+    function createSortPreviewPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'sort-preview-panel';
+        panel.style.cssText = 'margin-top: 1em; padding: 0.6em 1em; background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.1); border-radius: 4px;';
+        panel.innerHTML =
+            '<div style="display: flex; align-items: center; justify-content: space-between; gap: 1em; flex-wrap: wrap;">' +
+            '<div class="sort-preview-summary" aria-live="polite" style="font-weight: 500;">Sort preview</div>' +
+            '<button type="button" is="emby-button" class="emby-button sort-preview-toggle" style="margin: 0; padding: 0.3em 0.8em; font-size: 0.85em;"></button>' +
+            '</div>' +
+            '<div class="sort-preview-body">' +
+            '<div class="sort-preview-detail fieldDescription" style="margin-top: 0.25em;"></div>' +
+            '<div class="sort-preview-items" style="max-height: 360px; overflow: auto; margin-top: 0.5em;"></div>' +
+            '</div>';
+        return panel;
+    }
+
+    function setSortPreviewStatus(panel, summary, detail) {
+        panel.querySelector('.sort-preview-summary').textContent = summary;
+        panel.querySelector('.sort-preview-detail').textContent = detail || '';
+    }
+
+    // "SeriesName Ascending" -> "Series Name ↑", using the labels of the sort dropdown
+    function formatSortLevelName(orderName) {
+        const match = /^(.*?)\s+(Ascending|Descending)$/.exec(orderName || '');
+        const sortBy = match ? match[1] : orderName;
+        const option = SmartLists.SORT_OPTIONS.find(function (opt) {
+            return opt.value === sortBy || opt.value + ' (Ignore Articles)' === sortBy;
+        });
+        let label = option ? (option.fieldLabel || option.label) : sortBy;
+        if (/\(Ignore Articles\)$/.test(sortBy)) {
+            label += ' (ignoring \'The\')';
+        }
+        if (match) {
+            label += match[2] === 'Descending' ? ' ↓' : ' ↑';
+        }
+        return label;
+    }
+
+    function renderSortPreviewItems(panel, result) {
+        const container = panel.querySelector('.sort-preview-items');
+        const items = result && result.Items ? result.Items : [];
+        if (items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const sortNames = result.SortNames || [];
+        let html = '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em;"><thead><tr style="color: #aaa; text-align: left;">' +
+            '<th style="padding: 0.3em 0.5em 0.3em 0; width: 2.5em;"></th>' +
+            '<th style="padding: 0.3em 0.5em; font-weight: 500;">Item</th>';
+        sortNames.forEach(function (name) {
+            html += '<th style="padding: 0.3em 0.5em; font-weight: 500; white-space: nowrap;">' + SmartLists.escapeHtml(formatSortLevelName(name)) + '</th>';
+        });
+        html += '</tr></thead><tbody>';
+
+        items.forEach(function (item, index) {
+            const keys = item.SortKeys || [];
+            const previousKeys = index > 0 ? (items[index - 1].SortKeys || []) : null;
+            html += '<tr style="border-top: 1px solid rgba(255,255,255,0.06);">' +
+                '<td style="padding: 0.3em 0.5em 0.3em 0; color: #888; text-align: right;">' + (index + 1) + '</td>' +
+                '<td style="padding: 0.3em 0.5em;">' + SmartLists.escapeHtml(item.Name) + '</td>';
+
+            // A value that ties with the row above (on this and every earlier level) is dimmed,
+            // so the first bright column shows which level decided the order
+            let tiedSoFar = previousKeys !== null;
+            sortNames.forEach(function (name, level) {
+                const value = keys[level] || '';
+                tiedSoFar = tiedSoFar && previousKeys[level] === value;
+                html += '<td style="padding: 0.3em 0.5em; white-space: nowrap; color: ' + (tiedSoFar ? '#666' : '#ddd') + ';"' +
+                    (tiedSoFar ? ' title="Same as the item above"' : '') + '>' +
+                    SmartLists.escapeHtml(value || '–') + '</td>';
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    function renderSortPreviewResult(panel, result) {
+        if (!result.Success) {
+            setSortPreviewStatus(panel, 'Sort preview', result.Message);
+            renderSortPreviewItems(panel, null);
+            return;
+        }
+
+        const shown = result.Items.length;
+        const summary = shown === 0 ? 'Sort preview: no items' : 'Sort preview: first ' + shown + ' of ' + result.ItemCount.toLocaleString();
+        setSortPreviewStatus(panel, summary, shown > 0 ? 'Dimmed values tie with the item above; the next column breaks the tie.' : '');
+        renderSortPreviewItems(panel, result);
+    }
+
+    function syncSortPreviewToggle(state) {
+        const toggle = state.panel.querySelector('.sort-preview-toggle');
+        toggle.textContent = state.open ? 'Hide' : 'Show';
+        toggle.setAttribute('aria-expanded', state.open ? 'true' : 'false');
+        state.panel.querySelector('.sort-preview-body').style.display = state.open ? '' : 'none';
+    }
+
+    /**
+     * Adds the sort preview panel to options.containerSelector. While it is open, it shows the first items
+     * in list order with their sort key values and updates as the form changes. Takes the same options as
+     * SmartLists.initLivePreview, except that options.observeSelectors lists containers whose children
+     * being added or removed (rules, sort boxes) should update the preview.
+     */
+    SmartLists.initSortPreview = function (page, options) {
+        if (page._sortPreview) {
+            return;
+        }
+
+        const container = page.querySelector(options.containerSelector);
+        if (!container) {
+            return;
+        }
+
+        const panel = createSortPreviewPanel();
+        container.appendChild(panel);
+
+        const state = {
+            options: options,
+            panel: panel,
+            open: isSortPreviewOpen(),
+            timer: null,
+            requestId: 0
+        };
+        page._sortPreview = state;
+
+        panel.querySelector('.sort-preview-toggle').addEventListener('click', function () {
+            state.open = !state.open;
+            saveSortPreviewOpen(state.open);
+            syncSortPreviewToggle(state);
+            if (state.open) {
+                SmartLists.refreshSortPreview(page);
+            } else {
+                if (state.timer) {
+                    clearTimeout(state.timer);
+                    state.timer = null;
+                }
+                state.requestId++;
+                setSortPreviewStatus(panel, 'Sort preview', '');
+            }
+        });
+        syncSortPreviewToggle(state);
+
+        const watchRoot = options.watchSelector ? page.querySelector(options.watchSelector) : page;
+        const onFormChange = function (e) {
+            if (panel.contains(e.target)) {
+                return;
+            }
+            if (options.ignoreSelector && e.target.matches && e.target.matches(options.ignoreSelector)) {
+                return;
+            }
+            SmartLists.scheduleSortPreview(page);
+        };
+        if (watchRoot) {
+            watchRoot.addEventListener('input', onFormChange);
+            watchRoot.addEventListener('change', onFormChange);
+        }
+
+        if (typeof MutationObserver !== 'undefined') {
+            (options.observeSelectors || []).forEach(function (selector) {
+                const observed = page.querySelector(selector);
+                if (observed) {
+                    new MutationObserver(function () {
+                        SmartLists.scheduleSortPreview(page);
+                    }).observe(observed, { childList: true, subtree: true });
+                }
+            });
+        }
+
+        if (state.open) {
+            SmartLists.scheduleSortPreview(page);
+        }
+    };
+
+    /**
+     * Schedules a sort preview update after the debounce delay, if the panel is open.
+     */
+    SmartLists.scheduleSortPreview = function (page) {
+        const state = page._sortPreview;
+        if (!state || !state.open) {
+            return;
+        }
+
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        state.timer = setTimeout(function () {
+            state.timer = null;
+            SmartLists.refreshSortPreview(page);
+        }, PREVIEW_DEBOUNCE_MS);
+    };
+
+    SmartLists.refreshSortPreview = function (page) {
+        const state = page._sortPreview;
+        if (!state || !state.open) {
+            return;
+        }
+
+        const panel = state.panel;
+        const requestId = ++state.requestId;
+
+        let payload;
+        try {
+            payload = state.options.buildPayload(page);
+        } catch (err) {
+            console.error('Error building sort preview payload:', err);
+            return;
+        }
+
+        if (!payload.dto) {
+            setSortPreviewStatus(panel, 'Sort preview', payload.error);
+            renderSortPreviewItems(panel, null);
+            return;
+        }
+
+        panel.querySelector('.sort-preview-summary').textContent = 'Sorting…';
+
+        const apiClient = SmartLists.getApiClient();
+        apiClient.ajax({
+            type: 'POST',
+            url: apiClient.getUrl(state.options.endpoint, { sampleSize: SORT_PREVIEW_SAMPLE_SIZE }),
+            data: JSON.stringify(payload.dto),
+            contentType: 'application/json'
+        }).then(parsePreviewResponse).then(function (result) {
+            if (requestId !== state.requestId) {
+                return;
+            }
+            renderSortPreviewResult(panel, result);
+        }).catch(function (err) {
+            if (requestId !== state.requestId) {
+                return;
+            }
+            console.error('Error loading sort preview:', err);
+            setSortPreviewStatus(panel, 'Sort preview', 'Preview failed: ' + (err && err.message ? err.message : 'unknown error'));
+            renderSortPreviewItems(panel, null);
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -0,0 +1,710 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== TEXT QUERY LANGUAGE =====
+    // Lets advanced users type rules such as:
+    //   Genres contains "Sci-Fi" AND (ProductionYear >= 1990 OR NOT IsFavorite = true)
+    // The text is parsed into the same ExpressionSets produced by collectRulesFromForm
+    // (top-level OR groups, parentheses becoming nested logic groups), and saved lists
+    // are serialized back to text when switching to the Advanced tab.
+
+    // Canonical operator syntax used when serializing rules back to text
+    const OPERATOR_SYNTAX = {
+        Equal: '=',
+        NotEqual: '!=',
+        GreaterThan: '>',
+        LessThan: '<',
+        GreaterThanOrEqual: '>=',
+        LessThanOrEqual: '<=',
+        Contains: 'contains',
+        NotContains: 'not contains',
+        IsIn: 'in',
+        IsNotIn: 'not in',
+        MatchRegex: 'matches',
+        After: 'after',
+        Before: 'before',
+        NewerThan: 'newer than',
+        OlderThan: 'older than',
+        Weekday: 'weekday',
+        InPeriod: 'in period',
+        OnThisDay: 'on this day',
+        AnniversaryWithin: 'anniversary within'
+    };
+
+    // Additional spellings accepted when parsing (lowercase, single-space separated)
+    const OPERATOR_ALIASES = {
+        '==': 'Equal',
+        'equals': 'Equal',
+        'not equals': 'NotEqual',
+        'is in': 'IsIn',
+        'is not in': 'IsNotIn',
+        'matches regex': 'MatchRegex',
+        'greater than': 'GreaterThan',
+        'less than': 'LessThan',
+        'greater than or equal': 'GreaterThanOrEqual',
+        'less than or equal': 'LessThanOrEqual',
+        'in calendar period': 'InPeriod'
+    };
+
+    // Per-expression options that can be given in [brackets] after a condition
+    const EXPRESSION_OPTIONS = {
+        UserId: 'string',
+        CompareField: 'string',
+        CompareUserId: 'string',
+        Weight: 'number',
+        IncludeUnwatchedSeries: 'boolean',
+        IncludeEpisodesWithinSeries: 'boolean',
+        IncludeCollectionOnly: 'boolean',
+        IncludeParentSeriesTags: 'boolean',
+        IncludeParentSeriesStudios: 'boolean',
+        IncludeParentSeriesGenres: 'boolean',
+        OnlyDefaultAudioLanguage: 'boolean'
+    };
+
+    const KEYWORDS = ['and', 'or', 'not'];
+    const SYMBOL_CHARS = '=!<>()[],';
+    const BARE_VALUE_PATTERN = /^[A-Za-z0-9_.:\-\/+]+$/;
+
+    function QuerySyntaxError(message, position) {
+        this.name = 'QuerySyntaxError';
+        this.message = message;
+        this.position = position;
+    }
+    QuerySyntaxError.prototype = Object.create(Error.prototype);
+    QuerySyntaxError.prototype.constructor = QuerySyntaxError;
+
+    function buildOperatorLookup() {
+        const lookup = {};
+        Object.keys(OPERATOR_SYNTAX).forEach(function (operator) {
+            lookup[OPERATOR_SYNTAX[operator]] = operator;
+            lookup[operator.toLowerCase()] = operator;
+        });
+        Object.keys(OPERATOR_ALIASES).forEach(function (alias) {
+            lookup[alias] = OPERATOR_ALIASES[alias];
+        });
+        return lookup;
+    }
+
+    const OPERATOR_LOOKUP = buildOperatorLookup();
+
+    // ===== TOKENIZER =====
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text.charAt(i);
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (ch === '"' || ch === '\'') {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < text.length && text.charAt(i) !== ch) {
+                    // Only quotes and backslashes are escaped so regex patterns like \d+ keep their backslashes
+                    const following = text.charAt(i + 1);
+                    if (text.charAt(i) === '\\' && (following === ch || following === '\\')) {
+                        i++;
+                    }
+                    value += text.charAt(i);
+                    i++;
+                }
+                if (i >= text.length) {
+                    throw new QuerySyntaxError('Unterminated string starting at position ' + (start + 1), start);
+                }
+                i++;
+                tokens.push({ type: 'string', value: value, position: start });
+                continue;
+            }
+
+            if (SYMBOL_CHARS.indexOf(ch) !== -1) {
+                const twoChars = text.substr(i, 2);
+                if (twoChars === '>=' || twoChars === '<=' || twoChars === '!=' || twoChars === '==') {
+                    tokens.push({ type: 'symbol', value: twoChars, position: i });
+                    i += 2;
+                } else {
+                    tokens.push({ type: 'symbol', value: ch, position: i });
+                    i++;
+                }
+                continue;
+            }
+
+            const start = i;
+            while (i < text.length && !/\s/.test(text.charAt(i)) &&
+                SYMBOL_CHARS.indexOf(text.charAt(i)) === -1 && text.charAt(i) !== '"' && text.charAt(i) !== '\'') {
+                i++;
+            }
+            tokens.push({ type: 'word', value: text.substring(start, i), position: start });
+        }
+
+        return tokens;
+    }
+
+    // ===== FIELD VALIDATION =====
+    function getKnownFields() {
+        const fields = {};
+        const availableFields = SmartLists.availableFields || {};
+
+        Object.keys(availableFields).forEach(function (key) {
+            // SimilarityComparisonFields are not rule fields
+            if (key === 'SimilarityComparisonFields' || !/Fields$/.test(key) || !Array.isArray(availableFields[key])) {
+                return;
+            }
+            availableFields[key].forEach(function (field) {
+                if (field && field.Value) {
+                    fields[field.Value.toLowerCase()] = field.Value;
+                }
+            });
+        });
+
+        Object.keys(availableFields.FieldOperators || {}).forEach(function (fieldName) {
+            fields[fieldName.toLowerCase()] = fieldName;
+        });
+
+        return fields;
+    }
+
+    function getOperatorLabel(operator) {
+        const operators = (SmartLists.availableFields && SmartLists.availableFields.Operators) || [];
+        for (let i = 0; i < operators.length; i++) {
+            if (operators[i].Value === operator) {
+                return operators[i].Label;
+            }
+        }
+        return operator;
+    }
+
+    // ===== PARSER =====
+    function Parser(text) {
+        this.tokens = tokenize(text);
+        this.index = 0;
+        this.knownFields = getKnownFields();
+        this.textLength = text.length;
+    }
+
+    Parser.prototype.peek = function (offset) {
+        return this.tokens[this.index + (offset || 0)] || null;
+    };
+
+    Parser.prototype.next = function () {
+        return this.tokens[this.index++] || null;
+    };
+
+    Parser.prototype.currentPosition = function () {
+        const token = this.peek();
+        return token ? token.position : this.textLength;
+    };
+
+    Parser.prototype.fail = function (message, token) {
+        const position = token ? token.position : this.currentPosition();
+        throw new QuerySyntaxError(message + ' (at position ' + (position + 1) + ')', position);
+    };
+
+    Parser.prototype.isKeyword = function (token, keyword) {
+        return token && token.type === 'word' && token.value.toLowerCase() === keyword;
+    };
+
+    Parser.prototype.isSymbol = function (token, symbol) {
+        return token && token.type === 'symbol' && token.value === symbol;
+    };
+
+    Parser.prototype.expectSymbol = function (symbol) {
+        const token = this.next();
+        if (!this.isSymbol(token, symbol)) {
+            this.fail('Expected "' + symbol + '"' + (token ? ' but found "' + token.value + '"' : ''), token);
+        }
+        return token;
+    };
+
+    Parser.prototype.parseQuery = function () {
+        if (this.tokens.length === 0) {
+            return { type: 'or', children: [] };
+        }
+        const node = this.parseOr();
+        const leftover = this.peek();
+        if (leftover) {
+            this.fail('Unexpected "' + leftover.value + '"', leftover);
+        }
+        return node;
+    };
+
+    Parser.prototype.parseOr = function () {
+        const children = [this.parseAnd()];
+        while (this.isKeyword(this.peek(), 'or')) {
+            this.next();
+            children.push(this.parseAnd());
+        }
+        return { type: 'or', children: children };
+    };
+
+    Parser.prototype.parseAnd = function () {
+        const children = [this.parseNot()];
+        while (this.isKeyword(this.peek(), 'and')) {
+            this.next();
+            children.push(this.parseNot());
+        }
+        return { type: 'and', children: children };
+    };
+
+    Parser.prototype.parseNot = function () {
+        if (this.isKeyword(this.peek(), 'not')) {
+            this.next();
+            return { type: 'not', child: this.parseNot() };
+        }
+        return this.parsePrimary();
+    };
+
+    Parser.prototype.parsePrimary = function () {
+        const token = this.peek();
+        if (!token) {
+            this.fail('Expected a condition but the query ended');
+        }
+        if (this.isSymbol(token, '(')) {
+            this.next();
+            const node = simplify(this.parseOr());
+            this.expectSymbol(')');
+            // Parenthesized AND/OR chains become their own logic group
+            node.grouped = true;
+            return node;
+        }
+        return { type: 'rule', expression: this.parseCondition() };
+    };
+
+    Parser.prototype.parseField = function () {
+        const token = this.next();
+        if (!token || token.type !== 'word' || KEYWORDS.indexOf(token.value.toLowerCase()) !== -1) {
+            this.fail('Expected a field name' + (token ? ' but found "' + token.value + '"' : ''), token);
+        }
+        const fieldName = this.knownFields[token.value.toLowerCase()];
+        if (!fieldName) {
+            this.fail('Unknown field "' + token.value + '"', token);
+        }
+        return { name: fieldName, token: token };
+    };
+
+    Parser.prototype.parseOperator = function (field) {
+        const start = this.peek();
+        if (!start) {
+            this.fail('Expected an operator after "' + field.name + '"');
+        }
+
+        // Operators can span several words ("greater than or equal"), so match the longest phrase first
+        for (let length = 5; length >= 1; length--) {
+            const parts = [];
+            for (let i = 0; i < length; i++) {
+                const token = this.peek(i);
+                if (!token || token.type === 'string') {
+                    break;
+                }
+                parts.push(token.value.toLowerCase());
+            }
+            if (parts.length !== length) {
+                continue;
+            }
+            const operator = OPERATOR_LOOKUP[parts.join(' ')];
+            if (operator) {
+                this.index += length;
+                const allowed = (SmartLists.availableFields.FieldOperators || {})[field.name];
+                if (allowed && allowed.indexOf(operator) === -1) {
+                    this.fail('Operator "' + getOperatorLabel(operator) + '" is not supported for field "' + field.name +
+                        '". Supported operators: ' + allowed.map(getOperatorLabel).join(', '), start);
+                }
+                return operator;
+            }
+        }
+
+        this.fail('Unknown operator "' + start.value + '" for field "' + field.name + '"', start);
+        return null;
+    };
+
+    Parser.prototype.parseScalar = function () {
+        const token = this.next();
+        if (!token || token.type === 'symbol') {
+            this.fail('Expected a value' + (token ? ' but found "' + token.value + '"' : ''), token);
+        }
+        return token.value;
+    };
+
+    Parser.prototype.parseValue = function (operator) {
+        const token = this.peek();
+
+        // Multi-value operators accept a parenthesized list: Genres in ("Action", "Comedy")
+        if (this.isSymbol(token, '(') && SmartLists.MULTI_VALUE_OPERATORS.indexOf(operator) !== -1) {
+            this.next();
+            const values = [this.parseScalar()];
+            while (this.isSymbol(this.peek(), ',')) {
+                this.next();
+                values.push(this.parseScalar());
+            }
+            this.expectSymbol(')');
+            return values.join(';');
+        }
+
+        return this.parseScalar();
+    };
+
+    Parser.prototype.parseOptions = function (expression) {
+        if (!this.isSymbol(this.peek(), '[')) {
+            return;
+        }
+        this.next();
+
+        while (!this.isSymbol(this.peek(), ']')) {
+            const keyToken = this.next();
+            if (!keyToken || keyToken.type !== 'word') {
+                this.fail('Expected an option name', keyToken);
+            }
+            const optionName = Object.keys(EXPRESSION_OPTIONS).find(function (name) {
+                return name.toLowerCase() === keyToken.value.toLowerCase();
+            });
+            if (!optionName) {
+                this.fail('Unknown option "' + keyToken.value + '". Supported options: ' + Object.keys(EXPRESSION_OPTIONS).join(', '), keyToken);
+            }
+            this.expectSymbol('=');
+            const valueToken = this.peek();
+            const rawValue = this.parseScalar();
+
+            if (EXPRESSION_OPTIONS[optionName] === 'number') {
+                if (!/^[+-]?\d+(\.\d+)?$/.test(rawValue)) {
+                    this.fail('Option "' + optionName + '" must be a number', valueToken);
+                }
+                expression[optionName] = parseFloat(rawValue);
+            } else if (EXPRESSION_OPTIONS[optionName] === 'boolean') {
+                const lowered = rawValue.toLowerCase();
+                if (lowered !== 'true' && lowered !== 'false') {
+                    this.fail('Option "' + optionName + '" must be true or false', valueToken);
+                }
+                expression[optionName] = lowered === 'true';
+            } else {
+                expression[optionName] = rawValue;
+            }
+
+            if (this.isSymbol(this.peek(), ',')) {
+                this.next();
+            } else if (!this.isSymbol(this.peek(), ']')) {
+                this.fail('Expected "," or "]" in options list');
+            }
+        }
+        this.expectSymbol(']');
+    };
+
+    Parser.prototype.parseCondition = function () {
+        const field = this.parseField();
+        const operator = this.parseOperator(field);
+        // "ReleaseDate on this day" has no value. An empty value is written as "" (e.g. Name = ""),
+        // which is also how a field comparison without an adjustment is serialized
+        const targetValue = SmartLists.VALUELESS_OPERATORS.indexOf(operator) !== -1 ? '' : this.parseValue(operator);
+        const expression = { MemberName: field.name, Operator: operator, TargetValue: targetValue };
+        this.parseOptions(expression);
+        return expression;
+    };
+
+    // Collapses single-child AND/OR nodes so "(A)" is just a condition
+    function simplify(node) {
+        while ((node.type === 'and' || node.type === 'or') && node.children.length === 1) {
+            node = node.children[0];
+        }
+        return node;
+    }
+
+    // Converts a parsed node into one logic group (an ExpressionSet, possibly with nested Groups)
+    function toExpressionSet(node) {
+        if (node.type === 'rule') {
+            return { Expressions: [node.expression] };
+        }
+
+        if (node.type === 'not') {
+            const child = simplify(node.child);
+            const negated = toExpressionSet(child);
+            if (negated.Negate) {
+                delete negated.Negate;
+            } else {
+                negated.Negate = true;
+            }
+            return negated;
+        }
+
+        const expressionSet = { Expressions: [] };
+        const groups = [];
+        node.children.forEach(function (child) {
+            child = simplify(child);
+            if (child.type === 'rule') {
+                expressionSet.Expressions.push(child.expression);
+            } else {
+                groups.push(toExpressionSet(child));
+            }
+        });
+        if (groups.length > 0) {
+            expressionSet.Groups = groups;
+        }
+        if (node.type === 'or') {
+            expressionSet.Logic = 'Or';
+        }
+        return expressionSet;
+    }
+
+    /**
+     * Parses query text into ExpressionSets. Throws a QuerySyntaxError with a position on invalid input.
+     * Top-level ORs become separate logic groups; everything else maps onto nested groups.
+     */
+    SmartLists.parseRuleQuery = function (text) {
+        const parser = new Parser(text || '');
+        const tree = simplify(parser.parseQuery());
+        if (tree.type === 'or' && !tree.grouped) {
+            return tree.children.map(function (child) {
+                return toExpressionSet(simplify(child));
+            });
+        }
+        return [toExpressionSet(tree)];
+    };
+
+    // ===== SERIALIZER =====
+    function formatValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (BARE_VALUE_PATTERN.test(text) && KEYWORDS.indexOf(text.toLowerCase()) === -1) {
+            return text;
+        }
+        // Backslashes are only escaped where the tokenizer would otherwise treat them as an escape
+        return '"' + text.replace(/\\(?=["\\]|$)/g, '\\\\').replace(/"/g, '\\"') + '"';
+    }
+
+    function formatExpression(expression) {
+        const operator = expression.Operator;
+        let valueText;
+
+        if (SmartLists.MULTI_VALUE_OPERATORS.indexOf(operator) !== -1 && String(expression.TargetValue).indexOf(';') !== -1) {
+            const items = String(expression.TargetValue).split(';').map(function (item) {
+                return item.trim();
+            }).filter(function (item) {
+                return item.length > 0;
+            });
+            valueText = '(' + items.map(formatValue).join(', ') + ')';
+        } else {
+            valueText = formatValue(expression.TargetValue);
+        }
+
+        let text = expression.MemberName + ' ' + (OPERATOR_SYNTAX[operator] || operator);
+        if (SmartLists.VALUELESS_OPERATORS.indexOf(operator) === -1) {
+            text += ' ' + valueText;
+        }
+
+        const options = [];
+        Object.keys(EXPRESSION_OPTIONS).forEach(function (optionName) {
+            const optionValue = expression[optionName];
+            if (optionValue !== undefined && optionValue !== null && optionValue !== '') {
+                options.push(optionName + '=' + formatValue(optionValue));
+            }
+        });
+        if (options.length > 0) {
+            text += ' [' + options.join(', ') + ']';
+        }
+
+        return text;
+    }
+
+    function hasExpressions(expressionSet) {
+        return SmartLists.getAllExpressions([expressionSet]).length > 0;
+    }
+
+    // Formats a group's items joined by its AND/OR operator. Subgroups are parenthesized
+    // (or prefixed with NOT) so the text parses back into the same structure.
+    function formatGroupBody(expressionSet) {
+        const items = (expressionSet.Expressions || []).filter(Boolean).map(formatExpression);
+        (expressionSet.Groups || []).filter(hasExpressions).forEach(function (group) {
+            items.push(formatNestedGroup(group));
+        });
+        return {
+            text: items.join(expressionSet.Logic === 'Or' ? ' OR ' : ' AND '),
+            count: items.length
+        };
+    }
+
+    function formatNestedGroup(expressionSet) {
+        const body = formatGroupBody(expressionSet);
+        const text = body.count > 1 ? '(' + body.text + ')' : body.text;
+        return expressionSet.Negate === true ? 'NOT ' + text : text;
+    }
+
+    /**
+     * Serializes ExpressionSets to query text. Each top-level logic group becomes one line joined with OR.
+     */
+    SmartLists.serializeRuleQuery = function (expressionSets) {
+        const groups = (expressionSets || []).filter(function (es) {
+            return es && hasExpressions(es);
+        });
+
+        return groups.map(function (expressionSet) {
+            const body = formatGroupBody(expressionSet);
+            // A lone top-level OR group still needs parentheses, otherwise it would be split into separate groups
+            const needsParens = body.count > 1 && (groups.length > 1 || expressionSet.Logic === 'Or' || expressionSet.Negate === true);
+            const text = needsParens ? '(' + body.text + ')' : body.text;
+            return expressionSet.Negate === true ? 'NOT ' + text : text;
+        }).join('\nOR ');
+    };
+
+    // ===== BUILDER / ADVANCED TABS =====
+    function getQueryEditor(page) {
+        return page.querySelector('.rules-query-editor');
+    }
+
+    SmartLists.isRuleQueryModeActive = function (page) {
+        const editor = getQueryEditor(page);
+        return !!editor && editor.getAttribute('data-mode') === 'advanced';
+    };
+
+    function showQueryError(page, message) {
+        const errorDiv = page.querySelector('.rules-query-error');
+        if (!errorDiv) {
+            return;
+        }
+        errorDiv.textContent = message || '';
+        errorDiv.style.display = message ? 'block' : 'none';
+    }
+
+    function updateTabButtons(editor, mode) {
+        editor.setAttribute('data-mode', mode);
+        editor.querySelectorAll('.rules-mode-tab').forEach(function (button) {
+            const isActive = button.getAttribute('data-mode') === mode;
+            button.classList.toggle('button-submit', isActive);
+            button.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Switches the rules editor between the visual builder and the text query editor.
+     * Returns false if the text query could not be applied to the builder.
+     */
+    SmartLists.setRuleEditorMode = function (page, mode) {
+        const editor = getQueryEditor(page);
+        if (!editor) {
+            return true;
+        }
+
+        const containerSelector = editor.getAttribute('data-container');
+        const rulesContainer = page.querySelector(containerSelector);
+        const queryPanel = editor.querySelector('.rules-query-panel');
+        const textArea = editor.querySelector('.rules-query-input');
+
+        if (mode === 'advanced') {
+            if (!SmartLists.isRuleQueryModeActive(page)) {
+                textArea.value = SmartLists.serializeRuleQuery(SmartLists.collectRulesFromForm(page, containerSelector));
+            }
+            showQueryError(page, '');
+            rulesContainer.style.display = 'none';
+            queryPanel.style.display = 'block';
+            updateTabButtons(editor, 'advanced');
+            return true;
+        }
+
+        if (SmartLists.isRuleQueryModeActive(page)) {
+            let expressionSets;
+            try {
+                expressionSets = SmartLists.parseRuleQuery(textArea.value);
+            } catch (error) {
+                showQueryError(page, error.message);
+                return false;
+            }
+            SmartLists.loadRulesIntoUI(page, expressionSets, containerSelector);
+            if (SmartLists.updateAllFieldSelects) {
+                SmartLists.updateAllFieldSelects(page);
+            }
+            if (SmartLists.updateAllSortOptionsVisibility) {
+                SmartLists.updateAllSortOptionsVisibility(page);
+            }
+        }
+
+        showQueryError(page, '');
+        queryPanel.style.display = 'none';
+        rulesContainer.style.display = '';
+        updateTabButtons(editor, 'builder');
+        return true;
+    };
+
+    /**
+     * Switches back to the builder without applying the text (used when the form is reset or a list is loaded).
+     */
+    SmartLists.resetRuleEditorMode = function (page) {
+        const editor = getQueryEditor(page);
+        if (!editor) {
+            return;
+        }
+        editor.querySelector('.rules-query-input').value = '';
+        editor.setAttribute('data-mode', 'builder');
+        SmartLists.setRuleEditorMode(page, 'builder');
+    };
+
+    /**
+     * Returns the ExpressionSets for saving from whichever editor is active.
+     * Returns null (and shows the error) if the text query is invalid.
+     * With options.silent the error is only shown inline, without a notification.
+     */
+    SmartLists.collectActiveRules = function (page, containerSelector, options) {
+        if (!SmartLists.isRuleQueryModeActive(page)) {
+            return SmartLists.collectRulesFromForm(page, containerSelector);
+        }
+
+        const textArea = page.querySelector('.rules-query-input');
+        try {
+            const expressionSets = SmartLists.parseRuleQuery(textArea ? textArea.value : '');
+            showQueryError(page, '');
+            return expressionSets;
+        } catch (error) {
+            showQueryError(page, error.message);
+            if (!options || !options.silent) {
+                SmartLists.showNotification('Rule query is invalid: ' + error.message, 'error');
+            }
+            return null;
+        }
+    };
+
+    // The operators the parser understands, in their canonical spelling, for the help text
+    function getOperatorSyntaxList() {
+        return Object.keys(OPERATOR_SYNTAX).map(function (operator) {
+            return OPERATOR_SYNTAX[operator];
+        }).join(', ');
+    }
+
+    /**
+     * Adds the Builder / Advanced tab bar and the text query panel above the rules container.
+     */
+    SmartLists.initRuleQueryEditor = function (page, containerSelector) {
+        const selector = containerSelector || '#rules-container';
+        const rulesContainer = page.querySelector(selector);
+        if (!rulesContainer || page.querySelector('.rules-query-editor')) {
+            return;
+        }
+
+        const editor = document.createElement('div');
+        editor.className = 'rules-query-editor';
+        editor.setAttribute('data-mode', 'builder');
+        editor.setAttribute('data-container', selector);
+        editor.innerHTML =
+            '<div class="rules-mode-tabs" role="tablist" style="display: flex; gap: 0.5em; margin-bottom: 0.75em;">' +
+            '<button type="button" is="emby-button" class="emby-button raised rules-mode-tab button-submit" data-mode="builder" role="tab" aria-selected="true">Builder</button>' +
+            '<button type="button" is="emby-button" class="emby-button raised rules-mode-tab" data-mode="advanced" role="tab" aria-selected="false">Advanced</button>' +
+            '</div>' +
+            '<div class="rules-query-panel" style="display: none; margin-bottom: 1em;">' +
+            '<textarea class="rules-query-input" rows="6" spellcheck="false" ' +
+            'style="width: 100%; box-sizing: border-box; font-family: monospace; padding: 0.6em; background: rgba(0,0,0,0.3); color: inherit; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px;" ' +
+            'placeholder=\'Genres contains "Sci-Fi" AND (ProductionYear >= 1990 OR NOT IsFavorite = true)\'></textarea>' +
+            '<div class="rules-query-error" style="display: none; color: #ff6b6b; margin-top: 0.5em;"></div>' +
+            '<div class="fieldDescription">Write conditions as <code>Field operator value</code> and combine them with AND, OR, NOT and parentheses. ' +
+            'Operators: ' + SmartLists.escapeHtml(getOperatorSyntaxList()) + '. ' +
+            'Quote values containing spaces, use <code>in ("A", "B")</code> for lists and <code>[UserId="..."]</code> after a condition for rule options. ' +
+            'Switch back to Builder to apply the text to the visual editor.</div>' +
+            '</div>';
+
+        rulesContainer.parentNode.insertBefore(editor, rulesContainer);
+
+        editor.querySelectorAll('.rules-mode-tab').forEach(function (button) {
+            button.addEventListener('click', function () {
+                SmartLists.setRuleEditorMode(page, button.getAttribute('data-mode'));
+            });
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
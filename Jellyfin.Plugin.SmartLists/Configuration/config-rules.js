@@ -1,6 +1,18 @@
 (function (SmartLists) {
     'use strict';
 
+    // Field group display names and order, used by the field selects
+    const FIELD_GROUPS = [
+        { key: 'ContentFields', label: 'Content' },
+        { key: 'VideoFields', label: 'Video' },
+        { key: 'AudioFields', label: 'Audio' },
+        { key: 'RatingsPlaybackFields', label: 'Ratings & Playback' },
+        { key: 'LibraryFields', label: 'Library' },
+        { key: 'FileFields', label: 'File Info' },
+        { key: 'PeopleFields', label: 'People' },
+        { key: 'CollectionFields', label: 'Collections' }
+    ];
+
     // ===== OPERATOR OPTIONS MANAGEMENT =====
     SmartLists.updateOperatorOptions = function (fieldValue, operatorSelect) {
         // Capture the previous operator value before clearing
@@ -55,6 +67,14 @@
             }
         }
 
+        // Comparing with another field only supports the operators of that comparison kind
+        if (SmartLists.isCompareMode(operatorSelect.closest('.rule-row'))) {
+            const comparisonOperators = SmartLists.getComparisonOperators(fieldValue);
+            allowedOperators = allowedOperators.filter(function (op) {
+                return comparisonOperators.indexOf(op.Value) !== -1;
+            });
+        }
+
         allowedOperators.forEach(function (opt) {
             const option = document.createElement('option');
             option.value = opt.Value;
@@ -74,6 +94,18 @@
 
     // ===== VALUE INPUT MANAGEMENT =====
     SmartLists.setValueInput = function (fieldValue, valueContainer, operatorValue, explicitCurrentValue) {
+        // Rules comparing with another field get the compared field instead of a value input
+        const compareRow = valueContainer.closest('.rule-row');
+        if (SmartLists.isCompareMode(compareRow)) {
+            if (getComparisonKind(fieldValue)) {
+                renderCompareInput(fieldValue, valueContainer, explicitCurrentValue);
+                return;
+            }
+            // The new field cannot be compared, and an adjustment is not a value for it
+            compareRow.removeAttribute('data-compare-mode');
+            valueContainer.innerHTML = '';
+        }
+
         // Store the current value before clearing the container
         // For relative date operators, we need to capture both number and unit
         let currentValue = explicitCurrentValue;
@@ -103,6 +135,7 @@
         }
 
         valueContainer.innerHTML = '';
+        valueContainer.style.display = '';
 
         // Check if this is an IsIn/IsNotIn operator to use tag-based input
         const ruleRow = valueContainer.closest('.rule-row');
@@ -129,6 +162,13 @@
 
         // Restore the current value if it exists and is valid for the new field type
         SmartLists.restoreFieldValue(valueContainer, fieldValue, currentOperator, currentValue, isMultiValueOperator);
+
+        // Offer comparing with another field where the field and operator allow it
+        if (compareRow && getComparisonKind(fieldValue) && (!currentOperator || SmartLists.getComparisonOperators(fieldValue).indexOf(currentOperator) !== -1)) {
+            valueContainer.style.display = 'flex';
+            valueContainer.style.gap = '0.5em';
+            valueContainer.appendChild(createCompareToggle(compareRow, false));
+        }
     };
 
     SmartLists.handleSimpleFieldInput = function (valueContainer, currentValue) {
@@ -196,11 +236,12 @@
     };
 
     SmartLists.handleDateFieldInput = function (valueContainer, currentOperator, currentValue) {
-        const isRelativeDateOperator = SmartLists.RELATIVE_DATE_OPERATORS.indexOf(currentOperator) !== -1;
+        const isRelativeDateOperator = SmartLists.RELATIVE_DATE_OPERATORS.indexOf(currentOperator) !== -1 ||
+            SmartLists.CALENDAR_DATE_OPERATORS.indexOf(currentOperator) !== -1;
         const isWeekdayOperator = currentOperator === 'Weekday';
 
         if (isRelativeDateOperator) {
-            SmartLists.handleRelativeDateInput(valueContainer, currentValue);
+            SmartLists.handleRelativeDateInput(valueContainer, currentValue, currentOperator);
         } else if (isWeekdayOperator) {
             SmartLists.handleWeekdayInput(valueContainer, currentValue);
         } else {
@@ -208,18 +249,65 @@
         }
     };
 
-    SmartLists.handleRelativeDateInput = function (valueContainer) {
+    // Units offered by each relative date operator; InPeriod picks "this" or "last" instead of a number
+    const RELATIVE_DATE_UNITS = {
+        InPeriod: [
+            { value: 'week', label: 'Week' },
+            { value: 'month', label: 'Month' },
+            { value: 'quarter', label: 'Quarter' },
+            { value: 'year', label: 'Year' }
+        ],
+        AnniversaryWithin: [
+            { value: 'days', label: 'Day(s)' },
+            { value: 'weeks', label: 'Week(s)' }
+        ],
+        default: [
+            { value: 'hours', label: 'Hour(s)' },
+            { value: 'days', label: 'Day(s)' },
+            { value: 'weeks', label: 'Week(s)' },
+            { value: 'months', label: 'Month(s)' },
+            { value: 'years', label: 'Year(s)' }
+        ]
+    };
+
+    SmartLists.handleRelativeDateInput = function (valueContainer, currentValue, operator) {
+        if (SmartLists.VALUELESS_OPERATORS.indexOf(operator) !== -1) {
+            const note = document.createElement('div');
+            note.className = 'fieldDescription rule-calendar-note';
+            note.style.margin = '0';
+            note.textContent = 'Same day and month as today, in an earlier year.';
+            valueContainer.appendChild(note);
+            appendCalendarHint(valueContainer, operator);
+            return;
+        }
+
         const inputContainer = document.createElement('div');
         inputContainer.style.display = 'flex';
         inputContainer.style.gap = '0.5em';
         inputContainer.style.alignItems = 'center';
         valueContainer.appendChild(inputContainer);
 
-        const input = document.createElement('input');
-        input.type = 'number';
-        input.className = 'emby-input rule-value-input';
-        input.placeholder = 'Number';
-        input.min = '0';
+        let input;
+        if (operator === 'InPeriod') {
+            input = document.createElement('select');
+            input.className = 'emby-select rule-value-input';
+            input.setAttribute('is', 'emby-select');
+            [
+                { value: 'current', label: 'This' },
+                { value: 'previous', label: 'Last' }
+            ].forEach(function (opt) {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'emby-input rule-value-input';
+            input.placeholder = 'Number';
+            input.min = '0';
+        }
         input.style.flex = '0 0 43%';
         inputContainer.appendChild(input);
 
@@ -236,21 +324,139 @@
         placeholderOption.selected = true;
         unitSelect.appendChild(placeholderOption);
 
-        [
-            { value: 'hours', label: 'Hour(s)' },
-            { value: 'days', label: 'Day(s)' },
-            { value: 'weeks', label: 'Week(s)' },
-            { value: 'months', label: 'Month(s)' },
-            { value: 'years', label: 'Year(s)' }
-        ].forEach(function (opt) {
+        (RELATIVE_DATE_UNITS[operator] || RELATIVE_DATE_UNITS.default).forEach(function (opt) {
             const option = document.createElement('option');
             option.value = opt.value;
             option.textContent = opt.label;
             unitSelect.appendChild(option);
         });
         inputContainer.appendChild(unitSelect);
+
+        if (SmartLists.CALENDAR_DATE_OPERATORS.indexOf(operator) !== -1) {
+            appendCalendarHint(valueContainer, operator);
+            input.addEventListener('input', function () {
+                updateCalendarHint(valueContainer, operator);
+            });
+            input.addEventListener('change', function () {
+                updateCalendarHint(valueContainer, operator);
+            });
+            unitSelect.addEventListener('change', function () {
+                updateCalendarHint(valueContainer, operator);
+            });
+        }
+    };
+
+    // ===== CALENDAR DATE HINTS =====
+    // Calendar operators are evaluated on the server in its own time zone, so the hint shows the
+    // dates they cover right now in server time, computed the same way (weeks start on Monday).
+
+    function getServerToday() {
+        const serverTimeZone = SmartLists.availableFields && SmartLists.availableFields.ServerTimeZone;
+        const offsetMinutes = serverTimeZone ? Number(serverTimeZone.UtcOffsetMinutes) || 0 : -new Date().getTimezoneOffset();
+        const serverNow = new Date(Date.now() + offsetMinutes * 60000);
+        // A UTC midnight date holding the server's calendar day
+        return new Date(Date.UTC(serverNow.getUTCFullYear(), serverNow.getUTCMonth(), serverNow.getUTCDate()));
+    }
+
+    function formatServerOffset() {
+        const serverTimeZone = SmartLists.availableFields && SmartLists.availableFields.ServerTimeZone;
+        if (!serverTimeZone) {
+            return 'server time';
+        }
+        const offset = Number(serverTimeZone.UtcOffsetMinutes) || 0;
+        const hours = Math.floor(Math.abs(offset) / 60);
+        const minutes = Math.abs(offset) % 60;
+        return 'server time, UTC' + (offset < 0 ? '-' : '+') + (hours < 10 ? '0' : '') + hours + ':' + (minutes < 10 ? '0' : '') + minutes;
+    }
+
+    function addDays(date, days) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+    }
+
+    function getPeriodStart(date, unit) {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        switch (unit) {
+            case 'week': return addDays(date, -((date.getUTCDay() + 6) % 7));
+            case 'month': return new Date(Date.UTC(year, month, 1));
+            case 'quarter': return new Date(Date.UTC(year, month - (month % 3), 1));
+            default: return new Date(Date.UTC(year, 0, 1));
+        }
+    }
+
+    function getNextPeriodStart(start, unit) {
+        switch (unit) {
+            case 'week': return addDays(start, 7);
+            case 'month': return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+            case 'quarter': return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 1));
+            default: return new Date(Date.UTC(start.getUTCFullYear() + 1, 0, 1));
+        }
+    }
+
+    function formatCalendarDate(date, withYear) {
+        const options = { day: 'numeric', month: 'short', timeZone: 'UTC' };
+        if (withYear) {
+            options.year = 'numeric';
+        }
+        return date.toLocaleDateString(undefined, options);
+    }
+
+    /**
+     * Describes the dates a calendar date rule covers today, in server time, e.g. "1 Sep 2026 – 30 Sep 2026".
+     */
+    SmartLists.describeCalendarRange = function (operator, targetValue) {
+        const today = getServerToday();
+        const parts = String(targetValue || '').split(':');
+
+        if (operator === 'InPeriod') {
+            if (parts.length !== 2 || !parts[1]) {
+                return '';
+            }
+            let start = getPeriodStart(today, parts[1]);
+            let end = getNextPeriodStart(start, parts[1]);
+            if (parts[0] === 'previous') {
+                end = start;
+                start = getPeriodStart(addDays(start, -1), parts[1]);
+            }
+            return formatCalendarDate(start, true) + ' – ' + formatCalendarDate(addDays(end, -1), true);
+        }
+
+        if (operator === 'OnThisDay') {
+            return formatCalendarDate(today, false) + ' in any earlier year';
+        }
+
+        if (operator === 'AnniversaryWithin') {
+            const amount = parseInt(parts[0], 10);
+            if (isNaN(amount) || !parts[1]) {
+                return '';
+            }
+            const days = parts[1] === 'weeks' ? amount * 7 : amount;
+            return formatCalendarDate(addDays(today, -days), false) + ' – ' + formatCalendarDate(addDays(today, days), false) + ' in any earlier year';
+        }
+
+        return '';
     };
 
+    function appendCalendarHint(valueContainer, operator) {
+        const hint = document.createElement('div');
+        hint.className = 'fieldDescription rule-calendar-hint';
+        hint.style.cssText = 'margin: 0.3em 0 0 0; font-size: 0.85em; color: #999;';
+        valueContainer.appendChild(hint);
+        updateCalendarHint(valueContainer, operator);
+    }
+
+    function updateCalendarHint(valueContainer, operator) {
+        const hint = valueContainer.querySelector('.rule-calendar-hint');
+        if (!hint) {
+            return;
+        }
+        const input = valueContainer.querySelector('.rule-value-input');
+        const unitSelect = valueContainer.querySelector('.rule-value-unit');
+        const value = input && unitSelect ? input.value + ':' + unitSelect.value : '';
+        const range = SmartLists.describeCalendarRange(operator, value);
+        hint.textContent = range ? 'Today: ' + range + ' (' + formatServerOffset() + ')' : '';
+    }
+
     SmartLists.handleAbsoluteDateInput = function (valueContainer) {
         const input = document.createElement('input');
         input.type = 'date';
@@ -378,7 +584,8 @@
     };
 
     SmartLists.restoreDateValue = function (valueContainer, currentOperator, currentValue, newValueInput) {
-        const isRelativeDateOperator = SmartLists.RELATIVE_DATE_OPERATORS.indexOf(currentOperator) !== -1;
+        const isRelativeDateOperator = SmartLists.RELATIVE_DATE_OPERATORS.indexOf(currentOperator) !== -1 ||
+            SmartLists.CALENDAR_DATE_OPERATORS.indexOf(currentOperator) !== -1;
         const isWeekdayOperator = currentOperator === 'Weekday';
 
         if (isRelativeDateOperator) {
@@ -397,24 +604,25 @@
     };
 
     SmartLists.restoreRelativeDateValue = function (valueContainer, currentValue, newValueInput) {
-        // Parse number:unit format for relative date operators
+        // Parse number:unit format for relative date operators (current:unit / previous:unit for InPeriod)
         const parts = currentValue.split(':');
-        const validUnits = ['hours', 'days', 'weeks', 'months', 'years'];
+        const unitSelect = valueContainer.querySelector('.rule-value-unit');
         const num = parts[0];
         const unit = parts[1];
-        const isValidNum = /^\d+$/.test(num) && parseInt(num, 10) >= 0;
-        const isValidUnit = validUnits.indexOf(unit) !== -1;
+        const hasOption = function (select, value) {
+            return Array.from(select.options).some(function (opt) {
+                return opt.value === value && !opt.disabled;
+            });
+        };
+        const isValidNum = newValueInput.tagName === 'SELECT' ? hasOption(newValueInput, num) : /^\d+$/.test(num) && parseInt(num, 10) >= 0;
+        const isValidUnit = !!unitSelect && hasOption(unitSelect, unit);
 
         if (parts.length === 2 && isValidNum && isValidUnit) {
-            // Set the number input
-            if (newValueInput.tagName === 'INPUT') {
-                newValueInput.value = num;
-            }
+            // Set the number input (or This / Last select)
+            newValueInput.value = num;
             // Set the unit dropdown
-            const unitSelect = valueContainer.querySelector('.rule-value-unit');
-            if (unitSelect) {
-                unitSelect.value = unit;
-            }
+            unitSelect.value = unit;
+            unitSelect.dispatchEvent(new Event('change'));
         } else {
             // Log a warning if the value is malformed
             console.warn('Malformed relative date value: \'' + currentValue + '\'. Expected format: <number>:<unit> (e.g., \'3:months\'). Parts:', parts, 'isValidNum: ' + isValidNum, 'isValidUnit: ' + isValidUnit);
@@ -470,6 +678,11 @@
         valueContainer.appendChild(tagContainer);
         valueContainer.appendChild(hiddenInput);
 
+        // Library-backed suggestions go first so a highlighted suggestion wins over Enter below
+        if (SmartLists.enableValueSuggestions) {
+            SmartLists.enableValueSuggestions(valueContainer, input);
+        }
+
         // Add event listeners
         input.addEventListener('keydown', function (e) {
             if (e.key === 'Enter') {
@@ -611,7 +824,240 @@
         hiddenInput.value = tags.join(';');
     };
 
+    // ===== FIELD-TO-FIELD COMPARISON =====
+    // A rule can compare its field with another field of the same item instead of a typed value,
+    // e.g. Community Rating > Critic Rating /10. Only fields of the same kind (number, date or text)
+    // are offered. The value input then holds an optional adjustment applied to the compared field:
+    // "/10", "*2", "+1" for numbers or "+5:years", "-30:days" for dates.
+
+    function getComparisonKind(fieldValue) {
+        const comparableFields = SmartLists.availableFields && SmartLists.availableFields.ComparableFields;
+        return (comparableFields && comparableFields[fieldValue]) || null;
+    }
+
+    /**
+     * Whether a rule row compares its field with another field instead of a value.
+     */
+    SmartLists.isCompareMode = function (ruleRow) {
+        return !!ruleRow && ruleRow.getAttribute('data-compare-mode') === 'true';
+    };
+
+    /**
+     * Operators allowed when the field is compared with another field (empty if it cannot be).
+     */
+    SmartLists.getComparisonOperators = function (fieldValue) {
+        const kind = getComparisonKind(fieldValue);
+        const operatorsByKind = SmartLists.availableFields && SmartLists.availableFields.ComparisonOperators;
+        return (kind && operatorsByKind && operatorsByKind[kind]) || [];
+    };
+
+    /**
+     * Switches a rule row between comparing with a value and comparing with another field.
+     */
+    SmartLists.setCompareMode = function (ruleRow, enabled) {
+        const fieldSelect = ruleRow.querySelector('.rule-field-select');
+        const operatorSelect = ruleRow.querySelector('.rule-operator-select');
+        const valueContainer = ruleRow.querySelector('.rule-value-container');
+        if (!fieldSelect || !operatorSelect || !valueContainer) {
+            return;
+        }
+
+        if (enabled) {
+            ruleRow.setAttribute('data-compare-mode', 'true');
+        } else {
+            ruleRow.removeAttribute('data-compare-mode');
+        }
+
+        // A value and an adjustment mean different things, so neither carries over
+        valueContainer.innerHTML = '';
+        SmartLists.updateOperatorOptions(fieldSelect.value, operatorSelect);
+        SmartLists.setValueInput(fieldSelect.value, valueContainer, operatorSelect.value);
+
+        const focusTarget = valueContainer.querySelector(enabled ? '.rule-compare-field-select' : '.rule-value-input');
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+    };
+
+    function createCompareToggle(ruleRow, active) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'rule-compare-toggle';
+        button.textContent = active ? '⇄ Field' : '⇄';
+        button.title = active ? 'Compare with a value instead' : 'Compare with another field of the same item';
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        button.style.cssText = 'flex: 0 0 auto; padding: 0.3em 0.6em; border-radius: 4px; cursor: pointer; font-size: 0.9em; ' +
+            'border: 1px solid ' + (active ? '#00a4dc' : '#555') + '; background: ' + (active ? 'rgba(0,164,220,0.2)' : 'rgba(255,255,255,0.05)') + '; color: #ddd;';
+        button.addEventListener('click', function () {
+            SmartLists.setCompareMode(ruleRow, !active);
+        });
+        return button;
+    }
+
+    function populateCompareFieldSelect(select, fieldValue, page, selectedValue) {
+        const kind = getComparisonKind(fieldValue);
+        const selectedMediaTypes = page ? SmartLists.getSelectedMediaTypes(page) : [];
+        const fieldGroups = SmartLists.filterFieldsByMediaType(SmartLists.availableFields, selectedMediaTypes);
+
+        select.innerHTML = '<option value="">-- Compare to Field --</option>';
+        FIELD_GROUPS.forEach(function (group) {
+            const fields = (fieldGroups[group.key] || []).filter(function (field) {
+                return getComparisonKind(field.Value) === kind;
+            });
+            if (fields.length === 0) {
+                return;
+            }
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            fields.forEach(function (field) {
+                const option = document.createElement('option');
+                option.value = field.Value;
+                option.textContent = field.Label;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+
+        // Keep a saved field even if the current media types would hide it
+        if (selectedValue && !select.querySelector('option[value="' + selectedValue + '"]') && getComparisonKind(selectedValue) === kind) {
+            const option = document.createElement('option');
+            option.value = selectedValue;
+            option.textContent = selectedValue;
+            select.appendChild(option);
+        }
+        select.value = selectedValue && getComparisonKind(selectedValue) === kind ? selectedValue : '';
+    }
+
+    function updateCompareUserVisibility(valueContainer) {
+        const fieldSelect = valueContainer.querySelector('.rule-compare-field-select');
+        const userSelector = valueContainer.querySelector('.rule-compare-user');
+        if (userSelector) {
+            const isUserField = !!fieldSelect && SmartLists.FIELD_TYPES.USER_DATA_FIELDS.indexOf(fieldSelect.value) !== -1;
+            userSelector.style.display = isUserField ? 'block' : 'none';
+        }
+    }
+
+    // Renders the compared field, its user and the adjustment, keeping what was already chosen.
+    // populateRuleRow passes the saved field and user through data-compare-field / data-compare-user-id.
+    function renderCompareInput(fieldValue, valueContainer, explicitAdjustment) {
+        const ruleRow = valueContainer.closest('.rule-row');
+        const page = valueContainer.closest('[data-role="page"]');
+        const kind = getComparisonKind(fieldValue);
+
+        const existingField = valueContainer.querySelector('.rule-compare-field-select');
+        const existingUser = valueContainer.querySelector('.rule-compare-user-select');
+        const existingAdjustment = valueContainer.querySelector('.rule-compare-adjustment');
+        const compareField = existingField ? existingField.value : (ruleRow.getAttribute('data-compare-field') || '');
+        const compareUserId = existingUser ? existingUser.value : (ruleRow.getAttribute('data-compare-user-id') || '');
+        let adjustment = existingAdjustment ? existingAdjustment.value : '';
+        if (explicitAdjustment !== undefined && explicitAdjustment !== null) {
+            adjustment = explicitAdjustment;
+        }
+        ruleRow.removeAttribute('data-compare-field');
+        ruleRow.removeAttribute('data-compare-user-id');
+
+        valueContainer.innerHTML = '';
+        valueContainer.style.display = 'flex';
+        valueContainer.style.flexWrap = 'wrap';
+        valueContainer.style.gap = '0.5em';
+
+        const fieldSelect = document.createElement('select');
+        fieldSelect.className = 'emby-select rule-compare-field-select';
+        fieldSelect.setAttribute('is', 'emby-select');
+        fieldSelect.style.cssText = 'flex: 1 1 8em; min-width: 0;';
+        populateCompareFieldSelect(fieldSelect, fieldValue, page, compareField);
+        valueContainer.appendChild(fieldSelect);
+
+        // Text fields are compared as they are
+        if (kind !== 'Text') {
+            const adjustmentInput = document.createElement('input');
+            adjustmentInput.type = 'text';
+            adjustmentInput.className = 'emby-input rule-value-input rule-compare-adjustment';
+            adjustmentInput.placeholder = kind === 'Date' ? '+5:years' : '/10';
+            adjustmentInput.title = kind === 'Date' ?
+                'Optional: shift the compared date, e.g. +5:years or -30:days (hours, days, weeks, months, years)' :
+                'Optional: adjust the compared value, e.g. /10, *2, +1 or -1';
+            adjustmentInput.style.cssText = 'flex: 0 0 6.5em; width: 6.5em;';
+            adjustmentInput.value = adjustment || '';
+            valueContainer.appendChild(adjustmentInput);
+        }
+
+        valueContainer.appendChild(createCompareToggle(ruleRow, true));
+
+        const userSelector = document.createElement('div');
+        userSelector.className = 'rule-compare-user';
+        userSelector.style.cssText = 'display: none; flex: 1 0 100%;';
+        userSelector.innerHTML = '<select is="emby-select" class="emby-select rule-compare-user-select" style="width: 100%;" title="User whose playback data the compared field reads">' +
+            '<option value="">Compared field for: Default (list user)</option>' +
+            '</select>';
+        valueContainer.appendChild(userSelector);
+
+        const userSelect = userSelector.querySelector('.rule-compare-user-select');
+        SmartLists.loadUsersForRule(userSelect, true).then(function () {
+            userSelect.value = compareUserId;
+        }).catch(function () {
+            userSelect.value = compareUserId;
+        });
+
+        fieldSelect.addEventListener('change', function () {
+            updateCompareUserVisibility(valueContainer);
+        });
+        updateCompareUserVisibility(valueContainer);
+    }
+
+    /**
+     * Formats the adjustment of a field comparison for display, e.g. "/10" as "/ 10" and "+5:years" as "+ 5 years".
+     */
+    SmartLists.formatCompareAdjustment = function (adjustment) {
+        const text = String(adjustment || '').trim();
+        if (!text) {
+            return '';
+        }
+        const dateMatch = /^([+-]?)\s*(\d+):(\w+)$/.exec(text);
+        if (dateMatch) {
+            return (dateMatch[1] || '+') + ' ' + dateMatch[2] + ' ' + dateMatch[3];
+        }
+        const numericMatch = /^([*\/+-])\s*(.+)$/.exec(text);
+        return numericMatch ? numericMatch[1].replace('*', '×') + ' ' + numericMatch[2] : text;
+    };
+
     // ===== REGEX HELP =====
+    // ===== SCORING MODE =====
+    // In scoring mode each rule adds its weight to an item's score instead of filtering.
+    // The form has a scoring mode checkbox and a minimum score; each rule row has a weight input.
+
+    /**
+     * Checks whether the form is in scoring mode. Pages without the checkbox never are.
+     */
+    SmartLists.isScoringMode = function (page) {
+        return SmartLists.getElementChecked(page, '#playlistScoringMode', false);
+    };
+
+    /**
+     * Shows the weight input of a rule row in scoring mode and hides it otherwise.
+     */
+    SmartLists.updateRuleWeightVisibility = function (ruleRow, page) {
+        const weight = ruleRow.querySelector('.rule-weight');
+        if (weight) {
+            weight.style.display = SmartLists.isScoringMode(page) ? 'flex' : 'none';
+        }
+    };
+
+    /**
+     * Updates the form after the scoring mode checkbox changes: weight inputs, the minimum score
+     * and the sort options (Score is only offered in scoring mode).
+     */
+    SmartLists.updateScoringModeUI = function (page) {
+        page.querySelectorAll('.rule-row').forEach(function (ruleRow) {
+            SmartLists.updateRuleWeightVisibility(ruleRow, page);
+        });
+        const scoringOptions = page.querySelector('#scoringOptions');
+        if (scoringOptions) {
+            scoringOptions.style.display = SmartLists.isScoringMode(page) ? '' : 'none';
+        }
+        SmartLists.updateAllSortOptionsVisibility(page);
+    };
+
     SmartLists.updateRegexHelp = function (ruleGroup) {
         const operatorSelect = ruleGroup.querySelector('.rule-operator-select');
         const existingHelp = ruleGroup.querySelector('.regex-help');
@@ -664,12 +1110,123 @@
     };
 
     // ===== LOGIC GROUP MANAGEMENT =====
+    // A logic group holds rules and nested subgroups (direct children), combined with the
+    // group's AND/OR operator and optionally negated. Top-level groups are combined with OR.
+
+    function getDirectChildren(logicGroup, className) {
+        return Array.prototype.filter.call(logicGroup.children, function (child) {
+            return child.classList.contains(className);
+        });
+    }
+
+    // Rules and subgroups that belong directly to this group (not to a nested subgroup)
+    function getGroupItems(logicGroup) {
+        return Array.prototype.filter.call(logicGroup.children, function (child) {
+            return child.classList.contains('rule-row') || child.classList.contains('logic-subgroup');
+        });
+    }
+
+    function getGroupLogic(logicGroup) {
+        const header = getDirectChildren(logicGroup, 'logic-group-header')[0];
+        const operatorSelect = header ? header.querySelector('.logic-group-operator') : null;
+        return operatorSelect && operatorSelect.value === 'Or' ? 'Or' : 'And';
+    }
+
+    function isGroupNegated(logicGroup) {
+        const header = getDirectChildren(logicGroup, 'logic-group-header')[0];
+        const negateCheckbox = header ? header.querySelector('.logic-group-negate') : null;
+        return !!(negateCheckbox && negateCheckbox.checked);
+    }
+
+    function createLogicGroupHeader(page, logicGroup, isSubgroup) {
+        const header = SmartLists.createStyledElement('div', 'logic-group-header', SmartLists.STYLES.logicGroupHeader);
+        header.innerHTML =
+            createDragHandleHtml(isSubgroup ? 'subgroup' : 'group') +
+            '<label style="display: flex; align-items: center; gap: 0.4em;">Match ' +
+            '<select is="emby-select" class="emby-select logic-group-operator" style="width: auto;">' +
+            '<option value="And">all rules (AND)</option>' +
+            '<option value="Or">any rule (OR)</option>' +
+            '</select></label>' +
+            '<label style="display: flex; align-items: center; gap: 0.4em; cursor: pointer;" title="Invert this group: items matching it are excluded">' +
+            '<input type="checkbox" class="logic-group-negate"> NOT</label>' +
+            '<button type="button" class="rule-action-btn add-group-rule-btn" title="Add a rule to this group">+ Rule</button>' +
+            '<button type="button" class="rule-action-btn add-subgroup-btn" title="Add a nested group">+ Subgroup</button>' +
+            (isSubgroup ? '<button type="button" class="rule-action-btn remove-subgroup-btn" title="Remove this group">×</button>' : '');
+
+        header.querySelectorAll('.rule-action-btn').forEach(function (button) {
+            SmartLists.styleRuleActionButton(button, button.classList.contains('remove-subgroup-btn') ? 'delete' : 'action');
+        });
+        SmartLists.styleRuleActionButton(header.querySelector('.rule-drag-handle'), 'drag');
+
+        // Header controls live and die with the group element, so plain listeners are sufficient
+        header.querySelector('.logic-group-operator').addEventListener('change', function () {
+            SmartLists.updateRuleButtonVisibility(page, getContainerSelector(logicGroup));
+        });
+        header.querySelector('.add-group-rule-btn').addEventListener('click', function () {
+            SmartLists.addRuleToGroup(page, logicGroup);
+        });
+        header.querySelector('.add-subgroup-btn').addEventListener('click', function () {
+            SmartLists.addSubgroupToGroup(page, logicGroup);
+        });
+        if (isSubgroup) {
+            header.querySelector('.remove-subgroup-btn').addEventListener('click', function () {
+                SmartLists.removeLogicGroup(page, logicGroup);
+            });
+        }
+
+        // Rule snippets are only available where config-snippets.js is loaded (the admin page)
+        if (SmartLists.addSnippetControls) {
+            SmartLists.addSnippetControls(page, logicGroup, header);
+        }
+
+        return header;
+    }
+
+    function createLogicGroupElement(page, isSubgroup) {
+        const logicGroupDiv = SmartLists.createStyledElement('div',
+            isSubgroup ? 'logic-group logic-subgroup' : 'logic-group',
+            isSubgroup ? SmartLists.STYLES.logicSubgroup : SmartLists.STYLES.logicGroup);
+        logicGroupDiv.setAttribute('data-group-id', 'logic-group-' + Date.now());
+        logicGroupDiv.appendChild(createLogicGroupHeader(page, logicGroupDiv, isSubgroup));
+        return logicGroupDiv;
+    }
+
+    // The rules container is the parent of the outermost group
+    function getRulesContainer(logicGroup) {
+        let topLevelGroup = logicGroup;
+        while (topLevelGroup.classList.contains('logic-subgroup') && topLevelGroup.parentNode) {
+            topLevelGroup = topLevelGroup.parentNode;
+        }
+        return topLevelGroup.parentNode;
+    }
+
+    // Selector for updateRuleButtonVisibility, so the wizard's container is targeted too
+    function getContainerSelector(logicGroup) {
+        const rulesContainer = getRulesContainer(logicGroup);
+        return rulesContainer && rulesContainer.id ? '#' + rulesContainer.id : undefined;
+    }
+
+    function setGroupLogic(logicGroup, logic, negate) {
+        const header = getDirectChildren(logicGroup, 'logic-group-header')[0];
+        if (!header) return;
+        header.querySelector('.logic-group-operator').value = logic === 'Or' ? 'Or' : 'And';
+        header.querySelector('.logic-group-negate').checked = !!negate;
+    }
+
+    // Relabel the separators between a group's items to match its AND/OR operator
+    function updateLogicGroupSeparators(logicGroup) {
+        const label = getGroupLogic(logicGroup) === 'Or' ? 'OR' : 'AND';
+        getDirectChildren(logicGroup, 'rule-within-group-separator').forEach(function (separator) {
+            if (separator.firstChild && separator.firstChild.nodeType === 3) {
+                separator.firstChild.nodeValue = label;
+            }
+        });
+    }
+
     SmartLists.createInitialLogicGroup = function (page, containerSelector) {
         const rulesContainer = page.querySelector(containerSelector || '#rules-container');
-        const logicGroupId = 'logic-group-' + Date.now();
-
-        const logicGroupDiv = SmartLists.createStyledElement('div', 'logic-group', SmartLists.STYLES.logicGroup);
-        logicGroupDiv.setAttribute('data-group-id', logicGroupId);
+        const logicGroupDiv = createLogicGroupElement(page, false);
+        enableRuleReordering(page, rulesContainer);
 
         rulesContainer.appendChild(logicGroupDiv);
 
@@ -680,10 +1237,8 @@
     };
 
     SmartLists.addRuleToGroup = function (page, logicGroup) {
-        const existingRules = logicGroup.querySelectorAll('.rule-row');
-
-        // Add AND separator if this isn't the first rule in the group
-        if (existingRules.length > 0) {
+        // Add AND separator if this isn't the first item in the group (relabelled for OR groups below)
+        if (getGroupItems(logicGroup).length > 0) {
             const andSeparator = SmartLists.createAndSeparator();
             logicGroup.appendChild(andSeparator);
         }
@@ -701,6 +1256,7 @@
 
         const fieldsHtml =
             '<div class="input-group" style="display: flex; gap: 0.5em; align-items: center; margin-bottom: 1em;">' +
+            createDragHandleHtml('rule') +
             '<select is="emby-select" class="emby-select rule-field-select" style="flex: 0 0 25%;">' +
             '<option value="">-- Select Field --</option>' +
             '</select>' +
@@ -710,6 +1266,10 @@
             '<span class="rule-value-container" style="flex: 1;">' +
             '<input type="text" class="emby-input rule-value-input" placeholder="Value" style="width: 100%;">' +
             '</span>' +
+            '<label class="rule-weight" title="Points this rule adds to the score when an item matches (negative to penalize)" style="display: none; flex: 0 0 auto; align-items: center; gap: 0.25em; font-size: 0.85em; color: #ccc;">' +
+            'Weight' +
+            '<input type="number" class="emby-input rule-weight-input" value="1" step="0.5" style="width: 4.5em;">' +
+            '</label>' +
             '<div class="rule-actions">' +
             '<button type="button" class="rule-action-btn and-btn" title="Add AND rule">And</button>' +
             '<button type="button" class="rule-action-btn or-btn" title="Add OR group">Or</button>' +
@@ -852,6 +1412,9 @@
         // Initialize Similarity options visibility
         SmartLists.updateSimilarityOptionsVisibility(newRuleRow, fieldSelect.value);
 
+        // Weights are only shown in scoring mode
+        SmartLists.updateRuleWeightVisibility(newRuleRow, page);
+
         // Add event listeners with AbortController signal (if supported)
         const listenerOptions = SmartLists.getEventListenerOptions(signal);
         fieldSelect.addEventListener('change', function () {
@@ -890,6 +1453,8 @@
             }, listenerOptions);
         }
 
+        SmartLists.styleRuleActionButton(newRuleRow.querySelector('.rule-drag-handle'), 'drag');
+
         // Style the action buttons
         const actionButtons = newRuleRow.querySelectorAll('.rule-action-btn');
         actionButtons.forEach(function (button) {
@@ -917,7 +1482,7 @@
         // No need to attach direct listeners here
 
         // Update button visibility for all rules in all groups
-        SmartLists.updateRuleButtonVisibility(page);
+        SmartLists.updateRuleButtonVisibility(page, getContainerSelector(logicGroup));
     };
 
     SmartLists.addNewLogicGroup = function (page, containerSelector) {
@@ -928,9 +1493,8 @@
         rulesContainer.appendChild(orSeparator);
 
         // Create new logic group
-        const logicGroupId = 'logic-group-' + Date.now();
-        const logicGroupDiv = SmartLists.createStyledElement('div', 'logic-group', SmartLists.STYLES.logicGroup);
-        logicGroupDiv.setAttribute('data-group-id', logicGroupId);
+        const logicGroupDiv = createLogicGroupElement(page, false);
+        enableRuleReordering(page, rulesContainer);
 
         rulesContainer.appendChild(logicGroupDiv);
 
@@ -940,14 +1504,29 @@
         return logicGroupDiv;
     };
 
+    SmartLists.addSubgroupToGroup = function (page, parentGroup) {
+        if (getGroupItems(parentGroup).length > 0) {
+            parentGroup.appendChild(SmartLists.createAndSeparator());
+        }
+
+        const subgroupDiv = createLogicGroupElement(page, true);
+        parentGroup.appendChild(subgroupDiv);
+
+        // Add the first rule to this subgroup
+        SmartLists.addRuleToGroup(page, subgroupDiv);
+
+        return subgroupDiv;
+    };
+
     SmartLists.removeRule = function (page, ruleElement) {
-        const logicGroup = ruleElement.closest('.logic-group');
-        const rulesInGroup = logicGroup.querySelectorAll('.rule-row');
+        const logicGroup = ruleElement.parentNode.closest('.logic-group');
+        const itemsInGroup = getGroupItems(logicGroup);
+        const containerSelector = getContainerSelector(logicGroup);
 
         // Clean up event listeners before removing
         SmartLists.cleanupRuleEventListeners(ruleElement);
 
-        if (rulesInGroup.length === 1) {
+        if (itemsInGroup.length === 1) {
             // This is the last rule in the group, remove the entire group
             SmartLists.removeLogicGroup(page, logicGroup);
         } else {
@@ -962,7 +1541,7 @@
             }
 
             ruleElement.remove();
-            SmartLists.updateRuleButtonVisibility(page);
+            SmartLists.updateRuleButtonVisibility(page, containerSelector);
         }
 
         // Update sort options in case a Similar To rule was removed
@@ -978,32 +1557,43 @@
     };
 
     SmartLists.removeLogicGroup = function (page, logicGroup) {
-        const rulesContainer = page.querySelector('#rules-container');
-        const allGroups = rulesContainer.querySelectorAll('.logic-group');
+        const rulesContainer = getRulesContainer(logicGroup);
+        const containerSelector = getContainerSelector(logicGroup);
+        const isSubgroup = logicGroup.classList.contains('logic-subgroup');
+        const parentGroup = isSubgroup ? logicGroup.parentNode : null;
 
-        // Clean up all event listeners in this group
+        // Clean up all event listeners in this group (including nested subgroups)
         const rulesInGroup = logicGroup.querySelectorAll('.rule-row');
         rulesInGroup.forEach(function (rule) {
             SmartLists.cleanupRuleEventListeners(rule);
         });
 
-        if (allGroups.length === 1) {
-            // This is the last group, clear it and add a new rule
-            logicGroup.innerHTML = '';
+        if (isSubgroup && getGroupItems(parentGroup).length === 1) {
+            // Removing the only item of the parent group removes the parent as well
+            SmartLists.removeLogicGroup(page, parentGroup);
+        } else if (!isSubgroup && getDirectChildren(rulesContainer, 'logic-group').length === 1) {
+            // This is the last group, clear it (keeping its header) and add a new rule
+            Array.prototype.slice.call(logicGroup.children).forEach(function (child) {
+                if (!child.classList.contains('logic-group-header')) {
+                    child.remove();
+                }
+            });
+            setGroupLogic(logicGroup, 'And', false);
             SmartLists.addRuleToGroup(page, logicGroup);
         } else {
             // Remove the group and any adjacent separator
+            const separatorClass = isSubgroup ? 'rule-within-group-separator' : 'logic-group-separator';
             const nextSibling = logicGroup.nextElementSibling;
             const prevSibling = logicGroup.previousElementSibling;
 
-            if (prevSibling && prevSibling.classList.contains('logic-group-separator')) {
+            if (prevSibling && prevSibling.classList.contains(separatorClass)) {
                 prevSibling.remove();
-            } else if (nextSibling && nextSibling.classList.contains('logic-group-separator')) {
+            } else if (nextSibling && nextSibling.classList.contains(separatorClass)) {
                 nextSibling.remove();
             }
 
             logicGroup.remove();
-            SmartLists.updateRuleButtonVisibility(page);
+            SmartLists.updateRuleButtonVisibility(page, containerSelector);
         }
 
         // Update sort options in case a Similar To rule was removed
@@ -1029,20 +1619,29 @@
         const allLogicGroups = rulesContainer.querySelectorAll('.logic-group');
 
         allLogicGroups.forEach(function (group) {
-            const rulesInGroup = group.querySelectorAll('.rule-row');
+            const rulesInGroup = getDirectChildren(group, 'rule-row');
+            const isSubgroup = group.classList.contains('logic-subgroup');
+            const isOrGroup = getGroupLogic(group) === 'Or';
+
+            updateLogicGroupSeparators(group);
 
             rulesInGroup.forEach(function (rule, index) {
                 const andBtn = rule.querySelector('.and-btn');
                 const orBtn = rule.querySelector('.or-btn');
                 const deleteBtn = rule.querySelector('.delete-btn');
 
-                // Hide AND and OR buttons if this is not the last rule in the group
+                // In OR groups the "And" button still adds a rule to this group, so label it neutrally
+                andBtn.textContent = isOrGroup ? '+ Rule' : 'And';
+                andBtn.title = isOrGroup ? 'Add rule to this group' : 'Add AND rule';
+
+                // Hide AND and OR buttons if this is not the last rule in the group.
+                // The OR button always adds a top-level group, so it is only offered on top-level groups.
                 if (index < rulesInGroup.length - 1) {
                     andBtn.style.display = 'none';
                     orBtn.style.display = 'none';
                 } else {
                     andBtn.style.display = 'inline-flex';
-                    orBtn.style.display = 'inline-flex';
+                    orBtn.style.display = isSubgroup ? 'none' : 'inline-flex';
                 }
 
                 // Always show DELETE button
@@ -1173,6 +1772,343 @@
         SmartLists.updateRuleButtonVisibility(page);
     };
 
+    // ===== RULE REORDERING =====
+    // Rules and groups are moved by their handle: drag it, use the arrow keys to move the item
+    // up or down, or press Enter (or click) to pick another group for a rule or subgroup.
+    // Separators are rebuilt after each move and a group left empty is removed, the same as
+    // when its last rule is deleted.
+
+    const DROP_EDGE_PX = 12;
+    const DROP_INDICATOR_SHADOWS = {
+        before: 'inset 0 3px 0 0 #00a4dc',
+        after: 'inset 0 -3px 0 0 #00a4dc',
+        inside: 'inset 0 0 0 2px #00a4dc'
+    };
+
+    function createDragHandleHtml(itemType) {
+        const label = itemType === 'rule' ? 'Move rule' : itemType === 'subgroup' ? 'Move subgroup' : 'Move group';
+        const hint = itemType === 'group' ?
+            'drag, or use the arrow keys' :
+            'drag, use the arrow keys, or press Enter to move it to another group';
+        return '<button type="button" class="rule-drag-handle" data-item-type="' + itemType + '" ' +
+            'aria-label="' + label + '" title="' + label + ': ' + hint + '">⠿</button>';
+    }
+
+    function getDragItem(handle) {
+        return handle.closest(handle.getAttribute('data-item-type') === 'rule' ? '.rule-row' : '.logic-group');
+    }
+
+    function isTopLevelGroup(element) {
+        return element.classList.contains('logic-group') && !element.classList.contains('logic-subgroup');
+    }
+
+    function getItemRulesContainer(item) {
+        return getRulesContainer(item.classList.contains('rule-row') ? item.parentNode : item);
+    }
+
+    function getTopLevelGroup(element) {
+        let logicGroup = element.closest('.logic-group');
+        while (logicGroup && logicGroup.classList.contains('logic-subgroup')) {
+            logicGroup = logicGroup.parentNode.closest('.logic-group');
+        }
+        return logicGroup;
+    }
+
+    // Remove all separators between a parent's items and insert exactly one between neighbours
+    function normalizeSeparators(parent, isItem, separatorClass, createSeparator) {
+        getDirectChildren(parent, separatorClass).forEach(function (separator) {
+            separator.remove();
+        });
+        let hasPreviousItem = false;
+        Array.prototype.slice.call(parent.children).forEach(function (child) {
+            if (!isItem(child)) return;
+            if (hasPreviousItem) {
+                parent.insertBefore(createSeparator(), child);
+            }
+            hasPreviousItem = true;
+        });
+    }
+
+    // AND/OR labels are corrected afterwards by updateRuleButtonVisibility
+    function normalizeGroupSeparators(logicGroup) {
+        normalizeSeparators(logicGroup, function (child) {
+            return child.classList.contains('rule-row') || child.classList.contains('logic-subgroup');
+        }, 'rule-within-group-separator', SmartLists.createAndSeparator);
+    }
+
+    function normalizeContainerSeparators(rulesContainer) {
+        normalizeSeparators(rulesContainer, function (child) {
+            return child.classList.contains('logic-group');
+        }, 'logic-group-separator', SmartLists.createOrSeparator);
+    }
+
+    function removeGroupIfEmpty(page, logicGroup) {
+        if (getGroupItems(logicGroup).length > 0) return;
+
+        if (logicGroup.classList.contains('logic-subgroup')) {
+            const parentGroup = logicGroup.parentNode;
+            logicGroup.remove();
+            normalizeGroupSeparators(parentGroup);
+            removeGroupIfEmpty(page, parentGroup);
+            return;
+        }
+
+        const rulesContainer = logicGroup.parentNode;
+        if (getDirectChildren(rulesContainer, 'logic-group').length > 1) {
+            logicGroup.remove();
+            normalizeContainerSeparators(rulesContainer);
+        } else {
+            // Never leave the builder without a group, same as removeLogicGroup
+            setGroupLogic(logicGroup, 'And', false);
+            SmartLists.addRuleToGroup(page, logicGroup);
+        }
+    }
+
+    // Move a rule or group before referenceNode in targetParent (appended when referenceNode is null)
+    function moveItem(page, item, targetParent, referenceNode) {
+        const sourceParent = item.parentNode;
+        const containerSelector = getContainerSelector(item.classList.contains('rule-row') ? sourceParent : item);
+
+        targetParent.insertBefore(item, referenceNode || null);
+
+        if (isTopLevelGroup(item)) {
+            normalizeContainerSeparators(targetParent);
+        } else {
+            normalizeGroupSeparators(targetParent);
+            if (sourceParent !== targetParent) {
+                normalizeGroupSeparators(sourceParent);
+                removeGroupIfEmpty(page, sourceParent);
+            }
+        }
+
+        SmartLists.updateRuleButtonVisibility(page, containerSelector);
+    }
+
+    // Swap an item with its previous (step -1) or next (step 1) sibling item
+    function moveItemByStep(page, item, step) {
+        const parent = item.parentNode;
+        const siblings = isTopLevelGroup(item) ? getDirectChildren(parent, 'logic-group') : getGroupItems(parent);
+        const target = siblings[siblings.indexOf(item) + step];
+        if (!target) return false;
+
+        moveItem(page, item, parent, step < 0 ? target : target.nextSibling);
+        return true;
+    }
+
+    // Groups an item can be moved into, labelled by position. The item itself, its subgroups and
+    // groups linked to a rule snippet are left out.
+    function listMoveTargets(rulesContainer, item) {
+        const targets = [];
+        const addGroup = function (logicGroup, label) {
+            if (logicGroup === item || logicGroup.hasAttribute('data-snippet-id')) return;
+            targets.push({ group: logicGroup, label: label });
+            getDirectChildren(logicGroup, 'logic-subgroup').forEach(function (subgroup, index) {
+                addGroup(subgroup, label + ' › Subgroup ' + (index + 1));
+            });
+        };
+        getDirectChildren(rulesContainer, 'logic-group').forEach(function (logicGroup, index) {
+            addGroup(logicGroup, 'Group ' + (index + 1));
+        });
+        return targets;
+    }
+
+    function openMovePicker(page, handle) {
+        const existingPicker = handle.parentNode.querySelector('.rule-move-picker');
+        if (existingPicker) {
+            existingPicker.focus();
+            return;
+        }
+
+        const item = getDragItem(handle);
+        const rulesContainer = getItemRulesContainer(item);
+        const targets = listMoveTargets(rulesContainer, item);
+
+        const picker = document.createElement('select');
+        picker.className = 'rule-move-picker';
+        picker.setAttribute('aria-label', 'Move to group');
+        picker.style.cssText = 'width: auto; max-width: 16em; padding: 0.2em; font-size: 0.85em; background: #292929; color: #ddd; border: 1px solid #666; border-radius: 4px;';
+        let optionsHtml = '<option value="">Move to…</option>';
+        targets.forEach(function (target, index) {
+            const isCurrent = target.group === item.parentNode;
+            optionsHtml += '<option value="' + index + '"' + (isCurrent ? ' disabled' : '') + '>' +
+                SmartLists.escapeHtml(target.label + (isCurrent ? ' (current)' : '')) + '</option>';
+        });
+        optionsHtml += '<option value="new">New group</option>';
+        picker.innerHTML = optionsHtml;
+
+        const closePicker = function () {
+            if (picker.parentNode) {
+                picker.remove();
+            }
+        };
+
+        picker.addEventListener('change', function () {
+            const value = picker.value;
+            closePicker();
+            if (value === 'new') {
+                const newGroup = createLogicGroupElement(page, false);
+                rulesContainer.appendChild(newGroup);
+                normalizeContainerSeparators(rulesContainer);
+                moveItem(page, item, newGroup, null);
+            } else if (targets[value]) {
+                moveItem(page, item, targets[value].group, null);
+            }
+            handle.focus();
+        });
+        picker.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                closePicker();
+                handle.focus();
+            }
+        });
+        picker.addEventListener('blur', closePicker);
+
+        handle.insertAdjacentElement('afterend', picker);
+        picker.focus();
+    }
+
+    // Where the dragged item would land: before/after a rule or group, or inside a group
+    function findDropTarget(rulesContainer, item, target, clientY) {
+        if (isTopLevelGroup(item)) {
+            const logicGroup = getTopLevelGroup(target);
+            if (!logicGroup || logicGroup === item || !rulesContainer.contains(logicGroup)) return null;
+            const groupRect = logicGroup.getBoundingClientRect();
+            return { element: logicGroup, position: clientY < groupRect.top + groupRect.height / 2 ? 'before' : 'after' };
+        }
+
+        let element = target.closest('.rule-row, .logic-group');
+        // A group linked to a rule snippet can be moved, but nothing can be dropped into it
+        const linkedGroup = element ? element.closest('.logic-group[data-snippet-id]') : null;
+        if (linkedGroup) {
+            element = linkedGroup;
+        }
+        if (!element || !rulesContainer.contains(element) || item.contains(element)) return null;
+
+        const rect = element.getBoundingClientRect();
+        if (element.classList.contains('rule-row') || (linkedGroup && element.classList.contains('logic-subgroup'))) {
+            return { element: element, position: clientY < rect.top + rect.height / 2 ? 'before' : 'after' };
+        }
+        if (linkedGroup) return null;
+        if (element.classList.contains('logic-subgroup')) {
+            if (clientY - rect.top < DROP_EDGE_PX) return { element: element, position: 'before' };
+            if (rect.bottom - clientY < DROP_EDGE_PX) return { element: element, position: 'after' };
+        }
+        return { element: element, position: 'inside' };
+    }
+
+    function setDropIndicator(dragState, drop) {
+        const current = dragState.drop;
+        if (current && drop && current.element === drop.element && current.position === drop.position) return;
+
+        // Top-level groups already have a box shadow, so the indicator is layered on top of it
+        if (current) {
+            current.element.style.boxShadow = dragState.savedBoxShadow;
+        }
+        dragState.drop = drop;
+        if (drop) {
+            dragState.savedBoxShadow = drop.element.style.boxShadow;
+            drop.element.style.boxShadow = DROP_INDICATOR_SHADOWS[drop.position] +
+                (dragState.savedBoxShadow ? ', ' + dragState.savedBoxShadow : '');
+        }
+    }
+
+    // Listeners are delegated to the rules container, which outlives the groups loaded into it
+    function enableRuleReordering(page, rulesContainer) {
+        if (!rulesContainer || rulesContainer._reorderingEnabled) return;
+        rulesContainer._reorderingEnabled = true;
+
+        let dragState = null;
+
+        const getHandle = function (target) {
+            return target && target.closest ? target.closest('.rule-drag-handle') : null;
+        };
+
+        const endDrag = function () {
+            if (!dragState) return;
+            setDropIndicator(dragState, null);
+            dragState.item.style.opacity = '';
+            dragState.item.removeAttribute('draggable');
+            dragState = null;
+        };
+
+        // Only the handle makes an item draggable, so text in inputs can still be selected
+        rulesContainer.addEventListener('pointerdown', function (e) {
+            const handle = getHandle(e.target);
+            if (handle) {
+                getDragItem(handle).setAttribute('draggable', 'true');
+            }
+        });
+        rulesContainer.addEventListener('pointerup', function () {
+            if (!dragState) {
+                rulesContainer.querySelectorAll('[draggable="true"]').forEach(function (element) {
+                    element.removeAttribute('draggable');
+                });
+            }
+        });
+
+        rulesContainer.addEventListener('dragstart', function (e) {
+            const item = e.target;
+            if (!item.getAttribute || item.getAttribute('draggable') !== 'true') return;
+            dragState = { item: item, drop: null, savedBoxShadow: '' };
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag when data is set
+            e.dataTransfer.setData('text/plain', '');
+            item.style.opacity = '0.5';
+        });
+
+        rulesContainer.addEventListener('dragover', function (e) {
+            if (!dragState) return;
+            const target = e.target.nodeType === 1 ? e.target : e.target.parentNode;
+            const drop = findDropTarget(rulesContainer, dragState.item, target, e.clientY);
+            setDropIndicator(dragState, drop);
+            if (drop) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
+
+        rulesContainer.addEventListener('dragleave', function (e) {
+            if (dragState && !rulesContainer.contains(e.relatedTarget)) {
+                setDropIndicator(dragState, null);
+            }
+        });
+
+        rulesContainer.addEventListener('drop', function (e) {
+            if (!dragState || !dragState.drop) return;
+            e.preventDefault();
+            const item = dragState.item;
+            const drop = dragState.drop;
+            endDrag();
+
+            if (drop.position === 'inside') {
+                moveItem(page, item, drop.element, null);
+            } else {
+                moveItem(page, item, drop.element.parentNode, drop.position === 'before' ? drop.element : drop.element.nextSibling);
+            }
+        });
+
+        rulesContainer.addEventListener('dragend', endDrag);
+
+        rulesContainer.addEventListener('keydown', function (e) {
+            const handle = getHandle(e.target);
+            if (!handle || e.target !== handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            e.preventDefault();
+            if (moveItemByStep(page, getDragItem(handle), e.key === 'ArrowUp' ? -1 : 1)) {
+                handle.focus();
+            }
+        });
+
+        // Enter and Space click the handle too; top-level groups only reorder among themselves
+        rulesContainer.addEventListener('click', function (e) {
+            const handle = getHandle(e.target);
+            if (handle && handle.getAttribute('data-item-type') !== 'group') {
+                openMovePicker(page, handle);
+            }
+        });
+    }
+
     // ===== FIELD POPULATION AND VISIBILITY =====
     SmartLists.populateFieldSelect = function (selectElement, fieldGroups, defaultValue, page) {
         if (!selectElement || !fieldGroups) return;
@@ -1187,19 +2123,7 @@
         // Clear existing options
         selectElement.innerHTML = '<option value="">-- Select Field --</option>';
 
-        // Define field group display names and order
-        const groupConfig = [
-            { key: 'ContentFields', label: 'Content' },
-            { key: 'VideoFields', label: 'Video' },
-            { key: 'AudioFields', label: 'Audio' },
-            { key: 'RatingsPlaybackFields', label: 'Ratings & Playback' },
-            { key: 'LibraryFields', label: 'Library' },
-            { key: 'FileFields', label: 'File Info' },
-            { key: 'PeopleFields', label: 'People' },
-            { key: 'CollectionFields', label: 'Collections' }
-        ];
-
-        groupConfig.forEach(function (group) {
+        FIELD_GROUPS.forEach(function (group) {
             const fields = filteredFieldGroups[group.key];
             if (fields && fields.length > 0) {
                 const optgroup = document.createElement('optgroup');
@@ -1690,145 +2614,298 @@
     // are defined in config-sorts.js and config-core.js to avoid duplication
 
     // ===== RULE COLLECTION =====
-    SmartLists.collectRulesFromForm = function (page) {
-        const expressionSets = [];
-        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
-        const hasEpisode = selectedMediaTypes.indexOf('Episode') !== -1;
-        const hasAudioCapable = selectedMediaTypes.some(function (type) {
-            return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1;
-        });
+    // Weights are kept whether or not scoring mode is on, so switching modes does not lose them.
+    // The default weight of 1 is left out to keep the legacy shape.
+    function collectRuleWeight(rule, expression) {
+        const weightInput = rule.querySelector('.rule-weight-input');
+        const weight = weightInput ? parseFloat(weightInput.value) : NaN;
+        if (!isNaN(weight) && weight !== 1) {
+            expression.Weight = weight;
+        }
+    }
 
-        page.querySelectorAll('.logic-group').forEach(function (logicGroup) {
-            const expressions = [];
-            logicGroup.querySelectorAll('.rule-row').forEach(function (rule) {
-                let memberName = rule.querySelector('.rule-field-select').value;
+    function collectExpressionFromRule(rule, hasEpisode, hasAudioCapable) {
+        let memberName = rule.querySelector('.rule-field-select').value;
 
-                // If People field is selected, use the value from the people submenu
-                if (memberName === 'People') {
-                    const peopleSelect = rule.querySelector('.rule-people-select');
-                    if (peopleSelect && peopleSelect.value) {
-                        memberName = peopleSelect.value;
-                    }
-                    // If no value in submenu, default to 'People' (All)
+        // If People field is selected, use the value from the people submenu
+        if (memberName === 'People') {
+            const peopleSelect = rule.querySelector('.rule-people-select');
+            if (peopleSelect && peopleSelect.value) {
+                memberName = peopleSelect.value;
+            }
+            // If no value in submenu, default to 'People' (All)
+        }
+        const operator = rule.querySelector('.rule-operator-select').value;
+
+        if (SmartLists.isCompareMode(rule)) {
+            return collectFieldComparison(rule, memberName, operator);
+        }
+
+        let targetValue;
+        const isValueless = SmartLists.VALUELESS_OPERATORS.indexOf(operator) !== -1;
+        if (isValueless) {
+            targetValue = '';
+        } else if ((SmartLists.RELATIVE_DATE_OPERATORS.indexOf(operator) !== -1 || SmartLists.CALENDAR_DATE_OPERATORS.indexOf(operator) !== -1) &&
+            rule.querySelector('.rule-value-unit')) {
+            // Serialize as number:unit (current:unit / previous:unit for InPeriod)
+            const num = rule.querySelector('.rule-value-input').value;
+            const unit = rule.querySelector('.rule-value-unit').value;
+            targetValue = num && unit ? num + ':' + unit : '';
+        } else {
+            targetValue = rule.querySelector('.rule-value-input').value;
+        }
+
+        if (!memberName || !operator || (!targetValue && !isValueless)) {
+            return null;
+        }
+
+        const expression = { MemberName: memberName, Operator: operator, TargetValue: targetValue };
+
+        // Check if a specific user is selected for user data fields
+        const userSelect = rule.querySelector('.rule-user-select');
+        if (userSelect && userSelect.value) {
+            // Only add UserId if a specific user is selected (not default)
+            expression.UserId = userSelect.value;
+        }
+        // If no user is selected or default is selected, the expression works as before
+        // (for the playlist user - backwards compatibility)
+
+        // Check for NextUnwatched specific options (only if Episode is selected)
+        const nextUnwatchedSelect = rule.querySelector('.rule-nextunwatched-select');
+        if (nextUnwatchedSelect && memberName === 'NextUnwatched' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly false
+            const includeUnwatchedSeries = nextUnwatchedSelect.value === 'true';
+            if (!includeUnwatchedSeries) {
+                expression.IncludeUnwatchedSeries = false;
+            }
+            // If true (default), don't include the parameter to save space
+        }
+
+        // Check for Collections specific options
+        if (memberName === 'Collections') {
+            // Check for collection-only option (only for Collections type)
+            const collectionOnlySelect = rule.querySelector('.rule-collections-collection-only-select');
+            if (collectionOnlySelect) {
+                const includeCollectionOnly = collectionOnlySelect.value === 'true';
+                if (includeCollectionOnly) {
+                    expression.IncludeCollectionOnly = true;
                 }
-                const operator = rule.querySelector('.rule-operator-select').value;
-                let targetValue;
-                if ((operator === 'NewerThan' || operator === 'OlderThan') && rule.querySelector('.rule-value-unit')) {
-                    // Serialize as number:unit
-                    const num = rule.querySelector('.rule-value-input').value;
-                    const unit = rule.querySelector('.rule-value-unit').value;
-                    targetValue = num && unit ? num + ':' + unit : '';
-                } else {
-                    targetValue = rule.querySelector('.rule-value-input').value;
+                // If false (default), don't include the parameter to save space
+            }
+
+            // Check for episodes option (only if Episode is selected and collection-only is not enabled)
+            const collectionsSelect = rule.querySelector('.rule-collections-select');
+            if (collectionsSelect && hasEpisode) {
+                // Only process if collection-only is not enabled
+                const collectionOnlySelect2 = rule.querySelector('.rule-collections-collection-only-select');
+                const isCollectionOnly = collectionOnlySelect2 && collectionOnlySelect2.value === 'true';
+                if (!isCollectionOnly) {
+                    // Convert string to boolean and only include if it's explicitly true
+                    const includeEpisodesWithinSeries = collectionsSelect.value === 'true';
+                    if (includeEpisodesWithinSeries) {
+                        expression.IncludeEpisodesWithinSeries = true;
+                    }
+                    // If false (default), don't include the parameter to save space
                 }
+            }
+        }
 
-                if (memberName && operator && targetValue) {
-                    const expression = { MemberName: memberName, Operator: operator, TargetValue: targetValue };
+        // Handle Tags-specific options (only if Episode is selected)
+        const tagsSelect = rule.querySelector('.rule-tags-select');
+        if (tagsSelect && memberName === 'Tags' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesTags = tagsSelect.value === 'true';
+            if (includeParentSeriesTags) {
+                expression.IncludeParentSeriesTags = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Check if a specific user is selected for user data fields
-                    const userSelect = rule.querySelector('.rule-user-select');
-                    if (userSelect && userSelect.value) {
-                        // Only add UserId if a specific user is selected (not default)
-                        expression.UserId = userSelect.value;
-                    }
-                    // If no user is selected or default is selected, the expression works as before
-                    // (for the playlist user - backwards compatibility)
-
-                    // Check for NextUnwatched specific options (only if Episode is selected)
-                    const nextUnwatchedSelect = rule.querySelector('.rule-nextunwatched-select');
-                    if (nextUnwatchedSelect && memberName === 'NextUnwatched' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly false
-                        const includeUnwatchedSeries = nextUnwatchedSelect.value === 'true';
-                        if (!includeUnwatchedSeries) {
-                            expression.IncludeUnwatchedSeries = false;
-                        }
-                        // If true (default), don't include the parameter to save space
-                    }
+        // Handle Studios-specific options (only if Episode is selected)
+        const studiosSelect = rule.querySelector('.rule-studios-select');
+        if (studiosSelect && memberName === 'Studios' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesStudios = studiosSelect.value === 'true';
+            if (includeParentSeriesStudios) {
+                expression.IncludeParentSeriesStudios = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Check for Collections specific options
-                    if (memberName === 'Collections') {
-                        // Check for collection-only option (only for Collections type)
-                        const collectionOnlySelect = rule.querySelector('.rule-collections-collection-only-select');
-                        if (collectionOnlySelect) {
-                            const includeCollectionOnly = collectionOnlySelect.value === 'true';
-                            if (includeCollectionOnly) {
-                                expression.IncludeCollectionOnly = true;
-                            }
-                            // If false (default), don't include the parameter to save space
-                        }
-
-                        // Check for episodes option (only if Episode is selected and collection-only is not enabled)
-                        const collectionsSelect = rule.querySelector('.rule-collections-select');
-                        if (collectionsSelect && hasEpisode) {
-                            // Only process if collection-only is not enabled
-                            const collectionOnlySelect2 = rule.querySelector('.rule-collections-collection-only-select');
-                            const isCollectionOnly = collectionOnlySelect2 && collectionOnlySelect2.value === 'true';
-                            if (!isCollectionOnly) {
-                                // Convert string to boolean and only include if it's explicitly true
-                                const includeEpisodesWithinSeries = collectionsSelect.value === 'true';
-                                if (includeEpisodesWithinSeries) {
-                                    expression.IncludeEpisodesWithinSeries = true;
-                                }
-                                // If false (default), don't include the parameter to save space
-                            }
-                        }
-                    }
+        // Handle Genres-specific options (only if Episode is selected)
+        const genresSelect = rule.querySelector('.rule-genres-select');
+        if (genresSelect && memberName === 'Genres' && hasEpisode) {
+            // Convert string to boolean and only include if it's explicitly true
+            const includeParentSeriesGenres = genresSelect.value === 'true';
+            if (includeParentSeriesGenres) {
+                expression.IncludeParentSeriesGenres = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Handle Tags-specific options (only if Episode is selected)
-                    const tagsSelect = rule.querySelector('.rule-tags-select');
-                    if (tagsSelect && memberName === 'Tags' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesTags = tagsSelect.value === 'true';
-                        if (includeParentSeriesTags) {
-                            expression.IncludeParentSeriesTags = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+        // Handle AudioLanguages-specific options (only if audio-capable media type is selected)
+        const audioLanguagesSelect = rule.querySelector('.rule-audiolanguages-select');
+        if (audioLanguagesSelect && memberName === 'AudioLanguages' && hasAudioCapable) {
+            // Convert string to boolean and only include if it's explicitly true
+            const onlyDefaultAudioLanguage = audioLanguagesSelect.value === 'true';
+            if (onlyDefaultAudioLanguage) {
+                expression.OnlyDefaultAudioLanguage = true;
+            }
+            // If false (default), don't include the parameter to save space
+        }
 
-                    // Handle Studios-specific options (only if Episode is selected)
-                    const studiosSelect = rule.querySelector('.rule-studios-select');
-                    if (studiosSelect && memberName === 'Studios' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesStudios = studiosSelect.value === 'true';
-                        if (includeParentSeriesStudios) {
-                            expression.IncludeParentSeriesStudios = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+        return expression;
+    }
 
-                    // Handle Genres-specific options (only if Episode is selected)
-                    const genresSelect = rule.querySelector('.rule-genres-select');
-                    if (genresSelect && memberName === 'Genres' && hasEpisode) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const includeParentSeriesGenres = genresSelect.value === 'true';
-                        if (includeParentSeriesGenres) {
-                            expression.IncludeParentSeriesGenres = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+    // A rule comparing with another field is complete without an adjustment
+    function collectFieldComparison(rule, memberName, operator) {
+        const compareFieldSelect = rule.querySelector('.rule-compare-field-select');
+        const compareField = compareFieldSelect ? compareFieldSelect.value : '';
+        if (!memberName || !operator || !compareField) {
+            return null;
+        }
 
-                    // Handle AudioLanguages-specific options (only if audio-capable media type is selected)
-                    const audioLanguagesSelect = rule.querySelector('.rule-audiolanguages-select');
-                    if (audioLanguagesSelect && memberName === 'AudioLanguages' && hasAudioCapable) {
-                        // Convert string to boolean and only include if it's explicitly true
-                        const onlyDefaultAudioLanguage = audioLanguagesSelect.value === 'true';
-                        if (onlyDefaultAudioLanguage) {
-                            expression.OnlyDefaultAudioLanguage = true;
-                        }
-                        // If false (default), don't include the parameter to save space
-                    }
+        const adjustmentInput = rule.querySelector('.rule-compare-adjustment');
+        const expression = {
+            MemberName: memberName,
+            Operator: operator,
+            TargetValue: adjustmentInput ? adjustmentInput.value.trim() : '',
+            CompareField: compareField
+        };
+
+        const userSelect = rule.querySelector('.rule-user-select');
+        if (userSelect && userSelect.value && SmartLists.FIELD_TYPES.USER_DATA_FIELDS.indexOf(memberName) !== -1) {
+            expression.UserId = userSelect.value;
+        }
+        const compareUserSelect = rule.querySelector('.rule-compare-user-select');
+        if (compareUserSelect && compareUserSelect.value && SmartLists.FIELD_TYPES.USER_DATA_FIELDS.indexOf(compareField) !== -1) {
+            expression.CompareUserId = compareUserSelect.value;
+        }
 
+        return expression;
+    }
+
+    // Collect a logic group and its nested subgroups. Logic, Negate and Groups are only
+    // emitted when they differ from the defaults, so flat groups keep the legacy shape.
+    // items limits the result to some of the group's direct items (all of them by default)
+    function collectLogicGroup(logicGroup, hasEpisode, hasAudioCapable, items) {
+        const expressions = [];
+        const groups = [];
+
+        (items || getGroupItems(logicGroup)).forEach(function (item) {
+            if (item.classList.contains('logic-subgroup')) {
+                const subgroup = collectLogicGroup(item, hasEpisode, hasAudioCapable);
+                if (subgroup) {
+                    groups.push(subgroup);
+                }
+            } else {
+                const expression = collectExpressionFromRule(item, hasEpisode, hasAudioCapable);
+                if (expression) {
+                    collectRuleWeight(item, expression);
                     expressions.push(expression);
                 }
-            });
-            if (expressions.length > 0) {
-                expressionSets.push({ Expressions: expressions });
+            }
+        });
+
+        if (expressions.length === 0 && groups.length === 0) {
+            return null;
+        }
+
+        const expressionSet = { Expressions: expressions };
+        if (groups.length > 0) {
+            expressionSet.Groups = groups;
+        }
+        if (getGroupLogic(logicGroup) === 'Or') {
+            expressionSet.Logic = 'Or';
+        }
+        if (isGroupNegated(logicGroup)) {
+            expressionSet.Negate = true;
+        }
+        if (!items && logicGroup.getAttribute('data-snippet-id')) {
+            expressionSet.SnippetId = logicGroup.getAttribute('data-snippet-id');
+        }
+        return expressionSet;
+    }
+
+    // Media types decide which per-field options are collected with a rule
+    function getMediaTypeFlags(page) {
+        const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
+        return {
+            hasEpisode: selectedMediaTypes.indexOf('Episode') !== -1,
+            hasAudioCapable: selectedMediaTypes.some(function (type) {
+                return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1;
+            })
+        };
+    }
+
+    SmartLists.collectRulesFromForm = function (page) {
+        const expressionSets = [];
+        const flags = getMediaTypeFlags(page);
+
+        page.querySelectorAll('.logic-group:not(.logic-subgroup)').forEach(function (logicGroup) {
+            const expressionSet = collectLogicGroup(logicGroup, flags.hasEpisode, flags.hasAudioCapable);
+            if (expressionSet) {
+                expressionSets.push(expressionSet);
             }
         });
 
         return expressionSets;
     };
 
+    /**
+     * Collects one logic group as an ExpressionSet, optionally limited to some of its direct
+     * rule rows and subgroups. Returns null when none of them holds a complete rule.
+     */
+    SmartLists.collectRuleGroup = function (page, logicGroup, items) {
+        const flags = getMediaTypeFlags(page);
+        return collectLogicGroup(logicGroup, flags.hasEpisode, flags.hasAudioCapable, items);
+    };
+
+    /**
+     * Direct rule rows and subgroups of a logic group, in order.
+     */
+    SmartLists.getRuleGroupItems = function (logicGroup) {
+        return getGroupItems(logicGroup);
+    };
+
+    // Mirror of collectLogicGroup that returns the elements each collected expression came from
+    function mapLogicGroupElements(logicGroup, emptyGroups) {
+        const node = { element: logicGroup, expressions: [], groups: [] };
+
+        getGroupItems(logicGroup).forEach(function (item) {
+            if (item.classList.contains('logic-subgroup')) {
+                const subgroup = mapLogicGroupElements(item, emptyGroups);
+                if (subgroup) {
+                    node.groups.push(subgroup);
+                }
+            } else if (collectExpressionFromRule(item, false, false)) {
+                node.expressions.push(item);
+            }
+        });
+
+        if (node.expressions.length === 0 && node.groups.length === 0) {
+            emptyGroups.push(logicGroup);
+            return null;
+        }
+        return node;
+    }
+
+    /**
+     * Returns the builder elements behind collectRulesFromForm's result, in the same order:
+     * { sets: [{ element, expressions: [ruleRow], groups: [...] }], emptyGroups: [logicGroup] }.
+     * Groups without a complete rule are dropped when collecting, so they are listed in emptyGroups.
+     */
+    SmartLists.mapRuleElements = function (page) {
+        const result = { sets: [], emptyGroups: [] };
+        page.querySelectorAll('.logic-group:not(.logic-subgroup)').forEach(function (logicGroup) {
+            const node = mapLogicGroupElements(logicGroup, result.emptyGroups);
+            if (node) {
+                result.sets.push(node);
+            }
+        });
+        return result;
+    };
+
     // ===== RULE POPULATION (for edit/clone) =====
     SmartLists.populateRuleRow = function (ruleRow, expression, page) {
         try {
@@ -1839,6 +2916,20 @@
             // Determine the actual member name to use (for people sub-fields, this stays as the original)
             let actualMemberName = expression.MemberName;
 
+            // Field comparisons: set before the operators are filled so they are limited to the comparison's
+            if (expression.CompareField) {
+                ruleRow.setAttribute('data-compare-mode', 'true');
+                ruleRow.setAttribute('data-compare-field', expression.CompareField);
+                ruleRow.setAttribute('data-compare-user-id', expression.CompareUserId || '');
+            } else {
+                ruleRow.removeAttribute('data-compare-mode');
+            }
+
+            const weightInput = ruleRow.querySelector('.rule-weight-input');
+            if (weightInput) {
+                weightInput.value = expression.Weight !== undefined && expression.Weight !== null ? expression.Weight : 1;
+            }
+
             if (fieldSelect && expression.MemberName) {
                 // Check if this is a people sub-field
                 const isPeopleSubFieldValue = SmartLists.isPeopleSubField(expression.MemberName);
@@ -1964,5 +3055,82 @@
         }
     };
 
+    // ===== RULE LOADING (for edit/clone/advanced editor) =====
+    // Fill a freshly created group (which holds one placeholder rule) from an expression set
+    function populateLogicGroup(page, logicGroup, expressionSet) {
+        // Remove the placeholder rule, the saved expressions are added below
+        getGroupItems(logicGroup).concat(getDirectChildren(logicGroup, 'rule-within-group-separator')).forEach(function (element) {
+            SmartLists.cleanupRuleEventListeners(element);
+            element.remove();
+        });
+
+        setGroupLogic(logicGroup, expressionSet.Logic, expressionSet.Negate);
+
+        (expressionSet.Expressions || []).forEach(function (expression) {
+            if (!expression) return;
+            SmartLists.addRuleToGroup(page, logicGroup);
+            const ruleRows = getDirectChildren(logicGroup, 'rule-row');
+            SmartLists.populateRuleRow(ruleRows[ruleRows.length - 1], expression, page);
+        });
+
+        (expressionSet.Groups || []).forEach(function (group) {
+            if (SmartLists.getAllExpressions([group]).length === 0) return;
+            populateLogicGroup(page, SmartLists.addSubgroupToGroup(page, logicGroup), group);
+        });
+
+        // Keep the link even where snippets are not available, so saving does not drop it
+        if (expressionSet.SnippetId) {
+            logicGroup.setAttribute('data-snippet-id', expressionSet.SnippetId);
+            if (SmartLists.showSnippetLink) {
+                SmartLists.showSnippetLink(page, logicGroup);
+            }
+        }
+    }
+
+    /**
+     * Adds an ExpressionSet (such as a rule snippet) to a logic group as a new subgroup.
+     */
+    SmartLists.insertRuleGroup = function (page, parentGroup, expressionSet) {
+        const subgroup = SmartLists.addSubgroupToGroup(page, parentGroup);
+        populateLogicGroup(page, subgroup, expressionSet);
+        SmartLists.updateRuleButtonVisibility(page, getContainerSelector(parentGroup));
+        SmartLists.updateAllSortOptionsVisibility(page);
+        return subgroup;
+    };
+
+    SmartLists.loadRulesIntoUI = function (page, expressionSets, containerSelector) {
+        const rulesContainer = page.querySelector(containerSelector || '#rules-container');
+        if (!rulesContainer) {
+            return;
+        }
+
+        // Clean up existing event listeners before replacing the rules
+        rulesContainer.querySelectorAll('.rule-row').forEach(function (rule) {
+            SmartLists.cleanupRuleEventListeners(rule);
+        });
+        rulesContainer.innerHTML = '';
+
+        const populatedSets = (expressionSets || []).filter(function (es) {
+            return SmartLists.getAllExpressions([es]).length > 0;
+        });
+
+        if (populatedSets.length === 0) {
+            // No rules exist - create an initial logic group with a placeholder rule
+            SmartLists.createInitialLogicGroup(page, containerSelector);
+            SmartLists.updateRuleButtonVisibility(page, containerSelector);
+            return;
+        }
+
+        populatedSets.forEach(function (expressionSet, groupIndex) {
+            const logicGroup = groupIndex === 0 ?
+                SmartLists.createInitialLogicGroup(page, containerSelector) :
+                SmartLists.addNewLogicGroup(page, containerSelector);
+
+            populateLogicGroup(page, logicGroup, expressionSet);
+        });
+
+        SmartLists.updateRuleButtonVisibility(page, containerSelector);
+    };
+
 })(window.SmartLists = window.SmartLists || {});
 
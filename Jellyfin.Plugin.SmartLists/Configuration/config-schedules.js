@@ -15,14 +15,16 @@
         var dayOfMonthContainerId = prefix + 'scheduleDayOfMonthContainer';
         var monthContainerId = prefix + 'scheduleMonthContainer';
         var intervalContainerId = prefix + 'scheduleIntervalContainer';
+        var cronContainerId = prefix + 'scheduleCronContainer';
         
         const timeContainer = page.querySelector('#' + timeContainerId);
         const dayContainer = page.querySelector('#' + dayContainerId);
         const dayOfMonthContainer = page.querySelector('#' + dayOfMonthContainerId);
         const monthContainer = page.querySelector('#' + monthContainerId);
         const intervalContainer = page.querySelector('#' + intervalContainerId);
+        const cronContainer = page.querySelector('#' + cronContainerId);
 
-        var containers = [timeContainer, dayContainer, dayOfMonthContainer, monthContainer, intervalContainer];
+        var containers = [timeContainer, dayContainer, dayOfMonthContainer, monthContainer, intervalContainer, cronContainer];
         containers.forEach(function(el) {
             if (el) el.classList.add('hide');
         });
@@ -41,6 +43,8 @@
             if (dayOfMonthContainer) dayOfMonthContainer.classList.remove('hide');
         } else if (triggerValue === 'Interval') {
             if (intervalContainer) intervalContainer.classList.remove('hide');
+        } else if (triggerValue === 'Cron') {
+            if (cronContainer) cronContainer.classList.remove('hide');
         }
     };
     
@@ -109,6 +113,15 @@
         intervalField.container.style.display = 'none';
         fieldsContainer.appendChild(intervalField.container);
         
+        // Cron expression field (for Cron)
+        const cronField = SmartLists.createScheduleField('Cron Expression', 'schedule-cron-' + scheduleId, 'text');
+        cronField.input.value = scheduleData && scheduleData.CronExpression ? scheduleData.CronExpression : '';
+        cronField.input.placeholder = '30 5,17 * * 1-5';
+        cronField.input.spellcheck = false;
+        cronField.container.style.display = 'none';
+        cronField.container.style.minWidth = '220px';
+        fieldsContainer.appendChild(cronField.container);
+
         // Create remove button (X icon at end of fields row)
         const removeBtn = SmartLists.createStyledElement('button', 'schedule-remove-btn', SmartLists.STYLES.scheduleRemoveBtn);
         removeBtn.type = 'button';
@@ -121,6 +134,52 @@
         
         box.appendChild(fieldsContainer);
         
+        // Description and upcoming runs of the cron expression (for Cron)
+        const cronPreview = document.createElement('div');
+        cronPreview.className = 'schedule-cron-preview fieldDescription';
+        cronPreview.style.display = 'none';
+        box.appendChild(cronPreview);
+
+        // Conditional schedule: skip the run when nothing relevant changed since the last successful refresh
+        const onlyIfChangedLabel = document.createElement('label');
+        onlyIfChangedLabel.className = 'emby-checkbox-label';
+        onlyIfChangedLabel.style.cssText = 'margin-top: 0.5em; width: auto;';
+
+        const onlyIfChangedCheckbox = document.createElement('input');
+        onlyIfChangedCheckbox.type = 'checkbox';
+        onlyIfChangedCheckbox.setAttribute('is', 'emby-checkbox');
+        onlyIfChangedCheckbox.setAttribute('data-embycheckbox', 'true');
+        onlyIfChangedCheckbox.className = 'emby-checkbox schedule-only-if-changed';
+        onlyIfChangedCheckbox.checked = !!(scheduleData && scheduleData.OnlyIfChanged);
+
+        const onlyIfChangedText = document.createElement('span');
+        onlyIfChangedText.className = 'checkboxLabel';
+        onlyIfChangedText.textContent = 'Only refresh if relevant library or user data changed since the last successful refresh';
+
+        const onlyIfChangedOutline = document.createElement('span');
+        onlyIfChangedOutline.className = 'checkboxOutline';
+        const checkedIcon = document.createElement('span');
+        checkedIcon.className = 'material-icons checkboxIcon checkboxIcon-checked check';
+        checkedIcon.setAttribute('aria-hidden', 'true');
+        const uncheckedIcon = document.createElement('span');
+        uncheckedIcon.className = 'material-icons checkboxIcon checkboxIcon-unchecked';
+        uncheckedIcon.setAttribute('aria-hidden', 'true');
+        onlyIfChangedOutline.appendChild(checkedIcon);
+        onlyIfChangedOutline.appendChild(uncheckedIcon);
+
+        onlyIfChangedLabel.appendChild(onlyIfChangedCheckbox);
+        onlyIfChangedLabel.appendChild(onlyIfChangedText);
+        onlyIfChangedLabel.appendChild(onlyIfChangedOutline);
+        box.appendChild(onlyIfChangedLabel);
+
+        var cronTimer = null;
+        cronField.input.addEventListener('input', function() {
+            clearTimeout(cronTimer);
+            cronTimer = setTimeout(function() {
+                SmartLists.updateCronPreview(box);
+            }, CRON_PREVIEW_DELAY_MS);
+        });
+
         // Add change listener to trigger to update field visibility
         triggerField.input.addEventListener('change', function() {
             SmartLists.updateScheduleFieldsVisibility(box, this.value);
@@ -135,6 +194,68 @@
         return box;
     };
     
+    // ===== CRON PREVIEW =====
+    var CRON_PREVIEW_DELAY_MS = 400;
+
+    /**
+     * Shows what the cron expression in a schedule box means and when it runs next,
+     * as computed by the server in its own time zone.
+     */
+    SmartLists.updateCronPreview = function(box) {
+        const preview = box.querySelector('.schedule-cron-preview');
+        const cronInput = box.querySelector('[id^="schedule-cron-"]');
+        if (!preview || !cronInput) return Promise.resolve();
+
+        const expression = cronInput.value.trim();
+        if (!expression) {
+            preview.innerHTML = 'Five fields: minute hour day-of-month month day-of-week, e.g. <code>30 5,17 * * 1-5</code> or <code>0 3 * * 0#1</code>.';
+            return Promise.resolve();
+        }
+
+        // Ignore responses to expressions that have been edited since
+        const requestId = (box._cronRequestId || 0) + 1;
+        box._cronRequestId = requestId;
+
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.cronPreview, { expression: expression }),
+            contentType: 'application/json'
+        }).then(function(response) {
+            if (response && typeof response.ok !== 'undefined') {
+                return response.ok ? response.json() : Promise.reject(response);
+            }
+            return response;
+        }).then(function(result) {
+            if (requestId !== box._cronRequestId) return;
+            preview.innerHTML = formatCronPreviewHtml(result || {});
+        }).catch(function(err) {
+            if (requestId !== box._cronRequestId) return;
+            console.warn('SmartLists: could not preview cron expression', err);
+            preview.textContent = 'Could not check the cron expression.';
+        });
+    };
+
+    function formatCronPreviewHtml(result) {
+        if (!result.Valid) {
+            return '<span style="color: #f44336;">' + SmartLists.escapeHtml(result.Error || 'Invalid cron expression') + '</span>';
+        }
+
+        var html = '<div style="color: #ddd;">' + SmartLists.escapeHtml(result.Description || '') + '</div>';
+        var runs = result.NextRuns || [];
+        if (runs.length === 0) {
+            return html + '<div>This expression never runs.</div>';
+        }
+        html += '<div style="margin-top: 0.3em;">Next runs (' + SmartLists.escapeHtml(result.ServerTimeZone || 'server time') + '):</div>';
+        html += '<ul style="margin: 0.2em 0 0 0; padding-left: 1.5em;">';
+        runs.forEach(function(run) {
+            html += '<li>' + SmartLists.escapeHtml(run) + '</li>';
+        });
+        html += '</ul>';
+        html += '<div style="margin-top: 0.3em;">Schedules are checked every 15 minutes, so runs between checks start at the next check.</div>';
+        return html;
+    }
+
     SmartLists.createScheduleField = function(label, id, type) {
         const container = SmartLists.createStyledElement('div', 'schedule-field', SmartLists.STYLES.scheduleField);
         
@@ -175,6 +296,10 @@
         const intervalField = Array.prototype.find.call(fields, function(f) {
             return f.querySelector('[id^="schedule-interval-"]');
         });
+        const cronField = Array.prototype.find.call(fields, function(f) {
+            return f.querySelector('[id^="schedule-cron-"]');
+        });
+        const cronPreview = box.querySelector('.schedule-cron-preview');
         
         // Hide all optional fields
         if (monthField) monthField.style.display = 'none';
@@ -182,6 +307,8 @@
         if (dayOfWeekField) dayOfWeekField.style.display = 'none';
         if (timeField) timeField.style.display = 'none';
         if (intervalField) intervalField.style.display = 'none';
+        if (cronField) cronField.style.display = 'none';
+        if (cronPreview) cronPreview.style.display = 'none';
         
         // Show relevant fields based on trigger
         if (triggerValue === 'Daily') {
@@ -198,6 +325,12 @@
             if (timeField) timeField.style.display = '';
         } else if (triggerValue === 'Interval') {
             if (intervalField) intervalField.style.display = '';
+        } else if (triggerValue === 'Cron') {
+            if (cronField) cronField.style.display = '';
+            if (cronPreview) {
+                cronPreview.style.display = '';
+                SmartLists.updateCronPreview(box);
+            }
         }
     };
     
@@ -291,6 +424,14 @@
                 if (intervalSelect && intervalSelect.value) {
                     schedule.Interval = intervalSelect.value;
                 }
+            } else if (trigger === 'Cron') {
+                const cronInput = box.querySelector('[id^="schedule-cron-"]');
+                schedule.CronExpression = cronInput ? cronInput.value.trim() : '';
+            }
+
+            const onlyIfChangedCheckbox = box.querySelector('.schedule-only-if-changed');
+            if (onlyIfChangedCheckbox && onlyIfChangedCheckbox.checked) {
+                schedule.OnlyIfChanged = true;
             }
             
             schedules.push(schedule);
@@ -413,6 +554,10 @@
                 if (config.DefaultScheduleInterval) {
                     defaultSchedule.Interval = config.DefaultScheduleInterval;
                 }
+            } else if (config.DefaultScheduleTrigger === 'Cron') {
+                if (config.DefaultScheduleCronExpression) {
+                    defaultSchedule.CronExpression = config.DefaultScheduleCronExpression;
+                }
             }
             
             // Add the default schedule box
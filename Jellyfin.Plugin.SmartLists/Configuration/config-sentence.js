@@ -0,0 +1,801 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== LIST SENTENCES =====
+    // Describes a list in one plain sentence, such as "Unplayed movies from the 1990s rated above 7,
+    // excluding Horror, sorted by rating, max 50 items". Shown on the list cards and above the rule
+    // editor, on both the admin and the user pages. All wording comes from SENTENCE_STRINGS, so a
+    // language is added by registering its strings; anything it leaves out falls back to English.
+
+    const EMPTY_GUID = '00000000-0000-0000-0000-000000000000';
+    const SENTENCE_DEBOUNCE_MS = 250;
+
+    // Placeholders are positional ({0}, {1}) or named ({types}, {field}).
+    const SENTENCE_STRINGS = {
+        en: {
+            and: 'and',
+            or: 'or',
+            listSeparator: ', ',
+            clauseSeparator: ', ',
+            phraseSeparator: ' ',
+            groupSeparator: ', or ',
+            quote: '"{0}"',
+            items: 'items',
+            allItems: 'all {0}',
+            subject: '{adjectives} {types}',
+            either: 'either {0}',
+            not: 'but not {0}',
+            where: 'where {0}',
+            condition: '{field} {0}',
+            excluding: 'excluding {0}',
+            forUser: 'for {0}',
+            anotherUser: 'another user',
+            mediaTypes: {
+                Movie: 'movies',
+                Episode: 'episodes',
+                Series: 'shows',
+                Audio: 'songs',
+                AudioBook: 'audiobooks',
+                Book: 'books',
+                MusicVideo: 'music videos',
+                Video: 'home videos',
+                Photo: 'photos'
+            },
+            // Yes/no fields that read as a word in front of the media type: [when true, when false]
+            adjectives: {
+                IsPlayed: ['played', 'unplayed'],
+                IsFavorite: ['favorite', 'non-favorite'],
+                NextUnwatched: ['next unwatched', null]
+            },
+            // The same fields when the rule checks a specific user
+            userFlags: {
+                IsPlayed: ['played by {0}', 'not played by {0}'],
+                IsFavorite: ['marked favorite by {0}', 'not marked favorite by {0}'],
+                NextUnwatched: ['next to watch for {0}', 'not next to watch for {0}']
+            },
+            years: {
+                decade: 'from the {0}s',
+                between: 'from {0} to {1}',
+                from: 'from {0} or later',
+                until: 'from {0} or earlier',
+                exactly: 'from {0}',
+                not: 'not from {0}'
+            },
+            // Phrases for common fields; other fields use "where <field> <operator>".
+            // Fields with a Contains phrase turn NotContains / IsNotIn rules into "excluding ...".
+            fieldPhrases: {
+                CommunityRating: {
+                    GreaterThan: 'rated above {0}',
+                    GreaterThanOrEqual: 'rated {0} or higher',
+                    LessThan: 'rated below {0}',
+                    LessThanOrEqual: 'rated {0} or lower',
+                    Equal: 'rated {0}'
+                },
+                RuntimeMinutes: {
+                    GreaterThan: 'longer than {0} minutes',
+                    GreaterThanOrEqual: 'at least {0} minutes long',
+                    LessThan: 'shorter than {0} minutes',
+                    LessThanOrEqual: 'at most {0} minutes long'
+                },
+                PlayCount: {
+                    GreaterThan: 'played more than {0} times',
+                    GreaterThanOrEqual: 'played at least {0} times',
+                    LessThan: 'played fewer than {0} times',
+                    LessThanOrEqual: 'played at most {0} times',
+                    Equal: 'played {0} times'
+                },
+                Name: { Contains: 'with {0} in the title' },
+                SeriesName: { Equal: 'from {0}', IsIn: 'from {0}' },
+                SimilarTo: { Equal: 'similar to {0}', Contains: 'similar to {0}', IsIn: 'similar to {0}' },
+                Genres: { Contains: 'in the {0} genre', IsIn: 'in the {0} genre' },
+                Tags: { Contains: 'tagged {0}', IsIn: 'tagged {0}' },
+                Studios: { Contains: 'from {0}', IsIn: 'from {0}' },
+                Collections: { Contains: 'in the {0} collection', IsIn: 'in the {0} collection' },
+                AudioLanguages: { Contains: 'with {0} audio', IsIn: 'with {0} audio' },
+                Resolution: { Equal: 'in {0}', IsIn: 'in {0}' },
+                Artists: { Contains: 'by {0}', IsIn: 'by {0}' },
+                AlbumArtists: { Contains: 'by {0}', IsIn: 'by {0}' },
+                People: { Contains: 'featuring {0}', IsIn: 'featuring {0}' },
+                Actors: { Contains: 'starring {0}', IsIn: 'starring {0}' },
+                Directors: { Contains: 'directed by {0}', IsIn: 'directed by {0}' },
+                Writers: { Contains: 'written by {0}', IsIn: 'written by {0}' },
+                Composers: { Contains: 'with music by {0}', IsIn: 'with music by {0}' },
+                Authors: { Contains: 'by {0}', IsIn: 'by {0}' }
+            },
+            // Date fields read as "<verb> in the last 30 days"
+            dateVerbs: {
+                DateCreated: 'added',
+                ReleaseDate: 'released',
+                LastPlayedDate: 'last played',
+                DateModified: 'modified',
+                DateLastRefreshed: 'refreshed',
+                DateLastSaved: 'saved'
+            },
+            datePhrases: {
+                NewerThan: '{field} in the last {0}',
+                OlderThan: '{field} more than {0} ago',
+                After: '{field} after {0}',
+                Before: '{field} before {0}',
+                Weekday: '{field} on a {0}',
+                InPeriod: '{field} {0}',
+                OnThisDay: '{field} on this day in an earlier year',
+                AnniversaryWithin: '{field} within {0} of this day in an earlier year'
+            },
+            operators: {
+                Equal: 'is {0}',
+                NotEqual: 'is not {0}',
+                Contains: 'contains {0}',
+                NotContains: 'does not contain {0}',
+                IsIn: 'is {0}',
+                IsNotIn: 'is not {0}',
+                GreaterThan: 'is above {0}',
+                LessThan: 'is below {0}',
+                GreaterThanOrEqual: 'is at least {0}',
+                LessThanOrEqual: 'is at most {0}',
+                MatchRegex: 'matches {0}',
+                After: 'is after {0}',
+                Before: 'is before {0}',
+                NewerThan: 'is in the last {0}',
+                OlderThan: 'is more than {0} ago',
+                Weekday: 'is on a {0}',
+                InPeriod: 'is in {0}',
+                OnThisDay: 'is on this day in an earlier year',
+                AnniversaryWithin: 'is within {0} of this day in an earlier year'
+            },
+            booleans: { 'true': 'yes', 'false': 'no' },
+            // Field names for "where <field> ..."; fields not listed use their label in lower case
+            fieldNames: {
+                ItemType: 'media type',
+                OfficialRating: 'parental rating'
+            },
+            units: {
+                hours: ['hour', 'hours'],
+                days: ['day', 'days'],
+                weeks: ['week', 'weeks'],
+                months: ['month', 'months'],
+                years: ['year', 'years']
+            },
+            amount: '{0} {1}',
+            periods: { current: 'this {0}', previous: 'last {0}' },
+            weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+            scoredBy: ['scored by {0} weighted rule', 'scored by {0} weighted rules'],
+            minScore: 'with a score of at least {0}',
+            sortedBy: 'sorted by {0}',
+            thenBy: 'then by {0}',
+            sortDirection: '{0}, {1}',
+            randomOrder: 'in random order',
+            thenRandom: 'then at random',
+            shuffleFavoring: 'in a shuffle favoring {0}',
+            thenShuffleFavoring: 'then shuffled favoring {0}',
+            shuffleBias: {
+                'CommunityRating': 'higher-rated items',
+                'LastPlayed': 'items not played recently',
+                'DateCreated': 'recently added items',
+                'PlayCount': 'less-played items'
+            },
+            spacing: ['keeping the same {0} at least {1} item apart', 'keeping the same {0} at least {1} items apart'],
+            spacingFields: {
+                'Artist': 'artist',
+                'AlbumName': 'album',
+                'SeriesName': 'series'
+            },
+            sortFields: {
+                'Name': 'name',
+                'Name (Ignore Articles)': 'name',
+                'ProductionYear': 'year',
+                'CommunityRating': 'rating',
+                'DateCreated': 'date added',
+                'ReleaseDate': 'release date',
+                'SeasonNumber': 'season',
+                'EpisodeNumber': 'episode',
+                'PlayCount (owner)': 'play count',
+                'LastPlayed (owner)': 'last played',
+                'Runtime': 'runtime',
+                'SeriesName': 'series',
+                'SeriesName (Ignore Articles)': 'series',
+                'AlbumName': 'album',
+                'Artist': 'artist',
+                'Similarity': 'similarity',
+                'Score': 'score',
+                'TrackNumber': 'track number',
+                'Resolution': 'resolution',
+                'CriticRating': 'critic rating',
+                'PlayCount': 'play count',
+                'LastPlayedDate': 'last played',
+                'Framerate': 'frame rate',
+                'AudioBitrate': 'bitrate',
+                'AudioSampleRate': 'sample rate',
+                'AudioBitDepth': 'bit depth',
+                'AudioChannels': 'audio channels',
+                'DateModified': 'date modified',
+                'DateLastRefreshed': 'last metadata refresh',
+                'DateLastSaved': 'last database save'
+            },
+            // Shown only when a sort runs against its usual direction: [ascending, descending]
+            directions: {
+                text: ['A to Z', 'Z to A'],
+                date: ['oldest first', 'newest first'],
+                number: ['lowest first', 'highest first']
+            },
+            maxItems: ['max {0} item', 'max {0} items'],
+            maxPlayTime: 'max {0} of playtime'
+        }
+    };
+
+    // How each sort reads, and which direction is usual for it (so only the unusual one is spelled out)
+    const SORT_KINDS = {
+        'Name': ['text', 'Ascending'],
+        'Name (Ignore Articles)': ['text', 'Ascending'],
+        'SeriesName': ['text', 'Ascending'],
+        'SeriesName (Ignore Articles)': ['text', 'Ascending'],
+        'AlbumName': ['text', 'Ascending'],
+        'Artist': ['text', 'Ascending'],
+        'ProductionYear': ['date', 'Descending'],
+        'DateCreated': ['date', 'Descending'],
+        'ReleaseDate': ['date', 'Descending'],
+        'LastPlayed (owner)': ['date', 'Descending'],
+        'LastPlayedDate': ['date', 'Descending'],
+        'DateModified': ['date', 'Descending'],
+        'DateLastRefreshed': ['date', 'Descending'],
+        'DateLastSaved': ['date', 'Descending'],
+        'SeasonNumber': ['number', 'Ascending'],
+        'EpisodeNumber': ['number', 'Ascending'],
+        'TrackNumber': ['number', 'Ascending']
+    };
+
+    function getLanguageCandidates() {
+        const candidates = [];
+        const add = function (code) {
+            if (code) {
+                candidates.push(code.toLowerCase());
+                if (code.indexOf('-') !== -1) {
+                    candidates.push(code.split('-')[0].toLowerCase());
+                }
+            }
+        };
+        add(document.documentElement && document.documentElement.lang);
+        add(navigator.language || navigator.userLanguage);
+        return candidates;
+    }
+
+    function getStrings() {
+        const candidates = getLanguageCandidates();
+        for (let i = 0; i < candidates.length; i++) {
+            if (SENTENCE_STRINGS[candidates[i]]) {
+                return SENTENCE_STRINGS[candidates[i]];
+            }
+        }
+        return SENTENCE_STRINGS.en;
+    }
+
+    function format(template, values) {
+        return String(template || '').replace(/\{(\w+)\}/g, function (match, key) {
+            const value = values[key];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    function plural(forms, count) {
+        return Number(count) === 1 ? forms[0] : forms[1];
+    }
+
+    // "A", "A and B", "A, B and C"
+    function joinList(strings, items, word) {
+        if (items.length <= 1) {
+            return items.join('');
+        }
+        return items.slice(0, -1).join(strings.listSeparator) + ' ' + word + ' ' + items[items.length - 1];
+    }
+
+    function capitalize(text) {
+        return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+    }
+
+    function isSpecificUser(userId) {
+        return !!userId && userId !== EMPTY_GUID;
+    }
+
+    function getUserName(strings, userId, userNames) {
+        const name = userNames && (userNames[userId] || userNames[String(userId).replace(/-/g, '').toLowerCase()]);
+        return name || strings.anotherUser;
+    }
+
+    function getFieldNoun(strings, memberName) {
+        if (strings.fieldNames[memberName]) {
+            return strings.fieldNames[memberName];
+        }
+        const groups = SmartLists.availableFields || {};
+        const keys = Object.keys(groups);
+        for (let i = 0; i < keys.length; i++) {
+            const fields = Array.isArray(groups[keys[i]]) ? groups[keys[i]] : [];
+            for (let j = 0; j < fields.length; j++) {
+                if (fields[j] && fields[j].Value === memberName && fields[j].Label) {
+                    return fields[j].Label.toLowerCase();
+                }
+            }
+        }
+        return memberName;
+    }
+
+    function getMediaTypeNoun(strings, mediaType) {
+        if (strings.mediaTypes[mediaType]) {
+            return strings.mediaTypes[mediaType];
+        }
+        const known = (SmartLists.mediaTypes || []).find(function (type) {
+            return type.Value === mediaType;
+        });
+        return (known ? known.Label : mediaType).toLowerCase();
+    }
+
+    function formatAmount(strings, value) {
+        const parts = String(value || '').split(':');
+        const units = strings.units[parts[1]];
+        if (parts.length !== 2 || !units) {
+            return String(value || '');
+        }
+        return format(strings.amount, [parts[0], plural(units, parts[0])]);
+    }
+
+    // Formats a rule's value the way its operator reads: day names, "last month", "30 days", "A or B"
+    function formatValue(strings, expression, quoteText) {
+        const value = expression.TargetValue === undefined || expression.TargetValue === null ? '' : String(expression.TargetValue);
+        switch (expression.Operator) {
+            case 'Weekday':
+                return strings.weekdays[parseInt(value, 10)] || value;
+            case 'InPeriod': {
+                const parts = value.split(':');
+                const unit = strings.units[parts[1] + 's'] || strings.units[parts[1]];
+                return parts.length === 2 && strings.periods[parts[0]] && unit ?
+                    format(strings.periods[parts[0]], [unit[0]]) : value;
+            }
+            case 'NewerThan':
+            case 'OlderThan':
+            case 'AnniversaryWithin':
+                return formatAmount(strings, value);
+            default:
+                break;
+        }
+
+        if (value === 'true' || value === 'false') {
+            return strings.booleans[value];
+        }
+
+        const values = SmartLists.MULTI_VALUE_OPERATORS.indexOf(expression.Operator) !== -1 ?
+            value.split(';').map(function (item) { return item.trim(); }).filter(Boolean) :
+            [value];
+        const word = expression.Operator === 'IsNotIn' ? strings.and : strings.or;
+        return joinList(strings, values.map(function (item) {
+            return quoteText ? format(strings.quote, [item]) : item;
+        }), word);
+    }
+
+    function isTrueValue(expression) {
+        const isTrue = String(expression.TargetValue).toLowerCase() === 'true';
+        return expression.Operator === 'NotEqual' ? !isTrue : isTrue;
+    }
+
+    // Sorts the rules of one group into words in front of the media type ("unplayed"), phrases after
+    // it ("rated above 7"), generic conditions ("where codec is HEVC") and exclusions ("Horror").
+    function describeExpressions(strings, expressions, userNames) {
+        const parts = { adjectives: [], phrases: [], conditions: [], exclusions: [] };
+        const years = { from: null, until: null };
+
+        expressions.forEach(function (expression) {
+            if (!expression || !expression.MemberName) {
+                return;
+            }
+            const field = expression.MemberName;
+            const operator = expression.Operator;
+            const forUser = isSpecificUser(expression.UserId) ? format(strings.forUser, [getUserName(strings, expression.UserId, userNames)]) : '';
+
+            // Yes/no playback fields
+            const isFlag = (operator === 'Equal' || operator === 'NotEqual') && !expression.CompareField;
+            if (isFlag && strings.adjectives[field]) {
+                const index = isTrueValue(expression) ? 0 : 1;
+                if (isSpecificUser(expression.UserId) && strings.userFlags[field]) {
+                    parts.phrases.push(format(strings.userFlags[field][index], [getUserName(strings, expression.UserId, userNames)]));
+                    return;
+                }
+                if (strings.adjectives[field][index]) {
+                    parts.adjectives.push(strings.adjectives[field][index]);
+                    return;
+                }
+            }
+
+            // Year ranges are merged so "from 1990 to 1999" reads as one phrase
+            if (field === 'ProductionYear' && !expression.CompareField) {
+                const year = parseInt(expression.TargetValue, 10);
+                if (!isNaN(year)) {
+                    if (operator === 'GreaterThan' || operator === 'GreaterThanOrEqual') {
+                        years.from = operator === 'GreaterThan' ? year + 1 : year;
+                        return;
+                    }
+                    if (operator === 'LessThan' || operator === 'LessThanOrEqual') {
+                        years.until = operator === 'LessThan' ? year - 1 : year;
+                        return;
+                    }
+                    if (operator === 'Equal' || operator === 'NotEqual') {
+                        parts.phrases.push(format(operator === 'Equal' ? strings.years.exactly : strings.years.not, [year]));
+                        return;
+                    }
+                }
+            }
+
+            if (!expression.CompareField) {
+                const fieldPhrases = strings.fieldPhrases[field];
+                if (fieldPhrases && (operator === 'NotContains' || operator === 'IsNotIn') && fieldPhrases.Contains) {
+                    parts.exclusions.push(formatValue(strings, expression, false));
+                    return;
+                }
+                if (fieldPhrases && fieldPhrases[operator]) {
+                    parts.phrases.push(joinPhrase(strings, format(fieldPhrases[operator], [formatValue(strings, expression, field === 'Name')]), forUser));
+                    return;
+                }
+                if (strings.dateVerbs[field] && strings.datePhrases[operator]) {
+                    parts.phrases.push(joinPhrase(strings, format(strings.datePhrases[operator], {
+                        field: strings.dateVerbs[field],
+                        0: formatValue(strings, expression, false)
+                    }), forUser));
+                    return;
+                }
+            }
+
+            parts.conditions.push(joinPhrase(strings, describeCondition(strings, expression, userNames), forUser));
+        });
+
+        if (years.from !== null && years.until !== null) {
+            parts.phrases.unshift(years.from % 10 === 0 && years.until === years.from + 9 ?
+                format(strings.years.decade, [years.from]) :
+                format(strings.years.between, [years.from, years.until]));
+        } else if (years.from !== null) {
+            parts.phrases.unshift(format(strings.years.from, [years.from]));
+        } else if (years.until !== null) {
+            parts.phrases.unshift(format(strings.years.until, [years.until]));
+        }
+
+        return parts;
+    }
+
+    function joinPhrase(strings, phrase, suffix) {
+        return suffix ? phrase + strings.phraseSeparator + suffix : phrase;
+    }
+
+    // "where <field> <operator> <value>", used for fields without their own phrase
+    function describeCondition(strings, expression, userNames) {
+        const template = strings.operators[expression.Operator] || (expression.Operator + ' {0}');
+        let value;
+        if (expression.CompareField) {
+            const adjustment = SmartLists.formatCompareAdjustment ? SmartLists.formatCompareAdjustment(expression.TargetValue) : '';
+            value = getFieldNoun(strings, expression.CompareField) + (adjustment ? ' ' + adjustment : '');
+            if (isSpecificUser(expression.CompareUserId)) {
+                value += strings.phraseSeparator + format(strings.forUser, [getUserName(strings, expression.CompareUserId, userNames)]);
+            }
+        } else {
+            const isText = ['Equal', 'NotEqual', 'Contains', 'NotContains', 'IsIn', 'IsNotIn', 'MatchRegex'].indexOf(expression.Operator) !== -1;
+            value = formatValue(strings, expression, isText && !/^(true|false|-?\d+(\.\d+)?)$/.test(String(expression.TargetValue)));
+        }
+        return format(strings.condition, {
+            field: getFieldNoun(strings, expression.MemberName),
+            0: format(template, [value])
+        }).trim();
+    }
+
+    function describeGroup(strings, expressionSet, userNames) {
+        const parts = describeExpressions(strings, expressionSet.Expressions || [], userNames);
+        (expressionSet.Groups || []).forEach(function (group) {
+            if (group && SmartLists.getAllExpressions([group]).length > 0) {
+                parts.phrases.push(describeClause(strings, group, userNames));
+            }
+        });
+        return parts;
+    }
+
+    // Renders a whole group as one phrase, used for subgroups and for lists with several groups
+    function describeClause(strings, expressionSet, userNames) {
+        const parts = describeGroup(strings, expressionSet, userNames);
+        const items = parts.adjectives.concat(parts.phrases);
+        if (parts.conditions.length > 0) {
+            items.push(format(strings.where, [joinList(strings, parts.conditions, strings.and)]));
+        }
+        if (parts.exclusions.length > 0) {
+            items.push(format(strings.excluding, [joinList(strings, parts.exclusions, strings.and)]));
+        }
+
+        const isOr = expressionSet.Logic === 'Or';
+        let text = joinList(strings, items, isOr ? strings.or : strings.and);
+        if (isOr && items.length > 1) {
+            text = format(strings.either, [text]);
+        }
+        return expressionSet.Negate === true ? format(strings.not, [text]) : text;
+    }
+
+    function describeTypes(strings, list) {
+        const mediaTypes = (list.MediaTypes || []).filter(Boolean);
+        if (mediaTypes.length === 0) {
+            return strings.items;
+        }
+        return joinList(strings, mediaTypes.map(function (mediaType) {
+            return getMediaTypeNoun(strings, mediaType);
+        }), strings.and);
+    }
+
+    function describeRules(strings, list, userNames) {
+        const types = describeTypes(strings, list);
+        const sets = (list.ExpressionSets || []).filter(function (set) {
+            return set && SmartLists.getAllExpressions([set]).length > 0;
+        });
+
+        // Scoring mode has no AND/OR structure; only Similar To still filters the list
+        if (list.ScoringMode === true) {
+            const expressions = SmartLists.getAllExpressions(sets);
+            const scored = expressions.filter(SmartLists.isScoredRule);
+            const parts = describeExpressions(strings, expressions.filter(function (expression) {
+                return expression.MemberName === 'SimilarTo';
+            }), userNames);
+            const phrases = parts.phrases.concat(format(plural(strings.scoredBy, scored.length), [scored.length]));
+            if (list.MinScore !== undefined && list.MinScore !== null && list.MinScore !== '') {
+                phrases.push(format(strings.minScore, [list.MinScore]));
+            }
+            return [types + strings.phraseSeparator + phrases.join(strings.phraseSeparator)];
+        }
+
+        if (sets.length === 0) {
+            return [format(strings.allItems, [types])];
+        }
+
+        if (sets.length > 1 || sets[0].Logic === 'Or' || sets[0].Negate === true) {
+            const clauses = sets.map(function (set) {
+                return describeClause(strings, set, userNames);
+            });
+            const text = sets.length > 1 ? format(strings.either, [clauses.join(strings.groupSeparator)]) : clauses[0];
+            return [types + strings.phraseSeparator + text];
+        }
+
+        const parts = describeGroup(strings, sets[0], userNames);
+        let subject = format(strings.subject, {
+            adjectives: joinList(strings, parts.adjectives, strings.and),
+            types: types
+        }).trim();
+        if (parts.phrases.length > 0) {
+            subject += strings.phraseSeparator + parts.phrases.join(strings.phraseSeparator);
+        }
+        if (parts.conditions.length > 0) {
+            subject += strings.phraseSeparator + format(strings.where, [joinList(strings, parts.conditions, strings.and)]);
+        }
+
+        const clauses = [subject];
+        if (parts.exclusions.length > 0) {
+            clauses.push(format(strings.excluding, [joinList(strings, parts.exclusions, strings.and)]));
+        }
+        return clauses;
+    }
+
+    function getSortOptions(list) {
+        const order = list.Order;
+        if (!order) {
+            return [];
+        }
+        if (order.SortOptions && order.SortOptions.length > 0) {
+            return order.SortOptions;
+        }
+        // The user page sends Primary / Secondary / Tertiary
+        const userSorts = [order.Primary, order.Secondary, order.Tertiary].filter(Boolean);
+        if (userSorts.length > 0) {
+            return userSorts;
+        }
+        // Legacy single sort, e.g. "Name Ascending"
+        if (order.Name) {
+            const match = /^(.*) (Ascending|Descending)$/.exec(order.Name);
+            return [match ? { SortBy: match[1], SortOrder: match[2] } : { SortBy: order.Name, SortOrder: 'Ascending' }];
+        }
+        return [];
+    }
+
+    function describeSort(strings, list, userNames) {
+        const sorts = getSortOptions(list);
+        const phrases = [];
+        for (let i = 0; i < sorts.length; i++) {
+            const sortBy = sorts[i].SortBy;
+            if (!sortBy || sortBy === 'NoOrder' || sortBy === 'No Order') {
+                continue;
+            }
+            if (sortBy === 'Random') {
+                phrases.push(phrases.length === 0 ? strings.randomOrder : strings.thenRandom);
+                break;
+            }
+            if (sortBy === 'WeightedRandom') {
+                // A strength of 0 is a plain shuffle
+                if (sorts[i].BiasStrength === 0) {
+                    phrases.push(phrases.length === 0 ? strings.randomOrder : strings.thenRandom);
+                } else {
+                    const bias = strings.shuffleBias[sorts[i].BiasField || 'CommunityRating'] || strings.shuffleBias.CommunityRating;
+                    phrases.push(format(phrases.length === 0 ? strings.shuffleFavoring : strings.thenShuffleFavoring, [bias]));
+                }
+                break;
+            }
+
+            const kind = SORT_KINDS[sortBy] || ['number', 'Descending'];
+            let noun = strings.sortFields[sortBy] || sortBy.toLowerCase();
+            if (isSpecificUser(sorts[i].UserId)) {
+                noun += strings.phraseSeparator + format(strings.forUser, [getUserName(strings, sorts[i].UserId, userNames)]);
+            }
+            const sortOrder = sorts[i].SortOrder || 'Ascending';
+            if (sortOrder !== kind[1] && strings.directions[kind[0]]) {
+                noun = format(strings.sortDirection, [noun, strings.directions[kind[0]][sortOrder === 'Descending' ? 1 : 0]]);
+            }
+            phrases.push(format(phrases.length === 0 ? strings.sortedBy : strings.thenBy, [noun]));
+        }
+
+        const order = list.Order || {};
+        const distance = parseInt(order.SpacingDistance, 10);
+        if (order.SpacingField && distance > 0) {
+            const field = strings.spacingFields[order.SpacingField] || order.SpacingField.toLowerCase();
+            phrases.push(format(plural(strings.spacing, distance), [field, distance]));
+        }
+        return phrases.join(strings.clauseSeparator);
+    }
+
+    function describeLimits(strings, list) {
+        const limits = [];
+        const maxItems = parseInt(list.MaxItems, 10);
+        if (maxItems > 0) {
+            limits.push(format(plural(strings.maxItems, maxItems), [maxItems.toLocaleString()]));
+        }
+        const maxPlayTime = parseFloat(list.MaxPlayTimeMinutes);
+        if (maxPlayTime > 0) {
+            limits.push(format(strings.maxPlayTime, [SmartLists.formatRuntime(maxPlayTime)]));
+        }
+        return limits;
+    }
+
+    /**
+     * Adds or extends the sentence strings for a language, e.g. registerSentenceLanguage('de', { and: 'und', ... }).
+     * Strings that are not given fall back to English.
+     */
+    SmartLists.registerSentenceLanguage = function (code, strings) {
+        const language = String(code || '').toLowerCase();
+        const base = SENTENCE_STRINGS[language] || SENTENCE_STRINGS.en;
+        const merged = {};
+        Object.keys(base).forEach(function (key) {
+            const value = strings && strings[key];
+            const isTable = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+            merged[key] = value === undefined ? base[key] : (isTable ? Object.assign({}, base[key], value) : value);
+        });
+        SENTENCE_STRINGS[language] = merged;
+    };
+
+    /**
+     * Describes a list (a saved list or the form being edited) as one sentence of plain text.
+     * userNames maps user ids to names for rules that check a specific user.
+     */
+    SmartLists.generateListSentence = function (list, userNames) {
+        if (!list) {
+            return '';
+        }
+        const strings = getStrings();
+        const clauses = describeRules(strings, list, userNames || {});
+        const sort = describeSort(strings, list, userNames || {});
+        if (sort) {
+            clauses.push(sort);
+        }
+        return capitalize(clauses.concat(describeLimits(strings, list)).join(strings.clauseSeparator));
+    };
+
+    /**
+     * Gets the user ids checked by a list's rules and sorts, for resolving their names before generating a sentence.
+     */
+    SmartLists.getSentenceUserIds = function (list) {
+        const ids = [];
+        const add = function (userId) {
+            if (isSpecificUser(userId) && ids.indexOf(userId) === -1) {
+                ids.push(userId);
+            }
+        };
+        SmartLists.getAllExpressions((list && list.ExpressionSets) || []).forEach(function (expression) {
+            add(expression.UserId);
+            add(expression.CompareUserId);
+        });
+        getSortOptions(list || {}).forEach(function (sort) {
+            add(sort && sort.UserId);
+        });
+        return ids;
+    };
+
+    /**
+     * Shows the sentence for the list being edited in options.containerSelector and keeps it up to date.
+     * options.buildList(page) returns the list as it is in the form (or null while it cannot be read),
+     * options.watchSelector limits which part of the page triggers updates, options.rulesSelector is
+     * watched for rules and groups being added or removed, and options.resolveUserNames(list) may return
+     * a promise of user names.
+     */
+    SmartLists.initListSentence = function (page, options) {
+        if (page._listSentence) {
+            return;
+        }
+
+        const container = page.querySelector(options.containerSelector);
+        if (!container) {
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'list-sentence-panel fieldDescription';
+        panel.setAttribute('aria-live', 'polite');
+        panel.style.cssText = 'margin: 0 0 1em 0; padding: 0.6em 0.9em; background: rgba(0,164,220,0.08); border-left: 3px solid #00a4dc; border-radius: 2px; color: #ddd; font-size: 1em;';
+        container.appendChild(panel);
+
+        page._listSentence = { options: options, panel: panel, timer: null, requestId: 0 };
+
+        const watchRoot = options.watchSelector ? page.querySelector(options.watchSelector) : page;
+        if (watchRoot) {
+            watchRoot.addEventListener('input', function () {
+                SmartLists.scheduleListSentence(page);
+            });
+            watchRoot.addEventListener('change', function () {
+                SmartLists.scheduleListSentence(page);
+            });
+        }
+
+        // Adding or removing rules, groups and sorts does not fire input events. The panel may sit
+        // inside the watched element, so its own updates are ignored.
+        const rulesContainer = options.rulesSelector ? page.querySelector(options.rulesSelector) : null;
+        if (rulesContainer && typeof MutationObserver !== 'undefined') {
+            new MutationObserver(function (mutations) {
+                const isOwnUpdate = mutations.every(function (mutation) {
+                    return panel.contains(mutation.target);
+                });
+                if (!isOwnUpdate) {
+                    SmartLists.scheduleListSentence(page);
+                }
+            }).observe(rulesContainer, { childList: true, subtree: true });
+        }
+
+        SmartLists.scheduleListSentence(page);
+    };
+
+    /**
+     * Updates the editor sentence after a short delay, replacing any pending update.
+     */
+    SmartLists.scheduleListSentence = function (page) {
+        const state = page._listSentence;
+        if (!state) {
+            return;
+        }
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        state.timer = setTimeout(function () {
+            state.timer = null;
+            updateListSentence(page);
+        }, SENTENCE_DEBOUNCE_MS);
+    };
+
+    function updateListSentence(page) {
+        const state = page._listSentence;
+        let list;
+        try {
+            list = state.options.buildList(page);
+        } catch (err) {
+            console.warn('SmartLists: could not read the form for the list sentence', err);
+            return;
+        }
+        if (!list) {
+            return;
+        }
+
+        const requestId = ++state.requestId;
+        const render = function (userNames) {
+            if (requestId === state.requestId) {
+                state.panel.textContent = SmartLists.generateListSentence(list, userNames);
+            }
+        };
+
+        render(null);
+        if (state.options.resolveUserNames && SmartLists.getSentenceUserIds(list).length > 0) {
+            Promise.resolve(state.options.resolveUserNames(list)).then(render).catch(function (err) {
+                console.warn('SmartLists: could not resolve user names for the list sentence', err);
+            });
+        }
+    }
+
+})(window.SmartLists = window.SmartLists || {});
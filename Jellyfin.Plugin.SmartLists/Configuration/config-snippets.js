@@ -0,0 +1,422 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== RULE SNIPPETS =====
+    // Named logic groups stored on the server, such as "Exclude Christmas content", that can be
+    // inserted into any list from the Snippets menu of a group. A snippet is inserted as a subgroup.
+    // A linked subgroup is read-only here and is updated on the server whenever the snippet changes.
+
+    const SNIPPETS_ENDPOINT = 'Plugins/SmartLists/snippets';
+
+    let snippetCache = null;
+    let snippetRequest = null;
+
+    function parseSnippetResponse(response) {
+        if (response && typeof response.ok !== 'undefined') {
+            if (!response.ok) {
+                return Promise.reject(response);
+            }
+            return response.json();
+        }
+        return Promise.resolve(response);
+    }
+
+    function sendSnippetRequest(type, path, snippet) {
+        const apiClient = SmartLists.getApiClient();
+        const request = {
+            type: type,
+            url: apiClient.getUrl(path),
+            contentType: 'application/json'
+        };
+        if (snippet) {
+            request.data = JSON.stringify(snippet);
+        }
+        return apiClient.ajax(request).then(parseSnippetResponse);
+    }
+
+    /**
+     * Loads the saved snippets, from the cache unless forceReload is set.
+     */
+    SmartLists.loadRuleSnippets = function (forceReload) {
+        if (snippetCache && !forceReload) {
+            return Promise.resolve(snippetCache);
+        }
+        if (snippetRequest && !forceReload) {
+            return snippetRequest;
+        }
+
+        const request = sendSnippetRequest('GET', SNIPPETS_ENDPOINT).then(function (snippets) {
+            snippetCache = Array.isArray(snippets) ? snippets : [];
+            return snippetCache;
+        });
+        snippetRequest = request;
+        request.then(function () {
+            if (snippetRequest === request) {
+                snippetRequest = null;
+            }
+        }, function () {
+            if (snippetRequest === request) {
+                snippetRequest = null;
+            }
+        });
+        return request;
+    };
+
+    function findSnippet(snippetId) {
+        return (snippetCache || []).find(function (snippet) {
+            return snippet.Id === snippetId;
+        }) || null;
+    }
+
+    function getDirectChild(logicGroup, className) {
+        return Array.prototype.find.call(logicGroup.children, function (child) {
+            return child.classList.contains(className);
+        }) || null;
+    }
+
+    function setPanelMessage(panel, html) {
+        panel.querySelector('.snippet-message').innerHTML = html || '';
+    }
+
+    // Inline "are you sure" with a confirm and a cancel button, shown in the panel's message area
+    function askInPanel(panel, questionHtml, confirmLabel, onConfirm) {
+        setPanelMessage(panel, questionHtml + ' ' +
+            '<button type="button" class="rule-action-btn snippet-confirm-btn">' + SmartLists.escapeHtml(confirmLabel) + '</button> ' +
+            '<button type="button" class="rule-action-btn snippet-cancel-btn">Cancel</button>');
+        const confirmButton = panel.querySelector('.snippet-confirm-btn');
+        const cancelButton = panel.querySelector('.snippet-cancel-btn');
+        SmartLists.styleRuleActionButton(confirmButton, 'action');
+        SmartLists.styleRuleActionButton(cancelButton, 'action');
+        confirmButton.addEventListener('click', function () {
+            setPanelMessage(panel, '');
+            onConfirm();
+        });
+        cancelButton.addEventListener('click', function () {
+            setPanelMessage(panel, '');
+        });
+        confirmButton.focus();
+    }
+
+    // ===== SNIPPET MENU =====
+    /**
+     * Adds the Snippets button to a logic group header. Called by createLogicGroupHeader.
+     */
+    SmartLists.addSnippetControls = function (page, logicGroup, header) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'rule-action-btn snippet-menu-btn';
+        button.title = 'Insert a saved snippet, or save rules from this group as a snippet';
+        button.textContent = 'Snippets';
+        SmartLists.styleRuleActionButton(button, 'action');
+        header.insertBefore(button, header.querySelector('.remove-subgroup-btn'));
+
+        button.addEventListener('click', function () {
+            const panel = getDirectChild(logicGroup, 'snippet-panel');
+            if (panel) {
+                panel.remove();
+            } else {
+                openSnippetPanel(page, logicGroup);
+            }
+        });
+    };
+
+    function createSnippetPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'snippet-panel';
+        panel.style.cssText = 'margin: 0 0 1em 0; padding: 0.75em 1em; background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; font-size: 0.9em;';
+        panel.innerHTML =
+            '<div style="font-weight: 500; margin-bottom: 0.5em;">Insert a snippet into this group</div>' +
+            '<div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap;">' +
+            '<select is="emby-select" class="emby-select snippet-select" aria-label="Snippet" style="flex: 1 1 14em; width: auto;">' +
+            '<option value="">Loading snippets…</option>' +
+            '</select>' +
+            '<label style="display: flex; align-items: center; gap: 0.4em; cursor: pointer;" title="A linked snippet follows every later change to the snippet">' +
+            '<input type="checkbox" class="snippet-link-checkbox" checked> Linked</label>' +
+            '<button type="button" class="rule-action-btn snippet-insert-btn">Insert</button>' +
+            '<button type="button" class="rule-action-btn snippet-delete-btn" title="Delete the selected snippet">Delete</button>' +
+            '</div>' +
+            '<div class="snippet-description fieldDescription" style="margin-top: 0.25em;"></div>' +
+            '<div style="font-weight: 500; margin: 1em 0 0.5em 0;">Save rules from this group as a snippet</div>' +
+            '<div class="snippet-item-list" style="display: flex; flex-direction: column; gap: 0.25em; margin-bottom: 0.5em;"></div>' +
+            '<div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap;">' +
+            '<input type="text" class="emby-input snippet-name-input" maxlength="100" placeholder="Snippet name" aria-label="Snippet name" style="flex: 1 1 12em; padding: 0.3em 0.5em;">' +
+            '<input type="text" class="emby-input snippet-description-input" maxlength="300" placeholder="Description (optional)" aria-label="Snippet description" style="flex: 2 1 16em; padding: 0.3em 0.5em;">' +
+            '<button type="button" class="rule-action-btn snippet-save-btn">Save snippet</button>' +
+            '</div>' +
+            '<div class="snippet-message fieldDescription" aria-live="polite" style="margin-top: 0.5em;"></div>';
+
+        panel.querySelectorAll('.rule-action-btn').forEach(function (button) {
+            SmartLists.styleRuleActionButton(button, button.classList.contains('snippet-delete-btn') ? 'delete' : 'action');
+        });
+        return panel;
+    }
+
+    // One checkbox per direct rule or subgroup, labelled with its rules in query syntax
+    function renderSnippetItems(page, logicGroup, panel) {
+        const list = panel.querySelector('.snippet-item-list');
+        list.innerHTML = '';
+
+        SmartLists.getRuleGroupItems(logicGroup).forEach(function (item) {
+            const expressionSet = SmartLists.collectRuleGroup(page, logicGroup, [item]);
+            const isSubgroup = item.classList.contains('logic-subgroup');
+            const text = expressionSet ? SmartLists.serializeRuleQuery([expressionSet]) : 'Incomplete rule';
+
+            const label = document.createElement('label');
+            label.style.cssText = 'display: flex; align-items: center; gap: 0.5em; cursor: pointer; min-width: 0;';
+            label.innerHTML =
+                '<input type="checkbox" class="snippet-item-checkbox"' + (expressionSet ? ' checked' : ' disabled') + '>' +
+                '<span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace;">' +
+                SmartLists.escapeHtml((isSubgroup ? 'Subgroup: ' : '') + text) + '</span>';
+            label.title = text;
+            label._snippetItem = item;
+            list.appendChild(label);
+        });
+    }
+
+    function renderSnippetOptions(panel, snippets, selectedId) {
+        const select = panel.querySelector('.snippet-select');
+        if (snippets.length === 0) {
+            select.innerHTML = '<option value="">No snippets saved yet</option>';
+        } else {
+            select.innerHTML = snippets.map(function (snippet) {
+                return '<option value="' + SmartLists.escapeHtmlAttribute(snippet.Id) + '">' + SmartLists.escapeHtml(snippet.Name) + '</option>';
+            }).join('');
+            if (selectedId && findSnippet(selectedId)) {
+                select.value = selectedId;
+            }
+        }
+        updateSnippetDescription(panel);
+    }
+
+    function updateSnippetDescription(panel) {
+        const snippet = findSnippet(panel.querySelector('.snippet-select').value);
+        const description = panel.querySelector('.snippet-description');
+        description.textContent = snippet ? (snippet.Description || '') + (snippet.Description ? ' · ' : '') +
+            SmartLists.serializeRuleQuery([snippet.Group]) : '';
+        panel.querySelector('.snippet-insert-btn').disabled = !snippet;
+        panel.querySelector('.snippet-delete-btn').disabled = !snippet;
+    }
+
+    function reloadSnippetOptions(panel, selectedId) {
+        return SmartLists.loadRuleSnippets(true).then(function (snippets) {
+            renderSnippetOptions(panel, snippets, selectedId);
+        }).catch(function (err) {
+            console.error('Error loading rule snippets:', err);
+            panel.querySelector('.snippet-select').innerHTML = '<option value="">Could not load snippets</option>';
+            updateSnippetDescription(panel);
+        });
+    }
+
+    function openSnippetPanel(page, logicGroup) {
+        const panel = createSnippetPanel();
+        const header = getDirectChild(logicGroup, 'logic-group-header');
+        logicGroup.insertBefore(panel, header ? header.nextSibling : logicGroup.firstChild);
+
+        renderSnippetItems(page, logicGroup, panel);
+        reloadSnippetOptions(panel);
+
+        panel.querySelector('.snippet-select').addEventListener('change', function () {
+            updateSnippetDescription(panel);
+        });
+        panel.querySelector('.snippet-insert-btn').addEventListener('click', function () {
+            insertSnippet(page, logicGroup, panel);
+        });
+        panel.querySelector('.snippet-delete-btn').addEventListener('click', function () {
+            confirmDeleteSnippet(page, panel);
+        });
+        panel.querySelector('.snippet-save-btn').addEventListener('click', function () {
+            saveSnippet(page, logicGroup, panel);
+        });
+    }
+
+    function insertSnippet(page, logicGroup, panel) {
+        const snippet = findSnippet(panel.querySelector('.snippet-select').value);
+        if (!snippet) {
+            return;
+        }
+
+        // Work on a copy so the cached snippet is never changed by the editor
+        const expressionSet = JSON.parse(JSON.stringify(snippet.Group));
+        if (panel.querySelector('.snippet-link-checkbox').checked) {
+            expressionSet.SnippetId = snippet.Id;
+        } else {
+            delete expressionSet.SnippetId;
+        }
+
+        panel.remove();
+        SmartLists.insertRuleGroup(page, logicGroup, expressionSet);
+    }
+
+    function saveSnippet(page, logicGroup, panel) {
+        const name = panel.querySelector('.snippet-name-input').value.trim();
+        if (!name) {
+            setPanelMessage(panel, 'Enter a name for the snippet.');
+            panel.querySelector('.snippet-name-input').focus();
+            return;
+        }
+
+        const checkboxes = Array.prototype.slice.call(panel.querySelectorAll('.snippet-item-checkbox'));
+        const selectedItems = checkboxes.filter(function (checkbox) {
+            return checkbox.checked;
+        }).map(function (checkbox) {
+            return checkbox.closest('label')._snippetItem;
+        });
+        const group = selectedItems.length > 0 ? SmartLists.collectRuleGroup(page, logicGroup, selectedItems) : null;
+        if (!group) {
+            setPanelMessage(panel, 'Select at least one complete rule to save.');
+            return;
+        }
+
+        const snippet = {
+            Name: name,
+            Description: panel.querySelector('.snippet-description-input').value.trim() || null,
+            Group: group
+        };
+
+        setPanelMessage(panel, 'Saving…');
+        sendSnippetRequest('POST', SNIPPETS_ENDPOINT, snippet).then(function (saved) {
+            setPanelMessage(panel, 'Saved snippet "' + SmartLists.escapeHtml(saved.Name) + '". Insert it into other lists from their Snippets menu.');
+            return reloadSnippetOptions(panel, saved.Id);
+        }).catch(function (err) {
+            if (err && err.status === 409) {
+                confirmReplaceSnippet(panel, snippet);
+                return;
+            }
+            setPanelMessage(panel, '');
+            SmartLists.handleApiError(err, 'Failed to save snippet');
+        });
+    }
+
+    function confirmReplaceSnippet(panel, snippet) {
+        SmartLists.loadRuleSnippets(true).then(function (snippets) {
+            const existing = snippets.find(function (s) {
+                return s.Name.toLowerCase() === snippet.Name.toLowerCase();
+            });
+            if (!existing) {
+                setPanelMessage(panel, 'A snippet with this name already exists.');
+                return;
+            }
+
+            askInPanel(panel,
+                'A snippet named "' + SmartLists.escapeHtml(existing.Name) + '" already exists. Replace it? Lists linked to it will use the new rules from their next refresh.',
+                'Replace', function () {
+                    setPanelMessage(panel, 'Saving…');
+                    sendSnippetRequest('PUT', SNIPPETS_ENDPOINT + '/' + encodeURIComponent(existing.Id), snippet).then(function (result) {
+                        const updatedLists = result.UpdatedLists || 0;
+                        setPanelMessage(panel, 'Replaced snippet "' + SmartLists.escapeHtml(result.Snippet.Name) + '"' +
+                            (updatedLists > 0 ? ' and updated ' + updatedLists + ' linked list' + (updatedLists === 1 ? '' : 's') + '.' : '.'));
+                        return reloadSnippetOptions(panel, result.Snippet.Id);
+                    }).catch(function (err) {
+                        setPanelMessage(panel, '');
+                        SmartLists.handleApiError(err, 'Failed to replace snippet');
+                    });
+                });
+        }).catch(function (err) {
+            setPanelMessage(panel, '');
+            SmartLists.handleApiError(err, 'Failed to load snippets');
+        });
+    }
+
+    function confirmDeleteSnippet(page, panel) {
+        const snippet = findSnippet(panel.querySelector('.snippet-select').value);
+        if (!snippet) {
+            return;
+        }
+
+        askInPanel(panel,
+            'Delete snippet "' + SmartLists.escapeHtml(snippet.Name) + '"? Linked groups keep their current rules.',
+            'Delete', function () {
+                sendSnippetRequest('DELETE', SNIPPETS_ENDPOINT + '/' + encodeURIComponent(snippet.Id)).then(function (result) {
+                    const updatedLists = result && result.UpdatedLists ? result.UpdatedLists : 0;
+                    setPanelMessage(panel, 'Deleted snippet "' + SmartLists.escapeHtml(snippet.Name) + '".' +
+                        (updatedLists > 0 ? ' ' + updatedLists + ' list' + (updatedLists === 1 ? ' was' : 's were') + ' unlinked.' : ''));
+
+                    // Groups linked in the list being edited are unlinked the same way
+                    page.querySelectorAll('.logic-group[data-snippet-id="' + CSS.escape(snippet.Id) + '"]').forEach(unlinkSnippetGroup);
+                    return reloadSnippetOptions(panel);
+                }).catch(function (err) {
+                    setPanelMessage(panel, '');
+                    SmartLists.handleApiError(err, 'Failed to delete snippet');
+                });
+            });
+    }
+
+    // ===== LINKED GROUPS =====
+    function setLinkedState(logicGroup, linked) {
+        const header = getDirectChild(logicGroup, 'logic-group-header');
+        if (header) {
+            header.querySelector('.logic-group-operator').disabled = linked;
+            header.querySelector('.logic-group-negate').disabled = linked;
+            ['.add-group-rule-btn', '.add-subgroup-btn', '.snippet-menu-btn'].forEach(function (selector) {
+                const button = header.querySelector(selector);
+                if (button) {
+                    button.style.display = linked ? 'none' : '';
+                }
+            });
+        }
+
+        // The rules stay visible, but cannot be edited or dragged out while linked
+        SmartLists.getRuleGroupItems(logicGroup).forEach(function (item) {
+            item.inert = linked;
+            item.style.opacity = linked ? '0.65' : '';
+        });
+        logicGroup.classList.toggle('snippet-linked', linked);
+    }
+
+    function unlinkSnippetGroup(logicGroup) {
+        logicGroup.removeAttribute('data-snippet-id');
+        setLinkedState(logicGroup, false);
+        const header = getDirectChild(logicGroup, 'logic-group-header');
+        if (header) {
+            header.querySelectorAll('.snippet-link-badge, .snippet-unlink-btn').forEach(function (element) {
+                element.remove();
+            });
+        }
+    }
+
+    /**
+     * Shows a group as linked to the snippet in its data-snippet-id attribute: the snippet name,
+     * an Unlink button and read-only rules. Called when rules are loaded into the builder.
+     */
+    SmartLists.showSnippetLink = function (page, logicGroup) {
+        const snippetId = logicGroup.getAttribute('data-snippet-id');
+        const header = getDirectChild(logicGroup, 'logic-group-header');
+        if (!snippetId || !header || header.querySelector('.snippet-link-badge')) {
+            return;
+        }
+
+        const openPanel = getDirectChild(logicGroup, 'snippet-panel');
+        if (openPanel) {
+            openPanel.remove();
+        }
+
+        const badge = document.createElement('span');
+        badge.className = 'snippet-link-badge';
+        badge.style.cssText = 'padding: 0.2em 0.6em; border-radius: 4px; background: rgba(0, 164, 220, 0.15); color: #00a4dc; font-weight: 500;';
+        badge.textContent = 'Snippet';
+
+        const unlinkButton = document.createElement('button');
+        unlinkButton.type = 'button';
+        unlinkButton.className = 'rule-action-btn snippet-unlink-btn';
+        unlinkButton.title = 'Edit these rules in this list only; later changes to the snippet no longer apply';
+        unlinkButton.textContent = 'Unlink';
+        SmartLists.styleRuleActionButton(unlinkButton, 'action');
+        unlinkButton.addEventListener('click', function () {
+            unlinkSnippetGroup(logicGroup);
+        });
+
+        const removeButton = header.querySelector('.remove-subgroup-btn');
+        header.insertBefore(badge, removeButton);
+        header.insertBefore(unlinkButton, removeButton);
+        setLinkedState(logicGroup, true);
+
+        SmartLists.loadRuleSnippets().then(function () {
+            const snippet = findSnippet(snippetId);
+            badge.textContent = snippet ? 'Snippet: ' + snippet.Name : 'Snippet (deleted)';
+            badge.title = snippet ? (snippet.Description || 'Linked to this snippet') : 'The snippet no longer exists; the group is unlinked when the list is saved';
+        }).catch(function (err) {
+            console.error('Error loading rule snippets:', err);
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -24,6 +24,53 @@
             SmartLists.addSortBox(page, null);
         });
         sortsContainer.appendChild(addBtn);
+        
+        SmartLists.initializeSpacingControls(page);
+    };
+    
+    // Builds the spacing controls ("don't repeat the same artist within N items") in #sort-spacing-container, if the page has one
+    SmartLists.initializeSpacingControls = function(page) {
+        const spacingContainer = page.querySelector('#sort-spacing-container');
+        if (!spacingContainer) return;
+        
+        spacingContainer.innerHTML = '';
+        const fieldsContainer = SmartLists.createStyledElement('div', 'sort-fields', SmartLists.STYLES.sortFields);
+        
+        const spacingField = SmartLists.createSortField('Space Out Repeats Of', 'sort-spacing-field', 'select', SmartLists.SPACING_FIELD_OPTIONS);
+        fieldsContainer.appendChild(spacingField.container);
+        
+        const distanceContainer = SmartLists.createStyledElement('div', 'sort-field-container sort-spacing-distance-container', SmartLists.STYLES.sortField);
+        const distanceLabel = SmartLists.createStyledElement('label', '', SmartLists.STYLES.sortFieldLabel);
+        distanceLabel.textContent = 'Minimum Items Between';
+        distanceLabel.setAttribute('for', 'sort-spacing-distance');
+        distanceContainer.appendChild(distanceLabel);
+        
+        const distanceInput = document.createElement('input');
+        distanceInput.type = 'number';
+        distanceInput.id = 'sort-spacing-distance';
+        distanceInput.className = 'emby-input';
+        distanceInput.min = '1';
+        distanceInput.max = String(SmartLists.SPACING_MAX_DISTANCE);
+        distanceInput.step = '1';
+        distanceInput.value = String(SmartLists.SPACING_DEFAULT_DISTANCE);
+        distanceContainer.appendChild(distanceInput);
+        fieldsContainer.appendChild(distanceContainer);
+        
+        spacingContainer.appendChild(fieldsContainer);
+        
+        spacingField.input.addEventListener('change', function() {
+            SmartLists.syncSpacingUI(page);
+        });
+        SmartLists.syncSpacingUI(page);
+    };
+    
+    // Helper function to show the spacing distance only while spacing is on
+    SmartLists.syncSpacingUI = function(page) {
+        const fieldSelect = page.querySelector('#sort-spacing-field');
+        const distanceContainer = page.querySelector('.sort-spacing-distance-container');
+        if (fieldSelect && distanceContainer) {
+            distanceContainer.style.display = fieldSelect.value ? '' : 'none';
+        }
     };
     
     SmartLists.createSortField = function(labelText, fieldId, fieldType, options) {
@@ -114,24 +161,110 @@
         return { container: container, checkbox: checkbox };
     };
     
+    // Helper function to create the Smart Shuffle bias controls (favored field and strength)
+    SmartLists.createShuffleBiasFields = function(sortId, sortData) {
+        const container = document.createElement('div');
+        container.className = 'shuffle-bias-container';
+        container.style.display = 'flex';
+        container.style.gap = '1em';
+        container.style.flexWrap = 'wrap';
+        
+        const biasField = SmartLists.createSortField('Favor', 'sort-bias-field-' + sortId, 'select');
+        const selectedField = sortData && sortData.BiasField ? sortData.BiasField : SmartLists.SHUFFLE_BIAS_OPTIONS[0].value;
+        SmartLists.populateSelectElement(biasField.input, SmartLists.SHUFFLE_BIAS_OPTIONS.map(function(opt) {
+            return { value: opt.value, label: opt.label, selected: opt.value === selectedField };
+        }));
+        container.appendChild(biasField.container);
+        
+        const strengthContainer = SmartLists.createStyledElement('div', 'sort-field-container', SmartLists.STYLES.sortField);
+        const strengthLabel = SmartLists.createStyledElement('label', '', SmartLists.STYLES.sortFieldLabel);
+        strengthLabel.setAttribute('for', 'sort-bias-strength-' + sortId);
+        strengthContainer.appendChild(strengthLabel);
+        
+        const strengthInput = document.createElement('input');
+        strengthInput.type = 'range';
+        strengthInput.id = 'sort-bias-strength-' + sortId;
+        strengthInput.min = '0';
+        strengthInput.max = String(SmartLists.SHUFFLE_BIAS_MAX_STRENGTH);
+        strengthInput.step = '1';
+        const strength = sortData && sortData.BiasStrength !== undefined && sortData.BiasStrength !== null ? sortData.BiasStrength : SmartLists.SHUFFLE_BIAS_DEFAULT_STRENGTH;
+        strengthInput.value = String(strength);
+        strengthInput.title = '0 is a plain shuffle; higher values put favored items near the top more often';
+        strengthContainer.appendChild(strengthInput);
+        
+        const updateStrengthLabel = function() {
+            strengthLabel.textContent = 'Bias Strength: ' + strengthInput.value;
+        };
+        strengthInput.addEventListener('input', updateStrengthLabel);
+        updateStrengthLabel();
+        container.appendChild(strengthContainer);
+        
+        return { container: container, fieldSelect: biasField.input, strengthInput: strengthInput };
+    };
+    
+    // Helper function to show the Smart Shuffle bias controls only for the Smart Shuffle sort
+    SmartLists.syncShuffleBiasUI = function(sortByValue, box) {
+        const biasContainer = box ? box.querySelector('.shuffle-bias-container') : null;
+        if (biasContainer) {
+            biasContainer.style.display = sortByValue === 'WeightedRandom' ? 'flex' : 'none';
+        }
+    };
+    
+    // Helper function to create the user choice for sorts on user data (e.g. another user's play count)
+    SmartLists.createSortUserField = function(sortId, sortData) {
+        const userField = SmartLists.createSortField('User', 'sort-user-' + sortId, 'select');
+        userField.container.classList.add('sort-user-container');
+        userField.input.innerHTML = '<option value="">List owner</option>';
+        
+        // Load the users only when a user-data sort is picked, so plain sorts don't fetch them
+        userField.input.setAttribute('data-selected-user', sortData && sortData.UserId ? sortData.UserId : '');
+        return { container: userField.container, userSelect: userField.input };
+    };
+    
+    // Helper function to show the user choice only for sorts on user data, loading the users the first time
+    SmartLists.syncSortUserUI = function(sortByValue, box) {
+        const userContainer = box ? box.querySelector('.sort-user-container') : null;
+        if (!userContainer) return;
+        
+        const fieldSort = SmartLists.getFieldSortOption(sortByValue);
+        const show = !!(fieldSort && fieldSort.userSpecific);
+        userContainer.style.display = show ? '' : 'none';
+        
+        const userSelect = userContainer.querySelector('select');
+        if (show && userSelect && !userSelect.hasAttribute('data-users-loaded')) {
+            userSelect.setAttribute('data-users-loaded', 'true');
+            const selectedUser = userSelect.getAttribute('data-selected-user') || '';
+            SmartLists.loadUsersForRule(userSelect, true).then(function() {
+                userSelect.value = selectedUser;
+            }).catch(function() {
+                userSelect.removeAttribute('data-users-loaded');
+            });
+        }
+    };
+    
     // Helper function to sync Sort Order UI based on Sort By value
     SmartLists.syncSortOrderUI = function(sortByValue, sortOrderContainer, sortOrderSelect) {
         if (!sortOrderContainer || !sortOrderSelect) return;
         
-        // Hide Sort Order for Random and NoOrder (they don't use ordering)
-        if (sortByValue === 'Random' || sortByValue === 'NoOrder') {
+        // Hide Sort Order for Random, Smart Shuffle and NoOrder (they don't use ordering)
+        if (sortByValue === 'Random' || sortByValue === 'WeightedRandom' || sortByValue === 'NoOrder') {
             sortOrderContainer.style.display = 'none';
         } else {
             sortOrderContainer.style.display = '';
             
-            // Auto-set to Descending when Similarity is selected (most similar first)
-            if (sortByValue === 'Similarity') {
+            // Auto-set to Descending when Similarity or Score is selected (best matches first)
+            if (sortByValue === 'Similarity' || sortByValue === 'Score') {
                 sortOrderSelect.value = 'Descending';
             }
         }
     };
     
-    SmartLists.shouldShowSortOption = function(sortValue, selectedMediaTypes, hasSimilarToRule) {
+    SmartLists.shouldShowSortOption = function(sortValue, selectedMediaTypes, hasSimilarToRule, isScoringMode) {
+        // Score - only show in scoring mode
+        if (sortValue === 'Score') {
+            return isScoringMode === true;
+        }
+        
         // If no media types selected, show all options
         if (!selectedMediaTypes || selectedMediaTypes.length === 0) {
             return true;
@@ -174,6 +307,14 @@
             return hasSimilarToRule === true;
         }
         
+        // Field sorts on audio or video stream details - only for types that have those streams
+        if (SmartLists.AUDIO_FIELD_NAMES.indexOf(sortValue) !== -1) {
+            return selectedMediaTypes.some(function(type) { return SmartLists.AUDIO_CAPABLE_TYPES.indexOf(type) !== -1; });
+        }
+        if (SmartLists.VIDEO_FIELD_NAMES.indexOf(sortValue) !== -1) {
+            return selectedMediaTypes.some(function(type) { return SmartLists.VIDEO_CAPABLE_TYPES.indexOf(type) !== -1; });
+        }
+        
         // Always show: Name, ProductionYear, CommunityRating, 
         // DateCreated, ReleaseDate, PlayCount (owner), LastPlayed (owner), Random, NoOrder
         return true;
@@ -183,9 +324,10 @@
     SmartLists.getFilteredSortOptions = function(page) {
         const selectedMediaTypes = SmartLists.getSelectedMediaTypes(page);
         const hasSimilarTo = SmartLists.hasSimilarToRuleInForm(page);
+        const isScoringMode = SmartLists.isScoringMode(page);
         
         return SmartLists.SORT_OPTIONS.filter(function(opt) {
-            return SmartLists.shouldShowSortOption(opt.value, selectedMediaTypes, hasSimilarTo);
+            return SmartLists.shouldShowSortOption(opt.value, selectedMediaTypes, hasSimilarTo, isScoringMode);
         });
     };
     
@@ -247,6 +389,14 @@
         ignoreArticlesField.container.style.display = shouldShowCheckbox ? '' : 'none';
         fieldsContainer.appendChild(ignoreArticlesField.container);
         
+        // Smart Shuffle bias controls (visible for WeightedRandom)
+        const shuffleBiasFields = SmartLists.createShuffleBiasFields(sortId, sortData);
+        fieldsContainer.appendChild(shuffleBiasFields.container);
+        
+        // User choice (visible for field sorts on user data)
+        const sortUserField = SmartLists.createSortUserField(sortId, sortData);
+        fieldsContainer.appendChild(sortUserField.container);
+        
         // Remove button
         const removeBtn = SmartLists.createStyledElement('button', 'sort-remove-btn', SmartLists.STYLES.sortRemoveBtn);
         removeBtn.type = 'button';
@@ -262,6 +412,8 @@
         // Add event listener to sync Sort Order UI and checkbox visibility when Sort By changes
         sortByField.input.addEventListener('change', function() {
             SmartLists.syncSortOrderUI(this.value, sortOrderField.container, sortOrderField.input);
+            SmartLists.syncShuffleBiasUI(this.value, box);
+            SmartLists.syncSortUserUI(this.value, box);
             // Show/hide ignore articles checkbox based on Sort By value
             const showCheckbox = (this.value === 'Name' || this.value === 'SeriesName');
             ignoreArticlesField.container.style.display = showCheckbox ? '' : 'none';
@@ -273,6 +425,8 @@
         
         // Initialize Sort Order UI based on current Sort By value
         SmartLists.syncSortOrderUI(actualSortBy, sortOrderField.container, sortOrderField.input);
+        SmartLists.syncShuffleBiasUI(actualSortBy, box);
+        SmartLists.syncSortUserUI(actualSortBy, box);
         
         return box;
     };
@@ -375,26 +529,66 @@
             const sortBySelect = box.querySelector('[id^="sort-by-"]');
             const sortOrderSelect = box.querySelector('[id^="sort-order-"]');
             const ignoreArticlesCheckbox = box.querySelector('[id^="sort-ignore-articles-"]');
+            const biasFieldSelect = box.querySelector('[id^="sort-bias-field-"]');
+            const biasStrengthInput = box.querySelector('[id^="sort-bias-strength-"]');
+            const userSelect = box.querySelector('[id^="sort-user-"]');
             
             if (!sortBySelect || !sortBySelect.value) return; // Skip if no sort by selected
             
             let sortBy = sortBySelect.value;
-            const sortOrder = (sortBy === 'Random' || sortBy === 'NoOrder') ? 'Ascending' : (sortOrderSelect ? sortOrderSelect.value : 'Ascending');
+            const sortOrder = (sortBy === 'Random' || sortBy === 'WeightedRandom' || sortBy === 'NoOrder') ? 'Ascending' : (sortOrderSelect ? sortOrderSelect.value : 'Ascending');
             
             // Handle "Ignore Articles" checkbox - convert to "(Ignore Articles)" for backwards compatibility
             if ((sortBy === 'Name' || sortBy === 'SeriesName') && ignoreArticlesCheckbox && ignoreArticlesCheckbox.checked) {
                 sortBy = sortBy + ' (Ignore Articles)';
             }
             
-            sorts.push({
+            const sort = {
                 SortBy: sortBy,
                 SortOrder: sortOrder
-            });
+            };
+            
+            // Smart Shuffle keeps its favored field and strength
+            if (sortBy === 'WeightedRandom') {
+                sort.BiasField = biasFieldSelect ? biasFieldSelect.value : SmartLists.SHUFFLE_BIAS_OPTIONS[0].value;
+                const strength = biasStrengthInput ? parseFloat(biasStrengthInput.value) : NaN;
+                sort.BiasStrength = isNaN(strength) ? SmartLists.SHUFFLE_BIAS_DEFAULT_STRENGTH : strength;
+            }
+            
+            // Sorts on user data keep the chosen user; no user means the list owner
+            const fieldSort = SmartLists.getFieldSortOption(sortBy);
+            if (fieldSort && fieldSort.userSpecific && userSelect) {
+                // Before the users load, the select only has the owner option
+                const userId = userSelect.hasAttribute('data-users-loaded') && userSelect.options.length > 1
+                    ? userSelect.value
+                    : userSelect.getAttribute('data-selected-user');
+                if (userId) {
+                    sort.UserId = userId;
+                }
+            }
+            
+            sorts.push(sort);
         });
         
         return sorts;
     };
     
+    // Collects the Order for a list: the sort options plus spacing, when spacing is on
+    SmartLists.collectOrderFromForm = function(page) {
+        const order = { SortOptions: SmartLists.collectSortsFromForm(page) };
+        
+        const spacingFieldSelect = page.querySelector('#sort-spacing-field');
+        if (spacingFieldSelect && spacingFieldSelect.value) {
+            const distance = parseInt(SmartLists.getElementValue(page, '#sort-spacing-distance'), 10);
+            order.SpacingField = spacingFieldSelect.value;
+            order.SpacingDistance = isNaN(distance) || distance < 1
+                ? SmartLists.SPACING_DEFAULT_DISTANCE
+                : Math.min(distance, SmartLists.SPACING_MAX_DISTANCE);
+        }
+        
+        return order;
+    };
+    
     // Update all sort dropdowns based on current context (media types and rules)
     SmartLists.updateAllSortOptionsVisibility = function(page) {
         const sortsContainer = page.querySelector('#sorts-container');
@@ -435,6 +629,8 @@
                     sortBySelect.value = sortByOptions[0].value;
                     // Sync Sort Order UI for the new value
                     SmartLists.syncSortOrderUI(sortByOptions[0].value, sortOrderContainer, sortOrderSelect);
+                    SmartLists.syncShuffleBiasUI(sortByOptions[0].value, box);
+                    SmartLists.syncSortUserUI(sortByOptions[0].value, box);
                     // Update ignore article checkbox visibility for the new value
                     const ignoreArticlesContainer = box.querySelector('.ignore-article-container');
                     if (ignoreArticlesContainer) {
@@ -451,6 +647,8 @@
             } else {
                 // Sync Sort Order UI for the current value
                 SmartLists.syncSortOrderUI(sortBySelect.value, sortOrderContainer, sortOrderSelect);
+                SmartLists.syncShuffleBiasUI(sortBySelect.value, box);
+                SmartLists.syncSortUserUI(sortBySelect.value, box);
                 // Update ignore article checkbox visibility for the current value
                 const ignoreArticlesContainer = box.querySelector('.ignore-article-container');
                 if (ignoreArticlesContainer) {
@@ -515,6 +713,14 @@
             sep.remove();
         });
         
+        // Load spacing settings (Off when the list has none)
+        const spacingFieldSelect = page.querySelector('#sort-spacing-field');
+        if (spacingFieldSelect) {
+            spacingFieldSelect.value = (playlist.Order && playlist.Order.SpacingField) || '';
+            SmartLists.setElementValue(page, '#sort-spacing-distance', (playlist.Order && playlist.Order.SpacingDistance) || SmartLists.SPACING_DEFAULT_DISTANCE);
+            SmartLists.syncSpacingUI(page);
+        }
+        
         // Parse sort options from playlist
         const sortOptions = SmartLists.parseSortOptions(playlist);
         
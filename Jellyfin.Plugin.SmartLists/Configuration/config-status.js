@@ -4,6 +4,15 @@
     let statusPollingInterval = null;
     let aggressivePollingInterval = null;
     let aggressivePollingTimeout = null;
+    let unsubscribeLiveUpdates = null;
+    let liveRefetchTimeout = null;
+    let lastStatusData = null;
+    let historyStartIndex = 0;
+    let historyVersion = null;
+    let historyRequestId = 0;
+    let historySearchTimeout = null;
+    const HISTORY_PAGE_SIZE = 25;
+    const MAX_QUEUED_SHOWN = 50;
 
     /**
      * Escape HTML to prevent XSS (using safe DOM-based approach)
@@ -26,7 +35,88 @@
      * Load and display the status page
      */
     function loadStatusPage() {
+        historyVersion = null;
         fetchStatusData();
+        loadScheduleTimeline();
+        loadRefreshTrends();
+        startLiveUpdates();
+    }
+
+    /**
+     * Subscribe to pushed status events; polling only runs while the stream is down
+     */
+    function startLiveUpdates() {
+        if (unsubscribeLiveUpdates || !SmartLists.onStatusEvent) {
+            return;
+        }
+        unsubscribeLiveUpdates = SmartLists.onStatusEvent(handleLiveEvent);
+    }
+
+    /**
+     * Unsubscribe from pushed status events
+     */
+    function stopLiveUpdates() {
+        if (unsubscribeLiveUpdates) {
+            unsubscribeLiveUpdates();
+            unsubscribeLiveUpdates = null;
+        }
+        if (liveRefetchTimeout) {
+            clearTimeout(liveRefetchTimeout);
+            liveRefetchTimeout = null;
+        }
+    }
+
+    /**
+     * Apply a pushed status event. Progress is patched into the ongoing operations in place;
+     * anything that changes the history, queue or statistics refetches the full status once.
+     */
+    function handleLiveEvent(type, data) {
+        if (type === 'connected' || type === 'disconnected') {
+            // Resync (events may have been missed) and let renderStatusPage start or stop polling
+            fetchStatusData();
+            return;
+        }
+
+        if (type === 'progress' && lastStatusData) {
+            const op = (lastStatusData.ongoingOperations || []).find(o => o.listId === data.listId);
+            if (op) {
+                const elapsed = op.elapsedTime + (Date.now() - op.receivedAt) / 1000;
+                op.processedItems = data.processedItems;
+                op.totalItems = data.totalItems;
+                op.elapsedTime = elapsed;
+                op.receivedAt = Date.now();
+                op.estimatedTimeRemaining = data.processedItems > 0 && data.totalItems > data.processedItems
+                    ? elapsed / data.processedItems * (data.totalItems - data.processedItems)
+                    : null;
+                renderOngoingOperations(lastStatusData.ongoingOperations);
+                return;
+            }
+        }
+
+        if (!liveRefetchTimeout) {
+            liveRefetchTimeout = setTimeout(() => {
+                liveRefetchTimeout = null;
+                fetchStatusData();
+            }, 300);
+        }
+    }
+
+    /**
+     * Load the schedule timeline (not polled: schedules only change when lists are edited)
+     */
+    function loadScheduleTimeline() {
+        if (window.SmartLists.loadScheduleTimeline) {
+            window.SmartLists.loadScheduleTimeline(getActiveConfigPage());
+        }
+    }
+
+    /**
+     * Load the refresh trend charts (not polled: they only change by a few runs per day)
+     */
+    function loadRefreshTrends() {
+        if (window.SmartLists.loadRefreshTrends) {
+            window.SmartLists.loadRefreshTrends(getActiveConfigPage());
+        }
     }
 
     /**
@@ -57,6 +147,11 @@
                 showError('No data received from server');
                 return;
             }
+            const receivedAt = Date.now();
+            (data.ongoingOperations || []).forEach(op => {
+                op.receivedAt = receivedAt;
+            });
+            lastStatusData = data;
             renderStatusPage(data);
         }).catch(function (error) {
             console.error('Error fetching status:', error);
@@ -66,7 +161,7 @@
             // Show error in all containers
             const page = getActiveConfigPage();
             if (page) {
-                const containers = ['ongoing-operations-container', 'statistics-container', 'refresh-history-container'];
+                const containers = ['ongoing-operations-container', 'queued-operations-container', 'deferred-operations-container', 'statistics-container'];
                 containers.forEach(function (containerId) {
                     const container = page.querySelector('#' + containerId);
                     if (container) {
@@ -82,10 +177,19 @@
      */
     function renderStatusPage(data) {
         renderOngoingOperations(data.ongoingOperations || []);
+        renderQueuedOperations(data.queuedOperations || []);
+        renderDeferredOperations(data.deferredOperations || [], data.quietHours || {});
         renderStatistics(data.statistics || {}, data.ongoingOperations || []);
-        renderRefreshHistory(data.history || []);
+        refreshHistoryIfChanged(data.statistics || {});
 
-        // Auto-refresh polling: Poll every 2 seconds when operations are active, every 30 seconds when idle
+        // Updates are pushed while the live stream is connected
+        if (SmartLists.isStatusStreamConnected && SmartLists.isStatusStreamConnected()) {
+            stopAggressivePolling();
+            stopPolling();
+            return;
+        }
+
+        // Fallback polling: Poll every 2 seconds when operations are active, every 30 seconds when idle
         const hasOngoing = (data.ongoingOperations || []).length > 0;
 
         if (hasOngoing) {
@@ -136,8 +240,9 @@
                                 (${escapeHtml(String(op.listType))}) - ${escapeHtml(String(op.triggerType))}
                             </span>
                         </div>
-                        <div style="font-size: 0.9em; color: #aaa;">
-                            Started: ${formatDateTime(op.startTime)}
+                        <div style="display: flex; align-items: center; gap: 1em; font-size: 0.9em; color: #aaa;">
+                            <span>Started: ${formatDateTime(op.startTime)}</span>
+                            ${op.canCancel ? `<button type="button" is="emby-button" class="emby-button raised" data-queue-action="cancel" data-list-id="${SmartLists.escapeHtmlAttribute(op.listId)}" data-list-name="${SmartLists.escapeHtmlAttribute(op.listName)}">Cancel</button>` : ''}
                         </div>
                     </div>
                     <div style="margin-bottom: 0.5em;">
@@ -161,6 +266,156 @@
         container.innerHTML = html;
     }
 
+    /**
+     * Render refreshes waiting in the queue, with move-to-front and remove actions
+     */
+    function renderQueuedOperations(queued) {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#queued-operations-container') : null;
+        if (!container) return;
+
+        if (queued.length === 0) {
+            container.innerHTML = '<p style="color: #aaa;">No queued refreshes.</p>';
+            return;
+        }
+
+        let html = '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
+        html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
+        html += '<th style="text-align: left; padding: 0.75em;">#</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">List Name</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Type</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Trigger</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Queued</th>';
+        html += '<th style="text-align: right; padding: 0.75em;">Actions</th>';
+        html += '</tr></thead><tbody>';
+
+        queued.slice(0, MAX_QUEUED_SHOWN).forEach((entry, index) => {
+            const attributes = `data-list-id="${SmartLists.escapeHtmlAttribute(entry.listId)}" data-list-name="${SmartLists.escapeHtmlAttribute(entry.listName)}"`;
+            html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
+            html += `<td style="padding: 0.75em; color: #aaa;">${index + 1}</td>`;
+            html += `<td style="padding: 0.75em;">${escapeHtml(entry.listName)}</td>`;
+            html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.listType))}</td>`;
+            html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.triggerType))}</td>`;
+            html += `<td style="padding: 0.75em;">${formatDateTime(entry.queuedAt)}</td>`;
+            html += '<td style="padding: 0.75em; text-align: right; white-space: nowrap;">';
+            html += `<button type="button" is="emby-button" class="emby-button raised" data-queue-action="front" ${attributes}${index === 0 ? ' disabled' : ''}>Move to front</button> `;
+            html += `<button type="button" is="emby-button" class="emby-button raised" data-queue-action="remove" ${attributes}>Remove</button>`;
+            html += '</td></tr>';
+        });
+
+        html += '</tbody></table></div>';
+        if (queued.length > MAX_QUEUED_SHOWN) {
+            html += `<p style="color: #aaa; margin-bottom: 0;">And ${queued.length - MAX_QUEUED_SHOWN} more.</p>`;
+        }
+        container.innerHTML = html;
+    }
+
+    /**
+     * Cancel an ongoing refresh, or move or remove a queued one, then refresh the status
+     */
+    function runQueueAction(action, listId, listName) {
+        const apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        const requests = {
+            cancel: { type: 'POST', path: '/Status/Ongoing/' + encodeURIComponent(listId) + '/Cancel', message: 'Cancelling refresh of "' + listName + '"...' },
+            front: { type: 'POST', path: '/Status/Queue/' + encodeURIComponent(listId) + '/MoveToFront', message: '"' + listName + '" will refresh next.' },
+            remove: { type: 'DELETE', path: '/Status/Queue/' + encodeURIComponent(listId), message: 'Removed "' + listName + '" from the queue.' }
+        };
+        const request = requests[action];
+        if (!request) return;
+
+        apiClient.ajax({
+            type: request.type,
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base + request.path),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (response && response.ok === false) {
+                return Promise.reject(response);
+            }
+            SmartLists.showNotification(request.message, 'success');
+        }).catch(async function (err) {
+            const errorMessage = await SmartLists.extractErrorMessage(err, 'The refresh queue could not be updated.');
+            SmartLists.showNotification(errorMessage, 'error');
+        }).then(function () {
+            // The list may have started or finished in the meantime; show the current state either way
+            fetchStatusData();
+        });
+    }
+
+    /**
+     * Handle clicks on the cancel, move-to-front and remove buttons - can be called multiple times safely
+     */
+    function setupQueueActions() {
+        const page = getActiveConfigPage();
+        if (!page) return;
+
+        ['#ongoing-operations-container', '#queued-operations-container'].forEach(function (selector) {
+            const container = page.querySelector(selector);
+            if (!container || container._statusListenerAttached) return;
+
+            // Delegated, since the containers are re-rendered on every update
+            container.addEventListener('click', function (e) {
+                const button = e.target.closest('[data-queue-action]');
+                if (!button || button.disabled) return;
+
+                button.disabled = true;
+                runQueueAction(button.getAttribute('data-queue-action'), button.getAttribute('data-list-id'), button.getAttribute('data-list-name'));
+            });
+            container._statusListenerAttached = true;
+        });
+    }
+
+    /**
+     * Render refreshes deferred by quiet hours, with when each will run
+     */
+    function renderDeferredOperations(deferred, quietHours) {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#deferred-operations-container') : null;
+        if (!container) return;
+
+        let html = '';
+        if (quietHours.active) {
+            html += `
+                <p style="margin-top: 0; color: #ffb74d;">
+                    Quiet hours (${escapeHtml(quietHours.window)}) are active until ${formatDateTime(quietHours.endsAt)}.
+                    Scheduled and auto refreshes${quietHours.allowManual ? '' : ', and manual refreshes,'} are deferred.
+                </p>
+            `;
+        } else if (!quietHours.enabled && deferred.length === 0) {
+            container.innerHTML = '<p style="color: #aaa;">Quiet hours are disabled. Enable them in the Settings tab to defer background refreshes during busy hours.</p>';
+            return;
+        }
+
+        if (deferred.length === 0) {
+            html += '<p style="color: #aaa;">No deferred refreshes.</p>';
+            container.innerHTML = html;
+            return;
+        }
+
+        html += '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
+        html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
+        html += '<th style="text-align: left; padding: 0.75em;">List Name</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Type</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Trigger</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Requested</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Runs At</th>';
+        html += '</tr></thead><tbody>';
+
+        deferred.forEach(entry => {
+            html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
+            html += `<td style="padding: 0.75em;">${escapeHtml(entry.listName)}</td>`;
+            html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.listType))}</td>`;
+            html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.triggerType))}</td>`;
+            html += `<td style="padding: 0.75em;">${formatDateTime(entry.queuedAt)}</td>`;
+            html += `<td style="padding: 0.75em;">${entry.runsAt ? formatDateTime(entry.runsAt) : 'When quiet hours end'}</td>`;
+            html += '</tr>';
+        });
+
+        html += '</tbody></table></div>';
+        container.innerHTML = html;
+    }
+
     /**
      * Render statistics
      */
@@ -217,6 +472,7 @@
                     <div style="padding: 1em; background: rgba(255,255,255,0.05); border-radius: 4px;">
                         <div style="font-size: 0.9em; color: #aaa; margin-bottom: 0.25em;">Successful</div>
                         <div style="font-size: 1.5em; font-weight: bold; color: #4caf50;">${stats.successfulRefreshes || 0}</div>
+                        ${stats.skippedRefreshes ? `<div style="font-size: 0.85em; color: #aaa;">${stats.skippedRefreshes} skipped (no changes)</div>` : ''}
                     </div>
                     <div style="padding: 1em; background: rgba(255,255,255,0.05); border-radius: 4px;">
                         <div style="font-size: 0.9em; color: #aaa; margin-bottom: 0.25em;">Failed</div>
@@ -230,27 +486,110 @@
     }
 
     /**
-     * Render refresh history
+     * Refetch the history page when runs finished since the last fetch (status polls don't include it)
      */
-    function renderRefreshHistory(history) {
-        // Query within the visible page to avoid duplicate container issues
+    function refreshHistoryIfChanged(stats) {
+        const version = [stats.lastRefreshTime, stats.successfulRefreshes, stats.failedRefreshes, stats.skippedRefreshes, stats.lastSkippedTime].join('|');
+        if (version !== historyVersion) {
+            historyVersion = version;
+            fetchRefreshHistory();
+        }
+    }
+
+    /**
+     * Start of a yyyy-MM-dd day in the browser's time zone, as an ISO string
+     */
+    function localDayStart(dateValue, offsetDays) {
+        const parts = dateValue.split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2] + offsetDays).toISOString();
+    }
+
+    /**
+     * Build the Status/History/Runs query from the filter controls
+     */
+    function getHistoryQuery(page) {
+        const value = function (id) {
+            const el = page ? page.querySelector('#' + id) : null;
+            return el ? el.value.trim() : '';
+        };
+
+        const query = {};
+        if (value('history-search')) query.search = value('history-search');
+        if (value('history-list-type')) query.listType = value('history-list-type');
+        if (value('history-trigger-type')) query.triggerType = value('history-trigger-type');
+        if (value('history-status')) query.status = value('history-status');
+        // The To date is inclusive, so filter up to the start of the next day
+        if (value('history-from')) query.from = localDayStart(value('history-from'), 0);
+        if (value('history-to')) query.to = localDayStart(value('history-to'), 1);
+        return query;
+    }
+
+    /**
+     * Fetch the current page of refresh history with the selected filters
+     */
+    function fetchRefreshHistory() {
+        const page = getActiveConfigPage();
+        const container = page ? page.querySelector('#refresh-history-container') : null;
+        const apiClient = SmartLists.getApiClient();
+        if (!container || !apiClient) return;
+
+        const query = getHistoryQuery(page);
+        const hasFilters = Object.keys(query).length > 0;
+        query.startIndex = historyStartIndex;
+        query.limit = HISTORY_PAGE_SIZE;
+
+        // Ignore responses to requests made before the filters last changed
+        const requestId = ++historyRequestId;
+
+        apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl('Plugins/SmartLists/Status/History/Runs', query),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (!response.ok) {
+                return response.text().then(function (text) {
+                    throw new Error(text || 'HTTP ' + response.status + ': ' + response.statusText);
+                });
+            }
+            return response.json();
+        }).then(function (data) {
+            if (requestId !== historyRequestId) return;
+
+            data = data || {};
+            if (historyStartIndex > 0 && historyStartIndex >= (data.totalRecordCount || 0)) {
+                // The page emptied (e.g. runs expired); go back to the first page
+                historyStartIndex = 0;
+                fetchRefreshHistory();
+                return;
+            }
+            renderRefreshHistory(data, hasFilters);
+        }).catch(function (error) {
+            if (requestId !== historyRequestId) return;
+
+            console.error('Error fetching refresh history:', error);
+            container.innerHTML = '<p style="color: #ff6b6b;">Error loading refresh history: ' + escapeHtml(error.message || 'Unknown error') + '</p>';
+        });
+    }
+
+    /**
+     * Render one page of refresh history
+     */
+    function renderRefreshHistory(data, hasFilters) {
         // Query within the visible page to avoid duplicate container issues
         const page = getActiveConfigPage();
         const container = page ? page.querySelector('#refresh-history-container') : null;
         if (!container) return;
 
-        if (!history || history.length === 0) {
-            container.innerHTML = '<p style="color: #aaa;">No refresh history available. History will appear after refreshing lists.</p>';
+        const history = data.items || [];
+        const total = data.totalRecordCount || 0;
+
+        if (history.length === 0) {
+            container.innerHTML = hasFilters
+                ? '<p style="color: #aaa;">No refresh runs match these filters.</p>'
+                : '<p style="color: #aaa;">No refresh history available. History will appear after refreshing lists.</p>';
             return;
         }
 
-        // Sort by end time (most recent first)
-        const sortedHistory = [...history].sort((a, b) => {
-            const timeA = a.endTime ? new Date(a.endTime).getTime() : new Date(a.startTime).getTime();
-            const timeB = b.endTime ? new Date(b.endTime).getTime() : new Date(b.startTime).getTime();
-            return timeB - timeA;
-        });
-
         let html = '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
         html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
         html += '<th style="text-align: left; padding: 0.75em;">List Name</th>';
@@ -258,27 +597,98 @@
         html += '<th style="text-align: left; padding: 0.75em;">Trigger</th>';
         html += '<th style="text-align: left; padding: 0.75em;">Status</th>';
         html += '<th style="text-align: left; padding: 0.75em;">Duration</th>';
+        html += '<th style="text-align: left; padding: 0.75em;">Items</th>';
         html += '<th style="text-align: left; padding: 0.75em;">End Time</th>';
         html += '</tr></thead><tbody>';
 
-        sortedHistory.forEach(entry => {
-            const statusColor = entry.success ? '#4caf50' : '#ff6b6b';
-            const statusText = entry.success ? 'Success' : 'Failed';
-            const duration = formatDuration(entry.duration);
+        history.forEach(entry => {
+            let statusColor = entry.success ? '#4caf50' : '#ff6b6b';
+            let statusText = entry.success ? 'Success' : 'Failed';
+            if (entry.skipped) {
+                statusColor = '#aaa';
+                statusText = escapeHtml('Skipped (' + (entry.skipReason || 'no changes') + ')');
+            }
+            const statusTitle = !entry.success && entry.errorMessage ? ` title="${SmartLists.escapeHtmlAttribute(entry.errorMessage)}"` : '';
+            const duration = entry.skipped ? '-' : formatDuration(entry.duration);
+            const itemCount = entry.itemCount !== null && entry.itemCount !== undefined ? entry.itemCount : '-';
             const endTime = entry.endTime ? formatDateTime(entry.endTime) : 'N/A';
 
             html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
             html += `<td style="padding: 0.75em;">${escapeHtml(entry.listName)}</td>`;
             html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.listType))}</td>`;
             html += `<td style="padding: 0.75em;">${escapeHtml(String(entry.triggerType))}</td>`;
-            html += `<td style="padding: 0.75em; color: ${statusColor};">${statusText}</td>`;
+            html += `<td style="padding: 0.75em; color: ${statusColor};"${statusTitle}>${statusText}</td>`;
             html += `<td style="padding: 0.75em;">${duration}</td>`;
+            html += `<td style="padding: 0.75em;">${itemCount}</td>`;
             html += `<td style="padding: 0.75em;">${endTime}</td>`;
             html += '</tr>';
         });
 
         html += '</tbody></table></div>';
+
+        const first = (data.startIndex || 0) + 1;
+        const last = (data.startIndex || 0) + history.length;
+        html += '<div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.5em; margin-top: 1em;">';
+        html += `<span style="color: #aaa;">Showing ${first}-${last} of ${total} run${total === 1 ? '' : 's'}</span>`;
+        html += '<div style="display: flex; gap: 0.5em;">';
+        html += `<button type="button" is="emby-button" class="emby-button raised" data-history-page="prev"${first > 1 ? '' : ' disabled'}>Previous</button>`;
+        html += `<button type="button" is="emby-button" class="emby-button raised" data-history-page="next"${last < total ? '' : ' disabled'}>Next</button>`;
+        html += '</div></div>';
+
         container.innerHTML = html;
+
+        container.querySelectorAll('[data-history-page]').forEach(function (button) {
+            button.addEventListener('click', function () {
+                const step = button.getAttribute('data-history-page') === 'next' ? HISTORY_PAGE_SIZE : -HISTORY_PAGE_SIZE;
+                historyStartIndex = Math.max(0, historyStartIndex + step);
+                fetchRefreshHistory();
+            });
+        });
+    }
+
+    /**
+     * Download all runs matching the current filters as CSV or JSON
+     */
+    function exportRefreshHistory(format) {
+        const page = getActiveConfigPage();
+        const apiClient = SmartLists.getApiClient();
+        if (!apiClient) return;
+
+        const query = getHistoryQuery(page);
+        query.format = format;
+
+        fetch(apiClient.getUrl('Plugins/SmartLists/Status/History/Export', query), {
+            headers: {
+                'Authorization': 'MediaBrowser Token="' + apiClient.accessToken() + '"'
+            }
+        }).then(async function (response) {
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                throw new Error(errorText || 'HTTP ' + response.status + ': ' + response.statusText);
+            }
+
+            const contentDisposition = response.headers.get('Content-Disposition');
+            let filename = 'smartlists_refresh_history.' + format;
+            if (contentDisposition) {
+                const matches = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+                if (matches && matches[1]) {
+                    filename = matches[1].replace(/['"]/g, '');
+                }
+            }
+
+            const blob = await response.blob();
+            const blobUrl = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = blobUrl;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(blobUrl);
+            document.body.removeChild(a);
+        }).catch(function (error) {
+            console.error('Error exporting refresh history:', error);
+            SmartLists.showNotification('Export failed: ' + (error.message || 'Unknown error'), 'error');
+        });
     }
 
     /**
@@ -357,6 +767,11 @@
      * This helps catch operations that just began
      */
     function startAggressivePolling() {
+        // Pushed events already report the new operation
+        if (SmartLists.isStatusStreamConnected && SmartLists.isStatusStreamConnected()) {
+            return;
+        }
+
         // Stop any existing polling before starting aggressive mode
         stopPolling();
         stopAggressivePolling();
@@ -395,6 +810,8 @@
      */
     function initializeStatusPage() {
         setupRefreshButton();
+        setupHistoryFilters();
+        setupQueueActions();
     }
 
     /**
@@ -408,11 +825,61 @@
         if (refreshBtn && !refreshBtn._statusListenerAttached) {
             refreshBtn.addEventListener('click', function () {
                 fetchStatusData();
+                loadScheduleTimeline();
+                loadRefreshTrends();
+                fetchRefreshHistory();
             });
             refreshBtn._statusListenerAttached = true;
         }
     }
 
+    /**
+     * Setup history filter and export controls - can be called multiple times safely
+     */
+    function setupHistoryFilters() {
+        const page = getActiveConfigPage();
+        const filters = page ? page.querySelector('#refresh-history-filters') : null;
+        if (!filters || filters._statusListenerAttached) return;
+
+        const applyFilters = function () {
+            clearTimeout(historySearchTimeout);
+            historyStartIndex = 0;
+            fetchRefreshHistory();
+        };
+
+        const search = filters.querySelector('#history-search');
+        search.addEventListener('input', function () {
+            clearTimeout(historySearchTimeout);
+            historySearchTimeout = setTimeout(applyFilters, 300);
+        });
+        search.addEventListener('keydown', function (e) {
+            // The status tab is a form; don't let Enter submit it
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                applyFilters();
+            }
+        });
+
+        ['#history-list-type', '#history-trigger-type', '#history-status', '#history-from', '#history-to'].forEach(function (selector) {
+            filters.querySelector(selector).addEventListener('change', applyFilters);
+        });
+
+        filters.querySelector('#history-clear-filters').addEventListener('click', function () {
+            filters.querySelectorAll('input, select').forEach(function (el) {
+                el.value = '';
+            });
+            applyFilters();
+        });
+        filters.querySelector('#history-export-csv').addEventListener('click', function () {
+            exportRefreshHistory('csv');
+        });
+        filters.querySelector('#history-export-json').addEventListener('click', function () {
+            exportRefreshHistory('json');
+        });
+
+        filters._statusListenerAttached = true;
+    }
+
     // Export functions for use in config-init.js
     window.SmartLists = window.SmartLists || {};
     window.SmartLists.Status = {
@@ -420,6 +887,7 @@
         initializeStatusPage: initializeStatusPage,
         setupRefreshButton: setupRefreshButton,
         stopPolling: stopPolling,
+        stopLiveUpdates: stopLiveUpdates,
         startAggressivePolling: startAggressivePolling,
         stopAggressivePolling: stopAggressivePolling
     };
@@ -0,0 +1,332 @@
+(function (SmartLists) {
+    'use strict';
+
+    // ===== SCHEDULE TIMELINE =====
+    // Heat-map of every enabled list's scheduled refreshes over the next days, one row per day and
+    // one cell per quarter-hour schedule check. Lists that start at the same check collide: they
+    // all queue at once, so staggered times are suggested based on how long each list usually takes.
+
+    const SLOT_MINUTES = 15;
+    const SLOTS_PER_DAY = 1440 / SLOT_MINUTES;
+    const MAX_COLLISIONS_SHOWN = 10;
+    const MAX_SUGGESTIONS_SHOWN = 50;
+    const MAX_NAMES_IN_TOOLTIP = 10;
+    const SHIFTABLE_TRIGGERS = ['Daily', 'Weekly', 'Monthly', 'Yearly'];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    function pad(value) {
+        return value < 10 ? '0' + value : String(value);
+    }
+
+    // Run times are server wall-clock times ("yyyy-MM-ddTHH:mm"), so they are split rather than
+    // parsed with Date, which would shift them into the browser's time zone
+    function parseRun(run) {
+        const parts = run.split('T');
+        const time = (parts[1] || '00:00').split(':');
+        return {
+            day: parts[0],
+            minutes: parseInt(time[0], 10) * 60 + parseInt(time[1], 10)
+        };
+    }
+
+    function formatClock(minutes) {
+        return pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+    }
+
+    function formatSeconds(seconds) {
+        if (seconds === null || seconds === undefined) return null;
+        return seconds < 60 ? Math.max(1, Math.round(seconds)) + 's' : SmartLists.formatRuntime(seconds / 60);
+    }
+
+    function getDays(from, count) {
+        const parts = from.split('T')[0].split('-');
+        const days = [];
+        for (let i = 0; i < count; i++) {
+            const date = new Date(Date.UTC(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10) + i));
+            days.push({
+                key: date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate()),
+                label: DAY_NAMES[date.getUTCDay()] + ' ' + date.getUTCDate() + ' ' + MONTH_NAMES[date.getUTCMonth()]
+            });
+        }
+        return days;
+    }
+
+    // How long a list holds the queue, rounded up to whole schedule checks
+    function getStepMinutes(entry) {
+        const seconds = entry.averageDuration || 0;
+        return Math.max(1, Math.ceil(seconds / 60 / SLOT_MINUTES)) * SLOT_MINUTES;
+    }
+
+    function isShiftable(schedule) {
+        return SHIFTABLE_TRIGGERS.indexOf(schedule.Trigger) !== -1 && !!schedule.Time;
+    }
+
+    // Keeps the first list and anything that cannot be moved by changing its time; the others are moved
+    // to the next free checks after the lists before them should have finished
+    function suggestStaggering(collisions, occupied) {
+        const suggestions = [];
+        const suggested = new Set();
+
+        collisions.forEach(function (collision) {
+            const members = collision.lists.slice().sort(function (a, b) {
+                const shiftA = isShiftable(a.schedule) ? 1 : 0;
+                const shiftB = isShiftable(b.schedule) ? 1 : 0;
+                return shiftA - shiftB || a.listName.localeCompare(b.listName);
+            });
+
+            let cursor = collision.minutes;
+            members.forEach(function (entry, index) {
+                const key = entry.listId + '|' + entry.scheduleIndex;
+                if (index === 0 || !isShiftable(entry.schedule) || suggested.has(key)) {
+                    cursor += getStepMinutes(entry);
+                    return;
+                }
+
+                // Prefer a check no other list uses; when none is left before midnight (e.g. next to a
+                // 15-minute interval list), staggering still beats starting together
+                let minutes = cursor;
+                while (minutes < 1440 && occupied.has(minutes)) {
+                    minutes += SLOT_MINUTES;
+                }
+                if (minutes >= 1440) {
+                    minutes = cursor;
+                }
+                if (minutes >= 1440) {
+                    // Moving past midnight would change the day
+                    return;
+                }
+
+                occupied.add(minutes);
+                suggested.add(key);
+                suggestions.push({
+                    listName: entry.listName,
+                    schedule: entry.schedule,
+                    suggestedSchedule: Object.assign({}, entry.schedule, { Time: formatClock(minutes) + ':00' })
+                });
+                cursor = minutes + getStepMinutes(entry);
+            });
+        });
+
+        return suggestions;
+    }
+
+    /**
+     * Builds the timeline from the Status/Timeline response: the lists starting at each check,
+     * the collisions grouped by time of day (busiest first), and staggered times for the colliding lists.
+     */
+    SmartLists.buildScheduleTimeline = function (data) {
+        // The range starts now, so it ends partway through one more calendar day
+        const days = getDays(data.from, (data.days || 7) + 1);
+        const slots = {};
+        const occupied = new Set();
+        let runCount = 0;
+
+        (data.lists || []).forEach(function (list) {
+            // A list due by two schedules at the same check only refreshes once
+            const seen = new Set();
+            (list.schedules || []).forEach(function (item, scheduleIndex) {
+                (item.runs || []).forEach(function (run) {
+                    const parsed = parseRun(run);
+                    const slotKey = parsed.day + '|' + Math.floor(parsed.minutes / SLOT_MINUTES);
+                    if (seen.has(slotKey)) return;
+                    seen.add(slotKey);
+                    occupied.add(parsed.minutes);
+                    runCount++;
+                    (slots[slotKey] = slots[slotKey] || []).push({
+                        listId: list.listId,
+                        listName: list.listName,
+                        averageDuration: list.averageDuration,
+                        schedule: item.schedule,
+                        scheduleIndex: scheduleIndex,
+                        minutes: parsed.minutes
+                    });
+                });
+            });
+        });
+
+        const byTime = {};
+        Object.keys(slots).forEach(function (slotKey) {
+            const entries = slots[slotKey];
+            if (entries.length < 2) return;
+            const minutes = entries[0].minutes;
+            const collision = byTime[minutes] = byTime[minutes] || { minutes: minutes, time: formatClock(minutes), lists: [], listIds: new Set(), dayCount: 0, maxLists: 0 };
+            collision.dayCount++;
+            collision.maxLists = Math.max(collision.maxLists, entries.length);
+            entries.forEach(function (entry) {
+                if (!collision.listIds.has(entry.listId)) {
+                    collision.listIds.add(entry.listId);
+                    collision.lists.push(entry);
+                }
+            });
+        });
+
+        const collisions = Object.keys(byTime).map(function (minutes) {
+            const collision = byTime[minutes];
+            collision.totalDuration = collision.lists.reduce(function (sum, entry) {
+                return sum + (entry.averageDuration || 0);
+            }, 0);
+            delete collision.listIds;
+            return collision;
+        }).sort(function (a, b) {
+            return b.maxLists - a.maxLists || b.dayCount - a.dayCount || a.minutes - b.minutes;
+        });
+
+        return {
+            days: days,
+            slots: slots,
+            listCount: (data.lists || []).length,
+            runCount: runCount,
+            collisions: collisions,
+            suggestions: suggestStaggering(collisions, occupied)
+        };
+    };
+
+    // ===== RENDERING =====
+    function getCellColor(count) {
+        if (count === 0) return 'rgba(255,255,255,0.04)';
+        if (count === 1) return 'rgba(0,164,220,0.7)';
+        if (count <= 3) return '#ff9800';
+        return '#f44336';
+    }
+
+    function formatCellTitle(day, slot, entries) {
+        let title = day.label + ' ' + formatClock(slot * SLOT_MINUTES);
+        if (entries.length === 0) return title;
+
+        const totalSeconds = entries.reduce(function (sum, entry) { return sum + (entry.averageDuration || 0); }, 0);
+        title += ': ' + entries.length + (entries.length === 1 ? ' list' : ' lists');
+        if (totalSeconds > 0) {
+            title += ', ~' + formatSeconds(totalSeconds);
+        }
+        const names = entries.slice(0, MAX_NAMES_IN_TOOLTIP).map(function (entry) { return entry.listName; });
+        title += '\n' + names.join(', ');
+        if (entries.length > MAX_NAMES_IN_TOOLTIP) {
+            title += ' and ' + (entries.length - MAX_NAMES_IN_TOOLTIP) + ' more';
+        }
+        return title;
+    }
+
+    function renderHeatMap(timeline) {
+        let html = '<div style="overflow-x: auto;"><div style="display: inline-block; min-width: 100%;">';
+
+        // Hour labels every 3 hours
+        html += '<div style="display: flex; margin-left: 7em; font-size: 0.75em; color: #aaa;">';
+        for (let hour = 0; hour < 24; hour += 3) {
+            html += '<div style="width: ' + (3 * (4 * 9 + 1)) + 'px; flex: none;">' + pad(hour) + ':00</div>';
+        }
+        html += '</div>';
+
+        timeline.days.forEach(function (day) {
+            html += '<div style="display: flex; align-items: center; margin-top: 2px;">';
+            html += '<div style="width: 7em; flex: none; font-size: 0.85em; color: #ccc;">' + SmartLists.escapeHtml(day.label) + '</div>';
+            for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+                const entries = timeline.slots[day.key + '|' + slot] || [];
+                const hourStart = slot % 4 === 0 ? 'margin-left: 1px;' : '';
+                html += '<div title="' + SmartLists.escapeHtml(formatCellTitle(day, slot, entries)) + '" style="width: 8px; height: 18px; margin-right: 1px; flex: none; border-radius: 1px; ' + hourStart + 'background: ' + getCellColor(entries.length) + ';"></div>';
+            }
+            html += '</div>';
+        });
+
+        html += '</div></div>';
+        html += '<div style="display: flex; gap: 1.5em; margin-top: 0.75em; font-size: 0.85em; color: #aaa;">';
+        [[1, '1 list'], [2, '2-3 lists'], [4, '4+ lists']].forEach(function (legend) {
+            html += '<span><span style="display: inline-block; width: 10px; height: 10px; margin-right: 0.4em; background: ' + getCellColor(legend[0]) + ';"></span>' + legend[1] + '</span>';
+        });
+        html += '</div>';
+        return html;
+    }
+
+    function renderCollisions(timeline) {
+        if (timeline.collisions.length === 0) {
+            return '<p style="color: #4caf50; margin: 1em 0 0 0;">No collisions: no two lists start at the same schedule check.</p>';
+        }
+
+        let html = '<h4 style="margin: 1.5em 0 0.5em 0;">Collisions</h4>';
+        html += '<div style="display: flex; flex-direction: column; gap: 0.5em;">';
+        timeline.collisions.slice(0, MAX_COLLISIONS_SHOWN).forEach(function (collision) {
+            const names = collision.lists.slice(0, MAX_NAMES_IN_TOOLTIP).map(function (entry) { return entry.listName; }).join(', ');
+            const more = collision.lists.length > MAX_NAMES_IN_TOOLTIP ? ' and ' + (collision.lists.length - MAX_NAMES_IN_TOOLTIP) + ' more' : '';
+            const duration = collision.totalDuration > 0 ? ', ~' + formatSeconds(collision.totalDuration) + ' of refreshing' : '';
+            html += '<div style="padding: 0.5em 0.75em; background: rgba(244,67,54,0.1); border-left: 3px solid #f44336; border-radius: 2px;">';
+            html += '<strong>' + collision.time + '</strong> &mdash; up to ' + collision.maxLists + ' lists at once on ' + collision.dayCount + (collision.dayCount === 1 ? ' day' : ' days') + SmartLists.escapeHtml(duration);
+            html += '<div style="font-size: 0.85em; color: #aaa; margin-top: 0.2em;">' + SmartLists.escapeHtml(names + more) + '</div>';
+            html += '</div>';
+        });
+        if (timeline.collisions.length > MAX_COLLISIONS_SHOWN) {
+            html += '<div style="font-size: 0.85em; color: #aaa;">and ' + (timeline.collisions.length - MAX_COLLISIONS_SHOWN) + ' more collisions</div>';
+        }
+        html += '</div>';
+        return html;
+    }
+
+    function renderSuggestions(timeline) {
+        if (timeline.suggestions.length === 0) {
+            return timeline.collisions.length > 0
+                ? '<p style="color: #aaa; margin: 1em 0 0 0;">The colliding lists use Interval or Cron schedules; change their interval or expression to spread them out.</p>'
+                : '';
+        }
+
+        let html = '<h4 style="margin: 1.5em 0 0.5em 0;">Suggested Staggered Times</h4>';
+        html += '<div class="fieldDescription" style="margin-bottom: 0.5em;">Each list starts after the one before it usually finishes (lists without a recent refresh count as 15 minutes), on checks no other list uses.</div>';
+        html += '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
+        html += '<thead><tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">';
+        html += '<th style="text-align: left; padding: 0.5em;">List Name</th>';
+        html += '<th style="text-align: left; padding: 0.5em;">Current Schedule</th>';
+        html += '<th style="text-align: left; padding: 0.5em;">Suggested Schedule</th>';
+        html += '</tr></thead><tbody>';
+        timeline.suggestions.slice(0, MAX_SUGGESTIONS_SHOWN).forEach(function (suggestion) {
+            html += '<tr style="border-bottom: 1px solid rgba(255,255,255,0.05);">';
+            html += '<td style="padding: 0.5em;">' + SmartLists.escapeHtml(suggestion.listName) + '</td>';
+            html += '<td style="padding: 0.5em; color: #aaa;">' + SmartLists.escapeHtml(SmartLists.formatSingleSchedule(suggestion.schedule)) + '</td>';
+            html += '<td style="padding: 0.5em; color: #4caf50;">' + SmartLists.escapeHtml(SmartLists.formatSingleSchedule(suggestion.suggestedSchedule)) + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+        if (timeline.suggestions.length > MAX_SUGGESTIONS_SHOWN) {
+            html += '<div style="font-size: 0.85em; color: #aaa; margin-top: 0.5em;">and ' + (timeline.suggestions.length - MAX_SUGGESTIONS_SHOWN) + ' more</div>';
+        }
+        return html;
+    }
+
+    SmartLists.renderScheduleTimeline = function (container, data) {
+        if (!data.lists || data.lists.length === 0) {
+            container.innerHTML = '<p style="color: #aaa;">No enabled lists have a schedule.</p>';
+            return;
+        }
+
+        const timeline = SmartLists.buildScheduleTimeline(data);
+        let html = '<div style="margin-bottom: 0.75em; color: #ccc;">' + timeline.runCount + ' scheduled refreshes of ' + timeline.listCount + (timeline.listCount === 1 ? ' list' : ' lists') +
+            ' in the next ' + (data.days || 7) + ' days (' + SmartLists.escapeHtml(data.serverTimeZone || 'server time') + ').</div>';
+        html += renderHeatMap(timeline);
+        html += renderCollisions(timeline);
+        html += renderSuggestions(timeline);
+        container.innerHTML = html;
+    };
+
+    /**
+     * Loads the schedule timeline into the status page.
+     */
+    SmartLists.loadScheduleTimeline = function (page) {
+        const container = page ? page.querySelector('#schedule-timeline-container') : null;
+        if (!container) return Promise.resolve();
+
+        const apiClient = SmartLists.getApiClient();
+        return apiClient.ajax({
+            type: 'GET',
+            url: apiClient.getUrl(SmartLists.ENDPOINTS.base + '/Status/Timeline', { days: 7 }),
+            contentType: 'application/json'
+        }).then(function (response) {
+            if (response && typeof response.ok !== 'undefined') {
+                return response.ok ? response.json() : Promise.reject(new Error('HTTP ' + response.status + ': ' + response.statusText));
+            }
+            return response;
+        }).then(function (data) {
+            SmartLists.renderScheduleTimeline(container, data || {});
+        }).catch(function (err) {
+            console.error('Error loading schedule timeline:', err);
+            container.innerHTML = '<p style="color: #ff6b6b;">Error loading schedule timeline: ' + SmartLists.escapeHtml(err && err.message ? err.message : 'unknown error') + '</p>';
+        });
+    };
+
+})(window.SmartLists = window.SmartLists || {});
@@ -16,7 +16,9 @@
         fields: 'Plugins/SmartLists/User/fields',
         refresh: 'Plugins/SmartLists/User/refresh',
         export: 'Plugins/SmartLists/User/export',
-        import: 'Plugins/SmartLists/User/import'
+        import: 'Plugins/SmartLists/User/import',
+        values: 'Plugins/SmartLists/User/values',
+        statusEvents: 'Plugins/SmartLists/User/Status/Events'
     };
 
     // ===== STANDALONE API CLIENT =====
@@ -111,6 +113,16 @@
         return getFallbackApiClient();
     };
 
+    // Value suggestions only include libraries the user can see
+    SmartLists.getFieldValuesEndpoint = function () {
+        return USER_ENDPOINTS.values;
+    };
+
+    // Live status events only cover the current user's playlists
+    SmartLists.getStatusEventsEndpoint = function () {
+        return USER_ENDPOINTS.statusEvents;
+    };
+
     // ===== STUB FUNCTIONS FOR SHARED SCRIPTS =====
     // config-rules.js calls loadUsersForRule which is defined in config-api.js (admin only).
     // For the user page, we provide a stub that only returns the current user.
@@ -200,6 +212,8 @@
         }
         page._pageInitialized = true;
 
+        startUserStatusUpdates(page);
+
         // Apply custom styles if available
         if (typeof SmartLists.applyCustomStyles === 'function') {
             SmartLists.applyCustomStyles(page);
@@ -225,6 +239,9 @@
             if (rulesContainer && rulesContainer.children.length === 0) {
                 SmartLists.createInitialLogicGroup(page);
             }
+            if (SmartLists.initRuleQueryEditor) {
+                SmartLists.initRuleQueryEditor(page);
+            }
 
             // Initialize sort system (for edit form)
             if (SmartLists.initializeSortSystem) {
@@ -235,6 +252,14 @@
                 SmartLists.addSortBox(page, { SortBy: 'Name', SortOrder: 'Ascending' });
             }
 
+            // Describe the playlist being edited in plain words above the form
+            SmartLists.initListSentence(page, {
+                containerSelector: '#listSentenceContainer',
+                watchSelector: '#playlistForm',
+                rulesSelector: '#playlistForm',
+                buildList: buildUserSentenceList
+            });
+
             // Enable form submission
             if (submitBtn) {
                 submitBtn.disabled = false;
@@ -830,6 +855,7 @@
             html += '<button type="button" class="emby-button raised delete-playlist-btn button-delete" data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlist.Id) + '" data-playlist-name="' + SmartLists.escapeHtmlAttribute(playlist.Name) + '" style="font-size: 0.8em; padding: 0.3em 0.6em;">Delete</button>';
             html += '</div>';
             html += '</div>';
+            html += '<div class="playlist-sentence" style="padding: 0 1em 0.75em 2.6em; color: #bbb; font-size: 0.9em;">' + SmartLists.escapeHtml(SmartLists.generateListSentence(playlist)) + '</div>';
 
             // Details section (collapsible)
             html += '<div class="playlist-details" style="display: block; padding: 0 1em 1em 1em; border-top: 1px solid #333;">';
@@ -886,10 +912,11 @@
             html += '<th class="sortable-header" data-sort-key="artist" style="padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Artist <span class="sort-indicator"></span></th>';
             html += '<th class="sortable-header" data-sort-key="duration" style="width: 70px; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Duration <span class="sort-indicator"></span></th>';
             html += '<th class="sortable-header" data-sort-key="expires" style="width: 90px; padding: 0.5em 0.3em; text-align: left; font-size: 0.85em; cursor: pointer; user-select: none;">Expires <span class="sort-indicator"></span></th>';
+            html += '<th style="width: 50px; padding: 0.5em 0.3em;"></th>';
             html += '</tr>';
             html += '</thead>';
             html += '<tbody class="tracks-tbody">';
-            html += '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
+            html += '<tr><td colspan="7" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
             html += '</tbody>';
             html += '</table>';
             html += '</div>';
@@ -944,7 +971,7 @@
             return;
         }
 
-        tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="7" style="padding: 1.5em; text-align: center; color: #888;">Loading tracks...</td></tr>';
 
         var apiClient = SmartLists.getApiClient();
         var url = apiClient.getUrl(USER_ENDPOINTS.base + '/' + playlistId + '/items');
@@ -970,7 +997,7 @@
             updateInlineSelectionCount(section);
         }).catch(function (err) {
             console.error('[SmartLists] Error loading inline tracks:', err);
-            tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #f44336;">Error loading tracks.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="7" style="padding: 1.5em; text-align: center; color: #f44336;">Error loading tracks.</td></tr>';
         });
     }
 
@@ -1109,7 +1136,7 @@
         if (!tbody) return;
 
         if (!items || items.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" style="padding: 1.5em; text-align: center; color: #888;">No tracks found.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="7" style="padding: 1.5em; text-align: center; color: #888;">No tracks found.</td></tr>';
             return;
         }
 
@@ -1155,12 +1182,38 @@
             html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (isIgnored ? '#d32f2f' : '#888') + ';">' + duration + '</td>';
             // Expires
             html += '<td style="padding: 0.4em 0.3em; font-size: 0.9em; color: ' + (isIgnored ? '#ff9800' : '#666') + ';">' + (expires || '--') + '</td>';
+            // Explain
+            html += '<td style="padding: 0.4em 0.3em; text-align: right;">';
+            html += '<button type="button" class="emby-button track-explain-btn" data-item-id="' + SmartLists.escapeHtmlAttribute(item.Id) + '" ';
+            html += 'data-playlist-id="' + SmartLists.escapeHtmlAttribute(playlistId) + '" title="Explain why this track is in the playlist" ';
+            html += 'style="font-size: 0.75em; padding: 0.2em 0.5em; margin: 0;">Why?</button>';
+            html += '</td>';
             html += '</tr>';
         });
 
         tbody.innerHTML = html;
     }
 
+    // Show or hide the rule explanation below a track row
+    function toggleTrackExplanation(button) {
+        var row = button.closest('tr');
+        if (!row) return;
+
+        var next = row.nextElementSibling;
+        if (next && next.classList.contains('track-explain-row')) {
+            next.remove();
+            return;
+        }
+
+        var explainRow = document.createElement('tr');
+        explainRow.className = 'track-explain-row';
+        explainRow.innerHTML = '<td colspan="7" style="padding: 0.5em 1em 0.75em 1em; background: #1a1a1a; border-bottom: 1px solid #333;"><div class="explain-result"></div></td>';
+        row.parentNode.insertBefore(explainRow, row.nextSibling);
+
+        var url = USER_ENDPOINTS.base + '/' + button.getAttribute('data-playlist-id') + '/explain/' + button.getAttribute('data-item-id');
+        SmartLists.loadExplanation(explainRow.querySelector('.explain-result'), url);
+    }
+
     // Filter inline tracks by search term
     function filterInlineTracks(section, searchTerm) {
         if (!section || !section._tracksData) return;
@@ -1605,6 +1658,11 @@
                 }
             }
 
+            // Why? button - explain the track's rule results
+            if (target.classList.contains('track-explain-btn')) {
+                toggleTrackExplanation(target);
+            }
+
             // Add Media button - launch wizard at step 2
             if (target.classList.contains('tracks-add-media-btn')) {
                 var playlistId = target.getAttribute('data-playlist-id');
@@ -1770,6 +1828,21 @@
         }
     }
 
+    // Reads the edit form for the plain-language sentence; returns null while the rule query does not parse
+    function buildUserSentenceList(page) {
+        var expressionSets = SmartLists.collectActiveRules(page, '#rules-container', { silent: true });
+        if (!expressionSets) {
+            return null;
+        }
+        return {
+            MediaTypes: SmartLists.getSelectedMediaTypes(page),
+            ExpressionSets: expressionSets,
+            Order: { SortOptions: SmartLists.collectSortsFromForm ? SmartLists.collectSortsFromForm(page) : [] },
+            MaxItems: page.querySelector('#playlistMaxItems').value,
+            MaxPlayTimeMinutes: page.querySelector('#playlistMaxPlayTimeMinutes').value
+        };
+    }
+
     // ===== PLAYLIST CRUD =====
     function createOrUpdateUserPlaylist(page) {
         var editState = SmartLists.getPageEditState(page);
@@ -1788,8 +1861,11 @@
             return;
         }
 
-        // Gather expression sets from rules using shared function
-        var expressionSets = SmartLists.collectRulesFromForm ? SmartLists.collectRulesFromForm(page) : null;
+        // Gather expression sets from the active rules editor (builder or text query) using shared function
+        var expressionSets = SmartLists.collectActiveRules(page);
+        if (!expressionSets) {
+            return;
+        }
 
         // Gather sort options using shared function
         var orderDto = null;
@@ -1911,45 +1987,10 @@
         // Ignore duration
         page.querySelector('#defaultIgnoreDurationDays').value = playlist.DefaultIgnoreDurationDays || 30;
 
-        // Expression sets (rules) - use same pattern as admin config
-        var rulesContainer = page.querySelector('#rules-container');
-        if (rulesContainer) {
-            rulesContainer.innerHTML = '';
-        }
-
-        if (playlist.ExpressionSets && playlist.ExpressionSets.length > 0 &&
-            playlist.ExpressionSets.some(function (es) { return es.Expressions && es.Expressions.length > 0; })) {
-            playlist.ExpressionSets.forEach(function (expressionSet, groupIndex) {
-                var logicGroup;
-
-                if (groupIndex === 0) {
-                    logicGroup = SmartLists.createInitialLogicGroup(page);
-                    var rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                    rulesToRemove.forEach(function (rule) { rule.remove(); });
-                } else {
-                    logicGroup = SmartLists.addNewLogicGroup(page);
-                    var rulesToRemove = logicGroup.querySelectorAll('.rule-row, .rule-within-group-separator');
-                    rulesToRemove.forEach(function (rule) { rule.remove(); });
-                }
-
-                if (expressionSet.Expressions && expressionSet.Expressions.length > 0) {
-                    expressionSet.Expressions.forEach(function (expression) {
-                        SmartLists.addRuleToGroup(page, logicGroup);
-                        var ruleRows = logicGroup.querySelectorAll('.rule-row');
-                        var currentRule = ruleRows[ruleRows.length - 1];
-                        if (SmartLists.populateRuleRow) {
-                            SmartLists.populateRuleRow(currentRule, expression, page);
-                        }
-                    });
-                }
-            });
-
-            // Update field and option visibility
-            if (SmartLists.updateAllFieldSelects) SmartLists.updateAllFieldSelects(page);
-            if (SmartLists.updateRuleButtonVisibility) SmartLists.updateRuleButtonVisibility(page);
-        } else {
-            SmartLists.createInitialLogicGroup(page);
-        }
+        // Expression sets (rules) - use same loader as admin config
+        SmartLists.resetRuleEditorMode(page);
+        SmartLists.loadRulesIntoUI(page, playlist.ExpressionSets);
+        if (SmartLists.updateAllFieldSelects) SmartLists.updateAllFieldSelects(page);
 
         // Sort options
         if (playlist.Order && SmartLists.initializeSortSystem) {
@@ -1998,6 +2039,7 @@
         if (ignoreDurationInput) ignoreDurationInput.value = 30;
 
         // Clear rules
+        SmartLists.resetRuleEditorMode(page);
         var rulesContainer = page.querySelector('#rules-container');
         if (rulesContainer) {
             rulesContainer.innerHTML = '';
@@ -2430,6 +2472,49 @@
         modal.style.zIndex = '';
     }
 
+    // ===== LIVE STATUS UPDATES =====
+    // Automatic refreshes of this user's playlists are pushed by the server. Refreshes started from
+    // this page already report their own result, so only background ones are announced here.
+    function startUserStatusUpdates(page) {
+        if (page._unsubscribeStatusEvents || !SmartLists.onStatusEvent) {
+            return;
+        }
+
+        page._autoRefreshedCount = 0;
+        page._unsubscribeStatusEvents = SmartLists.onStatusEvent(function (type, data) {
+            if ((type !== 'completed' && type !== 'failed') || data.triggerType === 'Manual') {
+                return;
+            }
+
+            if (type === 'failed') {
+                SmartLists.showNotification('Automatic refresh of "' + data.listName + '" failed: ' + (data.message || 'Unknown error'), 'error');
+                return;
+            }
+
+            // A library change refreshes all of the user's playlists in a row: announce and reload once per burst
+            page._autoRefreshedCount++;
+            clearTimeout(page._statusReloadTimeout);
+            page._statusReloadTimeout = setTimeout(function () {
+                var count = page._autoRefreshedCount;
+                page._autoRefreshedCount = 0;
+                page._statusReloadTimeout = null;
+                SmartLists.showNotification(count === 1 ? 'A playlist was updated automatically.' : count + ' playlists were updated automatically.', 'info');
+                loadUserPlaylistList(page, false);
+            }, 1500);
+        });
+    }
+
+    function stopUserStatusUpdates(page) {
+        if (page._unsubscribeStatusEvents) {
+            page._unsubscribeStatusEvents();
+            page._unsubscribeStatusEvents = null;
+        }
+        if (page._statusReloadTimeout) {
+            clearTimeout(page._statusReloadTimeout);
+            page._statusReloadTimeout = null;
+        }
+    }
+
     // ===== PAGE EVENT HANDLERS =====
     document.addEventListener('pageshow', function (e) {
         var page = e.target;
@@ -2449,6 +2534,7 @@
             if (page._searchTimeout) {
                 clearTimeout(page._searchTimeout);
             }
+            stopUserStatusUpdates(page);
             page._pageInitialized = false;
         }
     });
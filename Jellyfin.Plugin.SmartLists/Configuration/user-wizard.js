@@ -13,7 +13,9 @@
         playlists: 'Plugins/SmartLists/User/playlists',
         fields: 'Plugins/SmartLists/User/fields',
         browse: 'Plugins/SmartLists/User/browse',
-        search: 'Plugins/SmartLists/User/search'
+        search: 'Plugins/SmartLists/User/search',
+        preview: 'Plugins/SmartLists/User/preview',
+        values: 'Plugins/SmartLists/User/values'
     };
 
     // Media types for user playlists
@@ -111,6 +113,11 @@
         return getFallbackApiClient();
     };
 
+    // Value suggestions only include libraries the user can see
+    SmartLists.getFieldValuesEndpoint = function () {
+        return USER_ENDPOINTS.values;
+    };
+
     // ===== RESPONSE HANDLING =====
     function parseApiResponse(response) {
         if (response && typeof response.ok !== 'undefined') {
@@ -168,6 +175,22 @@
                 SmartLists.addSortBox(page, { SortBy: 'Name', SortOrder: 'Ascending' }, '#wizard-sorts-container');
             }
 
+            // Show a live count of items matching the rules while they are edited
+            SmartLists.initLivePreview(page, {
+                containerSelector: '#wizardLivePreviewContainer',
+                watchSelector: '#method-rules',
+                rulesSelector: '#wizard-rules-container',
+                endpoint: USER_ENDPOINTS.preview,
+                buildPayload: buildRulesPreviewPayload
+            });
+
+            // Describe the playlist in plain words above the rules
+            SmartLists.initListSentence(page, {
+                containerSelector: '#wizardListSentenceContainer',
+                rulesSelector: '#wizard-rules-container',
+                buildList: buildWizardSentenceList
+            });
+
             // If in edit mode, load existing playlist data
             if (wizardState.isEditMode && wizardState.editPlaylistId) {
                 console.log('[SmartLists Wizard] Edit mode - loading existing playlist data...');
@@ -380,6 +403,9 @@
                 return false;
             }
             wizardState.selectedMediaTypes = selectedTypes;
+            // Media types decide which items the rules are evaluated against
+            SmartLists.scheduleLivePreview(page);
+            SmartLists.scheduleListSentence(page);
         }
 
         return true;
@@ -671,7 +697,7 @@
         // Collect rules from form
         var expressionSets = SmartLists.collectRulesFromForm ? SmartLists.collectRulesFromForm(page, '#wizard-rules-container') : null;
 
-        if (!expressionSets || expressionSets.length === 0 || !expressionSets.some(function (es) { return es.Expressions && es.Expressions.length > 0; })) {
+        if (!expressionSets || expressionSets.length === 0 || SmartLists.getAllExpressions(expressionSets).length === 0) {
             SmartLists.showNotification('Please add at least one rule.', 'warning');
             return;
         }
@@ -682,6 +708,42 @@
         SmartLists.showNotification('Rules saved! They will be applied when the playlist is created and refreshed. You can also add specific items using Browse or Search.', 'success');
     }
 
+    // Builds the dry-run payload for the live preview from the rules, sorts and limits being edited
+    function buildRulesPreviewPayload(page) {
+        var expressionSets = SmartLists.collectRulesFromForm(page, '#wizard-rules-container');
+        if (!expressionSets || SmartLists.getAllExpressions(expressionSets).length === 0) {
+            return { dto: null, error: 'Add a rule to see matching items.' };
+        }
+
+        if (!wizardState.selectedMediaTypes || wizardState.selectedMediaTypes.length === 0) {
+            return { dto: null, error: 'Select at least one media type.' };
+        }
+
+        var sorts = SmartLists.collectSortsFromForm ? SmartLists.collectSortsFromForm(page, '#wizard-sorts-container') : [];
+
+        return {
+            dto: {
+                Name: wizardState.playlistName,
+                MediaTypes: wizardState.selectedMediaTypes,
+                ExpressionSets: expressionSets,
+                Order: { SortOptions: sorts || [] },
+                MaxItems: parseInt(page.querySelector('#wizardMaxItems').value, 10) || null,
+                MaxPlayTimeMinutes: parseInt(page.querySelector('#wizardMaxPlaytime').value, 10) || null
+            },
+            error: null
+        };
+    }
+
+    function buildWizardSentenceList(page) {
+        return {
+            MediaTypes: wizardState.selectedMediaTypes,
+            ExpressionSets: SmartLists.collectRulesFromForm(page, '#wizard-rules-container'),
+            Order: { SortOptions: SmartLists.collectSortsFromForm ? SmartLists.collectSortsFromForm(page, '#wizard-sorts-container') : [] },
+            MaxItems: page.querySelector('#wizardMaxItems').value,
+            MaxPlayTimeMinutes: page.querySelector('#wizardMaxPlaytime').value
+        };
+    }
+
     // ===== BROWSE =====
     function loadBrowseFilters(page) {
         var apiClient = SmartLists.getApiClient();
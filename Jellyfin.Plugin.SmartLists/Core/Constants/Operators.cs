@@ -34,7 +34,10 @@ namespace Jellyfin.Plugin.SmartLists.Core.Constants
             new OperatorInfo("Before", "before"),
             new OperatorInfo("NewerThan", "newer than"),
             new OperatorInfo("OlderThan", "older than"),
-            new OperatorInfo("Weekday", "weekday")
+            new OperatorInfo("Weekday", "weekday"),
+            new OperatorInfo("InPeriod", "in calendar period"),
+            new OperatorInfo("OnThisDay", "on this day (earlier years)"),
+            new OperatorInfo("AnniversaryWithin", "anniversary within")
         ];
 
         /// <summary>
@@ -78,13 +81,53 @@ namespace Jellyfin.Plugin.SmartLists.Core.Constants
         /// <summary>
         /// Operators for date fields.
         /// </summary>
-        public static readonly string[] DateFieldOperators = ["Equal", "NotEqual", "After", "Before", "NewerThan", "OlderThan", "Weekday"];
+        public static readonly string[] DateFieldOperators = ["Equal", "NotEqual", "After", "Before", "NewerThan", "OlderThan", "Weekday", "InPeriod", "OnThisDay", "AnniversaryWithin"];
 
         /// <summary>
         /// Operators for resolution fields that support both equality and numeric comparisons.
         /// </summary>
         public static readonly string[] ResolutionFieldOperators = ["Equal", "NotEqual", "GreaterThan", "LessThan", "GreaterThanOrEqual", "LessThanOrEqual"];
 
+        /// <summary>
+        /// Operators for rules comparing two date fields of the same item.
+        /// </summary>
+        public static readonly string[] DateComparisonOperators = ["Equal", "NotEqual", "After", "Before"];
+
+        /// <summary>
+        /// Operators for rules comparing two text fields of the same item.
+        /// </summary>
+        public static readonly string[] TextComparisonOperators = ["Equal", "NotEqual", "Contains", "NotContains"];
+
+        /// <summary>
+        /// Gets the operators allowed when comparing two fields of the given kind (see <see cref="FieldComparison"/>).
+        /// </summary>
+        /// <param name="kind">The comparison kind: Numeric, Date or Text</param>
+        /// <returns>Array of operator values, empty for an unknown kind</returns>
+        public static string[] GetFieldComparisonOperators(string kind)
+        {
+            return kind switch
+            {
+                FieldComparison.NumericKind => NumericFieldOperators,
+                FieldComparison.DateKind => DateComparisonOperators,
+                FieldComparison.TextKind => TextComparisonOperators,
+                _ => [],
+            };
+        }
+
+        /// <summary>
+        /// Gets the operators allowed for field-to-field comparisons, keyed by comparison kind.
+        /// </summary>
+        /// <returns>Dictionary mapping comparison kinds to their allowed operators</returns>
+        public static Dictionary<string, string[]> GetFieldComparisonOperatorsDictionary()
+        {
+            return new Dictionary<string, string[]>
+            {
+                [FieldComparison.NumericKind] = GetFieldComparisonOperators(FieldComparison.NumericKind),
+                [FieldComparison.DateKind] = GetFieldComparisonOperators(FieldComparison.DateKind),
+                [FieldComparison.TextKind] = GetFieldComparisonOperators(FieldComparison.TextKind),
+            };
+        }
+
         /// <summary>
         /// Gets the appropriate operators for a given field type.
         /// </summary>
@@ -0,0 +1,239 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.SmartLists.Core.Constants;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Remembers when the library and each user's data last changed, per media type, so conditional schedules
+    /// can tell whether anything that could affect a list happened since its last successful refresh.
+    /// Changes before <see cref="TrackingSince"/> are unknown. The watermarks can be saved with <see cref="GetState"/>
+    /// and restored with <see cref="FromState"/>, so tracking carries over a clean restart.
+    /// </summary>
+    public sealed class ChangeWatermarks
+    {
+        // Relative date operators: the result changes as time passes, not only when items change
+        private static readonly HashSet<string> RelativeDateOperators = new(StringComparer.Ordinal)
+        {
+            "NewerThan", "OlderThan", "InPeriod", "OnThisDay", "AnniversaryWithin",
+        };
+
+        private readonly ConcurrentDictionary<string, DateTime> _libraryChanges = new(StringComparer.Ordinal);
+        private readonly ConcurrentDictionary<(Guid UserId, string MediaType), DateTime> _userDataChanges = new();
+
+        public ChangeWatermarks(DateTime trackingSinceUtc)
+        {
+            TrackingSince = trackingSinceUtc;
+        }
+
+        /// <summary>
+        /// Gets when tracking started (UTC).
+        /// </summary>
+        public DateTime TrackingSince { get; }
+
+        /// <summary>
+        /// Restores watermarks saved with <see cref="GetState"/>.
+        /// </summary>
+        public static ChangeWatermarks FromState(ChangeWatermarksState state)
+        {
+            ArgumentNullException.ThrowIfNull(state);
+
+            var watermarks = new ChangeWatermarks(state.TrackingSince);
+            foreach (var (mediaType, changedAt) in state.LibraryChanges)
+            {
+                watermarks.RecordLibraryChange(mediaType, changedAt);
+            }
+
+            foreach (var change in state.UserDataChanges)
+            {
+                watermarks.RecordUserDataChange(change.UserId, change.MediaType, change.ChangedAt);
+            }
+
+            return watermarks;
+        }
+
+        /// <summary>
+        /// Gets a serializable copy of the watermarks.
+        /// </summary>
+        public ChangeWatermarksState GetState()
+        {
+            return new ChangeWatermarksState
+            {
+                TrackingSince = TrackingSince,
+                LibraryChanges = new Dictionary<string, DateTime>(_libraryChanges, StringComparer.Ordinal),
+                UserDataChanges = [.. _userDataChanges.Select(c => new UserDataWatermark
+                {
+                    UserId = c.Key.UserId,
+                    MediaType = c.Key.MediaType,
+                    ChangedAt = c.Value,
+                })],
+            };
+        }
+
+        /// <summary>
+        /// Records that an item of the given media type was added, updated or removed.
+        /// </summary>
+        public void RecordLibraryChange(string mediaType, DateTime whenUtc)
+        {
+            _libraryChanges.AddOrUpdate(mediaType, whenUtc, (_, existing) => existing > whenUtc ? existing : whenUtc);
+        }
+
+        /// <summary>
+        /// Records that a user's played, favorite or play count data changed for an item of the given media type.
+        /// </summary>
+        public void RecordUserDataChange(Guid userId, string mediaType, DateTime whenUtc)
+        {
+            _userDataChanges.AddOrUpdate((userId, mediaType), whenUtc, (_, existing) => existing > whenUtc ? existing : whenUtc);
+        }
+
+        /// <summary>
+        /// Checks whether anything that could change the list's contents or order happened since the given time.
+        /// Answers true whenever that can't be known: the time is before tracking started, or the list depends
+        /// on the current time (relative date rules, shuffles) or on other lists (Collections rules).
+        /// </summary>
+        /// <param name="list">The list to check.</param>
+        /// <param name="sinceUtc">Start of the list's last successful refresh.</param>
+        /// <returns>True if the list should be refreshed.</returns>
+        public bool HasRelevantChangesSince(SmartListDto list, DateTime sinceUtc)
+        {
+            ArgumentNullException.ThrowIfNull(list);
+
+            if (sinceUtc < TrackingSince || DependsOnTimeOrOtherLists(list))
+            {
+                return true;
+            }
+
+            var mediaTypes = GetWatchedMediaTypes(list);
+
+            if (_libraryChanges.Any(c => c.Value > sinceUtc && (c.Key == MediaTypes.Unknown || mediaTypes.Contains(c.Key))))
+            {
+                return true;
+            }
+
+            if (!UsesUserData(list))
+            {
+                return false;
+            }
+
+            var users = GetRelevantUsers(list);
+            return _userDataChanges.Any(c => c.Value > sinceUtc
+                && mediaTypes.Contains(c.Key.MediaType)
+                && (users == null || users.Contains(c.Key.UserId)));
+        }
+
+        /// <summary>
+        /// Checks whether a list's result depends on the current time or on other lists, so it can't be skipped.
+        /// </summary>
+        public static bool DependsOnTimeOrOtherLists(SmartListDto list)
+        {
+            ArgumentNullException.ThrowIfNull(list);
+
+            var sortBy = GetSortNames(list);
+            if (sortBy.Any(s => s is "Random" or "WeightedRandom"))
+            {
+                return true;
+            }
+
+            return GetExpressions(list).Any(e =>
+                RelativeDateOperators.Contains(e.Operator) || e.MemberName == "Collections");
+        }
+
+        private static bool UsesUserData(SmartListDto list)
+        {
+            if (GetExpressions(list).Any(e => Expression.IsUserSpecificField(e.MemberName)
+                || (e.CompareField != null && Expression.IsUserSpecificField(e.CompareField))))
+            {
+                return true;
+            }
+
+            // Sorts like "PlayCount (owner)" and "LastPlayed (owner)", or field sorts on user data
+            return GetSortNames(list).Any(s =>
+                s.StartsWith("PlayCount", StringComparison.Ordinal)
+                || s.StartsWith("LastPlayed", StringComparison.Ordinal)
+                || Expression.IsUserSpecificField(s));
+        }
+
+        /// <summary>
+        /// The users whose data the list reads, or null if that can't be narrowed down.
+        /// </summary>
+        private static HashSet<Guid>? GetRelevantUsers(SmartListDto list)
+        {
+            var userIds = new List<string?> { list.UserId };
+            if (list is SmartPlaylistDto playlist && playlist.UserPlaylists != null)
+            {
+                userIds.AddRange(playlist.UserPlaylists.Select(u => u.UserId));
+            }
+
+            userIds.AddRange(GetExpressions(list).SelectMany(e => new[] { e.UserId, e.CompareUserId }));
+            userIds.AddRange(list.Order?.SortOptions?.Select(s => s.UserId) ?? []);
+
+            var users = new HashSet<Guid>();
+            foreach (var userId in userIds.Where(id => !string.IsNullOrEmpty(id)))
+            {
+                if (!Guid.TryParse(userId, out var guid))
+                {
+                    return null;
+                }
+
+                users.Add(guid);
+            }
+
+            return users.Count > 0 ? users : null;
+        }
+
+        private static HashSet<string> GetWatchedMediaTypes(SmartListDto list)
+        {
+            IEnumerable<string> listMediaTypes = list.MediaTypes is { Count: > 0 } ? list.MediaTypes : MediaTypes.All;
+            var mediaTypes = new HashSet<string>(listMediaTypes, StringComparer.Ordinal);
+
+            // Series lists are evaluated from their episodes (watched state, next unwatched, new episodes)
+            if (mediaTypes.Contains(MediaTypes.Series))
+            {
+                mediaTypes.Add(MediaTypes.Episode);
+            }
+
+            return mediaTypes;
+        }
+
+        private static IEnumerable<Expression> GetExpressions(SmartListDto list)
+        {
+            return (list.ExpressionSets ?? [])
+                .Where(set => set != null)
+                .SelectMany(set => set.GetAllExpressions())
+                .Where(e => e != null);
+        }
+
+        private static List<string> GetSortNames(SmartListDto list)
+        {
+            if (list.Order?.SortOptions is { Count: > 0 } sortOptions)
+            {
+                return [.. sortOptions.Select(s => s.SortBy)];
+            }
+
+            return string.IsNullOrEmpty(list.Order?.Name) ? [] : [list.Order.Name];
+        }
+    }
+
+    /// <summary>
+    /// Saved form of <see cref="ChangeWatermarks"/>
+    /// </summary>
+    public sealed class ChangeWatermarksState
+    {
+        public DateTime TrackingSince { get; set; }
+        public Dictionary<string, DateTime> LibraryChanges { get; set; } = [];
+        public List<UserDataWatermark> UserDataChanges { get; set; } = [];
+    }
+
+    /// <summary>
+    /// When a user's data last changed for one media type
+    /// </summary>
+    public sealed class UserDataWatermark
+    {
+        public Guid UserId { get; set; }
+        public string MediaType { get; set; } = string.Empty;
+        public DateTime ChangedAt { get; set; }
+    }
+}
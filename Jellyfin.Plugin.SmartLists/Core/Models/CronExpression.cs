@@ -0,0 +1,560 @@
+using System;
+using System.Collections.Generic;
+using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
+using System.Linq;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A standard five-field cron expression (minute hour day-of-month month day-of-week) evaluated in
+    /// server local time. Supports lists (1,15), ranges (1-5), steps (*/15, 9-17/2), month and weekday names
+    /// (JAN, MON), L for the last day of the month, 5L for the last Friday, 0#1 for the first Sunday, and the
+    /// @yearly, @monthly, @weekly, @daily and @hourly shortcuts. When both day fields are restricted, a day
+    /// matches if either does, as in standard cron.
+    /// </summary>
+    public sealed class CronExpression
+    {
+        // How far ahead to look for the next run; covers expressions like "Feb 29 on a Monday"
+        private const int MaxSearchYears = 28;
+
+        private static readonly string[] MonthNames = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+        private static readonly string[] DayNames = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+        private static readonly string[] Ordinals = ["first", "second", "third", "fourth", "fifth"];
+
+        private static readonly Dictionary<string, string> Shortcuts = new(StringComparer.OrdinalIgnoreCase)
+        {
+            { "@yearly", "0 0 1 1 *" },
+            { "@annually", "0 0 1 1 *" },
+            { "@monthly", "0 0 1 * *" },
+            { "@weekly", "0 0 * * 0" },
+            { "@daily", "0 0 * * *" },
+            { "@midnight", "0 0 * * *" },
+            { "@hourly", "0 * * * *" },
+        };
+
+        private readonly bool[] _minutes = new bool[60];
+        private readonly bool[] _hours = new bool[24];
+        private readonly bool[] _daysOfMonth = new bool[32];
+        private readonly bool[] _months = new bool[13];
+        private readonly bool[] _daysOfWeek = new bool[7];
+        private readonly List<(DayOfWeek Day, int Nth)> _nthDaysOfWeek = []; // Nth -1 is the last one in the month
+        private bool _lastDayOfMonth;
+        private bool _dayOfMonthRestricted;
+        private bool _dayOfWeekRestricted;
+
+        private CronExpression(string expression)
+        {
+            Expression = expression;
+        }
+
+        /// <summary>
+        /// Gets the expression as it was written.
+        /// </summary>
+        public string Expression { get; }
+
+        /// <summary>
+        /// Parses a cron expression.
+        /// </summary>
+        /// <exception cref="FormatException">The expression is not valid; the message says why.</exception>
+        public static CronExpression Parse(string? expression)
+        {
+            var text = expression?.Trim() ?? string.Empty;
+            if (text.Length == 0)
+            {
+                throw new FormatException("The cron expression is empty.");
+            }
+
+            var cron = new CronExpression(text);
+            var fields = (Shortcuts.TryGetValue(text, out var expanded) ? expanded : text)
+                .Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries);
+            if (fields.Length != 5)
+            {
+                throw new FormatException($"A cron expression has 5 fields (minute hour day-of-month month day-of-week), but '{text}' has {fields.Length}.");
+            }
+
+            ParseField(fields[0], "minute", 0, 59, null, cron._minutes);
+            ParseField(fields[1], "hour", 0, 23, null, cron._hours);
+            cron.ParseDayOfMonth(fields[2]);
+            ParseField(fields[3], "month", 1, 12, MonthNames, cron._months);
+            cron.ParseDayOfWeek(fields[4]);
+            return cron;
+        }
+
+        /// <summary>
+        /// Tries to parse a cron expression.
+        /// </summary>
+        /// <param name="expression">The expression.</param>
+        /// <param name="cron">The parsed expression, or null when it is not valid.</param>
+        /// <param name="error">Why the expression is not valid, or null.</param>
+        public static bool TryParse(string? expression, [NotNullWhen(true)] out CronExpression? cron, [NotNullWhen(false)] out string? error)
+        {
+            try
+            {
+                cron = Parse(expression);
+                error = null;
+                return true;
+            }
+            catch (FormatException ex)
+            {
+                cron = null;
+                error = ex.Message;
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Gets the first run strictly after a time, or null when there is none within the search range
+        /// (e.g. "31 of February"). Times are local wall-clock times; seconds are ignored.
+        /// </summary>
+        public DateTime? GetNextOccurrence(DateTime after)
+        {
+            var start = new DateTime(after.Year, after.Month, after.Day, after.Hour, after.Minute, 0, after.Kind).AddMinutes(1);
+            var end = start.AddYears(MaxSearchYears);
+            for (var day = start.Date; day < end; day = day.AddDays(1))
+            {
+                if (!_months[day.Month] || !MatchesDay(day))
+                {
+                    continue;
+                }
+
+                var firstHour = day == start.Date ? start.Hour : 0;
+                for (int hour = firstHour; hour < 24; hour++)
+                {
+                    if (!_hours[hour])
+                    {
+                        continue;
+                    }
+
+                    var firstMinute = day == start.Date && hour == start.Hour ? start.Minute : 0;
+                    for (int minute = firstMinute; minute < 60; minute++)
+                    {
+                        if (_minutes[minute])
+                        {
+                            return new DateTime(day.Year, day.Month, day.Day, hour, minute, 0, after.Kind);
+                        }
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Gets the next runs strictly after a time, in order.
+        /// </summary>
+        public IReadOnlyList<DateTime> GetNextOccurrences(DateTime after, int count)
+        {
+            var occurrences = new List<DateTime>(Math.Max(0, count));
+            var current = after;
+            while (occurrences.Count < count && GetNextOccurrence(current) is DateTime next)
+            {
+                occurrences.Add(next);
+                current = next;
+            }
+
+            return occurrences;
+        }
+
+        /// <summary>
+        /// Checks whether the expression runs at a time (to the minute).
+        /// </summary>
+        public bool Matches(DateTime time)
+        {
+            return _minutes[time.Minute] && _hours[time.Hour] && _months[time.Month] && MatchesDay(time.Date);
+        }
+
+        /// <summary>
+        /// Describes the expression in plain English, e.g. "At 05:30 and 17:30 on weekdays".
+        /// </summary>
+        public string Describe()
+        {
+            var minutes = Values(_minutes, 0);
+            var hours = Values(_hours, 0);
+            var time = DescribeTime(minutes, hours);
+
+            var months = Values(_months, 1);
+            string? days;
+            string monthPart;
+            if (months.Count == 1 && _dayOfMonthRestricted && !_dayOfWeekRestricted && !_lastDayOfMonth)
+            {
+                // A single month reads as a date: "on February 29th"
+                var monthName = CultureInfo.InvariantCulture.DateTimeFormat.GetMonthName(months[0]);
+                days = $"on {monthName} {JoinAnd(DescribeRuns(Values(_daysOfMonth, 1), Ordinal))}";
+                monthPart = string.Empty;
+            }
+            else
+            {
+                days = DescribeDays();
+                monthPart = months.Count == 12 ? string.Empty : DescribeMonths(months);
+            }
+
+            var parts = new List<string> { time };
+            if (days != null)
+            {
+                parts.Add(days);
+            }
+            else if (monthPart.Length > 0 || !time.StartsWith("every", StringComparison.Ordinal))
+            {
+                parts.Add("every day");
+            }
+
+            if (monthPart.Length > 0)
+            {
+                parts.Add(monthPart);
+            }
+
+            var text = string.Join(" ", parts);
+            return char.ToUpperInvariant(text[0]) + text[1..];
+        }
+
+        private bool MatchesDay(DateTime day)
+        {
+            var dayOfMonth = _daysOfMonth[day.Day] || (_lastDayOfMonth && day.Day == DateTime.DaysInMonth(day.Year, day.Month));
+            var dayOfWeek = _daysOfWeek[(int)day.DayOfWeek] || _nthDaysOfWeek.Any(nth => nth.Day == day.DayOfWeek && IsNth(day, nth.Nth));
+
+            if (_dayOfMonthRestricted && _dayOfWeekRestricted)
+            {
+                return dayOfMonth || dayOfWeek;
+            }
+
+            if (_dayOfMonthRestricted)
+            {
+                return dayOfMonth;
+            }
+
+            return !_dayOfWeekRestricted || dayOfWeek;
+        }
+
+        private static bool IsNth(DateTime day, int nth)
+        {
+            return nth == -1
+                ? day.Day + 7 > DateTime.DaysInMonth(day.Year, day.Month)
+                : ((day.Day - 1) / 7) + 1 == nth;
+        }
+
+        private void ParseDayOfMonth(string field)
+        {
+            _dayOfMonthRestricted = field != "*" && field != "?";
+            var rest = new List<string>();
+            foreach (var part in field.Split(','))
+            {
+                if (part.Equals("L", StringComparison.OrdinalIgnoreCase))
+                {
+                    _lastDayOfMonth = true;
+                }
+                else
+                {
+                    rest.Add(part);
+                }
+            }
+
+            if (rest.Count > 0)
+            {
+                ParseField(string.Join(',', rest), "day-of-month", 1, 31, null, _daysOfMonth);
+            }
+        }
+
+        private void ParseDayOfWeek(string field)
+        {
+            _dayOfWeekRestricted = field != "*" && field != "?";
+            var rest = new List<string>();
+            foreach (var part in field.Split(','))
+            {
+                var hash = part.IndexOf('#', StringComparison.Ordinal);
+                if (hash > 0)
+                {
+                    var nth = ParseNumber(part[(hash + 1)..], "day-of-week occurrence", 1, 5, null);
+                    _nthDaysOfWeek.Add((ParseDayOfWeekValue(part[..hash]), nth));
+                }
+                else if (part.Length > 1 && (part.EndsWith('L') || part.EndsWith('l')))
+                {
+                    _nthDaysOfWeek.Add((ParseDayOfWeekValue(part[..^1]), -1));
+                }
+                else
+                {
+                    rest.Add(part);
+                }
+            }
+
+            if (rest.Count > 0)
+            {
+                // 7 is Sunday too
+                var days = new bool[8];
+                ParseField(string.Join(',', rest), "day-of-week", 0, 7, DayNames, days);
+                for (int i = 0; i < 7; i++)
+                {
+                    _daysOfWeek[i] = days[i] || (i == 0 && days[7]);
+                }
+            }
+        }
+
+        private static DayOfWeek ParseDayOfWeekValue(string text)
+        {
+            return (DayOfWeek)(ParseNumber(text, "day-of-week", 0, 7, DayNames) % 7);
+        }
+
+        private static void ParseField(string field, string name, int min, int max, string[]? names, bool[] values)
+        {
+            foreach (var part in field.Split(','))
+            {
+                if (part.Length == 0)
+                {
+                    throw new FormatException($"The {name} field '{field}' has an empty list item.");
+                }
+
+                var range = part;
+                var step = 1;
+                var slash = part.IndexOf('/', StringComparison.Ordinal);
+                if (slash >= 0)
+                {
+                    range = part[..slash];
+                    step = ParseNumber(part[(slash + 1)..], name + " step", 1, max - min + 1, null);
+                }
+
+                int from, to;
+                if (range == "*" || range == "?")
+                {
+                    from = min;
+                    to = max;
+                }
+                else
+                {
+                    var dash = range.IndexOf('-', StringComparison.Ordinal);
+                    from = ParseNumber(dash > 0 ? range[..dash] : range, name, min, max, names);
+                    // "5/10" runs from 5 to the end of the range
+                    to = dash > 0 ? ParseNumber(range[(dash + 1)..], name, min, max, names) : (slash >= 0 ? max : from);
+                    if (to < from)
+                    {
+                        throw new FormatException($"The {name} range '{range}' runs backwards.");
+                    }
+                }
+
+                for (int value = from; value <= to; value += step)
+                {
+                    values[value] = true;
+                }
+            }
+        }
+
+        private static int ParseNumber(string text, string name, int min, int max, string[]? names)
+        {
+            if (names != null)
+            {
+                var index = Array.FindIndex(names, n => n.Equals(text, StringComparison.OrdinalIgnoreCase));
+                if (index >= 0)
+                {
+                    // Month names start at 1, day names at 0
+                    return index + (min == 1 ? 1 : 0);
+                }
+            }
+
+            if (!int.TryParse(text, NumberStyles.None, CultureInfo.InvariantCulture, out var value))
+            {
+                throw new FormatException($"'{text}' is not a valid {name} value.");
+            }
+
+            if (value < min || value > max)
+            {
+                throw new FormatException($"The {name} value {value} is outside {min}-{max}.");
+            }
+
+            return value;
+        }
+
+        private static List<int> Values(bool[] values, int start)
+        {
+            var result = new List<int>();
+            for (int i = start; i < values.Length; i++)
+            {
+                if (values[i])
+                {
+                    result.Add(i);
+                }
+            }
+
+            return result;
+        }
+
+        // The step n when the values are exactly 0, n, 2n, ... within the range, otherwise 0
+        private static int GetStep(List<int> values, int size)
+        {
+            if (values.Count < 2 || values[0] != 0)
+            {
+                return 0;
+            }
+
+            var step = values[1];
+            return values.Count == (size + step - 1) / step && values.Select((value, index) => value == index * step).All(x => x) ? step : 0;
+        }
+
+        private static string DescribeTime(List<int> minutes, List<int> hours)
+        {
+            static string Clock(int hour, int minute) => $"{hour:00}:{minute:00}";
+
+            var allHours = hours.Count == 24;
+            if (!allHours && minutes.Count * hours.Count <= 6)
+            {
+                return "at " + JoinAnd([.. hours.SelectMany(hour => minutes.Select(minute => Clock(hour, minute)))]);
+            }
+
+            var minuteStep = GetStep(minutes, 60);
+            var hourStep = GetStep(hours, 24);
+            string minutePart;
+            if (minutes.Count == 60)
+            {
+                minutePart = "every minute";
+            }
+            else if (minuteStep > 0)
+            {
+                minutePart = $"every {minuteStep} minutes";
+            }
+            else if (minutes.Count == 1)
+            {
+                var pastHour = minutes[0] == 0 ? string.Empty : $" at {minutes[0]} minutes past";
+                if (allHours)
+                {
+                    return "every hour" + pastHour;
+                }
+
+                if (hourStep > 0)
+                {
+                    return $"every {hourStep} hours" + pastHour;
+                }
+
+                if (IsRun(hours))
+                {
+                    return $"every hour from {Clock(hours[0], minutes[0])} to {Clock(hours[^1], minutes[0])}";
+                }
+
+                return "at " + JoinAnd([.. hours.Select(hour => Clock(hour, minutes[0]))]);
+            }
+            else
+            {
+                minutePart = $"at {JoinAnd([.. minutes.Select(m => m.ToString(CultureInfo.InvariantCulture))])} minutes past the hour";
+            }
+
+            if (allHours)
+            {
+                return minutePart;
+            }
+
+            if (hourStep > 0)
+            {
+                return $"{minutePart}, every {hourStep} hours";
+            }
+
+            return IsRun(hours)
+                ? $"{minutePart} from {Clock(hours[0], 0)} to {Clock(hours[^1], 59)}"
+                : $"{minutePart} during the {JoinAnd([.. hours.Select(hour => Clock(hour, 0))])} hours";
+        }
+
+        private string? DescribeDays()
+        {
+            string? dayOfMonth = null;
+            if (_dayOfMonthRestricted)
+            {
+                var days = DescribeRuns(Values(_daysOfMonth, 1), Ordinal);
+                if (_lastDayOfMonth)
+                {
+                    days.Add("the last day");
+                }
+
+                dayOfMonth = $"on {(days.Count > 0 && !days[0].StartsWith("the", StringComparison.Ordinal) ? "the " : string.Empty)}{JoinAnd(days)} of the month";
+            }
+
+            string? dayOfWeek = null;
+            if (_dayOfWeekRestricted)
+            {
+                var weekdays = Values(_daysOfWeek, 0);
+                var phrases = new List<string>();
+                if (weekdays.SequenceEqual([1, 2, 3, 4, 5]))
+                {
+                    phrases.Add("weekdays");
+                }
+                else if (weekdays.SequenceEqual([0, 6]))
+                {
+                    phrases.Add("weekends");
+                }
+                else if (weekdays.Count > 0)
+                {
+                    phrases.AddRange(DescribeRuns(weekdays, day => ((DayOfWeek)day).ToString()));
+                }
+
+                var nth = _nthDaysOfWeek
+                    .Select(n => $"the {(n.Nth == -1 ? "last" : Ordinals[n.Nth - 1])} {n.Day}")
+                    .ToList();
+                dayOfWeek = "on " + JoinAnd([.. phrases, .. nth]) + (nth.Count > 0 ? " of the month" : string.Empty);
+            }
+
+            if (dayOfMonth != null && dayOfWeek != null)
+            {
+                return $"{dayOfMonth} or {dayOfWeek}";
+            }
+
+            return dayOfMonth ?? dayOfWeek;
+        }
+
+        private static string DescribeMonths(List<int> months)
+        {
+            static string Name(int month) => CultureInfo.InvariantCulture.DateTimeFormat.GetMonthName(month);
+
+            return months.Count >= 3 && IsRun(months)
+                ? $"from {Name(months[0])} through {Name(months[^1])}"
+                : "in " + JoinAnd(DescribeRuns(months, Name));
+        }
+
+        // Runs of three or more consecutive values read as "Monday through Friday"
+        private static List<string> DescribeRuns(List<int> values, Func<int, string> format)
+        {
+            var result = new List<string>();
+            int start = 0;
+            while (start < values.Count)
+            {
+                int end = start;
+                while (end + 1 < values.Count && values[end + 1] == values[end] + 1)
+                {
+                    end++;
+                }
+
+                if (end - start >= 2)
+                {
+                    result.Add($"{format(values[start])} through {format(values[end])}");
+                }
+                else
+                {
+                    for (int i = start; i <= end; i++)
+                    {
+                        result.Add(format(values[i]));
+                    }
+                }
+
+                start = end + 1;
+            }
+
+            return result;
+        }
+
+        private static bool IsRun(List<int> values)
+        {
+            return values.Count > 0 && values[^1] - values[0] == values.Count - 1;
+        }
+
+        private static string Ordinal(int day)
+        {
+            var suffix = (day % 100) switch
+            {
+                11 or 12 or 13 => "th",
+                _ => (day % 10) switch { 1 => "st", 2 => "nd", 3 => "rd", _ => "th" },
+            };
+            return day.ToString(CultureInfo.InvariantCulture) + suffix;
+        }
+
+        private static string JoinAnd(List<string> items)
+        {
+            return items.Count <= 1
+                ? string.Concat(items)
+                : string.Join(", ", items.Take(items.Count - 1)) + " and " + items[^1];
+        }
+    }
+}
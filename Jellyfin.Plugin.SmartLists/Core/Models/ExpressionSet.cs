@@ -1,10 +1,15 @@
 using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
 
 namespace Jellyfin.Plugin.SmartLists.Core.Models
 {
     /// <summary>
     /// Represents a set of expressions that are evaluated together as a group.
+    /// Top-level sets are combined with OR. Within a set, expressions and nested groups
+    /// are combined with <see cref="Logic"/> (AND by default) and optionally negated.
     /// </summary>
     public class ExpressionSet
     {
@@ -13,6 +18,74 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// May be null during JSON deserialization of legacy data.
         /// </summary>
         public List<Expression>? Expressions { get; init; } = [];
+
+        /// <summary>
+        /// Gets or sets the nested logic groups evaluated alongside <see cref="Expressions"/>.
+        /// Null for flat sets (all lists created before nested groups were supported).
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ExpressionSet>? Groups { get; set; }
+
+        /// <summary>
+        /// Gets or sets how the expressions and nested groups are combined. Null means AND.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public RuleLogic? Logic { get; set; }
+
+        /// <summary>
+        /// Gets or sets whether the result of this group is inverted (NOT).
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Negate { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the <see cref="RuleSnippet"/> this group is linked to.
+        /// A linked group's rules are replaced whenever the snippet changes. Ignored when evaluating rules.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? SnippetId { get; set; }
+
+        /// <summary>
+        /// Gets a value indicating whether this set uses anything beyond the flat AND-of-expressions model.
+        /// </summary>
+        [JsonIgnore]
+        public bool HasNestedLogic => Logic == RuleLogic.Or || Negate == true || Groups?.Count > 0;
+
+        /// <summary>
+        /// Gets the expressions of this set and all nested groups, depth-first.
+        /// Used for analysis (required fields, referenced users) where the logic structure does not matter.
+        /// </summary>
+        /// <returns>All expressions in this set and its nested groups.</returns>
+        public IEnumerable<Expression> GetAllExpressions()
+        {
+            var own = Expressions?.Where(expr => expr != null) ?? [];
+            if (Groups == null || Groups.Count == 0)
+            {
+                return own;
+            }
+
+            return own.Concat(Groups.Where(group => group != null).SelectMany(group => group.GetAllExpressions()));
+        }
+
+        /// <summary>
+        /// Gets the first SimilarTo or collection-only Collections expression in this set if the set uses nested logic.
+        /// Those rules are applied outside the compiled rule predicates, so they only work in flat groups.
+        /// </summary>
+        /// <returns>The offending expression, or null if there is none.</returns>
+        public Expression? FindRuleUnsupportedInNestedLogic()
+        {
+            return HasNestedLogic ? GetAllExpressions().FirstOrDefault(IsHandledOutsideRules) : null;
+        }
+
+        /// <summary>
+        /// Gets a value indicating whether an expression is applied separately from the compiled rules
+        /// (SimilarTo, or Collections with IncludeCollectionOnly).
+        /// </summary>
+        /// <param name="expression">The expression to check.</param>
+        /// <returns>True if the expression isn't compiled into a rule predicate.</returns>
+        public static bool IsHandledOutsideRules(Expression expression)
+        {
+            return expression?.MemberName == "SimilarTo" || (expression?.MemberName == "Collections" && expression.IncludeCollectionOnly == true);
+        }
     }
 }
-
@@ -0,0 +1,137 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// The distinct values of one rule field across the library, with the number of items having each value.
+    /// Backs the value suggestions of tag-based rule inputs.
+    /// </summary>
+    public sealed class FieldValueIndex
+    {
+        private readonly List<FieldValueCount> _values;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="FieldValueIndex"/> class from precomputed counts.
+        /// Values differing only in case are merged.
+        /// </summary>
+        /// <param name="counts">The values and their item counts.</param>
+        public FieldValueIndex(IEnumerable<FieldValueCount> counts)
+        {
+            ArgumentNullException.ThrowIfNull(counts);
+
+            // Keep the casing of the first occurrence, like the library does for genres and tags
+            var merged = new Dictionary<string, FieldValueCount>(StringComparer.OrdinalIgnoreCase);
+            foreach (var count in counts)
+            {
+                var value = count?.Value?.Trim();
+                if (string.IsNullOrEmpty(value))
+                {
+                    continue;
+                }
+
+                if (merged.TryGetValue(value, out var existing))
+                {
+                    existing.Count += count!.Count;
+                }
+                else
+                {
+                    merged[value] = new FieldValueCount { Value = value, Count = count!.Count };
+                }
+            }
+
+            _values = [.. merged.Values
+                .OrderByDescending(v => v.Count)
+                .ThenBy(v => v.Value, StringComparer.OrdinalIgnoreCase)];
+        }
+
+        /// <summary>
+        /// Builds an index from the field values of each item. A value is counted once per item, ignoring case.
+        /// </summary>
+        /// <param name="itemValues">The field values of each item.</param>
+        /// <returns>The index.</returns>
+        public static FieldValueIndex FromItemValues(IEnumerable<IEnumerable<string>> itemValues)
+        {
+            ArgumentNullException.ThrowIfNull(itemValues);
+
+            return new FieldValueIndex(itemValues
+                .SelectMany(values => (values ?? [])
+                    .Select(v => v?.Trim() ?? string.Empty)
+                    .Where(v => v.Length > 0)
+                    .Distinct(StringComparer.OrdinalIgnoreCase))
+                .Select(v => new FieldValueCount { Value = v, Count = 1 }));
+        }
+
+        /// <summary>
+        /// Number of distinct values.
+        /// </summary>
+        public int Count => _values.Count;
+
+        /// <summary>
+        /// Returns one page of values containing <paramref name="search"/>.
+        /// Values starting with the search text come first, then the most used values.
+        /// </summary>
+        /// <param name="search">Text to look for, ignoring case. Empty returns all values.</param>
+        /// <param name="startIndex">Index of the first value to return.</param>
+        /// <param name="limit">Maximum number of values to return.</param>
+        /// <returns>The page of values and the total number of matching values.</returns>
+        public FieldValuePage Search(string? search, int startIndex, int limit)
+        {
+            IEnumerable<FieldValueCount> matches = _values;
+            var term = search?.Trim();
+            if (!string.IsNullOrEmpty(term))
+            {
+                matches = _values
+                    .Where(v => v.Value.Contains(term, StringComparison.OrdinalIgnoreCase))
+                    .OrderBy(v => v.Value.StartsWith(term, StringComparison.OrdinalIgnoreCase) ? 0 : 1);
+            }
+
+            var matchList = matches.ToList();
+            return new FieldValuePage
+            {
+                TotalRecordCount = matchList.Count,
+                Items = [.. matchList.Skip(Math.Max(0, startIndex)).Take(Math.Max(0, limit))],
+            };
+        }
+
+        /// <summary>
+        /// Returns the values that would not match any item.
+        /// Uses the same partial, case-insensitive matching as the IsIn operator.
+        /// </summary>
+        /// <param name="values">Rule values to check.</param>
+        /// <returns>The values no library value contains, in their original order.</returns>
+        public List<string> FindUnmatched(IEnumerable<string> values)
+        {
+            ArgumentNullException.ThrowIfNull(values);
+
+            return [.. values
+                .Select(v => v?.Trim() ?? string.Empty)
+                .Where(v => v.Length > 0)
+                .Where(v => !_values.Any(known => known.Value.Contains(v, StringComparison.OrdinalIgnoreCase)))
+                .Distinct(StringComparer.OrdinalIgnoreCase)];
+        }
+    }
+
+    /// <summary>
+    /// A library value and the number of items having it.
+    /// </summary>
+    public class FieldValueCount
+    {
+        public string Value { get; set; } = string.Empty;
+        public int Count { get; set; }
+    }
+
+    /// <summary>
+    /// One page of <see cref="FieldValueIndex.Search"/> results.
+    /// </summary>
+    public class FieldValuePage
+    {
+        public List<FieldValueCount> Items { get; set; } = [];
+
+        /// <summary>
+        /// Number of matching values across all pages.
+        /// </summary>
+        public int TotalRecordCount { get; set; }
+    }
+}
@@ -17,6 +17,13 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         // New multiple sort options format
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public List<SortOption>? SortOptions { get; set; }
+
+        // Spacing after sorting: keeps the same Artist, AlbumName or SeriesName at least SpacingDistance items apart
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? SpacingField { get; set; }
+
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? SpacingDistance { get; set; }
     }
 }
 
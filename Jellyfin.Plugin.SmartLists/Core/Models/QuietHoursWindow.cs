@@ -0,0 +1,76 @@
+using System;
+using System.Globalization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A daily window of server local time during which background refreshes are held back.
+    /// The window may cross midnight (e.g. 18:00-02:00). A window whose start equals its end is empty.
+    /// </summary>
+    public sealed class QuietHoursWindow
+    {
+        public QuietHoursWindow(TimeSpan start, TimeSpan end)
+        {
+            Start = Normalize(start);
+            End = Normalize(end);
+        }
+
+        /// <summary>
+        /// Gets the time of day the window opens.
+        /// </summary>
+        public TimeSpan Start { get; }
+
+        /// <summary>
+        /// Gets the time of day the window closes.
+        /// </summary>
+        public TimeSpan End { get; }
+
+        /// <summary>
+        /// Gets whether the window never applies (start and end are the same).
+        /// </summary>
+        public bool IsEmpty => Start == End;
+
+        /// <summary>
+        /// Checks whether the given local time falls inside the window.
+        /// </summary>
+        public bool Contains(DateTime localTime) => GetEnd(localTime).HasValue;
+
+        /// <summary>
+        /// Gets when the window containing the given local time closes, or null when the time is outside the window.
+        /// </summary>
+        public DateTime? GetEnd(DateTime localTime)
+        {
+            if (IsEmpty)
+            {
+                return null;
+            }
+
+            var timeOfDay = localTime.TimeOfDay;
+            var today = localTime.Date;
+
+            if (Start < End)
+            {
+                return timeOfDay >= Start && timeOfDay < End ? today + End : null;
+            }
+
+            // Crosses midnight: either the evening part (closes tomorrow) or the morning part (closes today)
+            if (timeOfDay >= Start)
+            {
+                return today.AddDays(1) + End;
+            }
+
+            return timeOfDay < End ? today + End : null;
+        }
+
+        public override string ToString()
+        {
+            return Start.ToString(@"hh\:mm", CultureInfo.InvariantCulture) + "-" + End.ToString(@"hh\:mm", CultureInfo.InvariantCulture);
+        }
+
+        private static TimeSpan Normalize(TimeSpan time)
+        {
+            var ticks = time.Ticks % TimeSpan.TicksPerDay;
+            return TimeSpan.FromTicks(ticks < 0 ? ticks + TimeSpan.TicksPerDay : ticks);
+        }
+    }
+}
@@ -0,0 +1,110 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// A named logic group that can be inserted into any list's rules, such as "Exclude Christmas content".
+    /// Lists can insert a copy, or link the group so it follows every later change to the snippet.
+    /// </summary>
+    public class RuleSnippet
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+
+        /// <summary>
+        /// The rules of the snippet. Inserted into a list as a subgroup, so its AND/OR and NOT settings are kept.
+        /// </summary>
+        public ExpressionSet Group { get; set; } = new();
+
+        public DateTime DateCreated { get; set; }
+        public DateTime DateModified { get; set; }
+
+        /// <summary>
+        /// Replaces the rules of every group in <paramref name="expressionSets"/> that is linked to this snippet.
+        /// </summary>
+        /// <param name="expressionSets">A list's expression sets.</param>
+        /// <returns>True if any group was updated.</returns>
+        public bool ApplyTo(IEnumerable<ExpressionSet>? expressionSets)
+        {
+            var changed = false;
+            foreach (var group in GetAllGroups(expressionSets).Where(g => string.Equals(g.SnippetId, Id, StringComparison.OrdinalIgnoreCase)))
+            {
+                // Work on a copy so lists never share (and later mutate) the snippet's instances
+                var copy = JsonSerializer.Deserialize<ExpressionSet>(JsonSerializer.Serialize(Group)) ?? new ExpressionSet();
+                group.Expressions?.Clear();
+                group.Expressions?.AddRange(copy.Expressions ?? []);
+                group.Groups = copy.Groups;
+                group.Logic = copy.Logic;
+                group.Negate = copy.Negate;
+                group.SnippetId = Id;
+                changed = true;
+            }
+
+            return changed;
+        }
+
+        /// <summary>
+        /// Unlinks every group linked to <paramref name="snippetId"/>. The groups keep their current rules.
+        /// </summary>
+        /// <param name="expressionSets">A list's expression sets.</param>
+        /// <param name="snippetId">The snippet ID.</param>
+        /// <returns>True if any group was unlinked.</returns>
+        public static bool Unlink(IEnumerable<ExpressionSet>? expressionSets, string snippetId)
+        {
+            var changed = false;
+            foreach (var group in GetAllGroups(expressionSets).Where(g => string.Equals(g.SnippetId, snippetId, StringComparison.OrdinalIgnoreCase)))
+            {
+                group.SnippetId = null;
+                changed = true;
+            }
+
+            return changed;
+        }
+
+        /// <summary>
+        /// Gets the IDs of all snippets linked from the given expression sets.
+        /// </summary>
+        /// <param name="expressionSets">A list's expression sets.</param>
+        /// <returns>The linked snippet IDs.</returns>
+        public static HashSet<string> GetLinkedSnippetIds(IEnumerable<ExpressionSet>? expressionSets)
+        {
+            return GetAllGroups(expressionSets)
+                .Where(g => !string.IsNullOrEmpty(g.SnippetId))
+                .Select(g => g.SnippetId!)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Clears links inside the snippet's own rules, so snippets never link to other snippets.
+        /// </summary>
+        public void ClearNestedLinks()
+        {
+            foreach (var group in GetAllGroups([Group]))
+            {
+                group.SnippetId = null;
+            }
+        }
+
+        // All groups and nested groups, depth-first. Materialized so callers can modify the groups.
+        private static List<ExpressionSet> GetAllGroups(IEnumerable<ExpressionSet>? expressionSets)
+        {
+            var result = new List<ExpressionSet>();
+            var pending = new Stack<ExpressionSet>((expressionSets ?? []).Where(set => set != null).Reverse());
+            while (pending.Count > 0)
+            {
+                var group = pending.Pop();
+                result.Add(group);
+                foreach (var child in (group.Groups ?? []).Where(g => g != null).Reverse())
+                {
+                    pending.Push(child);
+                }
+            }
+
+            return result;
+        }
+    }
+}
@@ -12,7 +12,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
     public class Schedule
     {
         /// <summary>
-        /// The type of schedule trigger (Daily, Weekly, Monthly, Yearly, Interval)
+        /// The type of schedule trigger (Daily, Weekly, Monthly, Yearly, Interval, Cron)
         /// </summary>
         public ScheduleTrigger Trigger { get; set; }
 
@@ -47,6 +47,19 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         /// </summary>
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public TimeSpan? Interval { get; set; }
+
+        /// <summary>
+        /// Cron expression for Cron schedules (e.g., "30 5,17 * * 1-5"), evaluated in server local time
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? CronExpression { get; set; }
+
+        /// <summary>
+        /// Only refresh when relevant library or user data changed since the list's last successful refresh.
+        /// Runs without changes are skipped and recorded in the status history.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+        public bool OnlyIfChanged { get; set; }
     }
 }
 
@@ -68,6 +68,15 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
         public int? MaxItems { get; set; } // Nullable to support backwards compatibility
         public int? MaxPlayTimeMinutes { get; set; } // Nullable to support backwards compatibility
 
+        // Scoring mode: every rule adds its weight to an item's score instead of acting as a filter
+        public bool ScoringMode { get; set; } // Default to boolean rules for backward compatibility
+
+        /// <summary>
+        /// Minimum score an item needs in scoring mode. When null, any score above zero is enough.
+        /// </summary>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public double? MinScore { get; set; }
+
         // Auto-refresh
         public AutoRefreshMode AutoRefresh { get; set; } = AutoRefreshMode.Never; // Default to never for backward compatibility
 
@@ -0,0 +1,105 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Explains why a single item is or is not part of a smart list.
+    /// </summary>
+    public class SmartListExplanation
+    {
+        public string ItemId { get; set; } = string.Empty;
+        public string ItemName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Whether the item matched the rules (before sorting and limits).
+        /// </summary>
+        public bool MatchesRules { get; set; }
+
+        /// <summary>
+        /// Whether the item ends up in the list.
+        /// </summary>
+        public bool InList { get; set; }
+
+        /// <summary>
+        /// 1-based position of the item in the list, when it is in the list.
+        /// </summary>
+        public int? Position { get; set; }
+
+        /// <summary>
+        /// What kept the item out of the list: MediaType, Rules, MaxItems, MaxPlayTime or Ignored. Null when it is in the list.
+        /// </summary>
+        public string? ExcludedBy { get; set; }
+
+        public string? Message { get; set; }
+
+        public int MatchCount { get; set; }
+        public int ItemCount { get; set; }
+        public int MaxItems { get; set; }
+        public int MaxPlayTimeMinutes { get; set; }
+
+        /// <summary>
+        /// Whether the list uses scoring mode, where the item's score rather than the rule logic decides.
+        /// </summary>
+        public bool ScoringMode { get; set; }
+
+        /// <summary>
+        /// The item's total rule score in scoring mode, when it was scored.
+        /// </summary>
+        public double? Score { get; set; }
+
+        public double? MinScore { get; set; }
+
+        /// <summary>
+        /// Per-group evaluation of the rules against the item, in the same order as the list's ExpressionSets.
+        /// </summary>
+        public List<ExpressionSetExplanation> Sets { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Evaluation of one logic group of rules against an item.
+    /// </summary>
+    public class ExpressionSetExplanation
+    {
+        public bool Passed { get; set; }
+        public string Logic { get; set; } = "And";
+        public bool Negate { get; set; }
+        public List<ExpressionExplanation> Expressions { get; set; } = [];
+        public List<ExpressionSetExplanation> Groups { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Evaluation of one rule against an item.
+    /// </summary>
+    public class ExpressionExplanation
+    {
+        public string MemberName { get; set; } = string.Empty;
+        public string Operator { get; set; } = string.Empty;
+        public string TargetValue { get; set; } = string.Empty;
+        public string? UserId { get; set; }
+        public string? CompareField { get; set; }
+        public string? CompareUserId { get; set; }
+
+        /// <summary>
+        /// Points the rule adds to the item's score in scoring mode. Null when the list does not use scoring.
+        /// </summary>
+        public double? Weight { get; set; }
+
+        /// <summary>
+        /// Whether the rule passed. Null for rules that are evaluated for the whole list rather than per item
+        /// (SimilarTo and collection-only Collections rules).
+        /// </summary>
+        public bool? Passed { get; set; }
+
+        /// <summary>
+        /// The item's value for the rule's field, formatted for display.
+        /// </summary>
+        public string? ActualValue { get; set; }
+
+        /// <summary>
+        /// The item's value for the compared field of a field-to-field rule, formatted for display.
+        /// </summary>
+        public string? CompareValue { get; set; }
+
+        public string? Note { get; set; }
+    }
+}
@@ -0,0 +1,65 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Models
+{
+    /// <summary>
+    /// Result of a dry-run evaluation of an unsaved smart list.
+    /// Nothing is created or modified when producing this result.
+    /// </summary>
+    public class SmartListPreviewResult
+    {
+        /// <summary>
+        /// Whether the list could be evaluated. When false, <see cref="Message"/> explains why.
+        /// </summary>
+        public bool Success { get; set; }
+
+        public string? Message { get; set; }
+
+        /// <summary>
+        /// Number of items of the selected media types that were evaluated.
+        /// </summary>
+        public int CandidateCount { get; set; }
+
+        /// <summary>
+        /// Number of items matching the rules, before MaxItems / MaxPlayTime limits.
+        /// </summary>
+        public int MatchCount { get; set; }
+
+        /// <summary>
+        /// Number of items the list would contain, after sorting and limits.
+        /// </summary>
+        public int ItemCount { get; set; }
+
+        /// <summary>
+        /// The first items of the list, in list order.
+        /// </summary>
+        public List<SmartListPreviewItem> Items { get; set; } = [];
+
+        /// <summary>
+        /// The name of each sort level, matching <see cref="SmartListPreviewItem.SortKeys"/>.
+        /// </summary>
+        public List<string> SortNames { get; set; } = [];
+
+        public long ElapsedMilliseconds { get; set; }
+    }
+
+    /// <summary>
+    /// A single item in a <see cref="SmartListPreviewResult"/>.
+    /// </summary>
+    public class SmartListPreviewItem
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string? Type { get; set; }
+        public int? ProductionYear { get; set; }
+        public string? Artist { get; set; }
+        public string? Album { get; set; }
+        public string? SeriesName { get; set; }
+        public long? RuntimeTicks { get; set; }
+
+        /// <summary>
+        /// The item's value for each sort level, formatted for display.
+        /// </summary>
+        public List<string> SortKeys { get; set; } = [];
+    }
+}
@@ -1,3 +1,4 @@
+using System.Text.Json.Serialization;
 using Jellyfin.Plugin.SmartLists.Core.Enums;
 
 namespace Jellyfin.Plugin.SmartLists.Core.Models
@@ -9,6 +10,18 @@ namespace Jellyfin.Plugin.SmartLists.Core.Models
     {
         public required string SortBy { get; set; }      // e.g., "Name", "ProductionYear", "SeasonNumber"
         public required SortOrder SortOrder { get; set; }   // Ascending or Descending
+
+        // Smart shuffle (WeightedRandom) only: the field that makes items more likely to come first
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? BiasField { get; set; }
+
+        // Smart shuffle (WeightedRandom) only: how strongly BiasField is favored, 0 (plain shuffle) to 10
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public double? BiasStrength { get; set; }
+
+        // Field sorts (see FieldOrder) on user-specific fields only: whose data is read; null means the list owner
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? UserId { get; set; }
     }
 }
 
@@ -38,6 +38,11 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             _comparer4 = comparer4 ?? Comparer<T4>.Default;
         }
 
+        public T1 Item1 => _item1;
+        public T2 Item2 => _item2;
+        public T3 Item3 => _item3;
+        public T4 Item4 => _item4;
+
         public int CompareTo(object? obj)
         {
             if (obj is null) return 1;
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Linq;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Core;
@@ -55,6 +56,16 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
                 "", // Fourth element not used, but ComparableTuple4 requires 4 elements
                 comparer3: OrderUtilities.SharedNaturalComparer);
         }
+
+        public override string FormatSortKey(IComparable key) => FormatKey(key);
+
+        // "E2 · S1"
+        internal static string FormatKey(IComparable key)
+        {
+            return key is ComparableTuple4<int, int, string, string> tuple
+                ? string.Format(CultureInfo.InvariantCulture, "E{0} · S{1}", tuple.Item1, tuple.Item2)
+                : key?.ToString() ?? string.Empty;
+        }
     }
 
     public class EpisodeNumberOrderDesc : Order
@@ -105,5 +116,7 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
                 "", // Fourth element not used, but ComparableTuple4 requires 4 elements
                 comparer3: OrderUtilities.SharedNaturalComparer);
         }
+
+        public override string FormatSortKey(IComparable key) => EpisodeNumberOrder.FormatKey(key);
     }
 }
@@ -0,0 +1,189 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Orders
+{
+    /// <summary>
+    /// Orders by any numeric or date field that rules can compare (see <see cref="FieldComparison.ComparableFields"/>),
+    /// e.g. audio bitrate, critic rating or another user's play count. Items without a value always sort last.
+    /// </summary>
+    public class FieldOrder : Order
+    {
+        // Fields that already have a dedicated sort option
+        private static readonly HashSet<string> BuiltInFields = new(StringComparer.Ordinal)
+        {
+            "ProductionYear", "CommunityRating", "RuntimeMinutes", "DateCreated", "ReleaseDate",
+        };
+
+        private static readonly HashSet<string> AudioQualityFields = new(StringComparer.Ordinal)
+        {
+            "AudioBitrate", "AudioSampleRate", "AudioBitDepth", "AudioChannels",
+        };
+
+        /// <summary>
+        /// Gets the fields that can be sorted by with a field order, in the order they are listed.
+        /// </summary>
+        public static IReadOnlyList<string> SortableFields { get; } = [.. FieldComparison.ComparableFields
+            .Where(field => field.Value != FieldComparison.TextKind && !BuiltInFields.Contains(field.Key))
+            .Select(field => field.Key)];
+
+        public FieldOrder(string field, bool descending, string? userId = null)
+        {
+            ArgumentException.ThrowIfNullOrEmpty(field);
+
+            Field = field;
+            Descending = descending;
+            UserId = string.IsNullOrEmpty(userId) ? null : userId;
+        }
+
+        public override string Name => $"{Field} {(Descending ? "Descending" : "Ascending")}";
+
+        public string Field { get; }
+
+        public bool Descending { get; }
+
+        /// <summary>
+        /// Gets the user whose data is read for user-specific fields such as PlayCount; null means the list owner.
+        /// </summary>
+        public string? UserId { get; }
+
+        // Populated by SmartList before sorting; items without a value sort last
+        public Dictionary<Guid, double?> Values { get; set; } = [];
+
+        /// <summary>
+        /// Gets whether the field needs the (expensive) audio quality extraction.
+        /// </summary>
+        public bool NeedsAudioQuality => AudioQualityFields.Contains(Field);
+
+        /// <summary>
+        /// Gets whether the field needs the (expensive) video quality extraction.
+        /// </summary>
+        public bool NeedsVideoQuality => Field == "Framerate";
+
+        /// <summary>
+        /// Checks whether a field can be sorted by with a field order.
+        /// </summary>
+        public static bool IsSortableField(string? field)
+        {
+            return field != null && SortableFields.Contains(field, StringComparer.Ordinal);
+        }
+
+        /// <summary>
+        /// Converts a field value to a sort key that puts missing values last in either direction.
+        /// </summary>
+        public static double ToSortKey(double? value, bool descending)
+        {
+            if (value.HasValue && !double.IsNaN(value.Value))
+            {
+                return value.Value;
+            }
+
+            return descending ? double.NegativeInfinity : double.PositiveInfinity;
+        }
+
+        public override IEnumerable<BaseItem> OrderBy(IEnumerable<BaseItem> items)
+        {
+            if (items == null) return [];
+
+            var orderedItems = Descending
+                ? items.OrderByDescending(GetKey)
+                : items.OrderBy(GetKey);
+
+            return orderedItems.ThenBy(item => item.Name ?? "", OrderUtilities.SharedNaturalComparer);
+        }
+
+        public override IEnumerable<BaseItem> OrderBy(
+            IEnumerable<BaseItem> items,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            // Values are read before sorting, so user context and cache are not needed here
+            return OrderBy(items);
+        }
+
+        public override IComparable GetSortKey(
+            BaseItem item,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            Dictionary<Guid, int>? itemRandomKeys = null,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            return GetKey(item);
+        }
+
+        public override string FormatSortKey(IComparable key)
+        {
+            if (key is not double value || double.IsInfinity(value))
+            {
+                return "none";
+            }
+
+            if (FieldComparison.GetKind(Field) == FieldComparison.DateKind)
+            {
+                var date = DateTimeOffset.FromUnixTimeSeconds((long)value).UtcDateTime;
+                var format = Field == "LastPlayedDate" ? "yyyy-MM-dd HH:mm" : "yyyy-MM-dd";
+                return date.ToString(format, CultureInfo.InvariantCulture);
+            }
+
+            return value.ToString("0.##", CultureInfo.InvariantCulture);
+        }
+
+        /// <summary>
+        /// Reads the field for the items that are about to be sorted. Called before sorting, because the
+        /// values come from the same operands the rules use, which need the library and user managers.
+        /// </summary>
+        internal void PrepareValues(
+            IEnumerable<BaseItem> items,
+            ILibraryManager libraryManager,
+            User user,
+            IUserDataManager? userDataManager,
+            IUserManager userManager,
+            ILogger? logger,
+            RefreshQueueService.RefreshCache refreshCache)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+            ArgumentNullException.ThrowIfNull(user);
+
+            var userId = UserId != null && Guid.TryParse(UserId, out var guid) ? guid.ToString("N") : user.Id.ToString("N");
+            var options = new MediaTypeExtractionOptions
+            {
+                ExtractAudioQuality = NeedsAudioQuality,
+                ExtractVideoQuality = NeedsVideoQuality,
+                AdditionalUserIds = userId == user.Id.ToString("N") ? [] : [userId],
+            };
+
+            var values = new Dictionary<Guid, double?>();
+            foreach (var item in items)
+            {
+                try
+                {
+                    var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, userManager, logger, options, refreshCache);
+                    values[item.Id] = FieldComparison.GetNumber(operand, Field, userId);
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogDebug(ex, "Could not read {Field} for sorting item {ItemId}", Field, item.Id);
+                    values[item.Id] = null;
+                }
+            }
+
+            Values = values;
+        }
+
+        private double GetKey(BaseItem item)
+        {
+            return ToSortKey(Values.TryGetValue(item.Id, out var value) ? value : null, Descending);
+        }
+    }
+}
@@ -0,0 +1,150 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Orders
+{
+    /// <summary>
+    /// Spacing: reorders sorted items so the same artist, album or series does not come back within
+    /// a number of positions of itself, while keeping the sorted order as closely as possible.
+    /// </summary>
+    public static class ItemSpacing
+    {
+        public const int MaxDistance = 50;
+
+        // Spacing field -> the value items are spaced by (empty means the item is never held back)
+        private static readonly Dictionary<string, Func<BaseItem, string?>> SpacingFields = new(StringComparer.OrdinalIgnoreCase)
+        {
+            { "Artist", GetArtist },
+            { "AlbumName", item => item.Album },
+            { "SeriesName", item => item is Episode episode && episode.SeriesId != Guid.Empty ? episode.SeriesId.ToString("N") : null },
+        };
+
+        /// <summary>
+        /// Checks whether a spacing field is supported.
+        /// </summary>
+        public static bool IsSupportedField(string? field)
+        {
+            return field != null && SpacingFields.ContainsKey(field);
+        }
+
+        /// <summary>
+        /// Spaces sorted library items by a field. Returns the items unchanged when the field is not supported
+        /// or the distance is less than 1.
+        /// </summary>
+        public static List<BaseItem> Apply(IEnumerable<BaseItem> items, string? field, int distance)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+
+            var list = items.ToList();
+            if (field == null || !SpacingFields.TryGetValue(field, out var getKey))
+            {
+                return list;
+            }
+
+            return Apply(list, getKey, distance);
+        }
+
+        /// <summary>
+        /// Spaces sorted items so no key is repeated within <paramref name="distance"/> positions (at least that many
+        /// other items in between). At each position the earliest remaining item that is allowed is placed next.
+        /// When every remaining item is held back, the earliest one is placed anyway, so all items are kept.
+        /// </summary>
+        /// <param name="items">The items in sorted order.</param>
+        /// <param name="getKey">Gets the value to space by; items with an empty value are never held back.</param>
+        /// <param name="distance">The minimum number of other items between repeats, clamped to <see cref="MaxDistance"/>.</param>
+        public static List<T> Apply<T>(IReadOnlyList<T> items, Func<T, string?> getKey, int distance)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+            ArgumentNullException.ThrowIfNull(getKey);
+
+            distance = Math.Min(distance, MaxDistance);
+            if (distance < 1 || items.Count < 2)
+            {
+                return [.. items];
+            }
+
+            // Remaining items of each key in sorted order; the head of each queue (and every item without
+            // a key) is a candidate, so at most distance + 1 candidates are checked per position
+            var keys = new string?[items.Count];
+            var queues = new Dictionary<string, Queue<int>>(StringComparer.OrdinalIgnoreCase);
+            var candidates = new SortedSet<int>();
+            for (int i = 0; i < items.Count; i++)
+            {
+                var key = getKey(items[i]);
+                keys[i] = string.IsNullOrWhiteSpace(key) ? null : key.Trim();
+                if (keys[i] == null)
+                {
+                    candidates.Add(i);
+                }
+                else if (queues.TryGetValue(keys[i]!, out var queue))
+                {
+                    queue.Enqueue(i);
+                }
+                else
+                {
+                    queue = new Queue<int>();
+                    queue.Enqueue(i);
+                    queues[keys[i]!] = queue;
+                    candidates.Add(i);
+                }
+            }
+
+            var result = new List<T>(items.Count);
+            var recent = new Queue<string?>();
+            var recentCounts = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+            while (candidates.Count > 0)
+            {
+                var next = candidates.Min;
+                foreach (var candidate in candidates)
+                {
+                    if (keys[candidate] == null || !recentCounts.ContainsKey(keys[candidate]!))
+                    {
+                        next = candidate;
+                        break;
+                    }
+                }
+
+                candidates.Remove(next);
+                result.Add(items[next]);
+
+                var nextKey = keys[next];
+                if (nextKey != null)
+                {
+                    var queue = queues[nextKey];
+                    queue.Dequeue();
+                    if (queue.Count > 0)
+                    {
+                        candidates.Add(queue.Peek());
+                    }
+
+                    recentCounts[nextKey] = recentCounts.GetValueOrDefault(nextKey) + 1;
+                }
+
+                recent.Enqueue(nextKey);
+                if (recent.Count > distance)
+                {
+                    var oldKey = recent.Dequeue();
+                    if (oldKey != null && --recentCounts[oldKey] == 0)
+                    {
+                        recentCounts.Remove(oldKey);
+                    }
+                }
+            }
+
+            return result;
+        }
+
+        private static string? GetArtist(BaseItem item)
+        {
+            return item switch
+            {
+                MediaBrowser.Controller.Entities.Audio.Audio audio => audio.Artists?.FirstOrDefault(),
+                MusicVideo musicVideo => musicVideo.Artists?.FirstOrDefault(),
+                _ => null,
+            };
+        }
+    }
+}
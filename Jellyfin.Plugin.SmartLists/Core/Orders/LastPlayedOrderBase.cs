@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Linq;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
@@ -104,6 +105,13 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             }
         }
 
+        public override string FormatSortKey(IComparable key)
+        {
+            return key is long ticks && ticks > DateTime.MinValue.Ticks
+                ? new DateTime(ticks).ToString("yyyy-MM-dd HH:mm", CultureInfo.InvariantCulture)
+                : "never";
+        }
+
         /// <summary>
         /// Extracts LastPlayedDate from user data, handling both DateTime and Nullable&lt;DateTime&gt;
         /// </summary>
@@ -1,8 +1,12 @@
+using System;
+
 namespace Jellyfin.Plugin.SmartLists.Core.Orders
 {
     public class NoOrder : Order
     {
         public override string Name => "NoOrder";
+
+        public override string FormatSortKey(IComparable key) => string.Empty;
     }
 }
 
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using MediaBrowser.Controller.Entities;
@@ -38,6 +39,22 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             // Default implementation returns name as fallback
             return item.Name ?? "";
         }
+
+        /// <summary>
+        /// Formats a sort key from <see cref="GetSortKey"/> for display, e.g. in the editor's sort preview.
+        /// </summary>
+        public virtual string FormatSortKey(IComparable key)
+        {
+            return key switch
+            {
+                null => string.Empty,
+                DateTime date => date == DateTime.MinValue ? "none" : date.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                double number => number.ToString("0.##", CultureInfo.InvariantCulture),
+                float number => number.ToString("0.##", CultureInfo.InvariantCulture),
+                IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+                _ => key.ToString() ?? string.Empty,
+            };
+        }
     }
 }
 
@@ -65,6 +65,9 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             // Fallback to hash if not pre-generated (shouldn't happen in multi-sort, but needed for single-sort)
             return item.Id.GetHashCode();
         }
+
+        // Random keys mean nothing to a reader
+        public override string FormatSortKey(IComparable key) => "random";
     }
 }
 
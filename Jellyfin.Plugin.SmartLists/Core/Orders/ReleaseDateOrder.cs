@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Linq;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Core;
@@ -53,6 +54,24 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             var episodeNumber = OrderUtilities.IsEpisode(item) ? OrderUtilities.GetEpisodeNumber(item) : 0;
             return new ComparableTuple4<long, int, int, int>(releaseDate, isEpisode, seasonNumber, episodeNumber);
         }
+
+        public override string FormatSortKey(IComparable key) => FormatKey(key);
+
+        // "2021-03-04", or "2021-03-04 · S01E02" for episodes
+        internal static string FormatKey(IComparable key)
+        {
+            if (key is not ComparableTuple4<long, int, int, int> tuple)
+            {
+                return key?.ToString() ?? string.Empty;
+            }
+
+            var date = tuple.Item1 > DateTime.MinValue.Ticks
+                ? new DateTime(tuple.Item1).ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)
+                : "none";
+            return tuple.Item3 > 0 || tuple.Item4 > 0
+                ? string.Format(CultureInfo.InvariantCulture, "{0} · S{1:00}E{2:00}", date, tuple.Item3, tuple.Item4)
+                : date;
+        }
     }
 
     public class ReleaseDateOrderDesc : Order
@@ -99,6 +118,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             var episodeNumber = OrderUtilities.IsEpisode(item) ? OrderUtilities.GetEpisodeNumber(item) : 0;
             return new ComparableTuple4<long, int, int, int>(releaseDate, isEpisode, seasonNumber, episodeNumber);
         }
+
+        public override string FormatSortKey(IComparable key) => ReleaseDateOrder.FormatKey(key);
     }
 }
 
@@ -1,4 +1,5 @@
 using System;
+using System.Globalization;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using MediaBrowser.Controller.Entities;
@@ -18,6 +19,22 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             // Runtime is in ticks
             return item.RunTimeTicks ?? 0L;
         }
+
+        public override string FormatSortKey(IComparable key) => FormatKey(key);
+
+        // Runtime ticks as "1:42:05" or "3:27"
+        internal static string FormatKey(IComparable key)
+        {
+            if (key is not long ticks)
+            {
+                return key?.ToString() ?? string.Empty;
+            }
+
+            var runtime = TimeSpan.FromTicks(ticks);
+            return runtime.TotalHours >= 1
+                ? string.Format(CultureInfo.InvariantCulture, "{0}:{1:mm\\:ss}", (int)runtime.TotalHours, runtime)
+                : runtime.ToString("m\\:ss", CultureInfo.InvariantCulture);
+        }
     }
 
     public class RuntimeOrderDesc : PropertyOrder<long>
@@ -31,6 +48,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
             // Runtime is in ticks
             return item.RunTimeTicks ?? 0L;
         }
+
+        public override string FormatSortKey(IComparable key) => RuntimeOrder.FormatKey(key);
     }
 }
 
@@ -0,0 +1,79 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Orders
+{
+    /// <summary>
+    /// Base class for ordering by rule score in scoring mode
+    /// </summary>
+    public abstract class ScoreOrderBase : Order
+    {
+        protected abstract bool IsDescending { get; }
+
+        // Populated by SmartList before sorting; items without a score sort as 0
+        public ConcurrentDictionary<Guid, double> Scores { get; set; } = new();
+
+        public override IEnumerable<BaseItem> OrderBy(IEnumerable<BaseItem> items)
+        {
+            if (items == null) return [];
+            if (Scores.Count == 0)
+            {
+                // No scores available (list is not in scoring mode), return items unsorted
+                return items;
+            }
+
+            // Sort by score, then by name for deterministic ordering when scores are equal
+            var orderedItems = IsDescending
+                ? items.OrderByDescending(item => Scores.TryGetValue(item.Id, out var score) ? score : 0)
+                : items.OrderBy(item => Scores.TryGetValue(item.Id, out var score) ? score : 0);
+
+            return orderedItems.ThenBy(item => item.Name ?? "", OrderUtilities.SharedNaturalComparer);
+        }
+
+        public override IEnumerable<BaseItem> OrderBy(
+            IEnumerable<BaseItem> items,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            // Score ordering only depends on pre-computed scores, so user context and cache are not needed
+            return OrderBy(items);
+        }
+
+        public override IComparable GetSortKey(
+            BaseItem item,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            Dictionary<Guid, int>? itemRandomKeys = null,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            if (Scores.TryGetValue(item.Id, out var score))
+            {
+                return score;
+            }
+            return 0d;
+        }
+    }
+
+    public class ScoreOrder : ScoreOrderBase
+    {
+        public override string Name => "Score Descending";
+        protected override bool IsDescending => true;
+    }
+
+    public class ScoreOrderAsc : ScoreOrderBase
+    {
+        public override string Name => "Score Ascending";
+        protected override bool IsDescending => false;
+    }
+}
@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Linq;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Core;
@@ -60,6 +61,20 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
                 OrderUtilities.SharedNaturalComparer   // for name - THIS WAS MISSING
             );
         }
+
+        public override string FormatSortKey(IComparable key) => FormatKey(key);
+
+        // "Album · disc 1 · track 3"
+        internal static string FormatKey(IComparable key)
+        {
+            if (key is not ComparableTuple4<string, int, int, string> tuple)
+            {
+                return key?.ToString() ?? string.Empty;
+            }
+
+            var album = string.IsNullOrEmpty(tuple.Item1) ? "(no album)" : tuple.Item1;
+            return string.Format(CultureInfo.InvariantCulture, "{0} · disc {1} · track {2}", album, tuple.Item2, tuple.Item3);
+        }
     }
 
     public class TrackNumberOrderDesc : Order
@@ -112,6 +127,8 @@ namespace Jellyfin.Plugin.SmartLists.Core.Orders
                 OrderUtilities.SharedNaturalComparer   // for name - THIS WAS MISSING
             );
         }
+
+        public override string FormatSortKey(IComparable key) => TrackNumberOrder.FormatKey(key);
     }
 }
 
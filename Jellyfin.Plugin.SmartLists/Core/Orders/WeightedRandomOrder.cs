@@ -0,0 +1,194 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Core.Orders
+{
+    /// <summary>
+    /// Smart shuffle: a random order that favors items by a chosen field, e.g. higher rated,
+    /// not played for a long time, or recently added. Every item can still come first, but
+    /// favored items are more likely to end up near the top.
+    /// </summary>
+    public class WeightedRandomOrder : Order
+    {
+        public const string DefaultBiasField = "CommunityRating";
+        public const double DefaultBiasStrength = 3;
+        public const double MaxBiasStrength = 10;
+
+        // Bias field -> order that reads the field, and whether a higher value is favored
+        private static readonly Dictionary<string, (Func<Order> Order, bool HigherIsFavored)> BiasFields = new(StringComparer.OrdinalIgnoreCase)
+        {
+            { "CommunityRating", (() => new CommunityRatingOrder(), true) },
+            { "DateCreated", (() => new DateCreatedOrder(), true) },
+            { "LastPlayed", (() => new LastPlayedOrder(), false) },
+            { "PlayCount", (() => new PlayCountOrder(), false) },
+        };
+
+        private Dictionary<Guid, double> _keys = [];
+
+        public override string Name => "WeightedRandom";
+
+        /// <summary>
+        /// Gets or sets the field that makes items more likely to come first.
+        /// </summary>
+        public string BiasField { get; set; } = DefaultBiasField;
+
+        /// <summary>
+        /// Gets or sets how strongly the field is favored. 0 is a plain shuffle; at strength s the
+        /// most favored item is 2^s times as likely to be picked next as the least favored one.
+        /// </summary>
+        public double BiasStrength { get; set; } = DefaultBiasStrength;
+
+        /// <summary>
+        /// Checks whether a bias field is supported.
+        /// </summary>
+        public static bool IsSupportedBiasField(string? field)
+        {
+            return field != null && BiasFields.ContainsKey(field);
+        }
+
+        public override IEnumerable<BaseItem> OrderBy(
+            IEnumerable<BaseItem> items,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            if (items == null) return [];
+
+            var list = items.ToList();
+            PrepareKeys(list, user, userDataManager, logger, refreshCache);
+            return list.OrderByDescending(item => _keys[item.Id]);
+        }
+
+        public override IComparable GetSortKey(
+            BaseItem item,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            Dictionary<Guid, int>? itemRandomKeys = null,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            // Keys are prepared for the whole list before multi-sort asks for them; items without one sort last
+            return _keys.TryGetValue(item.Id, out var key) ? key : double.NegativeInfinity;
+        }
+
+        // Shuffle keys mean nothing to a reader
+        public override string FormatSortKey(IComparable key) => "random";
+
+        /// <summary>
+        /// Draws the shuffle keys for a sort operation. Called before sorting, because an item's chance
+        /// depends on where its field value ranks among all the items.
+        /// </summary>
+        public void PrepareKeys(
+            IReadOnlyList<BaseItem> items,
+            User user,
+            IUserDataManager? userDataManager,
+            ILogger? logger,
+            RefreshQueueService.RefreshCache? refreshCache = null)
+        {
+            ArgumentNullException.ThrowIfNull(items);
+
+            var bias = BiasFields.TryGetValue(BiasField ?? "", out var field) ? field : BiasFields[DefaultBiasField];
+            var biasOrder = bias.Order();
+            var values = new List<(Guid Id, double Value)>(items.Count);
+            foreach (var item in items)
+            {
+                double value;
+                try
+                {
+                    value = ToDouble(biasOrder.GetSortKey(item, user, userDataManager, logger, null, refreshCache));
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogDebug(ex, "Could not read {Field} for smart shuffle of item {ItemId}", BiasField, item.Id);
+                    value = 0;
+                }
+                values.Add((item.Id, bias.HigherIsFavored ? value : -value));
+            }
+
+            // Suppress CA5394: Random is acceptable here - we're not using it for security purposes, just for shuffling playlist items
+#pragma warning disable CA5394
+            var random = new Random((int)(DateTime.Now.Ticks & 0x7FFFFFFF));
+#pragma warning restore CA5394
+            _keys = ComputeKeys(values, BiasStrength, random);
+        }
+
+        /// <summary>
+        /// Computes shuffle keys; sorting by key descending gives the weighted shuffle. Each item's weight
+        /// is 2^(strength * rank), where rank runs from 0 for the lowest value to 1 for the highest, and the
+        /// keys are drawn so the order is a weighted random sample without replacement.
+        /// </summary>
+        /// <param name="values">The item ids with their bias values; higher values are favored.</param>
+        /// <param name="strength">The bias strength, clamped to 0..<see cref="MaxBiasStrength"/>.</param>
+        /// <param name="random">The random source.</param>
+        public static Dictionary<Guid, double> ComputeKeys(IReadOnlyList<(Guid Id, double Value)> values, double strength, Random random)
+        {
+            ArgumentNullException.ThrowIfNull(values);
+            ArgumentNullException.ThrowIfNull(random);
+
+            var clampedStrength = double.IsNaN(strength) ? DefaultBiasStrength : Math.Clamp(strength, 0, MaxBiasStrength);
+            var ranks = GetRanks(values);
+            var keys = new Dictionary<Guid, double>(values.Count);
+            foreach (var (id, _) in values)
+            {
+                var weight = Math.Pow(2, clampedStrength * ranks[id]);
+                // Suppress CA5394: Random is acceptable here - we're not using it for security purposes, just for shuffling playlist items
+#pragma warning disable CA5394
+                var u = 1 - random.NextDouble(); // (0, 1], so the log is finite
+#pragma warning restore CA5394
+                keys[id] = Math.Log(u) / weight;
+            }
+
+            return keys;
+        }
+
+        // Ranks values from 0 (lowest) to 1 (highest); equal values share the average of their positions
+        private static Dictionary<Guid, double> GetRanks(IReadOnlyList<(Guid Id, double Value)> values)
+        {
+            var ranks = new Dictionary<Guid, double>(values.Count);
+            if (values.Count == 0)
+            {
+                return ranks;
+            }
+
+            var sorted = values.OrderBy(v => v.Value).ToList();
+            var last = Math.Max(1, sorted.Count - 1);
+            int start = 0;
+            while (start < sorted.Count)
+            {
+                int end = start;
+                while (end + 1 < sorted.Count && sorted[end + 1].Value.Equals(sorted[start].Value))
+                {
+                    end++;
+                }
+
+                var rank = sorted.Count == 1 ? 1 : (start + end) / 2.0 / last;
+                for (int i = start; i <= end; i++)
+                {
+                    ranks[sorted[i].Id] = rank;
+                }
+
+                start = end + 1;
+            }
+
+            return ranks;
+        }
+
+        private static double ToDouble(IComparable key)
+        {
+            return key switch
+            {
+                DateTime dateTime => dateTime.Ticks,
+                IConvertible convertible => convertible.ToDouble(CultureInfo.InvariantCulture),
+                _ => 0,
+            };
+        }
+    }
+}
@@ -0,0 +1,175 @@
+using System;
+using System.Globalization;
+
+namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
+{
+    /// <summary>
+    /// A date rule anchored to the calendar rather than to a number of hours or days ago:
+    /// InPeriod ("current:month", "previous:month", ... for week, month, quarter and year),
+    /// OnThisDay (same day and month as today in an earlier year) and AnniversaryWithin ("7:days").
+    /// "Today" is the server's local date, evaluated each time the rule runs so cached rules never go stale.
+    /// Release dates carry no time of day and are read as calendar dates; all other dates are
+    /// converted to the server's time zone first. Weeks start on Monday.
+    /// </summary>
+    public sealed class CalendarDateRule
+    {
+        /// <summary>
+        /// Operators handled by <see cref="CalendarDateRule"/>.
+        /// </summary>
+        public static readonly string[] CalendarOperators = ["InPeriod", "OnThisDay", "AnniversaryWithin"];
+
+        // Longest anniversary window; more than half a year would match every date
+        private const int MaxAnniversaryDays = 183;
+
+        private readonly string _operator;
+        private readonly bool _isCalendarDateField;
+        private readonly TimeProvider _timeProvider;
+        private readonly bool _previous;
+        private readonly string _unit;
+        private readonly int _days;
+
+        private CalendarDateRule(string @operator, string fieldName, TimeProvider timeProvider, bool previous, string unit, int days)
+        {
+            _operator = @operator;
+            _isCalendarDateField = fieldName == "ReleaseDate";
+            _timeProvider = timeProvider;
+            _previous = previous;
+            _unit = unit;
+            _days = days;
+        }
+
+        /// <summary>
+        /// Checks whether an operator is a calendar operator.
+        /// </summary>
+        public static bool IsCalendarOperator(string? @operator)
+        {
+            return @operator != null && Array.IndexOf(CalendarOperators, @operator) >= 0;
+        }
+
+        /// <summary>
+        /// Builds the calendar rule for a date rule with a calendar operator.
+        /// </summary>
+        /// <param name="r">The rule.</param>
+        /// <param name="timeProvider">Source of the current time and the server's time zone.</param>
+        /// <exception cref="ArgumentException">Thrown when the value is not valid for the operator.</exception>
+        public static CalendarDateRule Create(Expression r, TimeProvider timeProvider)
+        {
+            ArgumentNullException.ThrowIfNull(r);
+            ArgumentNullException.ThrowIfNull(timeProvider);
+
+            var value = (r.TargetValue ?? string.Empty).Trim().ToLowerInvariant();
+            var parts = value.Split(':');
+            switch (r.Operator)
+            {
+                case "InPeriod":
+                    if (parts.Length != 2 || (parts[0] != "current" && parts[0] != "previous") ||
+                        (parts[1] != "week" && parts[1] != "month" && parts[1] != "quarter" && parts[1] != "year"))
+                    {
+                        throw new ArgumentException($"'InPeriod' requires a value such as current:month or previous:week (week, month, quarter or year), but got: '{r.TargetValue}'");
+                    }
+
+                    return new CalendarDateRule(r.Operator, r.MemberName, timeProvider, parts[0] == "previous", parts[1], 0);
+
+                case "OnThisDay":
+                    // Takes no value; whatever is stored is ignored
+                    return new CalendarDateRule(r.Operator, r.MemberName, timeProvider, false, string.Empty, 0);
+
+                case "AnniversaryWithin":
+                    if (parts.Length != 2 || !int.TryParse(parts[0], NumberStyles.None, CultureInfo.InvariantCulture, out var amount) ||
+                        (parts[1] != "days" && parts[1] != "weeks"))
+                    {
+                        throw new ArgumentException($"'AnniversaryWithin' requires a value in format number:unit (days or weeks), but got: '{r.TargetValue}'");
+                    }
+
+                    var days = parts[1] == "weeks" ? amount * 7 : amount;
+                    if (days > MaxAnniversaryDays)
+                    {
+                        throw new ArgumentException($"'AnniversaryWithin' supports at most {MaxAnniversaryDays} days, but got: '{r.TargetValue}'");
+                    }
+
+                    return new CalendarDateRule(r.Operator, r.MemberName, timeProvider, false, string.Empty, days);
+
+                default:
+                    throw new ArgumentException($"Operator '{r.Operator}' is not a calendar date operator.");
+            }
+        }
+
+        /// <summary>
+        /// Evaluates the rule for a date stored as a Unix timestamp. Called from compiled rule expressions.
+        /// </summary>
+        public bool Matches(double timestamp)
+        {
+            // Zero means the date is not set and -1 never played; only release dates go back before 1970
+            if (timestamp == 0 || (timestamp < 0 && !_isCalendarDateField))
+            {
+                return false;
+            }
+
+            var timeZone = _timeProvider.LocalTimeZone;
+            var today = DateOnly.FromDateTime(TimeZoneInfo.ConvertTime(_timeProvider.GetUtcNow(), timeZone).DateTime);
+            var instant = DateTimeOffset.FromUnixTimeSeconds((long)timestamp);
+            var date = DateOnly.FromDateTime(_isCalendarDateField ? instant.UtcDateTime : TimeZoneInfo.ConvertTime(instant, timeZone).DateTime);
+
+            return _operator switch
+            {
+                "InPeriod" => IsInPeriod(date, today),
+                "OnThisDay" => IsAnniversary(date, today, 0),
+                "AnniversaryWithin" => IsAnniversary(date, today, _days),
+                _ => false,
+            };
+        }
+
+        /// <summary>
+        /// Gets the first day of the period containing a date and the first day of the next period.
+        /// </summary>
+        internal static (DateOnly Start, DateOnly End) GetPeriod(DateOnly date, string unit)
+        {
+            return unit switch
+            {
+                "week" => WithEnd(date.AddDays(-(((int)date.DayOfWeek + 6) % 7)), d => d.AddDays(7)),
+                "month" => WithEnd(new DateOnly(date.Year, date.Month, 1), d => d.AddMonths(1)),
+                "quarter" => WithEnd(new DateOnly(date.Year, (((date.Month - 1) / 3) * 3) + 1, 1), d => d.AddMonths(3)),
+                "year" => WithEnd(new DateOnly(date.Year, 1, 1), d => d.AddYears(1)),
+                _ => throw new ArgumentException($"Unknown calendar period '{unit}'."),
+            };
+        }
+
+        private static (DateOnly Start, DateOnly End) WithEnd(DateOnly start, Func<DateOnly, DateOnly> next)
+        {
+            return (start, next(start));
+        }
+
+        private bool IsInPeriod(DateOnly date, DateOnly today)
+        {
+            var (start, end) = GetPeriod(today, _unit);
+            if (_previous)
+            {
+                // The previous period is the one containing the day before the current one starts
+                (start, end) = (GetPeriod(start.AddDays(-1), _unit).Start, start);
+            }
+
+            return date >= start && date < end;
+        }
+
+        // True when the date's anniversary in a later year falls within the given number of days of today.
+        // A February 29 date has its anniversary on February 28 in other years.
+        private static bool IsAnniversary(DateOnly date, DateOnly today, int withinDays)
+        {
+            for (var year = today.Year - 1; year <= today.Year + 1; year++)
+            {
+                if (year <= date.Year)
+                {
+                    continue;
+                }
+
+                var anniversary = date.AddYears(year - date.Year);
+                if (Math.Abs(anniversary.DayNumber - today.DayNumber) <= withinDays)
+                {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+    }
+}
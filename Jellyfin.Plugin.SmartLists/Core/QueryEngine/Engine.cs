@@ -71,6 +71,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
 
         private static System.Linq.Expressions.Expression BuildExpr<T>(ModelExpression r, ParameterExpression param, string defaultUserId, ILogger? logger = null)
         {
+            // Field-to-field comparisons read both fields at runtime
+            if (r.IsFieldComparison)
+            {
+                return BuildFieldComparisonExpression(r, param, defaultUserId, logger);
+            }
+
             // Check if this is a user-specific field that should always use method calls
             if (ModelExpression.IsUserSpecificField(r.MemberName))
             {
@@ -179,6 +185,34 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             return BuildStandardOperatorExpression(r, left, tProp, logger);
         }
 
+        /// <summary>
+        /// Builds expressions for rules comparing two fields of the same item (e.g. CommunityRating > CriticRating / 10).
+        /// User-specific fields on either side use the rule's UserId / CompareUserId, or the list user.
+        /// </summary>
+        private static System.Linq.Expressions.Expression BuildFieldComparisonExpression(Expression r, ParameterExpression param, string defaultUserId, ILogger? logger)
+        {
+            logger?.LogDebug("SmartLists BuildExpr: Field comparison {Field} {Operator} {CompareField} (adjustment '{Adjustment}')",
+                r.MemberName, r.Operator, r.CompareField, r.TargetValue);
+
+            var leftUserId = ModelExpression.IsUserSpecificField(r.MemberName) ? NormalizeUserId(r.UserId ?? defaultUserId) : null;
+            var rightUserId = ModelExpression.IsUserSpecificField(r.CompareField!) ? NormalizeUserId(r.CompareUserId ?? defaultUserId) : null;
+
+            FieldComparison comparison;
+            try
+            {
+                comparison = FieldComparison.Create(r, leftUserId, rightUserId);
+            }
+            catch (ArgumentException ex)
+            {
+                logger?.LogError("SmartLists invalid field comparison {Field} {Operator} {CompareField}: {Message}", r.MemberName, r.Operator, r.CompareField, ex.Message);
+                throw;
+            }
+
+            var matchesMethod = typeof(FieldComparison).GetMethod(nameof(FieldComparison.Matches))
+                ?? throw new InvalidOperationException("FieldComparison.Matches method not found");
+            return System.Linq.Expressions.Expression.Call(System.Linq.Expressions.Expression.Constant(comparison), matchesMethod, param);
+        }
+
         /// <summary>
         /// Builds combined expressions for a field that also checks its parent series equivalent.
         /// For positive operators (Contains, IsIn, MatchRegex): Uses OR logic - item passes if EITHER field OR parent series field match
@@ -393,6 +427,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
                 return BuildRelativeDateExpressionForMethodCall(r, methodCall, logger);
             }
 
+            // Handle calendar operators (InPeriod, OnThisDay, AnniversaryWithin)
+            if (CalendarDateRule.IsCalendarOperator(r.Operator))
+            {
+                return BuildCalendarDateExpression(r, methodCall, logger);
+            }
+
 
 
             if (string.IsNullOrWhiteSpace(r.TargetValue))
@@ -814,6 +854,12 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
                 return BuildRelativeDateExpression(r, left, logger);
             }
 
+            // Handle calendar operators (InPeriod, OnThisDay, AnniversaryWithin)
+            if (CalendarDateRule.IsCalendarOperator(r.Operator))
+            {
+                return BuildCalendarDateExpression(r, left, logger);
+            }
+
             if (string.IsNullOrWhiteSpace(r.TargetValue))
             {
                 logger?.LogError("SmartLists date comparison failed: TargetValue is null or empty for field '{Field}'", r.MemberName);
@@ -895,6 +941,31 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             }
         }
 
+        /// <summary>
+        /// Builds expressions for calendar date operators (InPeriod, OnThisDay, AnniversaryWithin).
+        /// The current date is read when the rule runs, so cached rules follow the calendar.
+        /// </summary>
+        private static BinaryExpression BuildCalendarDateExpression(Expression r, System.Linq.Expressions.Expression dateValue, ILogger? logger)
+        {
+            logger?.LogDebug("SmartLists handling '{Operator}' for date field {Field} with value {Value}", r.Operator, r.MemberName, r.TargetValue);
+
+            CalendarDateRule calendarRule;
+            try
+            {
+                calendarRule = CalendarDateRule.Create(r, TimeProvider.System);
+            }
+            catch (ArgumentException ex)
+            {
+                logger?.LogError("SmartLists invalid '{Operator}' rule for field '{Field}': {Message}", r.Operator, r.MemberName, ex.Message);
+                throw;
+            }
+
+            var matchesMethod = typeof(CalendarDateRule).GetMethod(nameof(CalendarDateRule.Matches))
+                ?? throw new InvalidOperationException("CalendarDateRule.Matches method not found");
+            var matchesCall = System.Linq.Expressions.Expression.Call(System.Linq.Expressions.Expression.Constant(calendarRule), matchesMethod, dateValue);
+            return System.Linq.Expressions.Expression.Equal(matchesCall, System.Linq.Expressions.Expression.Constant(true));
+        }
+
         /// <summary>
         /// Builds expressions for Weekday operator (filters by day of week).
         /// </summary>
@@ -1,4 +1,5 @@
-﻿using System.Text.Json.Serialization;
+﻿using System.Collections.Generic;
+using System.Text.Json.Serialization;
 
 namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
 {
@@ -40,6 +41,25 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
         public bool? OnlyDefaultAudioLanguage { get; set; } = null;
 
+        // Field-to-field comparison: compare MemberName with this field of the same item instead of
+        // a literal; TargetValue then holds an optional adjustment (see FieldComparison)
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? CompareField { get; set; } = null;
+
+        // User whose data is read when CompareField is user-specific (defaults to the list user)
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? CompareUserId { get; set; } = null;
+
+        // Points this rule adds to an item's score in scoring mode (defaults to 1, negative to penalize)
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public double? Weight { get; set; } = null;
+
+        [JsonIgnore]
+        public double EffectiveWeight => Weight ?? 1;
+
+        [JsonIgnore]
+        public bool IsFieldComparison => !string.IsNullOrEmpty(CompareField);
+
         // Helper property to check if this is a user-specific expression
         // Only serialize when UserId is not null
         [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
@@ -63,6 +83,18 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             };
         }
 
+        /// <summary>
+        /// Gets the fields this rule reads: its own field and, for field-to-field comparisons, the compared field.
+        /// </summary>
+        public IEnumerable<string> GetReferencedFields()
+        {
+            yield return MemberName;
+            if (IsFieldComparison)
+            {
+                yield return CompareField!;
+            }
+        }
+
         public static bool IsUserSpecificField(string memberName)
         {
             return memberName switch
@@ -1580,6 +1580,40 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
             }
         }
 
+        /// <summary>
+        /// Gets the values of one non-people list field for an item, extracted the same way rules see them.
+        /// Used to index library values for rule value suggestions.
+        /// </summary>
+        internal static List<string> GetListFieldValues(BaseItem baseItem, string fieldName, ILogger? logger)
+        {
+            switch (fieldName)
+            {
+                case "Genres":
+                    return [.. baseItem.Genres ?? []];
+                case "Studios":
+                    return [.. baseItem.Studios ?? []];
+                case "Tags":
+                    return [.. baseItem.Tags ?? []];
+                case "OfficialRating":
+                    return string.IsNullOrEmpty(baseItem.OfficialRating) ? [] : [baseItem.OfficialRating];
+                case "Artists":
+                case "AlbumArtists":
+                    {
+                        var operand = new Operand(baseItem.Name);
+                        ExtractArtists(operand, baseItem, logger);
+                        return fieldName == "Artists" ? operand.Artists : operand.AlbumArtists;
+                    }
+                case "AudioLanguages":
+                    {
+                        var operand = new Operand(baseItem.Name);
+                        ExtractAudioLanguages(operand, baseItem, null, logger);
+                        return operand.AudioLanguages;
+                    }
+                default:
+                    return [];
+            }
+        }
+
         // Clean API using options object - no more boolean flag proliferation!
         public static Operand GetMediaType(ILibraryManager libraryManager, BaseItem baseItem, User user,
             IUserDataManager? userDataManager, IUserManager userManager, ILogger? logger, MediaTypeExtractionOptions options,
@@ -0,0 +1,307 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using Jellyfin.Plugin.SmartLists.Core.Constants;
+
+namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
+{
+    /// <summary>
+    /// A rule that compares two fields of the same item, e.g. CommunityRating greater than CriticRating / 10.
+    /// The rule's TargetValue is an optional adjustment applied to the compared field:
+    /// "*2", "/10", "+1" or "-1" for numbers and "+5:years" or "-30:days" for dates. Text fields take none.
+    /// If either field has no value (no rating, date not set, never played) the rule does not match.
+    /// </summary>
+    public sealed class FieldComparison
+    {
+        public const string NumericKind = "Numeric";
+        public const string DateKind = "Date";
+        public const string TextKind = "Text";
+
+        // Differences below this are treated as equal so float ratings compare cleanly (7.3f vs 73 / 10)
+        private const double NumericTolerance = 0.0001;
+        private const double SecondsPerDay = 86400;
+
+        /// <summary>
+        /// Fields that can be compared with each other, by kind. Only fields of the same kind are compatible.
+        /// </summary>
+        public static readonly IReadOnlyDictionary<string, string> ComparableFields = new Dictionary<string, string>
+        {
+            ["ProductionYear"] = NumericKind,
+            ["CommunityRating"] = NumericKind,
+            ["CriticRating"] = NumericKind,
+            ["RuntimeMinutes"] = NumericKind,
+            ["PlayCount"] = NumericKind,
+            ["Framerate"] = NumericKind,
+            ["AudioBitrate"] = NumericKind,
+            ["AudioSampleRate"] = NumericKind,
+            ["AudioBitDepth"] = NumericKind,
+            ["AudioChannels"] = NumericKind,
+            ["DateCreated"] = DateKind,
+            ["DateLastRefreshed"] = DateKind,
+            ["DateLastSaved"] = DateKind,
+            ["DateModified"] = DateKind,
+            ["ReleaseDate"] = DateKind,
+            ["LastPlayedDate"] = DateKind,
+            ["Name"] = TextKind,
+            ["Album"] = TextKind,
+            ["SeriesName"] = TextKind,
+            ["OfficialRating"] = TextKind,
+            ["FileName"] = TextKind,
+            ["FolderPath"] = TextKind,
+            ["AudioCodec"] = TextKind,
+            ["AudioProfile"] = TextKind,
+            ["VideoCodec"] = TextKind,
+            ["VideoProfile"] = TextKind,
+            ["VideoRange"] = TextKind,
+            ["VideoRangeType"] = TextKind,
+        };
+
+        private readonly string _kind;
+        private readonly string _operator;
+        private readonly Func<Operand, double?> _leftNumber = _ => null;
+        private readonly Func<Operand, double?> _rightNumber = _ => null;
+        private readonly Func<Operand, string?> _leftText = _ => null;
+        private readonly Func<Operand, string?> _rightText = _ => null;
+        private readonly Func<double, double> _adjust = value => value;
+
+        private FieldComparison(string kind, string @operator)
+        {
+            _kind = kind;
+            _operator = @operator;
+        }
+
+        private FieldComparison(string kind, string @operator, Func<Operand, double?> left, Func<Operand, double?> right, Func<double, double> adjust)
+            : this(kind, @operator)
+        {
+            _leftNumber = left;
+            _rightNumber = right;
+            _adjust = adjust;
+        }
+
+        private FieldComparison(string @operator, Func<Operand, string?> left, Func<Operand, string?> right)
+            : this(TextKind, @operator)
+        {
+            _leftText = left;
+            _rightText = right;
+        }
+
+        /// <summary>
+        /// Gets the comparison kind of a field, or null if it cannot be compared with other fields.
+        /// </summary>
+        public static string? GetKind(string? fieldName)
+        {
+            return fieldName != null && ComparableFields.TryGetValue(fieldName, out var kind) ? kind : null;
+        }
+
+        /// <summary>
+        /// Builds the comparison for a rule with a CompareField.
+        /// </summary>
+        /// <param name="r">The rule.</param>
+        /// <param name="leftUserId">User whose data is read for a user-specific MemberName, in "N" format.</param>
+        /// <param name="rightUserId">User whose data is read for a user-specific CompareField, in "N" format.</param>
+        /// <exception cref="ArgumentException">Thrown when the fields, operator or adjustment are not valid together.</exception>
+        public static FieldComparison Create(Expression r, string? leftUserId, string? rightUserId)
+        {
+            ArgumentNullException.ThrowIfNull(r);
+
+            var kind = GetKind(r.MemberName)
+                ?? throw new ArgumentException($"Field '{r.MemberName}' cannot be compared with another field.");
+            var compareKind = GetKind(r.CompareField)
+                ?? throw new ArgumentException($"Field '{r.CompareField}' cannot be compared with another field.");
+            if (kind != compareKind)
+            {
+                throw new ArgumentException($"Field '{r.MemberName}' ({kind.ToLowerInvariant()}) cannot be compared with '{r.CompareField}' ({compareKind.ToLowerInvariant()}).");
+            }
+
+            var allowedOperators = Operators.GetFieldComparisonOperators(kind);
+            if (!allowedOperators.Contains(r.Operator))
+            {
+                throw new ArgumentException($"Operator '{r.Operator}' is not supported when comparing two {kind.ToLowerInvariant()} fields. Supported operators: {string.Join(", ", allowedOperators)}");
+            }
+
+            var adjustment = (r.TargetValue ?? string.Empty).Trim();
+            if (kind == TextKind)
+            {
+                if (adjustment.Length > 0)
+                {
+                    throw new ArgumentException($"Text fields are compared as they are; remove the adjustment '{adjustment}'.");
+                }
+
+                return new FieldComparison(r.Operator, GetTextAccessor(r.MemberName), GetTextAccessor(r.CompareField!));
+            }
+
+            var adjust = kind == DateKind ? ParseDateAdjustment(adjustment) : ParseNumericAdjustment(adjustment);
+            return new FieldComparison(
+                kind,
+                r.Operator,
+                GetNumberAccessor(r.MemberName, leftUserId),
+                GetNumberAccessor(r.CompareField!, rightUserId),
+                adjust);
+        }
+
+        /// <summary>
+        /// Evaluates the comparison for an item. Called from compiled rule expressions.
+        /// </summary>
+        public bool Matches(Operand operand)
+        {
+            ArgumentNullException.ThrowIfNull(operand);
+
+            if (_kind == TextKind)
+            {
+                var leftText = _leftText(operand);
+                var rightText = _rightText(operand);
+                if (string.IsNullOrEmpty(leftText) || string.IsNullOrEmpty(rightText))
+                {
+                    return false;
+                }
+
+                return _operator switch
+                {
+                    "Equal" => string.Equals(leftText, rightText, StringComparison.OrdinalIgnoreCase),
+                    "NotEqual" => !string.Equals(leftText, rightText, StringComparison.OrdinalIgnoreCase),
+                    "Contains" => leftText.Contains(rightText, StringComparison.OrdinalIgnoreCase),
+                    "NotContains" => !leftText.Contains(rightText, StringComparison.OrdinalIgnoreCase),
+                    _ => false,
+                };
+            }
+
+            var left = _leftNumber(operand);
+            var right = _rightNumber(operand);
+            if (left == null || right == null)
+            {
+                return false;
+            }
+
+            var target = _adjust(right.Value);
+            if (_kind == DateKind)
+            {
+                // Dates are equal when they fall on the same (UTC) day, like date rules with a fixed date
+                var sameDay = Math.Floor(left.Value / SecondsPerDay) == Math.Floor(target / SecondsPerDay);
+                return _operator switch
+                {
+                    "Equal" => sameDay,
+                    "NotEqual" => !sameDay,
+                    "After" => left.Value > target,
+                    "Before" => left.Value < target,
+                    _ => false,
+                };
+            }
+
+            var difference = left.Value - target;
+            var equal = Math.Abs(difference) < NumericTolerance;
+            return _operator switch
+            {
+                "Equal" => equal,
+                "NotEqual" => !equal,
+                "GreaterThan" => !equal && difference > 0,
+                "LessThan" => !equal && difference < 0,
+                "GreaterThanOrEqual" => equal || difference > 0,
+                "LessThanOrEqual" => equal || difference < 0,
+                _ => false,
+            };
+        }
+
+        /// <summary>
+        /// Gets an item's value for a comparable numeric or date field, or null when it has none.
+        /// </summary>
+        internal static double? GetNumber(Operand operand, string fieldName, string? userId)
+        {
+            return fieldName switch
+            {
+                // Zero means "unknown" for these; a real zero play count still counts
+                "ProductionYear" => NonZero(operand.ProductionYear),
+                "CommunityRating" => NonZero(operand.CommunityRating),
+                "CriticRating" => NonZero(operand.CriticRating),
+                "RuntimeMinutes" => NonZero(operand.RuntimeMinutes),
+                "PlayCount" => userId == null ? null : (double?)operand.GetPlayCountByUser(userId),
+                "Framerate" => (double?)operand.Framerate,
+                "AudioBitrate" => NonZero(operand.AudioBitrate),
+                "AudioSampleRate" => NonZero(operand.AudioSampleRate),
+                "AudioBitDepth" => NonZero(operand.AudioBitDepth),
+                "AudioChannels" => NonZero(operand.AudioChannels),
+                "DateCreated" => NonZero(operand.DateCreated),
+                "DateLastRefreshed" => NonZero(operand.DateLastRefreshed),
+                "DateLastSaved" => NonZero(operand.DateLastSaved),
+                "DateModified" => NonZero(operand.DateModified),
+                "ReleaseDate" => NonZero(operand.ReleaseDate),
+                "LastPlayedDate" => userId == null ? null : NonZero(operand.GetLastPlayedDateByUser(userId)),
+                _ => null,
+            };
+        }
+
+        private static double? NonZero(double value)
+        {
+            return value > 0 ? value : null;
+        }
+
+        private static Func<Operand, double?> GetNumberAccessor(string fieldName, string? userId)
+        {
+            if (Expression.IsUserSpecificField(fieldName) && string.IsNullOrEmpty(userId))
+            {
+                throw new ArgumentException($"User-specific field '{fieldName}' requires a valid user ID, but no user ID was provided and no default user ID is available.");
+            }
+
+            return operand => GetNumber(operand, fieldName, userId);
+        }
+
+        private static Func<Operand, string?> GetTextAccessor(string fieldName)
+        {
+            var property = typeof(Operand).GetProperty(fieldName)
+                ?? throw new ArgumentException($"Field '{fieldName}' cannot be compared with another field.");
+            return operand => property.GetValue(operand) as string;
+        }
+
+        private static Func<double, double> ParseNumericAdjustment(string adjustment)
+        {
+            if (adjustment.Length == 0)
+            {
+                return value => value;
+            }
+
+            if (adjustment.Length < 2 || !double.TryParse(adjustment[1..].Trim(), NumberStyles.Float, CultureInfo.InvariantCulture, out var amount))
+            {
+                throw new ArgumentException($"Invalid adjustment '{adjustment}'. Use an operator and a number, such as /10, *2, +1 or -1.");
+            }
+
+            return adjustment[0] switch
+            {
+                '+' => value => value + amount,
+                '-' => value => value - amount,
+                '*' => value => value * amount,
+                '/' when amount != 0 => value => value / amount,
+                '/' => throw new ArgumentException("Cannot divide a field by zero."),
+                _ => throw new ArgumentException($"Invalid adjustment '{adjustment}'. Use an operator and a number, such as /10, *2, +1 or -1."),
+            };
+        }
+
+        private static Func<double, double> ParseDateAdjustment(string adjustment)
+        {
+            if (adjustment.Length == 0)
+            {
+                return value => value;
+            }
+
+            // Same number:unit format as NewerThan/OlderThan, with an optional sign
+            var sign = adjustment[0] == '-' ? -1 : 1;
+            var parts = adjustment.TrimStart('+', '-').Split(':');
+            if (parts.Length != 2 || !int.TryParse(parts[0], NumberStyles.None, CultureInfo.InvariantCulture, out var amount))
+            {
+                throw new ArgumentException($"Invalid date adjustment '{adjustment}'. Use a signed number:unit, such as +5:years or -30:days.");
+            }
+
+            amount *= sign;
+            Func<DateTimeOffset, DateTimeOffset> shift = parts[1].ToLowerInvariant() switch
+            {
+                "hours" => date => date.AddHours(amount),
+                "days" => date => date.AddDays(amount),
+                "weeks" => date => date.AddDays(amount * 7),
+                "months" => date => date.AddMonths(amount),
+                "years" => date => date.AddYears(amount),
+                _ => throw new ArgumentException($"Unknown unit '{parts[1]}' in date adjustment '{adjustment}'."),
+            };
+
+            return seconds => shift(DateTimeOffset.FromUnixTimeSeconds((long)seconds)).ToUnixTimeSeconds();
+        }
+    }
+}
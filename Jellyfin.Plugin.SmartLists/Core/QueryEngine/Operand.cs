@@ -93,6 +93,9 @@ namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
         // Similarity score - calculated when SimilarTo rules are present
         public float? SimilarityScore { get; set; } = null;
 
+        // Rule score - total weight of the matching rules, calculated when the list uses scoring mode
+        public double? RuleScore { get; set; } = null;
+
         // Helper methods to check user-specific data
         public bool GetIsPlayedByUser(string userId)
         {
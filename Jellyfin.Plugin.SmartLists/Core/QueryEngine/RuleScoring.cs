@@ -0,0 +1,79 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+
+namespace Jellyfin.Plugin.SmartLists.Core.QueryEngine
+{
+    /// <summary>
+    /// Scoring mode: instead of filtering with AND/OR logic, every rule the item matches adds its
+    /// weight to the item's score, and items are kept when the score reaches the list's minimum.
+    /// Groups, OR and NOT do not apply; each rule is scored on its own wherever it sits.
+    /// </summary>
+    public static class RuleScoring
+    {
+        /// <summary>
+        /// Checks whether a rule adds to the score. SimilarTo and collection-only Collections rules
+        /// do not, because they are handled separately during filtering.
+        /// </summary>
+        public static bool IsScored(Expression expr)
+        {
+            ArgumentNullException.ThrowIfNull(expr);
+            return expr.MemberName != "SimilarTo" && !(expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true);
+        }
+
+        /// <summary>
+        /// Gets the rules that are scored, in order.
+        /// </summary>
+        public static List<Expression> GetScoredExpressions(IEnumerable<ExpressionSet?>? expressionSets)
+        {
+            return (expressionSets ?? [])
+                .Where(set => set != null)
+                .SelectMany(set => set!.GetAllExpressions())
+                .Where(IsScored)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Adds up the weights of the rules that match the item. A rule that fails to evaluate does not match.
+        /// </summary>
+        /// <param name="rules">The compiled rules.</param>
+        /// <param name="weights">The weight of each rule, in the same order.</param>
+        /// <param name="operand">The item.</param>
+        public static double Score(IReadOnlyList<Func<Operand, bool>> rules, IReadOnlyList<double> weights, Operand operand)
+        {
+            ArgumentNullException.ThrowIfNull(rules);
+            ArgumentNullException.ThrowIfNull(weights);
+
+            double score = 0;
+            for (int i = 0; i < rules.Count && i < weights.Count; i++)
+            {
+                bool matches;
+                try
+                {
+                    matches = rules[i](operand);
+                }
+                catch (Exception)
+                {
+                    matches = false;
+                }
+
+                if (matches)
+                {
+                    score += weights[i];
+                }
+            }
+
+            return score;
+        }
+
+        /// <summary>
+        /// Checks whether a score is high enough for the item to be in the list.
+        /// Without a minimum, the item needs a score above zero, so items matching no rules are left out.
+        /// </summary>
+        public static bool MeetsMinimum(double score, double? minScore)
+        {
+            return minScore.HasValue ? score >= minScore.Value : score > 0;
+        }
+    }
+}
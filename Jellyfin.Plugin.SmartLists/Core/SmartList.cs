@@ -3,8 +3,10 @@ using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Diagnostics;
 using System.Linq;
+using System.Threading;
 using Jellyfin.Data.Enums;
 using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Core.Orders;
 using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
@@ -29,13 +31,31 @@ namespace Jellyfin.Plugin.SmartLists.Core
         public int MaxItems { get; set; }
         public int MaxPlayTimeMinutes { get; set; }
         public List<string>? SimilarityComparisonFields { get; set; }
+        public bool ScoringMode { get; set; }
+        public double? MinScore { get; set; }
+
+        // Spacing applied after sorting (see ItemSpacing); no spacing when the field is null
+        public string? SpacingField { get; set; }
+        public int SpacingDistance { get; set; }
 
         // UserManager for resolving user-specific queries (Jellyfin 10.11+)
         public IUserManager UserManager { get; set; } = null!;
 
+        // Number of items that matched the rules in the last FilterPlaylistItems run, before sorting and limits
+        public int LastMatchCount { get; private set; }
+
         // Similarity scores for sorting (populated during filtering when SimilarTo rules are active)
         private readonly ConcurrentDictionary<Guid, float> _similarityScores = new();
 
+        // Rule scores for sorting and the minimum score (populated during filtering in scoring mode)
+        private readonly ConcurrentDictionary<Guid, double> _ruleScores = new();
+
+        // Weights of the scored rules, in the order CompileRuleSets compiles them in scoring mode
+        private double[] _scoreWeights = [];
+
+        // Ids of the items that matched the rules in the last FilterPlaylistItems run, used by ExplainItem
+        private HashSet<Guid> _lastMatchedIds = [];
+
         // OPTIMIZATION: Static cache for compiled rules to avoid recompilation
         private static readonly ConcurrentDictionary<string, List<List<Func<Operand, bool>>>> _ruleCache = new();
 
@@ -110,6 +130,20 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         {
                             return OrderFactory.CreateOrder(so.SortBy);
                         }
+                        // Smart shuffle has no direction either, but carries its bias settings
+                        if (so.SortBy == "WeightedRandom")
+                        {
+                            return new WeightedRandomOrder
+                            {
+                                BiasField = WeightedRandomOrder.IsSupportedBiasField(so.BiasField) ? so.BiasField! : WeightedRandomOrder.DefaultBiasField,
+                                BiasStrength = so.BiasStrength ?? WeightedRandomOrder.DefaultBiasStrength,
+                            };
+                        }
+                        // Generic field sorts read any comparable numeric or date field, optionally for another user
+                        if (FieldOrder.IsSortableField(so.SortBy))
+                        {
+                            return new FieldOrder(so.SortBy, so.SortOrder == Enums.SortOrder.Descending, so.UserId);
+                        }
                         // For all other sorts, append the sort order
                         return OrderFactory.CreateOrder($"{so.SortBy} {so.SortOrder.ToString()}");
                     })
@@ -131,6 +165,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
             MaxItems = dto.MaxItems ?? 0; // Default to 0 (unlimited) for backwards compatibility
             MaxPlayTimeMinutes = dto.MaxPlayTimeMinutes ?? 0; // Default to 0 (unlimited) for backwards compatibility
             SimilarityComparisonFields = dto.SimilarityComparisonFields != null ? new List<string>(dto.SimilarityComparisonFields) : null; // Create defensive copy
+            ScoringMode = dto.ScoringMode;
+            MinScore = dto.MinScore;
+            SpacingField = ItemSpacing.IsSupportedField(dto.Order?.SpacingField) ? dto.Order!.SpacingField : null;
+            SpacingDistance = dto.Order?.SpacingDistance ?? 0;
 
             if (dto.ExpressionSets != null && dto.ExpressionSets.Count > 0)
             {
@@ -165,12 +203,23 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 // OPTIMIZATION: Generate a cache key based on the rule set content and defaultUserId
                 var ruleSetHash = GenerateRuleSetHash(effectiveDefaultUserId);
 
+                if (ScoringMode)
+                {
+                    // Weights are not compiled into the rules, so they are read fresh on every run
+                    _scoreWeights = [.. RuleScoring.GetScoredExpressions(ExpressionSets).Select(expr => expr.EffectiveWeight)];
+                }
+
                 return _ruleCache.GetOrAdd(ruleSetHash, _ =>
                 {
                     try
                     {
                         logger?.LogDebug("Compiling rules for playlist {PlaylistName} (cache miss)", Name);
 
+                        if (ScoringMode)
+                        {
+                            return [CompileScoredRules(effectiveDefaultUserId, logger)];
+                        }
+
                         var compiledRuleSets = new List<List<Func<Operand, bool>>>();
 
                         for (int setIndex = 0; setIndex < ExpressionSets.Count; setIndex++)
@@ -185,6 +234,22 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                             var compiledRules = new List<Func<Operand, bool>>();
 
+                            // Groups with OR logic, NOT or nested groups compile into a single predicate
+                            if (set.HasNestedLogic)
+                            {
+                                if (string.IsNullOrEmpty(effectiveDefaultUserId))
+                                {
+                                    logger?.LogError("SmartList '{PlaylistName}' has no valid default user ID. Cannot compile rules.", Name);
+                                }
+                                else
+                                {
+                                    compiledRules.Add(CompileNestedLogicGroup(set, effectiveDefaultUserId, $"{setIndex}", logger));
+                                }
+
+                                compiledRuleSets.Add(compiledRules);
+                                continue;
+                            }
+
                             for (int exprIndex = 0; exprIndex < set.Expressions.Count; exprIndex++)
                             {
                                 var expr = set.Expressions[exprIndex];
@@ -260,6 +325,113 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Compiles the rules of a scoring mode list into a single list, one rule per scored expression
+        /// so each lines up with its weight. A rule that cannot be compiled never matches.
+        /// </summary>
+        private List<Func<Operand, bool>> CompileScoredRules(string? effectiveDefaultUserId, ILogger? logger)
+        {
+            var compiledRules = new List<Func<Operand, bool>>();
+            if (string.IsNullOrEmpty(effectiveDefaultUserId))
+            {
+                logger?.LogError("SmartList '{PlaylistName}' has no valid default user ID. Cannot compile rules.", Name);
+                return compiledRules;
+            }
+
+            foreach (var expr in RuleScoring.GetScoredExpressions(ExpressionSets))
+            {
+                try
+                {
+                    compiledRules.Add(Engine.CompileRule<Operand>(expr, effectiveDefaultUserId, logger));
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogError(ex, "Error compiling scored rule for playlist '{PlaylistName}': {Field} {Operator} {Value}",
+                        Name, expr.MemberName, expr.Operator, expr.TargetValue);
+                    compiledRules.Add(_ => false);
+                }
+            }
+
+            logger?.LogDebug("Compiled {RuleCount} scored rules for playlist '{PlaylistName}'", compiledRules.Count, Name);
+            return compiledRules;
+        }
+
+        /// <summary>
+        /// Compiles a logic group that uses OR logic, NOT or nested groups into a single predicate.
+        /// SimilarTo and collection-only Collections expressions are rejected in such groups when a list is saved
+        /// (see <see cref="ExpressionSet.FindRuleUnsupportedInNestedLogic"/>); any left in older lists are skipped.
+        /// </summary>
+        /// <param name="set">The logic group to compile.</param>
+        /// <param name="defaultUserId">Default user ID for user-specific rules.</param>
+        /// <param name="path">Position of the group for log messages (e.g. "0.1").</param>
+        /// <param name="logger">Optional logger for diagnostics.</param>
+        /// <returns>A predicate that evaluates the whole group.</returns>
+        private Func<Operand, bool> CompileNestedLogicGroup(ExpressionSet set, string defaultUserId, string path, ILogger? logger)
+        {
+            var children = new List<Func<Operand, bool>>();
+
+            var expressions = set.Expressions ?? [];
+            for (int exprIndex = 0; exprIndex < expressions.Count; exprIndex++)
+            {
+                var expr = expressions[exprIndex];
+                if (expr == null || expr.MemberName == "SimilarTo" || (expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true))
+                {
+                    continue;
+                }
+
+                try
+                {
+                    children.Add(Engine.CompileRule<Operand>(expr, defaultUserId, logger));
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogError(ex, "Error compiling rule at group {GroupPath}, index {ExprIndex} for playlist '{PlaylistName}': {Field} {Operator} {Value}",
+                        path, exprIndex, Name, expr.MemberName, expr.Operator, expr.TargetValue);
+                }
+            }
+
+            var groups = set.Groups ?? [];
+            for (int groupIndex = 0; groupIndex < groups.Count; groupIndex++)
+            {
+                if (groups[groupIndex] != null)
+                {
+                    children.Add(CompileNestedLogicGroup(groups[groupIndex], defaultUserId, $"{path}.{groupIndex}", logger));
+                }
+            }
+
+            var useOr = set.Logic == RuleLogic.Or;
+            var negate = set.Negate == true;
+
+            return operand =>
+            {
+                // A group with nothing to evaluate is neutral, matching how flat groups skip such rules.
+                // Negating it would exclude every item, so it stays neutral under NOT as well.
+                if (children.Count == 0)
+                {
+                    return true;
+                }
+
+                bool result = useOr ? children.Any(rule => InvokeRuleSafely(rule, operand)) : children.All(rule => InvokeRuleSafely(rule, operand));
+                return negate ? !result : result;
+            };
+        }
+
+        /// <summary>
+        /// Invokes a compiled rule, treating evaluation errors as a non-match.
+        /// </summary>
+        private static bool InvokeRuleSafely(Func<Operand, bool> rule, Operand operand)
+        {
+            try
+            {
+                return rule(operand);
+            }
+            catch (Exception)
+            {
+                // Conservative approach, same as flat groups: assume the rule doesn't match if it fails
+                return false;
+            }
+        }
+
         /// <summary>
         /// Checks cache size and performs cleanup if needed, with rate limiting to prevent excessive cleanup operations.
         /// </summary>
@@ -352,6 +524,12 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 hashBuilder.Append("defaultUser:");
                 hashBuilder.Append(defaultUserId ?? "");
 
+                // Scoring mode compiles the same rules into a different shape
+                if (ScoringMode)
+                {
+                    hashBuilder.Append("|scoring");
+                }
+
                 for (int i = 0; i < ExpressionSets.Count; i++)
                 {
                     var set = ExpressionSets[i];
@@ -386,29 +564,13 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             continue;
                         }
 
-                        // Handle null expression properties and append efficiently
-                        hashBuilder.Append(expr.MemberName ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.Operator ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.TargetValue ?? "");
+                        AppendExpressionHash(hashBuilder, expr);
+                    }
 
-                        // Include option fields that affect rule compilation
-                        // These must be part of the hash to ensure cache invalidation when toggled
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.UserId ?? "");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesTags?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesStudios?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeParentSeriesGenres?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.OnlyDefaultAudioLanguage?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeUnwatchedSeries?.ToString() ?? "null");
-                        hashBuilder.Append(':');
-                        hashBuilder.Append(expr.IncludeEpisodesWithinSeries?.ToString() ?? "null");
+                    // Nested logic (OR, NOT, sub-groups) must be part of the hash as well
+                    if (set.HasNestedLogic)
+                    {
+                        AppendNestedLogicHash(hashBuilder, set, $"{i}");
                     }
                 }
 
@@ -421,6 +583,86 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Appends the fields of an expression that affect rule compilation to a rule set hash.
+        /// </summary>
+        private static void AppendExpressionHash(System.Text.StringBuilder hashBuilder, Expression expr)
+        {
+            // Handle null expression properties and append efficiently
+            hashBuilder.Append(expr.MemberName ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.Operator ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.TargetValue ?? "");
+
+            // Include option fields that affect rule compilation
+            // These must be part of the hash to ensure cache invalidation when toggled
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.UserId ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesTags?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesStudios?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeParentSeriesGenres?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.OnlyDefaultAudioLanguage?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeUnwatchedSeries?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.IncludeEpisodesWithinSeries?.ToString() ?? "null");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.CompareField ?? "");
+            hashBuilder.Append(':');
+            hashBuilder.Append(expr.CompareUserId ?? "");
+        }
+
+        /// <summary>
+        /// Appends the logic, negation and nested groups of a logic group to a rule set hash.
+        /// </summary>
+        private static void AppendNestedLogicHash(System.Text.StringBuilder hashBuilder, ExpressionSet set, string path)
+        {
+            hashBuilder.Append("|logic");
+            hashBuilder.Append(path);
+            hashBuilder.Append(':');
+            hashBuilder.Append(set.Logic?.ToString() ?? "And");
+            hashBuilder.Append(":not:");
+            hashBuilder.Append(set.Negate == true);
+
+            var groups = set.Groups ?? [];
+            for (int g = 0; g < groups.Count; g++)
+            {
+                var group = groups[g];
+                var groupPath = $"{path}.{g}";
+
+                hashBuilder.Append("|group");
+                hashBuilder.Append(groupPath);
+                hashBuilder.Append(':');
+
+                if (group == null)
+                {
+                    hashBuilder.Append("null");
+                    continue;
+                }
+
+                var expressions = group.Expressions ?? [];
+                hashBuilder.Append(expressions.Count);
+                foreach (var expr in expressions)
+                {
+                    hashBuilder.Append("|gexpr:");
+                    if (expr == null)
+                    {
+                        hashBuilder.Append("null");
+                        continue;
+                    }
+
+                    AppendExpressionHash(hashBuilder, expr);
+                }
+
+                AppendNestedLogicHash(hashBuilder, group, groupPath);
+            }
+        }
+
         private bool EvaluateLogicGroups(List<List<Func<Operand, bool>>> compiledRules, Operand operand)
         {
             try
@@ -430,6 +672,11 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return false;
                 }
 
+                if (ScoringMode)
+                {
+                    return EvaluateScore(compiledRules, operand);
+                }
+
                 // Each ExpressionSet is a logic group
                 // Groups are combined with OR logic (any group can match)
                 // Rules within each group always use AND logic
@@ -443,7 +690,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                     // Check if this group has only skipped rules (SimilarTo or IncludeCollectionOnly Collections)
                     // If so, skip it for item evaluation (these are handled separately)
-                    bool hasOnlySkippedRules = group.Expressions != null && 
+                    // Nested groups compile into a single predicate that already leaves these rules out
+                    bool hasOnlySkippedRules = !group.HasNestedLogic && group.Expressions != null &&
                         group.Expressions.All(expr => 
                             expr?.MemberName == "SimilarTo" || 
                             (expr?.MemberName == "Collections" && expr.IncludeCollectionOnly == true));
@@ -493,6 +741,16 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Scoring mode: stores the item's score on the operand and checks it against the minimum score.
+        /// </summary>
+        private bool EvaluateScore(List<List<Func<Operand, bool>>> compiledRules, Operand operand)
+        {
+            var rules = compiledRules.Count > 0 ? compiledRules[0] : [];
+            operand.RuleScore = RuleScoring.Score(rules, _scoreWeights, operand);
+            return RuleScoring.MeetsMinimum(operand.RuleScore.Value, MinScore);
+        }
+
         private bool EvaluateLogicGroupsForEpisode(List<List<Func<Operand, bool>>> compiledRules, Operand operand, Series? parentSeries, ILogger? logger)
         {
             try
@@ -502,6 +760,11 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return false;
                 }
 
+                if (ScoringMode)
+                {
+                    return EvaluateScore(compiledRules, operand);
+                }
+
                 // If we have a parent series, it means this episode is being expanded from a series that matched Collections rules
                 // In this case, we should skip Collections rule evaluation for episodes since they inherit from their parent
                 bool isFromSeriesExpansion = parentSeries != null;
@@ -519,6 +782,17 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                     try
                     {
+                        // Nested groups compile into a single predicate, evaluated against the episode as a whole
+                        if (group.HasNestedLogic)
+                        {
+                            if (InvokeRuleSafely(groupRules[0], operand))
+                            {
+                                return true;
+                            }
+
+                            continue;
+                        }
+
                         bool groupMatches = true; // Start with true for AND logic within groups
 
                         // Check each expression in the group
@@ -600,12 +874,16 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
         // Returns the ID's of the items, if order is provided the IDs are sorted.
         public IEnumerable<Guid> FilterPlaylistItems(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
-            User user, RefreshQueueService.RefreshCache refreshCache, IUserDataManager? userDataManager = null, ILogger? logger = null, Action<int, int>? progressCallback = null)
+            User user, RefreshQueueService.RefreshCache refreshCache, IUserDataManager? userDataManager = null, ILogger? logger = null, Action<int, int>? progressCallback = null,
+            CancellationToken cancellationToken = default)
         {
             var stopwatch = Stopwatch.StartNew();
 
-            // Clear similarity scores from any previous runs
+            // Clear similarity and rule scores from any previous runs
             _similarityScores.Clear();
+            _ruleScores.Clear();
+            LastMatchCount = 0;
+            _lastMatchedIds = [];
 
             try
             {
@@ -689,18 +967,23 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         // Extract IncludeUnwatchedSeries parameter from NextUnwatched rules
                         // If any rule explicitly sets it to false, use false; otherwise default to true
                         var nextUnwatchedRules = ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
                             .Where(expr => expr?.MemberName == "NextUnwatched")
                             .ToList();
 
                         includeUnwatchedSeries = !nextUnwatchedRules.Any(rule => rule.IncludeUnwatchedSeries == false);
 
-                        // Collect unique user IDs from user-specific expressions
+                        // Collect unique user IDs from user-specific expressions, including the compared side of field comparisons
                         // Normalize to "N" format (no dashes) to match UserPlaylists format
                         additionalUserIds = [..ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
-                            .Where(expr => expr?.IsUserSpecific == true && !string.IsNullOrEmpty(expr.UserId))
-                            .Select(expr => Guid.TryParse(expr.UserId, out var guid) ? guid.ToString("N") : expr.UserId!)
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
+                            .SelectMany(expr => new[]
+                            {
+                                expr?.IsUserSpecific == true ? expr.UserId : null,
+                                expr?.IsFieldComparison == true ? expr.CompareUserId : null,
+                            })
+                            .Where(userId => !string.IsNullOrEmpty(userId))
+                            .Select(userId => Guid.TryParse(userId, out var guid) ? guid.ToString("N") : userId!)
                             .Distinct()];
 
                         if (additionalUserIds.Count > 0)
@@ -741,7 +1024,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 // Check if any Collections rule has IncludeCollectionOnly = true
                 var hasCollectionsIncludeCollectionOnly = ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr =>
+                    set.GetAllExpressions().Any(expr =>
                         expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true) == true) == true;
 
                 // If IncludeCollectionOnly is enabled, fetch matching collections directly
@@ -806,7 +1089,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 // Check if there are any rules to evaluate (including skipped ones like SimilarTo and IncludeCollectionOnly)
                 // This prevents "no rules = match everything" when all rules are skipped
                 bool hasAnyRules = compiledRules.Any(set => set?.Count > 0) ||
-                    ExpressionSets?.Any(set => set?.Expressions?.Any(expr => 
+                    ExpressionSets?.Any(set => set?.GetAllExpressions().Any(expr => 
                         expr?.MemberName == "SimilarTo" || 
                         (expr?.MemberName == "Collections" && expr.IncludeCollectionOnly == true)) == true) == true;
 
@@ -814,12 +1097,13 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 bool hasNonExpensiveRules = false;
                 try
                 {
-                    if (ExpressionSets != null)
+                    // Scoring mode has no rule an item must pass, so every item is fully evaluated
+                    if (ExpressionSets != null && !ScoringMode)
                     {
                         hasNonExpensiveRules = ExpressionSets
-                            .SelectMany(set => set?.Expressions ?? [])
+                            .SelectMany(set => set?.GetAllExpressions() ?? [])
                             .Any(expr => expr != null
-                                && !ExpensiveFields.Contains(expr.MemberName)
+                                && !expr.GetReferencedFields().Any(ExpensiveFields.Contains)
                                 && !(expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true)
                                 && !(expr.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true)
                                 && !(expr.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true));
@@ -865,6 +1149,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 for (int chunkStart = 0; chunkStart < totalItems; chunkStart += chunkSize)
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
+
                     try
                     {
                         var chunkEnd = Math.Min(chunkStart + chunkSize, totalItems);
@@ -881,7 +1167,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         // Process chunk
                         var chunkResults = ProcessItemChunk(chunk, libraryManager, user, userDataManager, logger,
-                            needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSimilarTo, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, compiledRules, hasAnyRules, hasNonExpensiveRules, refreshCache);
+                            needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, needsSimilarTo, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, compiledRules, hasAnyRules, hasNonExpensiveRules, refreshCache, cancellationToken);
                         results.AddRange(chunkResults);
                         
                         // Report progress after chunk is complete
@@ -899,6 +1185,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         logger?.LogWarning(ex, "Playlist '{PlaylistName}' references a user that no longer exists. Stopping playlist processing.", Name);
                         return [];
                     }
+                    catch (OperationCanceledException)
+                    {
+                        throw;
+                    }
                     catch (Exception ex)
                     {
                         logger?.LogError(ex, "Error processing chunk {ChunkStart}-{ChunkEnd} for playlist '{PlaylistName}'. Skipping this chunk.",
@@ -913,6 +1203,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 // Check if we need to expand Collections based on media type selection
                 var expandedResults = ExpandCollectionsBasedOnMediaType(results, libraryManager, user, userDataManager, logger, refreshCache);
+                LastMatchCount = expandedResults.Count;
+                _lastMatchedIds = [.. expandedResults.Select(x => x.Id)];
                 logger?.LogDebug("Playlist '{PlaylistName}' expanded from {OriginalCount} items to {ExpandedCount} items after Collections processing",
                     Name, results.Count, expandedResults.Count);
 
@@ -930,17 +1222,34 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         {
                             similarityOrderAsc.Scores = _similarityScores;
                         }
+                        else if (order is ScoreOrderBase scoreOrder)
+                        {
+                            scoreOrder.Scores = _ruleScores;
+                        }
+                        else if (order is FieldOrder fieldOrder)
+                        {
+                            // Field values come from operands, so read them once for the matched items
+                            fieldOrder.PrepareValues(expandedResults, libraryManager, user, userDataManager, UserManager, logger, refreshCache);
+                        }
                     }
 
                     // Apply multiple orders in cascade
                     var orderedResults = ApplyMultipleOrders(expandedResults, user, userDataManager, logger, refreshCache);
 
+                    // Space out repeats before limits, so there are more items to choose from
+                    if (SpacingField != null && SpacingDistance > 0)
+                    {
+                        orderedResults = ItemSpacing.Apply(orderedResults, SpacingField, SpacingDistance);
+                        logger?.LogDebug("Spaced playlist '{PlaylistName}' by {SpacingField} at least {SpacingDistance} items apart",
+                            Name, SpacingField, SpacingDistance);
+                    }
+
                     // Apply limits (items and/or time)
                     if (MaxItems > 0 || MaxPlayTimeMinutes > 0)
                     {
                         var limitedResults = ApplyLimits(orderedResults, libraryManager, user, userDataManager, refreshCache, logger);
 
-                        var hasRandomOrder = Orders.Any(o => o is RandomOrder);
+                        var hasRandomOrder = Orders.Any(o => o is RandomOrder || o is WeightedRandomOrder);
                         if (hasRandomOrder)
                         {
                             logger?.LogDebug("Applied random order and limited playlist '{PlaylistName}' to {LimitedCount} items from {TotalItems} total items",
@@ -957,7 +1266,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     else
                     {
                         // No limits - return all ordered results
-                        var hasRandomOrder = Orders.Any(o => o is RandomOrder);
+                        var hasRandomOrder = Orders.Any(o => o is RandomOrder || o is WeightedRandomOrder);
                         if (hasRandomOrder)
                         {
                             logger?.LogDebug("Applied random order to playlist '{PlaylistName}' with {TotalItems} items (no limit)",
@@ -973,6 +1282,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     return expandedResults.Select(x => x.Id);
                 }
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 stopwatch.Stop();
@@ -982,12 +1295,254 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Explains why an item is or is not part of this list: evaluates every rule against the item
+        /// and runs the full filter over the candidates to see whether sorting and limits keep it.
+        /// </summary>
+        /// <param name="item">The item to explain.</param>
+        /// <param name="candidates">The items the list is built from (already filtered by media type).</param>
+        /// <param name="libraryManager">Library manager.</param>
+        /// <param name="user">The user the list is evaluated for.</param>
+        /// <param name="refreshCache">Cache for expensive lookups.</param>
+        /// <param name="userDataManager">User data manager for user-specific rules.</param>
+        /// <param name="logger">Optional logger.</param>
+        /// <returns>The explanation.</returns>
+        public SmartListExplanation ExplainItem(BaseItem item, IReadOnlyList<BaseItem> candidates, ILibraryManager libraryManager,
+            User user, RefreshQueueService.RefreshCache refreshCache, IUserDataManager? userDataManager = null, ILogger? logger = null)
+        {
+            ArgumentNullException.ThrowIfNull(item);
+            ArgumentNullException.ThrowIfNull(candidates);
+            ArgumentNullException.ThrowIfNull(user);
+
+            var explanation = new SmartListExplanation
+            {
+                ItemId = item.Id.ToString("N"),
+                ItemName = item.Name ?? string.Empty,
+                MaxItems = MaxItems,
+                MaxPlayTimeMinutes = MaxPlayTimeMinutes,
+                ScoringMode = ScoringMode,
+                MinScore = ScoringMode ? MinScore : null,
+            };
+
+            var finalIds = FilterPlaylistItems(candidates, libraryManager, user, refreshCache, userDataManager, logger).ToList();
+            explanation.MatchCount = LastMatchCount;
+            explanation.ItemCount = finalIds.Count;
+            explanation.MatchesRules = _lastMatchedIds.Contains(item.Id);
+            explanation.Score = ScoringMode && _ruleScores.TryGetValue(item.Id, out var ruleScore) ? ruleScore : null;
+
+            var position = finalIds.IndexOf(item.Id);
+            explanation.InList = position >= 0;
+            explanation.Position = position >= 0 ? position + 1 : null;
+
+            var defaultUserId = user.Id.ToString("N");
+            try
+            {
+                var fieldReqs = FieldRequirements.Analyze(ExpressionSets, Orders);
+                var operand = OperandFactory.GetMediaType(libraryManager, item, user, userDataManager, UserManager, logger, new MediaTypeExtractionOptions
+                {
+                    ExtractAudioLanguages = fieldReqs.NeedsAudioLanguages,
+                    ExtractAudioQuality = fieldReqs.NeedsAudioQuality,
+                    ExtractVideoQuality = fieldReqs.NeedsVideoQuality,
+                    ExtractPeople = fieldReqs.NeedsPeople,
+                    ExtractCollections = fieldReqs.NeedsCollections,
+                    ExtractNextUnwatched = fieldReqs.NeedsNextUnwatched,
+                    ExtractSeriesName = fieldReqs.NeedsSeriesName,
+                    ExtractParentSeriesTags = fieldReqs.NeedsParentSeriesTags,
+                    ExtractParentSeriesStudios = fieldReqs.NeedsParentSeriesStudios,
+                    ExtractParentSeriesGenres = fieldReqs.NeedsParentSeriesGenres,
+                    IncludeUnwatchedSeries = fieldReqs.IncludeUnwatchedSeries,
+                    AdditionalUserIds = [.. fieldReqs.AdditionalUserIds.Select(id => Guid.TryParse(id, out var guid) ? guid.ToString("N") : id)],
+                }, refreshCache);
+
+                explanation.Sets = [.. ExpressionSets.Where(set => set != null).Select(set => ExplainExpressionSet(set, operand, item.Id, defaultUserId, logger))];
+            }
+            catch (Exception ex)
+            {
+                logger?.LogWarning(ex, "Could not evaluate rules of '{PlaylistName}' for item '{ItemName}'", Name, item.Name);
+                explanation.Message = $"Could not evaluate the rules for this item: {ex.Message}";
+            }
+
+            if (!candidates.Any(candidate => candidate.Id == item.Id) && !explanation.MatchesRules)
+            {
+                explanation.ExcludedBy = "MediaType";
+            }
+            else if (!explanation.MatchesRules)
+            {
+                explanation.ExcludedBy = "Rules";
+            }
+            else if (!explanation.InList)
+            {
+                // ApplyLimits stops at the first limit reached, so a full list means MaxItems cut the item.
+                // Spacing only reorders, so without a limit nothing known drops a matching item.
+                if (MaxItems > 0 && finalIds.Count >= MaxItems)
+                {
+                    explanation.ExcludedBy = "MaxItems";
+                }
+                else if (MaxPlayTimeMinutes > 0)
+                {
+                    explanation.ExcludedBy = "MaxPlayTime";
+                }
+                else
+                {
+                    explanation.Message ??= "It matches the rules, but no limit explains why it is missing from the list.";
+                }
+            }
+
+            return explanation;
+        }
+
+        private ExpressionSetExplanation ExplainExpressionSet(ExpressionSet set, Operand operand, Guid itemId, string defaultUserId, ILogger? logger)
+        {
+            var result = new ExpressionSetExplanation
+            {
+                Logic = set.Logic == RuleLogic.Or ? "Or" : "And",
+                Negate = set.Negate == true,
+            };
+
+            var outcomes = new List<bool>();
+            foreach (var expr in set.Expressions ?? [])
+            {
+                if (expr == null)
+                {
+                    continue;
+                }
+
+                var exprResult = ExplainExpression(expr, operand, itemId, defaultUserId, logger);
+                result.Expressions.Add(exprResult);
+                if (exprResult.Passed.HasValue)
+                {
+                    outcomes.Add(exprResult.Passed.Value);
+                }
+            }
+
+            foreach (var group in set.Groups ?? [])
+            {
+                if (group == null)
+                {
+                    continue;
+                }
+
+                var groupResult = ExplainExpressionSet(group, operand, itemId, defaultUserId, logger);
+                result.Groups.Add(groupResult);
+                outcomes.Add(groupResult.Passed);
+            }
+
+            // Same semantics as CompileNestedLogicGroup: nothing evaluated per item is neutral, even under NOT
+            if (outcomes.Count == 0)
+            {
+                result.Passed = true;
+            }
+            else
+            {
+                bool passed = set.Logic == RuleLogic.Or ? outcomes.Any(o => o) : outcomes.All(o => o);
+                result.Passed = result.Negate ? !passed : passed;
+            }
+            return result;
+        }
+
+        private ExpressionExplanation ExplainExpression(Expression expr, Operand operand, Guid itemId, string defaultUserId, ILogger? logger)
+        {
+            var result = new ExpressionExplanation
+            {
+                MemberName = expr.MemberName,
+                Operator = expr.Operator,
+                TargetValue = expr.TargetValue,
+                UserId = expr.UserId,
+                CompareField = expr.CompareField,
+                CompareUserId = expr.CompareUserId,
+            };
+
+            // SimilarTo and collection-only Collections rules are not scored
+            if (ScoringMode && RuleScoring.IsScored(expr))
+            {
+                result.Weight = expr.EffectiveWeight;
+            }
+
+            if (expr.MemberName == "SimilarTo")
+            {
+                result.ActualValue = _similarityScores.TryGetValue(itemId, out var score) ? score.ToString("0.##", System.Globalization.CultureInfo.InvariantCulture) : null;
+                result.Note = "Similarity is scored against the whole list.";
+                return result;
+            }
+
+            if (expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true)
+            {
+                result.Note = "Adds the matching collections themselves rather than filtering items.";
+                return result;
+            }
+
+            result.ActualValue = FormatOperandValue(operand, expr, defaultUserId);
+            if (expr.IsFieldComparison)
+            {
+                result.CompareValue = FormatOperandValue(operand, new Expression(expr.CompareField!, expr.Operator, string.Empty) { UserId = expr.CompareUserId }, defaultUserId);
+            }
+
+            try
+            {
+                var rule = Engine.CompileRule<Operand>(expr, defaultUserId, logger);
+                result.Passed = InvokeRuleSafely(rule, operand);
+            }
+            catch (Exception ex)
+            {
+                result.Passed = false;
+                result.Note = $"Rule could not be evaluated: {ex.Message}";
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Formats the operand value a rule is compared against, for display in explanations.
+        /// </summary>
+        private static string? FormatOperandValue(Operand operand, Expression expr, string defaultUserId)
+        {
+            object? value;
+            if (Expression.IsUserSpecificField(expr.MemberName))
+            {
+                var userId = Guid.TryParse(expr.UserId ?? defaultUserId, out var guid) ? guid.ToString("N") : (expr.UserId ?? defaultUserId);
+                value = expr.MemberName switch
+                {
+                    "IsPlayed" => operand.GetIsPlayedByUser(userId),
+                    "PlayCount" => operand.GetPlayCountByUser(userId),
+                    "IsFavorite" => operand.GetIsFavoriteByUser(userId),
+                    "NextUnwatched" => operand.GetNextUnwatchedByUser(userId),
+                    "LastPlayedDate" => operand.GetLastPlayedDateByUser(userId),
+                    _ => null,
+                };
+            }
+            else
+            {
+                value = typeof(Operand).GetProperty(expr.MemberName)?.GetValue(operand);
+            }
+
+            switch (value)
+            {
+                case null:
+                    return null;
+                case double seconds when FieldDefinitions.IsDateField(expr.MemberName):
+                    if (seconds <= 0)
+                    {
+                        return expr.MemberName == "LastPlayedDate" ? "never" : "not set";
+                    }
+
+                    return DateTimeOffset.FromUnixTimeSeconds((long)seconds).UtcDateTime.ToString("yyyy-MM-dd HH:mm 'UTC'", System.Globalization.CultureInfo.InvariantCulture);
+                case IEnumerable<string> list:
+                    return string.Join(", ", list);
+                case bool flag:
+                    return flag ? "true" : "false";
+                case IFormattable formattable:
+                    return formattable.ToString(null, System.Globalization.CultureInfo.InvariantCulture);
+                default:
+                    return value.ToString();
+            }
+        }
+
         private bool ShouldExpandEpisodesForCollections()
         {
             // Only expand if Episodes media type is selected AND Collections expansion is enabled
             var isEpisodesMediaType = MediaTypes?.Contains(Constants.MediaTypes.Episode) == true;
             var hasCollectionsEpisodeExpansion = ExpressionSets?.Any(set =>
-                set.Expressions?.Any(expr =>
+                set.GetAllExpressions().Any(expr =>
                     expr.MemberName == "Collections" && expr.IncludeEpisodesWithinSeries == true) == true) == true;
 
             return isEpisodesMediaType && hasCollectionsEpisodeExpansion;
@@ -1006,7 +1561,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             // Check if any collection matches any Collections rule
             // Skip rules with IncludeCollectionOnly=true since those are handled separately
             return ExpressionSets?.Any(set =>
-                set.Expressions?.Any(expr =>
+                set.GetAllExpressions().Any(expr =>
                     expr.MemberName == "Collections" &&
                     expr.IncludeCollectionOnly != true && // Skip IncludeCollectionOnly rules
                     DoesCollectionMatchRule(collections, expr)) == true) == true;
@@ -1122,7 +1677,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
             // Check if any collection matches any Collections rule with IncludeCollectionOnly=true
             return ExpressionSets?.Any(set =>
-                set.Expressions?.Any(expr =>
+                set.GetAllExpressions().Any(expr =>
                     expr.MemberName == "Collections" &&
                     expr.IncludeCollectionOnly == true && // Only check IncludeCollectionOnly rules
                     DoesCollectionMatchRule(collections, expr)) == true) == true;
@@ -1194,7 +1749,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 // Check if this series matches any Collections rule (even if it fails other rules)
                 var hasCollectionsInAnyGroup = ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr => expr.MemberName == "Collections") == true) == true;
+                    set.GetAllExpressions().Any(expr => expr.MemberName == "Collections") == true) == true;
 
                 bool matchesCollectionsRule = hasCollectionsInAnyGroup && DoCollectionsMatchRules(operand.Collections);
 
@@ -1225,7 +1780,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                 // Check if Collections rules have episode expansion enabled
                 var hasCollectionsEpisodeExpansion = ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr =>
+                    set.GetAllExpressions().Any(expr =>
                         expr.MemberName == "Collections" && expr.IncludeEpisodesWithinSeries == true) == true) == true;
 
                 // Episodes media type with Collections expansion enabled: Expand and deduplicate
@@ -1383,6 +1938,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         }, refreshCache);
 
                         var matches = EvaluateLogicGroupsForEpisode(compiledRules, operand, parentSeries, logger);
+                        if (operand.RuleScore.HasValue)
+                        {
+                            _ruleScores[episode.Id] = operand.RuleScore.Value;
+                        }
 
                         if (matches)
                         {
@@ -1408,6 +1967,32 @@ namespace Jellyfin.Plugin.SmartLists.Core
             }
         }
 
+        /// <summary>
+        /// Gets each order's sort key for an item, formatted for display, so the editor can show how
+        /// items were sorted and how ties were broken. Call after <see cref="FilterPlaylistItems"/>,
+        /// which prepares the similarity and rule scores the orders read.
+        /// </summary>
+        public List<string> DescribeSortKeys(BaseItem item, User user, IUserDataManager? userDataManager, ILogger? logger, RefreshQueueService.RefreshCache? refreshCache)
+        {
+            ArgumentNullException.ThrowIfNull(item);
+
+            var keys = new List<string>(Orders.Count);
+            foreach (var order in Orders)
+            {
+                try
+                {
+                    keys.Add(order.FormatSortKey(order.GetSortKey(item, user, userDataManager, logger, null, refreshCache)));
+                }
+                catch (Exception ex)
+                {
+                    logger?.LogDebug(ex, "Could not read the {OrderName} sort key of item {ItemId}", order.Name, item.Id);
+                    keys.Add(string.Empty);
+                }
+            }
+
+            return keys;
+        }
+
         /// <summary>
         /// Applies multiple sorting orders in cascade to a collection of items.
         /// </summary>
@@ -1465,6 +2050,12 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 logger?.LogDebug("Pre-generated {Count} random keys for items", itemRandomKeys.Count);
             }
 
+            // Smart shuffle keys depend on how each item ranks among all of them, so draw them up front
+            foreach (var weightedRandomOrder in Orders.OfType<WeightedRandomOrder>())
+            {
+                weightedRandomOrder.PrepareKeys(itemsList, user, userDataManager, logger, refreshCache);
+            }
+
             // Create sort keys for each item based on all orders
             var itemsWithKeys = itemsList.Select(item => new
             {
@@ -1539,7 +2130,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                    order is SeasonNumberOrderDesc ||
                    order is EpisodeNumberOrderDesc ||
                    order is TrackNumberOrderDesc ||
-                   order is SimilarityOrder; // Similarity descending is the default,
+                   order is SimilarityOrder || // Similarity descending is the default,
+                   order is ScoreOrder ||
+                   order is WeightedRandomOrder || // Smart shuffle keys put the next pick highest
+                   order is FieldOrder { Descending: true };
         }
 
         /// <summary>
@@ -1625,7 +2219,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
         private List<BaseItem> ProcessItemChunk(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
             User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool needsSimilarTo, bool includeUnwatchedSeries,
-            List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, bool hasNonExpensiveRules, RefreshQueueService.RefreshCache refreshCache)
+            List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, bool hasNonExpensiveRules, RefreshQueueService.RefreshCache refreshCache,
+            CancellationToken cancellationToken)
         {
             var results = new List<BaseItem>();
 
@@ -1656,6 +2251,15 @@ namespace Jellyfin.Plugin.SmartLists.Core
                             var set = ExpressionSets[setIndex];
                             if (set?.Expressions == null) continue;
 
+                            // Nested groups compile into a single predicate that may need expensive fields,
+                            // so they are always evaluated in the expensive phase
+                            if (set.HasNestedLogic)
+                            {
+                                cheapCompiledRules.Add([]);
+                                logger?.LogDebug("Rule set {SetIndex}: nested logic group, evaluated with expensive rules", setIndex);
+                                continue;
+                            }
+
                             var cheapRules = new List<Func<Operand, bool>>();
                             int expensiveCount = 0;
 
@@ -1685,7 +2289,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                     var compiledRule = compiledRules[setIndex][compiledIndex++];
 
                                     // Check if this is an expensive field
-                                    bool isExpensive = ExpensiveFields.Contains(expr.MemberName) ||
+                                    bool isExpensive = expr.GetReferencedFields().Any(ExpensiveFields.Contains) ||
                                                       (expr.MemberName == "Tags" && expr.IncludeParentSeriesTags == true) ||
                                                       (expr.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true) ||
                                                       (expr.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true);
@@ -1718,7 +2322,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                     catch (Exception ex)
                     {
                         logger?.LogWarning(ex, "Error separating rules into cheap and expensive categories. Falling back to simple processing.");
-                        return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache);
+                        return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache, cancellationToken);
                     }
 
                     if (!hasNonExpensiveRules)
@@ -1743,6 +2347,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         foreach (var item in itemList)
                         {
+                            cancellationToken.ThrowIfCancellationRequested();
                             if (item == null || userNotFoundException != null) continue;
 
                             try
@@ -1790,6 +2395,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 else
                                 {
                                     matches = EvaluateLogicGroups(compiledRules, operand);
+                                    if (operand.RuleScore.HasValue)
+                                    {
+                                        _ruleScores[item.Id] = operand.RuleScore.Value;
+                                    }
                                 }
 
                                 // Apply similarity filter
@@ -1840,6 +2449,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         foreach (var item in itemList)
                         {
+                            cancellationToken.ThrowIfCancellationRequested();
                             if (item == null || userNotFoundException != null) continue;
 
                             try
@@ -1947,6 +2557,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
                         foreach (var item in phase1Survivors)
                         {
+                            cancellationToken.ThrowIfCancellationRequested();
                             if (userNotFoundException != null) break;
 
                             try
@@ -2023,6 +2634,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                                 else
                                 {
                                     matches = EvaluateLogicGroups(compiledRules, fullOperand);
+                                    if (fullOperand.RuleScore.HasValue)
+                                    {
+                                        _ruleScores[item.Id] = fullOperand.RuleScore.Value;
+                                    }
                                 }
 
                                 // Apply similarity filter
@@ -2060,7 +2675,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 else
                 {
                     // No expensive fields needed - use simple filtering
-                    return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache);
+                    return ProcessItemsSimple(items, libraryManager, user, userDataManager, logger, needsAudioLanguages, needsAudioQuality, needsVideoQuality, needsPeople, needsCollections, needsNextUnwatched, needsSeriesName, needsParentSeriesTags, needsParentSeriesStudios, needsParentSeriesGenres, includeUnwatchedSeries, additionalUserIds, referenceMetadata, similarityComparisonFields, needsSimilarTo, compiledRules, hasAnyRules, refreshCache, cancellationToken);
                 }
 
                 return results;
@@ -2071,6 +2686,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 logger?.LogWarning(ex, "Playlist '{PlaylistName}' references a user that no longer exists. Playlist processing will be skipped.", Name);
                 throw; // Re-throw to stop playlist processing entirely,
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 logger?.LogError(ex, "Critical error in ProcessItemChunk. Returning partial results.");
@@ -2084,7 +2703,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
         private List<BaseItem> ProcessItemsSimple(IEnumerable<BaseItem> items, ILibraryManager libraryManager,
             User user, IUserDataManager? userDataManager, ILogger? logger, bool needsAudioLanguages, bool needsAudioQuality, bool needsVideoQuality, bool needsPeople, bool needsCollections, bool needsNextUnwatched, bool needsSeriesName, bool needsParentSeriesTags, bool needsParentSeriesStudios, bool needsParentSeriesGenres, bool includeUnwatchedSeries,
             List<string> additionalUserIds, OperandFactory.ReferenceMetadata? referenceMetadata, List<string> similarityComparisonFields, bool needsSimilarTo,
-            List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, RefreshQueueService.RefreshCache refreshCache)
+            List<List<Func<Operand, bool>>> compiledRules, bool hasAnyRules, RefreshQueueService.RefreshCache refreshCache,
+            CancellationToken cancellationToken)
         {
             var results = new List<BaseItem>();
 
@@ -2107,6 +2727,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             {
                 foreach (var item in itemList)
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
                     if (item == null || userNotFoundException != null) continue;
 
                     try
@@ -2152,6 +2773,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                         else
                         {
                             matches = EvaluateLogicGroups(compiledRules, operand);
+                            if (operand.RuleScore.HasValue)
+                            {
+                                _ruleScores[item.Id] = operand.RuleScore.Value;
+                            }
                         }
 
                         // Apply similarity filter
@@ -2201,6 +2826,10 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 logger?.LogWarning(ex, "Playlist '{PlaylistName}' references a user that no longer exists. Playlist processing will be skipped.", Name);
                 throw; // Re-throw to stop playlist processing entirely,
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 logger?.LogError(ex, "Critical error in ProcessItemsSimple. Returning partial results.");
@@ -2228,6 +2857,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
             { "DateCreated Ascending", () => new DateCreatedOrder() },
             { "Similarity Ascending", () => new SimilarityOrderAsc() },
             { "Similarity Descending", () => new SimilarityOrder() },
+            { "Score Ascending", () => new ScoreOrderAsc() },
+            { "Score Descending", () => new ScoreOrder() },
             { "DateCreated Descending", () => new DateCreatedOrderDesc() },
             { "ReleaseDate Ascending", () => new ReleaseDateOrder() },
             { "ReleaseDate Descending", () => new ReleaseDateOrderDesc() },
@@ -2254,6 +2885,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             { "EpisodeNumber Ascending", () => new EpisodeNumberOrder() },
             { "EpisodeNumber Descending", () => new EpisodeNumberOrderDesc() },
             { "Random", () => new RandomOrder() },
+            { "WeightedRandom", () => new WeightedRandomOrder() },
             { "NoOrder", () => new NoOrder() },
         };
 
@@ -2297,7 +2929,7 @@ namespace Jellyfin.Plugin.SmartLists.Core
             if (expressionSets == null) return requirements;
 
             requirements.NeedsAudioLanguages = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "AudioLanguages");
 
             // Check if any rules use audio quality fields (expensive operations)
@@ -2306,8 +2938,8 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 "AudioBitrate", "AudioSampleRate", "AudioBitDepth", "AudioCodec", "AudioProfile", "AudioChannels",
             };
             requirements.NeedsAudioQuality = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
-                .Any(expr => expr?.MemberName != null && audioQualityFields.Contains(expr.MemberName));
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .Any(expr => expr?.MemberName != null && expr.GetReferencedFields().Any(audioQualityFields.Contains));
 
             // Check if any rules use video quality fields (expensive operations)
             var videoQualityFields = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
@@ -2315,24 +2947,24 @@ namespace Jellyfin.Plugin.SmartLists.Core
                 "Resolution", "Framerate", "VideoCodec", "VideoProfile", "VideoRange", "VideoRangeType",
             };
             requirements.NeedsVideoQuality = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
-                .Any(expr => expr?.MemberName != null && videoQualityFields.Contains(expr.MemberName));
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .Any(expr => expr?.MemberName != null && expr.GetReferencedFields().Any(videoQualityFields.Contains));
 
             requirements.NeedsPeople = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName != null && FieldDefinitions.IsPeopleField(expr.MemberName));
 
             requirements.NeedsCollections = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Collections");
 
             requirements.NeedsNextUnwatched = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "NextUnwatched");
 
             requirements.NeedsSeriesName = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
-                .Any(expr => expr?.MemberName == "SeriesName");
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .Any(expr => expr?.MemberName != null && expr.GetReferencedFields().Contains("SeriesName"));
 
             // Also check if SeriesName is used in sorting
             if (orders != null && !requirements.NeedsSeriesName)
@@ -2343,40 +2975,41 @@ namespace Jellyfin.Plugin.SmartLists.Core
 
             // Check if any Tags rule has IncludeParentSeriesTags = true
             requirements.NeedsParentSeriesTags = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Tags" && expr.IncludeParentSeriesTags == true);
 
             // Check if any Studios rule has IncludeParentSeriesStudios = true
             requirements.NeedsParentSeriesStudios = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Studios" && expr.IncludeParentSeriesStudios == true);
 
             // Check if any Genres rule has IncludeParentSeriesGenres = true
             requirements.NeedsParentSeriesGenres = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "Genres" && expr.IncludeParentSeriesGenres == true);
 
             // Check if any rules use SimilarTo field
             requirements.NeedsSimilarTo = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Any(expr => expr?.MemberName == "SimilarTo");
 
             // Extract SimilarTo expressions for reference item lookup
             requirements.SimilarToExpressions = [.. expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Where(expr => expr?.MemberName == "SimilarTo")];
 
             // Extract IncludeUnwatchedSeries parameter from NextUnwatched rules
             requirements.IncludeUnwatchedSeries = expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
                 .Where(e => e?.MemberName == "NextUnwatched")
                 .All(e => e.IncludeUnwatchedSeries != false);
 
-            // Extract additional user IDs from user-specific rules
+            // Extract additional user IDs from user-specific rules and the compared side of field comparisons
             requirements.AdditionalUserIds = [.. expressionSets
-                .SelectMany(set => set?.Expressions ?? [])
-                .Where(e => !string.IsNullOrEmpty(e?.UserId))
-                .Select(e => e.UserId!)
+                .SelectMany(set => set?.GetAllExpressions() ?? [])
+                .SelectMany(e => new[] { e?.UserId, e?.CompareUserId })
+                .Where(userId => !string.IsNullOrEmpty(userId))
+                .Select(userId => userId!)
                 .Distinct()];
 
             return requirements;
@@ -127,6 +127,54 @@ namespace Jellyfin.Plugin.SmartLists
                     Name = "config-rules.js",
                     EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-rules.js",
                 },
+                // Text query language for rules
+                new PluginPageInfo
+                {
+                    Name = "config-query.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-query.js",
+                },
+                // Live matching-items preview
+                new PluginPageInfo
+                {
+                    Name = "config-preview.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-preview.js",
+                },
+                // Rule explain debugger
+                new PluginPageInfo
+                {
+                    Name = "config-explain.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-explain.js",
+                },
+                // Plain-language list sentences
+                new PluginPageInfo
+                {
+                    Name = "config-sentence.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-sentence.js",
+                },
+                // Rule linting before save
+                new PluginPageInfo
+                {
+                    Name = "config-lint.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-lint.js",
+                },
+                // Reusable rule snippets
+                new PluginPageInfo
+                {
+                    Name = "config-snippets.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-snippets.js",
+                },
+                // Library-backed rule value suggestions
+                new PluginPageInfo
+                {
+                    Name = "config-autocomplete.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-autocomplete.js",
+                },
+                // Undo / redo for the list form
+                new PluginPageInfo
+                {
+                    Name = "config-history.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-history.js",
+                },
                 // Playlist CRUD operations
                 new PluginPageInfo
                 {
@@ -151,6 +199,18 @@ namespace Jellyfin.Plugin.SmartLists
                     Name = "config-status.js",
                     EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-status.js",
                 },
+                // Schedule timeline (status page)
+                new PluginPageInfo
+                {
+                    Name = "config-timeline.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-timeline.js",
+                },
+                // Refresh trend charts (status page)
+                new PluginPageInfo
+                {
+                    Name = "config-charts.js",
+                    EmbeddedResourcePath = GetType().Namespace + ".Configuration.config-charts.js",
+                },
                 // API calls
                 new PluginPageInfo
                 {
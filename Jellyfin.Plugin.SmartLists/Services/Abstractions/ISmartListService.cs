@@ -41,6 +41,24 @@ namespace Jellyfin.Plugin.SmartLists.Services.Abstractions
         /// <returns>Enumerable of BaseItem matching the media types</returns>
         IEnumerable<BaseItem> GetAllUserMediaForPlaylist(User user, List<string> mediaTypes, TDto? dto = null);
 
+        /// <summary>
+        /// Evaluates an unsaved list against the library without creating or updating anything.
+        /// Validation problems are reported in the result rather than thrown.
+        /// </summary>
+        /// <param name="dto">The in-progress list DTO</param>
+        /// <param name="sampleSize">Number of leading items to include in the result</param>
+        /// <returns>Match counts and the first items of the list</returns>
+        SmartListPreviewResult Preview(TDto dto, int sampleSize);
+
+        /// <summary>
+        /// Explains why an item is or is not part of a saved list.
+        /// </summary>
+        /// <param name="dto">The list DTO</param>
+        /// <param name="itemId">The item to explain</param>
+        /// <param name="userId">The list user to evaluate for (playlists only; defaults to the first user)</param>
+        /// <returns>The explanation, or null if the item does not exist</returns>
+        SmartListExplanation? Explain(TDto dto, Guid itemId, string? userId = null);
+
         /// <summary>
         /// Processes a playlist refresh with pre-cached media for efficient batch processing.
         /// </summary>
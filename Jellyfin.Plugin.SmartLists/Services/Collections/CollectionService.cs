@@ -81,6 +81,80 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
             return GetAllMedia(mediaTypes, dto, user);
         }
 
+        /// <summary>
+        /// Evaluates an unsaved collection in its owner's context without creating or updating anything.
+        /// </summary>
+        public SmartListPreviewResult Preview(SmartCollectionDto dto, int sampleSize)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            dto.Id ??= SmartListPreviewBuilder.PreviewListId;
+            if (!Guid.TryParse(dto.UserId, out var ownerUserId) || ownerUserId == Guid.Empty)
+            {
+                return SmartListPreviewBuilder.Failed("Select a collection owner to preview matching items.");
+            }
+
+            var ownerUser = _userManager.GetUserById(ownerUserId);
+            if (ownerUser == null)
+            {
+                return SmartListPreviewBuilder.Failed("Collection owner user not found. Please set a valid owner.");
+            }
+
+            BaseItem[] allMedia;
+            try
+            {
+                allMedia = GetAllUserMediaForPlaylist(ownerUser, dto.MediaTypes ?? [], dto).ToArray();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return SmartListPreviewBuilder.Failed(ex.Message);
+            }
+
+            var smartCollection = new Core.SmartList(dto)
+            {
+                UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution
+            };
+
+            return SmartListPreviewBuilder.Build(smartCollection, ownerUser, allMedia, _libraryManager, _userDataManager, _logger, sampleSize);
+        }
+
+        /// <summary>
+        /// Explains why an item is or is not in a collection, evaluated in the owner's context.
+        /// </summary>
+        public SmartListExplanation? Explain(SmartCollectionDto dto, Guid itemId, string? userId = null)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            var item = _libraryManager.GetItemById(itemId);
+            if (item == null)
+            {
+                return null;
+            }
+
+            var ownerUser = Guid.TryParse(dto.UserId, out var ownerUserId) ? _userManager.GetUserById(ownerUserId) : null;
+            if (ownerUser == null)
+            {
+                return new SmartListExplanation { ItemId = item.Id.ToString("N"), ItemName = item.Name ?? string.Empty, Message = "Collection owner user not found." };
+            }
+
+            BaseItem[] allMedia;
+            try
+            {
+                allMedia = GetAllUserMediaForPlaylist(ownerUser, dto.MediaTypes ?? [], dto).ToArray();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return new SmartListExplanation { ItemId = item.Id.ToString("N"), ItemName = item.Name ?? string.Empty, Message = ex.Message };
+            }
+
+            var smartCollection = new Core.SmartList(dto)
+            {
+                UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution
+            };
+
+            return smartCollection.ExplainItem(item, allMedia, _libraryManager, ownerUser, new RefreshQueueService.RefreshCache(), _userDataManager, _logger);
+        }
+
         /// <summary>
         /// Processes a collection refresh with pre-cached media for efficient batch processing.
         /// Implements ISmartListService interface (generic method name for both playlists and collections).
@@ -176,6 +250,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
                 // Process collection refresh with the media
                 return await ProcessCollectionRefreshAsync(dto, ownerUser, allMedia, refreshCache, progressCallback, cancellationToken);
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error processing collection refresh for '{CollectionName}': {ErrorMessage}", dto.Name, ex.Message);
@@ -207,7 +285,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
 
                 // Check if IncludeCollectionOnly is enabled
                 var hasCollectionsIncludeCollectionOnly = dto.ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr =>
+                    set.GetAllExpressions().Any(expr =>
                         expr.MemberName == "Collections" && expr.IncludeCollectionOnly == true) == true) == true;
 
                 // If IncludeCollectionOnly is enabled, also query for collections to include in lookup
@@ -232,7 +310,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Collections
                 progressCallback?.Invoke(0, allMedia.Length);
                 
                 // Use owner's user data manager for user-specific filtering (IsPlayed, IsFavorite, etc.)
-                var newItems = smartCollection.FilterPlaylistItems(allMedia, _libraryManager, ownerUser, refreshCache, _userDataManager, _logger, progressCallback).ToArray();
+                var newItems = smartCollection.FilterPlaylistItems(allMedia, _libraryManager, ownerUser, refreshCache, _userDataManager, _logger, progressCallback, cancellationToken).ToArray();
                 _logger.LogDebug("Collection {CollectionName} filtered to {FilteredCount} items from {TotalCount} total items",
                     dto.Name, newItems.Length, allMedia.Length);
 
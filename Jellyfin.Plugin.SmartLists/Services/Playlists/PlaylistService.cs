@@ -144,7 +144,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
                 // Report initial total items count
                 progressCallback?.Invoke(0, allUserMedia.Length);
 
-                var newItems = smartPlaylist.FilterPlaylistItems(allUserMedia, _libraryManager, user, refreshCache, _userDataManager, logger, progressCallback).ToArray();
+                var newItems = smartPlaylist.FilterPlaylistItems(allUserMedia, _libraryManager, user, refreshCache, _userDataManager, logger, progressCallback, cancellationToken).ToArray();
                 logger.LogDebug("Playlist {PlaylistName} filtered to {FilteredCount} items from {TotalCount} total items",
                     dto.Name, newItems.Length, allUserMedia.Length);
 
@@ -327,6 +327,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
                     return (true, $"Created playlist '{smartPlaylistName}' with {newLinkedChildren.Length} items", newPlaylistId);
                 }
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 logger.LogError(ex, "Error processing playlist refresh for '{PlaylistName}': {ErrorMessage}", dto.Name, ex.Message);
@@ -389,6 +393,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
 
                 return (success, message, jellyfinPlaylistId);
             }
+            catch (OperationCanceledException)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 stopwatch.Stop();
@@ -714,6 +722,83 @@ namespace Jellyfin.Plugin.SmartLists.Services.Playlists
             return GetAllUserMedia(user, mediaTypes, dto);
         }
 
+        /// <summary>
+        /// Evaluates an unsaved playlist without creating or updating anything.
+        /// Multi-user playlists are evaluated for their first user.
+        /// </summary>
+        public SmartListPreviewResult Preview(SmartPlaylistDto dto, int sampleSize)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            dto.Id ??= SmartListPreviewBuilder.PreviewListId;
+            if (string.IsNullOrEmpty(dto.UserId))
+            {
+                dto.UserId = dto.UserPlaylists?.FirstOrDefault(up => !string.IsNullOrEmpty(up.UserId))?.UserId ?? string.Empty;
+            }
+
+            var user = GetPlaylistUser(dto);
+            if (user == null)
+            {
+                return SmartListPreviewBuilder.Failed("Select a playlist user to preview matching items.");
+            }
+
+            BaseItem[] allUserMedia;
+            try
+            {
+                allUserMedia = GetAllUserMediaForPlaylist(user, dto.MediaTypes ?? [], dto).ToArray();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return SmartListPreviewBuilder.Failed(ex.Message);
+            }
+
+            var smartPlaylist = new Core.SmartList(dto)
+            {
+                UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution
+            };
+
+            return SmartListPreviewBuilder.Build(smartPlaylist, user, allUserMedia, _libraryManager, _userDataManager, _logger, sampleSize);
+        }
+
+        /// <summary>
+        /// Explains why an item is or is not in a playlist for one of its users.
+        /// </summary>
+        public SmartListExplanation? Explain(SmartPlaylistDto dto, Guid itemId, string? userId = null)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            var item = _libraryManager.GetItemById(itemId);
+            if (item == null)
+            {
+                return null;
+            }
+
+            // DEPRECATED: dto.UserId is the fallback for old single-user playlists
+            var explainUserId = userId ?? dto.UserPlaylists?.FirstOrDefault(up => !string.IsNullOrEmpty(up.UserId))?.UserId ?? dto.UserId;
+            var user = Guid.TryParse(explainUserId, out var parsedUserId) ? _userManager.GetUserById(parsedUserId) : null;
+            if (user == null)
+            {
+                return new SmartListExplanation { ItemId = item.Id.ToString("N"), ItemName = item.Name ?? string.Empty, Message = "Playlist user not found." };
+            }
+
+            BaseItem[] allUserMedia;
+            try
+            {
+                allUserMedia = GetAllUserMediaForPlaylist(user, dto.MediaTypes ?? [], dto).ToArray();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return new SmartListExplanation { ItemId = item.Id.ToString("N"), ItemName = item.Name ?? string.Empty, Message = ex.Message };
+            }
+
+            var smartPlaylist = new Core.SmartList(dto)
+            {
+                UserManager = _userManager // Set UserManager for Jellyfin 10.11+ user resolution
+            };
+
+            return smartPlaylist.ExplainItem(item, allUserMedia, _libraryManager, user, new RefreshQueueService.RefreshCache(), _userDataManager, _logger);
+        }
+
         private IEnumerable<BaseItem> GetAllUserMedia(User user, List<string>? mediaTypes = null, SmartPlaylistDto? dto = null)
         {
             var query = new InternalItemsQuery(user)
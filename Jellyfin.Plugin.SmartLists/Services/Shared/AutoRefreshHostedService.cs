@@ -64,7 +64,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 // Get RefreshQueueService from DI - it's registered as singleton and required
                 var refreshQueueService = _serviceProvider.GetRequiredService<RefreshQueueService>();
 
-                _autoRefreshService = new AutoRefreshService(libraryManager, autoRefreshLogger, playlistStore, playlistService, collectionStore, collectionService, userDataManager, userManager, refreshQueueService, refreshStatusService);
+                _autoRefreshService = new AutoRefreshService(libraryManager, autoRefreshLogger, playlistStore, playlistService, collectionStore, collectionService, userDataManager, userManager, fileSystem, refreshQueueService, refreshStatusService);
 
                 _logger.LogInformation("SmartLists AutoRefreshService started successfully (schedule timer initialized)");
             }
@@ -1,7 +1,9 @@
 using System;
 using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.IO;
 using System.Linq;
+using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Data.Enums;
@@ -16,6 +18,7 @@ using Jellyfin.Plugin.SmartLists.Utilities;
 using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Library;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
 
 namespace Jellyfin.Plugin.SmartLists.Services.Shared
 {
@@ -52,7 +55,6 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly ISmartListService<SmartCollectionDto> _collectionService;
         private readonly IUserDataManager _userDataManager;
         private readonly IUserManager _userManager;
-        private readonly RefreshCache _playlistRefreshCache;
         private readonly RefreshQueueService _refreshQueueService;
 
         // Static reference for API access to cache management
@@ -92,6 +94,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
         private readonly RefreshStatusService? _refreshStatusService;
 
+        // Last library/user data change per media type, for schedules that only refresh when something changed
+        private readonly ChangeWatermarks _changeWatermarks;
+        private readonly string _changeWatermarksPath;
+
         public AutoRefreshService(
             ILibraryManager libraryManager,
             ILogger<AutoRefreshService> logger,
@@ -101,9 +107,12 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             ISmartListService<SmartCollectionDto> collectionService,
             IUserDataManager userDataManager,
             IUserManager userManager,
+            ISmartListFileSystem fileSystem,
             RefreshQueueService refreshQueueService,
             RefreshStatusService? refreshStatusService = null)
         {
+            ArgumentNullException.ThrowIfNull(fileSystem);
+
             _libraryManager = libraryManager;
             _logger = logger;
             _playlistStore = playlistStore;
@@ -114,19 +123,12 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             _userManager = userManager;
             _refreshStatusService = refreshStatusService;
             _refreshQueueService = refreshQueueService;
-
-            // Initialize cache helper - using interfaces for proper dependency injection
-            _playlistRefreshCache = new RefreshCache(
-                _libraryManager,
-                _userManager,
-                _playlistService,
-                _playlistStore,
-                _logger);
+            _changeWatermarksPath = fileSystem.GetChangeWatermarksPath();
+            _changeWatermarks = LoadChangeWatermarks();
 
             // Set static instance for API access
             Instance = this;
 
-            // Note: RefreshCache is used for scheduled batch processing to efficiently process multiple lists.
             // The RefreshQueueService handles all refresh operations (manual, auto, and scheduled).
             // Initialize batch processing timer (runs every 1 second to check for pending refreshes)
             _batchProcessTimer = new Timer(ProcessPendingBatchRefreshes, null, TimeSpan.FromSeconds(1), TimeSpan.FromSeconds(1));
@@ -416,6 +418,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     return;
                 }
 
+                // Remember the change for conditional schedules, whether or not any list auto-refreshes for it
+                var mediaType = GetMediaTypeForItem(item);
+                if (triggeringUserId.HasValue)
+                {
+                    _changeWatermarks.RecordUserDataChange(triggeringUserId.Value, mediaType, DateTime.UtcNow);
+                }
+                else
+                {
+                    _changeWatermarks.RecordLibraryChange(mediaType, DateTime.UtcNow);
+                }
+
                 // Find playlists that might be affected by this change
                 var affectedPlaylistIds = await GetAffectedPlaylistsAsync(item, changeType, triggeringUserId).ConfigureAwait(false);
 
@@ -506,7 +519,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Also maintain the detailed field-based cache (kept for potential future optimizations)
             // Handle playlists with no rules - they should be refreshed for any change to their media types
             if (playlist.ExpressionSets == null || !playlist.ExpressionSets.Any() ||
-                !playlist.ExpressionSets.Any(es => es.Expressions?.Any() == true))
+                !playlist.ExpressionSets.Any(es => es.GetAllExpressions().Any()))
             {
                 foreach (var mediaType in mediaTypes)
                 {
@@ -529,9 +542,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Handle playlists with specific rules
             foreach (var expressionSet in playlist.ExpressionSets)
             {
-                if (expressionSet.Expressions == null) continue;
+                if (expressionSet == null) continue;
 
-                foreach (var expression in expressionSet.Expressions)
+                foreach (var expression in expressionSet.GetAllExpressions())
                 {
                     // Skip expressions with empty or whitespace-only field names to avoid malformed cache keys
                     if (string.IsNullOrWhiteSpace(expression.MemberName)) continue;
@@ -746,7 +759,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
             // Handle collections with no rules
             if (collection.ExpressionSets == null || !collection.ExpressionSets.Any() ||
-                !collection.ExpressionSets.Any(es => es.Expressions?.Any() == true))
+                !collection.ExpressionSets.Any(es => es.GetAllExpressions().Any()))
             {
                 foreach (var mediaType in mediaTypes)
                 {
@@ -767,9 +780,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 // Add field-based cache entries (collections don't use user-specific fields)
                 foreach (var expressionSet in collection.ExpressionSets)
                 {
-                    if (expressionSet.Expressions == null) continue;
+                    if (expressionSet == null) continue;
 
-                    foreach (var expression in expressionSet.Expressions)
+                    foreach (var expression in expressionSet.GetAllExpressions())
                     {
                         if (string.IsNullOrEmpty(expression.MemberName)) continue;
 
@@ -1052,9 +1065,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 {
                     foreach (var expressionSet in playlist.ExpressionSets)
                     {
-                        if (expressionSet.Expressions != null)
+                        if (expressionSet != null)
                         {
-                            foreach (var expression in expressionSet.Expressions)
+                            foreach (var expression in expressionSet.GetAllExpressions())
                             {
                                 // Check if this expression is user-specific and references our user explicitly
                                 // Normalize UserId to "N" format for comparison
@@ -1499,6 +1512,40 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         }
 
 
+        /// <summary>
+        /// Gets the schedule checks at which a schedule will refresh its list, by running the same
+        /// due check the schedule timer runs at every quarter hour. Used by the schedule timeline.
+        /// </summary>
+        /// <param name="schedule">The schedule.</param>
+        /// <param name="fromUtc">Start of the range (UTC).</param>
+        /// <param name="toUtc">End of the range (UTC, exclusive).</param>
+        /// <returns>The check times (UTC) at which the schedule is due.</returns>
+        public static List<DateTime> GetScheduledRuns(Schedule schedule, DateTime fromUtc, DateTime toUtc)
+        {
+            var runs = new List<DateTime>();
+            if (schedule?.Trigger == null)
+            {
+                return runs;
+            }
+
+            var check = new DateTime(fromUtc.Year, fromUtc.Month, fromUtc.Day, fromUtc.Hour, fromUtc.Minute / 15 * 15, 0, DateTimeKind.Utc);
+            if (check < fromUtc)
+            {
+                check = check.AddMinutes(15);
+            }
+
+            for (; check < toUtc; check = check.AddMinutes(15))
+            {
+                // Misconfigured schedules already warn at every real check
+                if (IsScheduleDue(schedule, check, string.Empty, NullLogger.Instance))
+                {
+                    runs.Add(check);
+                }
+            }
+
+            return runs;
+        }
+
         // Helper method to calculate next 15-minute boundary
         private static DateTime CalculateNextQuarterHour(DateTime now)
         {
@@ -1575,8 +1622,12 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                         })));
                 }
 
-                var duePlaylists = scheduledPlaylists.Where(p => IsPlaylistDueForRefresh(p, now)).ToList();
-                var dueCollections = scheduledCollections.Where(c => IsCollectionDueForRefresh(c, now)).ToList();
+                var duePlaylists = scheduledPlaylists
+                    .Where(p => IsPlaylistDueForRefresh(p, now) && !SkipIfUnchanged(p, Core.Enums.SmartListType.Playlist, now))
+                    .ToList();
+                var dueCollections = scheduledCollections
+                    .Where(c => IsCollectionDueForRefresh(c, now) && !SkipIfUnchanged(c, Core.Enums.SmartListType.Collection, now))
+                    .ToList();
 
                 if (duePlaylists.Any() || dueCollections.Any())
                 {
@@ -1585,7 +1636,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                         _logger.LogInformation("Found {Count} playlists due for scheduled refresh: {PlaylistNames}",
                             duePlaylists.Count,
                             string.Join(", ", duePlaylists.Select(p => $"'{p.Name}'")));
-                        await RefreshScheduledPlaylists(duePlaylists).ConfigureAwait(false);
+                        EnqueueScheduledPlaylists(duePlaylists);
                     }
 
                     if (dueCollections.Any())
@@ -1684,7 +1735,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 // Check if ANY schedule is due (OR logic across schedules)
                 foreach (var schedule in validSchedules)
                 {
-                    if (IsScheduleDue(schedule, now, playlist.Name))
+                    if (IsScheduleDue(schedule, now, playlist.Name, _logger))
                     {
                         return true;
                     }
@@ -1702,7 +1753,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             {
                 foreach (var schedule in validSchedules)
                 {
-                    if (IsScheduleDue(schedule, now, collection.Name))
+                    if (IsScheduleDue(schedule, now, collection.Name, _logger))
                     {
                         return true;
                     }
@@ -1712,33 +1763,102 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return false;
         }
 
-        private bool IsScheduleDue(Schedule schedule, DateTime now, string playlistName)
+        /// <summary>
+        /// Restores the watermarks saved at the last clean shutdown. The file is removed once read, so after a
+        /// crash (no save) tracking starts over and conditional schedules run a full evaluation.
+        /// </summary>
+        private ChangeWatermarks LoadChangeWatermarks()
+        {
+            try
+            {
+                if (File.Exists(_changeWatermarksPath))
+                {
+                    var state = JsonSerializer.Deserialize<ChangeWatermarksState>(File.ReadAllText(_changeWatermarksPath), SmartListFileSystem.SharedJsonOptions);
+                    File.Delete(_changeWatermarksPath);
+
+                    if (state != null)
+                    {
+                        _logger.LogDebug("Restored change watermarks tracked since {TrackingSince}", state.TrackingSince);
+                        return ChangeWatermarks.FromState(state);
+                    }
+                }
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or JsonException)
+            {
+                _logger.LogWarning(ex, "Failed to restore change watermarks from {FilePath}", _changeWatermarksPath);
+            }
+
+            return new ChangeWatermarks(DateTime.UtcNow);
+        }
+
+        private void SaveChangeWatermarks()
+        {
+            try
+            {
+                File.WriteAllText(_changeWatermarksPath, JsonSerializer.Serialize(_changeWatermarks.GetState(), SmartListFileSystem.SharedJsonOptions));
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                _logger.LogWarning(ex, "Failed to save change watermarks to {FilePath}", _changeWatermarksPath);
+            }
+        }
+
+        /// <summary>
+        /// When every schedule due now is conditional (OnlyIfChanged) and nothing relevant to the list changed since
+        /// its last successful refresh, records the run as skipped and returns true.
+        /// </summary>
+        private bool SkipIfUnchanged(SmartListDto list, Core.Enums.SmartListType listType, DateTime now)
+        {
+            var dueSchedules = (list.Schedules ?? [])
+                .Where(s => s?.Trigger != null && IsScheduleDue(s, now, list.Name, NullLogger.Instance))
+                .ToList();
+            if (dueSchedules.Count == 0 || dueSchedules.Any(s => !s.OnlyIfChanged))
+            {
+                return false;
+            }
+
+            // No successful refresh in the retained history: nothing to compare against, so refresh
+            var listId = list.Id ?? string.Empty;
+            var lastSuccessfulStart = _refreshStatusService?.GetLastSuccessfulRefreshStart(listId);
+            if (lastSuccessfulStart == null || _changeWatermarks.HasRelevantChangesSince(list, lastSuccessfulStart.Value))
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Skipping scheduled refresh of '{ListName}' - no relevant changes since its last refresh at {LastRefresh}",
+                list.Name, lastSuccessfulStart.Value.ToLocalTime());
+            _refreshStatusService?.RecordSkipped(listId, list.Name, listType, Core.Enums.RefreshTriggerType.Scheduled, "no changes");
+            return true;
+        }
+
+        private static bool IsScheduleDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             // Defensive null check
             if (schedule?.Trigger == null)
             {
-                _logger.LogWarning("Schedule for playlist '{PlaylistName}' has null Trigger, skipping", playlistName);
+                logger.LogWarning("Schedule for playlist '{PlaylistName}' has null Trigger, skipping", playlistName);
                 return false;
             }
 
             return schedule.Trigger switch
             {
-                ScheduleTrigger.Daily => IsDailyDue(schedule, now, playlistName),
-                ScheduleTrigger.Weekly => IsWeeklyDue(schedule, now, playlistName),
-                ScheduleTrigger.Monthly => IsMonthlyDue(schedule, now, playlistName),
-                ScheduleTrigger.Yearly => IsYearlyDue(schedule, now, playlistName),
-                ScheduleTrigger.Interval => IsIntervalDue(schedule, now, playlistName),
+                ScheduleTrigger.Daily => IsDailyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Weekly => IsWeeklyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Monthly => IsMonthlyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Yearly => IsYearlyDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Interval => IsIntervalDue(schedule, now, playlistName, logger),
+                ScheduleTrigger.Cron => IsCronDue(schedule, now, playlistName, logger),
                 _ => false,
             };
         }
 
         // Schedule checking methods for Schedule objects
 
-        private bool IsDailyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsDailyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Daily schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Daily schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1748,7 +1868,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var todayScheduled = new DateTime(localNow.Year, localNow.Month, localNow.Day, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             if (IsWithinTimeBuffer(localNow, todayScheduled))
             {
-                _logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (today), Due=True",
+                logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (today), Due=True",
                     playlistName, localNow, scheduledTime);
                 return true;
             }
@@ -1756,23 +1876,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var tomorrowScheduled = todayScheduled.AddDays(1);
             var isDue = IsWithinTimeBuffer(localNow, tomorrowScheduled);
 
-            _logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (checked today and tomorrow), Due={Due}",
+            logger.LogDebug("Daily schedule check for '{PlaylistName}': Now={Now:HH:mm:ss} (local), Scheduled={Scheduled:hh\\:mm} (checked today and tomorrow), Due={Due}",
                 playlistName, localNow, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsWeeklyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsWeeklyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.DayOfWeek == null)
             {
-                _logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required DayOfWeek property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required DayOfWeek property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Weekly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1788,23 +1908,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, localNow.Month, localNow.Day, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Weekly schedule check for '{PlaylistName}': Now={Now:dddd HH:mm:ss} (local), Scheduled={ScheduledDay} {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Weekly schedule check for '{PlaylistName}': Now={Now:dddd HH:mm:ss} (local), Scheduled={ScheduledDay} {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, scheduledDay, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsMonthlyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsMonthlyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.DayOfMonth == null)
             {
-                _logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Monthly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1823,29 +1943,29 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, localNow.Month, effectiveDayOfMonth, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Monthly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Monthly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, effectiveDayOfMonth, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsYearlyDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsYearlyDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Month == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Month property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Month property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.DayOfMonth == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required DayOfMonth property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
             if (schedule.Time == null)
             {
-                _logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Yearly schedule for '{PlaylistName}' is missing required Time property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1870,17 +1990,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             var scheduledDateTime = new DateTime(localNow.Year, scheduledMonth, effectiveDayOfMonth, scheduledTime.Hours, scheduledTime.Minutes, 0, DateTimeKind.Local);
             var isDue = IsWithinTimeBuffer(localNow, scheduledDateTime);
 
-            _logger.LogDebug("Yearly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Month {ScheduledMonth} Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
+            logger.LogDebug("Yearly schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Scheduled=Month {ScheduledMonth} Day {ScheduledDay} at {Scheduled:hh\\:mm}, Due={Due}",
                 playlistName, localNow, scheduledMonth, effectiveDayOfMonth, scheduledTime, isDue);
 
             return isDue;
         }
 
-        private bool IsIntervalDue(Schedule schedule, DateTime now, string playlistName)
+        private static bool IsIntervalDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
             if (schedule.Interval == null)
             {
-                _logger.LogWarning("Interval schedule for '{PlaylistName}' is missing required Interval property. Schedule will be skipped.", playlistName);
+                logger.LogWarning("Interval schedule for '{PlaylistName}' is missing required Interval property. Schedule will be skipped.", playlistName);
                 return false;
             }
             
@@ -1889,7 +2009,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Guard against invalid intervals
             if (interval <= TimeSpan.Zero)
             {
-                _logger.LogWarning("Invalid interval '{Interval}' for playlist '{PlaylistName}'. Schedule will be skipped.",
+                logger.LogWarning("Invalid interval '{Interval}' for playlist '{PlaylistName}'. Schedule will be skipped.",
                     interval, playlistName);
                 return false;
             }
@@ -1911,150 +2031,59 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 isDue = IsWithinIntervalBuffer(now, totalMinutes);
             }
 
-            _logger.LogDebug("Interval schedule check for '{PlaylistName}': Now={Now:HH:mm:ss}, Interval={Interval}, Due={Due}",
+            logger.LogDebug("Interval schedule check for '{PlaylistName}': Now={Now:HH:mm:ss}, Interval={Interval}, Due={Due}",
                 playlistName, now, interval, isDue);
 
             return isDue;
         }
 
-        private async Task RefreshScheduledPlaylists(List<SmartPlaylistDto> playlists)
+        private static bool IsCronDue(Schedule schedule, DateTime now, string playlistName, ILogger logger)
         {
-            if (!playlists.Any())
+            if (!CronExpression.TryParse(schedule.CronExpression, out var cron, out var error))
             {
-                return;
+                logger.LogWarning("Cron schedule for '{PlaylistName}' has an invalid expression '{Expression}': {Error}. Schedule will be skipped.",
+                    playlistName, schedule.CronExpression, error);
+                return false;
             }
 
-            _logger.LogDebug("Refreshing {PlaylistCount} scheduled playlists using advanced caching", playlists.Count);
+            // Checks run every quarter hour, so each check picks up the runs since the previous one.
+            // The window matches the 2-minute buffer of the other triggers: (now - 13 min, now + 2 min]
+            var localNow = now.ToLocalTime();
+            var nextRun = cron.GetNextOccurrence(localNow.AddMinutes(-13));
+            var isDue = nextRun != null && nextRun.Value <= localNow.AddMinutes(2);
 
-            try
-            {
-                var totalCount = playlists.Count;
-                var playlistIdMap = new Dictionary<string, string>(); // Map playlist ID to listId for batch updates
-                var playlistLookup = playlists.ToDictionary(p => p.Id ?? string.Empty, p => p); // Map playlist ID to playlist object
+            logger.LogDebug("Cron schedule check for '{PlaylistName}': Now={Now:yyyy-MM-dd HH:mm:ss} (local), Expression={Expression}, NextRun={NextRun:yyyy-MM-dd HH:mm}, Due={Due}",
+                playlistName, localNow, schedule.CronExpression, nextRun, isDue);
 
-                // Build playlistIdMap without starting operations yet
-                foreach (var playlist in playlists)
-                {
-                    var listId = string.IsNullOrEmpty(playlist.Id) ? Guid.NewGuid().ToString() : playlist.Id;
-                    playlistIdMap[playlist.Id ?? string.Empty] = listId;
-                }
+            return isDue;
+        }
 
-                // Create callback to start operation and update batch index as each playlist is processed
-                Action<string>? batchProgressCallback = null;
-                Func<string, Action<int, int>?>? createProgressCallback = null;
-                Action<string, bool, TimeSpan, string>? onPlaylistComplete = null;
-                if (_refreshStatusService != null)
+        private void EnqueueScheduledPlaylists(List<SmartPlaylistDto> playlists)
+        {
+            foreach (var playlist in playlists)
+            {
+                var listId = string.IsNullOrEmpty(playlist.Id) ? Guid.NewGuid().ToString() : playlist.Id;
+                try
                 {
-                    var currentIndex = 0;
-                    batchProgressCallback = (playlistId) =>
-                    {
-                        currentIndex++;
-                        
-                        // Start operation for this specific playlist right before processing
-                        if (playlistLookup.TryGetValue(playlistId, out var playlist))
-                        {
-                            var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                                ? mappedListId 
-                                : playlistId;
-                            
-                            // Only start if not already started (in case of retries or duplicates)
-                            if (!_refreshStatusService.HasOngoingOperation(listId))
-                            {
-                                _refreshStatusService.StartOperation(
-                                    listId,
-                                    playlist.Name,
-                                    Core.Enums.SmartListType.Playlist,
-                                    Core.Enums.RefreshTriggerType.Scheduled,
-                                    0,
-                                    batchCurrentIndex: currentIndex,
-                                    batchTotalCount: totalCount);
-                            }
-                        }
-                    };
-                    
-                    // Create progress callback factory that maps playlistId to listId and updates status service
-                    createProgressCallback = (playlistId) =>
+                    _logger.LogDebug("Enqueuing scheduled playlist for refresh: {PlaylistName}", playlist.Name);
+
+                    // Enqueue scheduled refresh
+                    var queueItem = new RefreshQueueItem
                     {
-                        var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                            ? mappedListId 
-                            : playlistId;
-                        
-                        return (processed, total) =>
-                        {
-                            _refreshStatusService.UpdateProgress(listId, processed, total);
-                        };
+                        ListId = listId,
+                        ListName = playlist.Name,
+                        ListType = Core.Enums.SmartListType.Playlist,
+                        OperationType = RefreshOperationType.Refresh,
+                        ListData = playlist,
+                        UserId = playlist.UserId,
+                        TriggerType = Core.Enums.RefreshTriggerType.Scheduled
                     };
-                    
-                    // Create completion callback to complete operations immediately as they finish
-                    onPlaylistComplete = (playlistId, success, duration, message) =>
-                    {
-                        var listId = playlistIdMap.TryGetValue(playlistId, out var mappedListId) 
-                            ? mappedListId 
-                            : playlistId;
-                        
-                        _refreshStatusService.CompleteOperation(
-                            listId,
-                            success,
-                            duration,
-                            success ? null : message);
-                    };
-                }
-
-                // Use the cache helper for efficient batch processing
-                var results = await _playlistRefreshCache.RefreshPlaylistsWithCacheAsync(
-                    playlists,
-                    updateLastRefreshTime: true, // Update LastRefreshed for scheduled refreshes
-                    batchProgressCallback,
-                    createProgressCallback,
-                    onPlaylistComplete,
-                    CancellationToken.None);
-
-                // Log individual results (operations are already completed via callback)
-                foreach (var result in results)
-                {
 
-                    if (result.Success)
-                    {
-                        _logger.LogInformation("Successfully refreshed scheduled playlist: {PlaylistName} in {ElapsedTime}ms",
-                            result.PlaylistName, result.ElapsedMilliseconds);
-                    }
-                    else
-                    {
-                        _logger.LogWarning("Failed to refresh scheduled playlist {PlaylistName}: {Message}",
-                            result.PlaylistName, result.Message);
-                    }
+                    _refreshQueueService.EnqueueOperation(queueItem);
                 }
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Failed to refresh scheduled playlists with caching - falling back to queueing individual playlist refreshes");
-
-                // Fallback to individual refresh without caching
-                foreach (var playlist in playlists)
+                catch (Exception enqueueEx)
                 {
-                    var listId = string.IsNullOrEmpty(playlist.Id) ? Guid.NewGuid().ToString() : playlist.Id;
-                    try
-                    {
-                        _logger.LogDebug("Refreshing scheduled playlist (fallback): {PlaylistName}", playlist.Name);
-
-                        // Enqueue scheduled refresh
-                        var queueItem = new RefreshQueueItem
-                        {
-                            ListId = listId,
-                            ListName = playlist.Name,
-                            ListType = Core.Enums.SmartListType.Playlist,
-                            OperationType = RefreshOperationType.Refresh,
-                            ListData = playlist,
-                            UserId = playlist.UserId,
-                            TriggerType = Core.Enums.RefreshTriggerType.Scheduled
-                        };
-
-                        _refreshQueueService.EnqueueOperation(queueItem);
-                    }
-                    catch (Exception fallbackEx)
-                    {
-                        _logger.LogError(fallbackEx, "Failed to enqueue scheduled playlist {PlaylistName}", playlist.Name);
-                    }
+                    _logger.LogError(enqueueEx, "Failed to enqueue scheduled playlist {PlaylistName}", playlist.Name);
                 }
             }
         }
@@ -2131,6 +2160,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             // Clear UserData state cache
             _userDataStateCache.Clear();
 
+            SaveChangeWatermarks();
+
             // Clear static instance
             if (Instance == this)
                 Instance = null;
@@ -0,0 +1,131 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using Jellyfin.Data.Enums;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Jellyfin.Plugin.SmartLists.Core.QueryEngine;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Indexes the values of tag-based rule fields across the library, for value suggestions in the rule editor.
+    /// Indexes are built on first use and cached for a few minutes, per field, user and media types.
+    /// </summary>
+    public static class LibraryFieldValues
+    {
+        public const int DefaultPageSize = 20;
+        public const int MaxPageSize = 100;
+
+        private static readonly TimeSpan CacheDuration = TimeSpan.FromMinutes(10);
+        private static readonly ConcurrentDictionary<string, (DateTime BuiltAt, FieldValueIndex Index)> _cache = new(StringComparer.OrdinalIgnoreCase);
+
+        private static readonly HashSet<string> ItemFields = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "Genres", "Studios", "Tags", "OfficialRating", "Artists", "AlbumArtists", "AudioLanguages",
+        };
+
+        /// <summary>
+        /// Whether suggestions are available for <paramref name="fieldName"/>.
+        /// </summary>
+        public static bool IsSupported(string? fieldName)
+        {
+            return !string.IsNullOrEmpty(fieldName) &&
+                (ItemFields.Contains(fieldName) || FieldDefinitions.IsPeopleField(fieldName) || string.Equals(fieldName, "Collections", StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Parses a comma-separated list of media types, ignoring unknown ones.
+        /// </summary>
+        public static List<string> ParseMediaTypes(string? mediaTypes)
+        {
+            return [.. (mediaTypes ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Where(Core.Constants.MediaTypes.MediaTypeToBaseItemKind.ContainsKey)
+                .Distinct(StringComparer.Ordinal)
+                .OrderBy(t => t, StringComparer.Ordinal)];
+        }
+
+        /// <summary>
+        /// Gets the cached index of <paramref name="fieldName"/>, building it if needed.
+        /// </summary>
+        /// <param name="fieldName">A supported field name (see <see cref="IsSupported"/>).</param>
+        /// <param name="mediaTypes">Media types to index. Empty indexes all supported media types. Ignored for Collections.</param>
+        /// <param name="user">Limits the index to items the user can see, or null for the whole library.</param>
+        /// <param name="libraryManager">The library manager.</param>
+        /// <param name="logger">The logger.</param>
+        public static FieldValueIndex GetIndex(string fieldName, IReadOnlyList<string> mediaTypes, User? user, ILibraryManager libraryManager, ILogger logger)
+        {
+            ArgumentNullException.ThrowIfNull(libraryManager);
+
+            var key = string.Join('|', fieldName, user?.Id.ToString("N") ?? "all", string.Join(',', mediaTypes));
+            var now = DateTime.UtcNow;
+            if (_cache.TryGetValue(key, out var cached) && now - cached.BuiltAt < CacheDuration)
+            {
+                return cached.Index;
+            }
+
+            // Drop expired indexes so the cache does not grow with every field and media type combination
+            foreach (var entry in _cache.Where(e => now - e.Value.BuiltAt >= CacheDuration).ToList())
+            {
+                _cache.TryRemove(entry.Key, out _);
+            }
+
+            var stopwatch = Stopwatch.StartNew();
+            var index = string.Equals(fieldName, "Collections", StringComparison.OrdinalIgnoreCase)
+                ? BuildCollectionIndex(user, libraryManager)
+                : BuildItemIndex(fieldName, GetItems(mediaTypes, user, libraryManager), libraryManager, logger);
+            stopwatch.Stop();
+
+            logger.LogDebug("Indexed {ValueCount} library values for field {Field} in {ElapsedTime}ms",
+                index.Count, fieldName, stopwatch.ElapsedMilliseconds);
+
+            _cache[key] = (now, index);
+            return index;
+        }
+
+        private static IReadOnlyList<BaseItem> GetItems(IReadOnlyList<string> mediaTypes, User? user, ILibraryManager libraryManager)
+        {
+            var types = mediaTypes.Count > 0 ? mediaTypes : Core.Constants.MediaTypes.All;
+            var query = user != null ? new InternalItemsQuery(user) : new InternalItemsQuery();
+            query.IncludeItemTypes = [.. types.Select(t => Core.Constants.MediaTypes.MediaTypeToBaseItemKind[t])];
+            query.Recursive = true;
+            query.IsVirtualItem = false;
+            return libraryManager.GetItemsResult(query).Items;
+        }
+
+        private static FieldValueIndex BuildItemIndex(string fieldName, IReadOnlyList<BaseItem> items, ILibraryManager libraryManager, ILogger logger)
+        {
+            if (!FieldDefinitions.IsPeopleField(fieldName))
+            {
+                return FieldValueIndex.FromItemValues(items.Select(item => OperandFactory.GetListFieldValues(item, fieldName, logger)));
+            }
+
+            // Reuse the refresh's people loading so suggestions match what people rules see
+            var cache = new RefreshQueueService.RefreshCache();
+            OperandFactory.PreloadPeopleCache(libraryManager, items, cache, logger);
+            var property = typeof(RefreshQueueService.CategorizedPeople).GetProperty(
+                string.Equals(fieldName, "People", StringComparison.OrdinalIgnoreCase) ? nameof(RefreshQueueService.CategorizedPeople.AllPeople) : fieldName,
+                System.Reflection.BindingFlags.Public | System.Reflection.BindingFlags.Instance | System.Reflection.BindingFlags.IgnoreCase);
+
+            return FieldValueIndex.FromItemValues(cache.ItemPeople.Values
+                .Select(people => property?.GetValue(people) as List<string> ?? []));
+        }
+
+        private static FieldValueIndex BuildCollectionIndex(User? user, ILibraryManager libraryManager)
+        {
+            var query = user != null ? new InternalItemsQuery(user) : new InternalItemsQuery();
+            query.IncludeItemTypes = [BaseItemKind.BoxSet];
+            query.Recursive = true;
+
+            return new FieldValueIndex(libraryManager.GetItemsResult(query).Items
+                .OfType<Folder>()
+                .Select(collection => new FieldValueCount { Value = collection.Name, Count = collection.LinkedChildren?.Length ?? 0 }));
+        }
+    }
+}
@@ -0,0 +1,430 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Persistent log of every refresh run, so per-list trends survive server restarts.
+    /// Runs are appended to a JSON Lines file; runs older than the retention period are dropped
+    /// when the file is loaded and about once a day after that. In memory, runs are kept in start time order,
+    /// since a long run can finish after ones that started later.
+    /// </summary>
+    public class RefreshHistoryLog
+    {
+        /// <summary>
+        /// Upper bound on retained runs, so a list refreshed on every library change can't grow the log without limit
+        /// </summary>
+        public const int MaxRuns = 100_000;
+
+        /// <summary>
+        /// Number of runs kept when the log goes over <see cref="MaxRuns"/>, so the file is rewritten once per
+        /// few thousand runs rather than on every append
+        /// </summary>
+        public const int CompactedRuns = MaxRuns / 10 * 9;
+
+        private static readonly TimeSpan CompactionInterval = TimeSpan.FromDays(1);
+        private static readonly JsonSerializerOptions LineJsonOptions = new(SmartListFileSystem.SharedJsonOptions) { WriteIndented = false };
+
+        private readonly object _lock = new();
+        private readonly string _filePath;
+        private readonly Func<int> _getRetentionDays;
+        private readonly ILogger _logger;
+        private List<RefreshHistoryEntry>? _runs;
+        private DateTime _lastCompaction;
+
+        public RefreshHistoryLog(string filePath, Func<int> getRetentionDays, ILogger logger)
+        {
+            _filePath = filePath;
+            _getRetentionDays = getRetentionDays;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Records a finished (or skipped) run.
+        /// </summary>
+        public void Append(RefreshHistoryEntry entry)
+        {
+            ArgumentNullException.ThrowIfNull(entry);
+
+            lock (_lock)
+            {
+                var runs = EnsureLoaded();
+
+                // Runs usually finish in the order they started, so the insert point is almost always at the end
+                var index = runs.Count;
+                while (index > 0 && runs[index - 1].StartTime > entry.StartTime)
+                {
+                    index--;
+                }
+
+                runs.Insert(index, entry.Copy());
+
+                try
+                {
+                    File.AppendAllText(_filePath, JsonSerializer.Serialize(entry, LineJsonOptions) + Environment.NewLine);
+                }
+                catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+                {
+                    _logger.LogWarning(ex, "Failed to write refresh history to {FilePath}", _filePath);
+                }
+
+                if (DateTime.UtcNow - _lastCompaction > CompactionInterval || runs.Count > MaxRuns)
+                {
+                    Compact(runs);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Gets retained runs that started at or after <paramref name="sinceUtc"/>, oldest first, optionally for one list.
+        /// </summary>
+        public List<RefreshHistoryEntry> GetRuns(DateTime sinceUtc, string? listId = null)
+        {
+            lock (_lock)
+            {
+                return EnsureLoaded()
+                    .Where(r => r.StartTime >= sinceUtc && (listId == null || r.ListId == listId))
+                    .Select(r => r.Copy())
+                    .ToList();
+            }
+        }
+
+        /// <summary>
+        /// Gets when each list's last successful (not skipped) retained run started.
+        /// </summary>
+        public Dictionary<string, DateTime> GetLastSuccessfulStarts()
+        {
+            var starts = new Dictionary<string, DateTime>();
+            lock (_lock)
+            {
+                foreach (var run in EnsureLoaded())
+                {
+                    if (run.Success && !run.Skipped && (!starts.TryGetValue(run.ListId, out var start) || run.StartTime > start))
+                    {
+                        starts[run.ListId] = run.StartTime;
+                    }
+                }
+            }
+
+            return starts;
+        }
+
+        /// <summary>
+        /// Gets the average duration of each list's most recent completed (not skipped) retained runs.
+        /// </summary>
+        /// <param name="runsPerList">How many of each list's latest runs to average.</param>
+        public Dictionary<string, TimeSpan> GetAverageDurations(int runsPerList)
+        {
+            var recent = new Dictionary<string, List<TimeSpan>>();
+            lock (_lock)
+            {
+                var runs = EnsureLoaded();
+                for (var i = runs.Count - 1; i >= 0; i--)
+                {
+                    var run = runs[i];
+                    if (run.Skipped)
+                    {
+                        continue;
+                    }
+
+                    if (!recent.TryGetValue(run.ListId, out var durations))
+                    {
+                        durations = [];
+                        recent[run.ListId] = durations;
+                    }
+
+                    if (durations.Count < runsPerList)
+                    {
+                        durations.Add(run.Duration);
+                    }
+                }
+            }
+
+            return recent.Where(r => r.Value.Count > 0).ToDictionary(
+                r => r.Key,
+                r => TimeSpan.FromMilliseconds(r.Value.Average(d => d.TotalMilliseconds)));
+        }
+
+        /// <summary>
+        /// Gets every retained run matching <paramref name="filter"/>, newest start time first.
+        /// </summary>
+        public List<RefreshHistoryEntry> Query(RefreshHistoryFilter filter)
+        {
+            return QueryPage(filter, 0, int.MaxValue).Items;
+        }
+
+        /// <summary>
+        /// Gets one page of retained runs matching <paramref name="filter"/>, newest start time first.
+        /// Only the runs on the page are copied, so paging through a large log stays cheap.
+        /// </summary>
+        /// <param name="filter">The criteria runs must match.</param>
+        /// <param name="startIndex">Index of the first matching run to return.</param>
+        /// <param name="limit">Maximum number of runs to return.</param>
+        /// <returns>The page of runs and the number of matching runs across all pages.</returns>
+        public RefreshHistoryPage QueryPage(RefreshHistoryFilter filter, int startIndex, int limit)
+        {
+            ArgumentNullException.ThrowIfNull(filter);
+
+            var page = new RefreshHistoryPage();
+            lock (_lock)
+            {
+                var runs = EnsureLoaded();
+
+                // Runs are kept in start time order, so walk backwards for newest first
+                for (var i = runs.Count - 1; i >= 0; i--)
+                {
+                    if (!filter.Matches(runs[i]))
+                    {
+                        continue;
+                    }
+
+                    if (page.TotalRecordCount >= startIndex && page.Items.Count < limit)
+                    {
+                        page.Items.Add(runs[i].Copy());
+                    }
+
+                    page.TotalRecordCount++;
+                }
+            }
+
+            return page;
+        }
+
+        /// <summary>
+        /// Groups runs into one bucket per server-local day from <paramref name="firstDay"/>, including days without runs.
+        /// </summary>
+        /// <param name="runs">The runs to aggregate.</param>
+        /// <param name="firstDay">The first day (local date) to include.</param>
+        /// <param name="days">How many days to include.</param>
+        /// <returns>One bucket per day, oldest first.</returns>
+        public static List<RefreshTrendDay> AggregateByDay(IEnumerable<RefreshHistoryEntry> runs, DateTime firstDay, int days)
+        {
+            ArgumentNullException.ThrowIfNull(runs);
+
+            var buckets = Enumerable.Range(0, Math.Max(days, 0))
+                .Select(i => new RefreshTrendDay { Date = firstDay.Date.AddDays(i) })
+                .ToList();
+
+            foreach (var group in runs.GroupBy(r => r.StartTime.ToLocalTime().Date))
+            {
+                var index = (int)(group.Key - firstDay.Date).TotalDays;
+                if (index < 0 || index >= buckets.Count)
+                {
+                    continue;
+                }
+
+                var bucket = buckets[index];
+                var completed = group.Where(r => !r.Skipped).OrderBy(r => r.StartTime).ToList();
+
+                bucket.Runs = completed.Count;
+                bucket.Failures = completed.Count(r => !r.Success);
+                bucket.Skipped = group.Count(r => r.Skipped);
+
+                if (completed.Count > 0)
+                {
+                    bucket.AverageDuration = TimeSpan.FromMilliseconds(completed.Average(r => r.Duration.TotalMilliseconds));
+                    bucket.MaxDuration = completed.Max(r => r.Duration);
+                }
+
+                // The list's size at the end of the day is what its last successful run left behind
+                bucket.ItemCount = completed.LastOrDefault(r => r.Success && r.ItemCount.HasValue)?.ItemCount;
+            }
+
+            return buckets;
+        }
+
+        private List<RefreshHistoryEntry> EnsureLoaded()
+        {
+            if (_runs != null)
+            {
+                return _runs;
+            }
+
+            _runs = [];
+            var unreadable = 0;
+
+            try
+            {
+                if (File.Exists(_filePath))
+                {
+                    foreach (var line in File.ReadLines(_filePath))
+                    {
+                        if (string.IsNullOrWhiteSpace(line))
+                        {
+                            continue;
+                        }
+
+                        try
+                        {
+                            var entry = JsonSerializer.Deserialize<RefreshHistoryEntry>(line, LineJsonOptions);
+                            if (entry != null)
+                            {
+                                _runs.Add(entry);
+                            }
+                        }
+                        catch (JsonException)
+                        {
+                            // A line cut short by a crash mid-write; drop it on compaction
+                            unreadable++;
+                        }
+                    }
+                }
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                _logger.LogWarning(ex, "Failed to read refresh history from {FilePath}", _filePath);
+                _runs = [.. _runs.OrderBy(r => r.StartTime)];
+                return _runs;
+            }
+
+            // The file is in the order runs finished; OrderBy is stable, so runs that started together keep that order
+            _runs = [.. _runs.OrderBy(r => r.StartTime)];
+
+            if (unreadable > 0)
+            {
+                _logger.LogWarning("Skipped {Count} unreadable lines in refresh history {FilePath}", unreadable, _filePath);
+            }
+
+            Compact(_runs, unreadable > 0);
+            return _runs;
+        }
+
+        /// <summary>
+        /// Drops expired runs, and the oldest runs down to <see cref="CompactedRuns"/> when over <see cref="MaxRuns"/>.
+        /// If anything was dropped, rewrites the file with the remaining ones.
+        /// </summary>
+        private void Compact(List<RefreshHistoryEntry> runs, bool forceRewrite = false)
+        {
+            _lastCompaction = DateTime.UtcNow;
+
+            var cutoff = DateTime.UtcNow.AddDays(-_getRetentionDays());
+            var removed = runs.RemoveAll(r => r.StartTime < cutoff);
+            if (runs.Count > MaxRuns)
+            {
+                removed += runs.Count - CompactedRuns;
+                runs.RemoveRange(0, runs.Count - CompactedRuns);
+            }
+
+            if (removed == 0 && !forceRewrite)
+            {
+                return;
+            }
+
+            var tempPath = _filePath + ".tmp";
+            try
+            {
+                File.WriteAllLines(tempPath, runs.Select(r => JsonSerializer.Serialize(r, LineJsonOptions)));
+                File.Move(tempPath, _filePath, overwrite: true);
+                _logger.LogDebug("Removed {Count} old runs from refresh history", removed);
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                _logger.LogWarning(ex, "Failed to compact refresh history {FilePath}", _filePath);
+            }
+        }
+    }
+
+    /// <summary>
+    /// How a refresh run ended
+    /// </summary>
+    public enum RefreshOutcome
+    {
+        Success,
+        Failed,
+        Skipped
+    }
+
+    /// <summary>
+    /// Criteria for <see cref="RefreshHistoryLog.Query"/>. Unset criteria match every run.
+    /// </summary>
+    public class RefreshHistoryFilter
+    {
+        /// <summary>
+        /// Text the list name must contain, ignoring case.
+        /// </summary>
+        public string? Search { get; set; }
+        public SmartListType? ListType { get; set; }
+        public RefreshTriggerType? TriggerType { get; set; }
+        public RefreshOutcome? Outcome { get; set; }
+
+        /// <summary>
+        /// Earliest start time (UTC, inclusive).
+        /// </summary>
+        public DateTime? FromUtc { get; set; }
+
+        /// <summary>
+        /// Latest start time (UTC, exclusive).
+        /// </summary>
+        public DateTime? ToUtc { get; set; }
+
+        public bool Matches(RefreshHistoryEntry entry)
+        {
+            ArgumentNullException.ThrowIfNull(entry);
+
+            var search = Search?.Trim();
+            if (!string.IsNullOrEmpty(search) && !entry.ListName.Contains(search, StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+
+            if ((ListType.HasValue && entry.ListType != ListType) ||
+                (TriggerType.HasValue && entry.TriggerType != TriggerType) ||
+                (FromUtc.HasValue && entry.StartTime < FromUtc) ||
+                (ToUtc.HasValue && entry.StartTime >= ToUtc))
+            {
+                return false;
+            }
+
+            return Outcome switch
+            {
+                RefreshOutcome.Success => entry.Success && !entry.Skipped,
+                RefreshOutcome.Failed => !entry.Success && !entry.Skipped,
+                RefreshOutcome.Skipped => entry.Skipped,
+                _ => true,
+            };
+        }
+    }
+
+    /// <summary>
+    /// One page of refresh runs from <see cref="RefreshHistoryLog.QueryPage"/>
+    /// </summary>
+    public class RefreshHistoryPage
+    {
+        public List<RefreshHistoryEntry> Items { get; set; } = [];
+
+        /// <summary>
+        /// Number of matching runs across all pages.
+        /// </summary>
+        public int TotalRecordCount { get; set; }
+    }
+
+    /// <summary>
+    /// One day of a list's refresh history
+    /// </summary>
+    public class RefreshTrendDay
+    {
+        /// <summary>
+        /// The day, in server local time.
+        /// </summary>
+        public DateTime Date { get; set; }
+
+        /// <summary>
+        /// Runs that did work (skipped runs are counted separately).
+        /// </summary>
+        public int Runs { get; set; }
+        public int Failures { get; set; }
+        public int Skipped { get; set; }
+        public TimeSpan? AverageDuration { get; set; }
+        public TimeSpan? MaxDuration { get; set; }
+
+        /// <summary>
+        /// Item count after the day's last successful run, or null if no run that day reported one.
+        /// </summary>
+        public int? ItemCount { get; set; }
+    }
+}
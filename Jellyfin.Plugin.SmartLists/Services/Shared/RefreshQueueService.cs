@@ -43,6 +43,11 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public string? UserId { get; set; }
         public RefreshTriggerType TriggerType { get; set; }
         public DateTime QueuedAt { get; set; }
+
+        /// <summary>
+        /// When the item is held back by quiet hours, the time (UTC) the quiet hours end and it will run.
+        /// </summary>
+        public DateTime? DeferredUntil { get; set; }
     }
 
     /// <summary>
@@ -63,8 +68,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly Microsoft.Extensions.Logging.ILoggerFactory _loggerFactory;
 
         // Queue data structures
-        private readonly ConcurrentQueue<RefreshQueueItem> _queue = new();
-        private readonly ConcurrentDictionary<string, RefreshQueueItem> _queuedItems = new(); // For deduplication by ListId
+        private readonly RefreshQueueState _queue = new();
+        private readonly ConcurrentDictionary<string, RefreshQueueItem> _deferredItems = new(); // Held back by quiet hours, by ListId
         private readonly SemaphoreSlim _processingLock = new(1, 1); // Single-threaded processing
 
         // Cache management - per-user caches to avoid rebuilding when switching between users
@@ -77,7 +82,6 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly CancellationTokenSource _cancellationTokenSource = new();
         private Task? _processingTask;
         private volatile bool _disposed = false;
-        private volatile RefreshQueueItem? _currentlyProcessing;
 
         public RefreshQueueService(
             ILogger<RefreshQueueService> logger,
@@ -118,18 +122,17 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 return;
             }
 
-            // Deduplication: Use TryAdd as atomic gate to prevent race conditions
-            if (!_queuedItems.TryAdd(item.ListId, item))
+            // Deduplication: a list already waiting in the queue isn't added again
+            if (!_queue.TryEnqueue(item))
             {
                 _logger.LogDebug("List {ListId} ({ListName}) is already queued, skipping duplicate", item.ListId, item.ListName);
                 return;
             }
 
-            item.QueuedAt = DateTime.UtcNow;
-            _queue.Enqueue(item);
-
             _logger.LogDebug("Enqueued {OperationType} operation for list {ListId} ({ListName}) of type {ListType}",
                 item.OperationType, item.ListId, item.ListName, item.ListType);
+
+            _refreshStatusService.NotifyQueued(item.ListId, item.ListName, item.ListType, item.TriggerType);
         }
 
         /// <summary>
@@ -140,12 +143,151 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return _queue.Count;
         }
 
+        /// <summary>
+        /// Gets the items waiting in the queue, in the order they will run.
+        /// </summary>
+        public List<RefreshQueueItem> GetQueuedItems()
+        {
+            return _queue.GetItems();
+        }
+
+        /// <summary>
+        /// Moves a waiting item to the front of the queue, so it runs after the current operation.
+        /// </summary>
+        /// <returns>False if the list isn't waiting in the queue.</returns>
+        public bool MoveToFront(string listId)
+        {
+            var item = _queue.MoveToFront(listId);
+            if (item == null)
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Moved refresh of list {ListId} ({ListName}) to the front of the queue", item.ListId, item.ListName);
+            _refreshStatusService.NotifyQueueChanged(item.ListId, item.ListName, item.ListType, item.TriggerType);
+            return true;
+        }
+
+        /// <summary>
+        /// Removes a waiting item from the queue without running it.
+        /// </summary>
+        /// <returns>False if the list isn't waiting in the queue.</returns>
+        public bool RemoveQueuedItem(string listId)
+        {
+            var item = _queue.Remove(listId);
+            if (item == null)
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Removed refresh of list {ListId} ({ListName}) from the queue", item.ListId, item.ListName);
+            _refreshStatusService.NotifyQueueChanged(item.ListId, item.ListName, item.ListType, item.TriggerType);
+            return true;
+        }
+
+        /// <summary>
+        /// Checks whether the queue is processing the given list right now, so it can be cancelled.
+        /// </summary>
+        public bool IsProcessing(string listId)
+        {
+            return _queue.IsProcessing(listId);
+        }
+
+        /// <summary>
+        /// Cancels the operation being processed if it is for the given list. The queue moves on to the next item.
+        /// </summary>
+        /// <returns>False if the queue isn't processing that list.</returns>
+        public bool CancelProcessing(string listId)
+        {
+            if (!_queue.CancelProcessing(listId))
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Cancellation requested for refresh of list {ListId}", listId);
+            return true;
+        }
+
         /// <summary>
         /// Gets the item currently being processed, if any.
         /// </summary>
         public RefreshQueueItem? GetCurrentlyProcessing()
         {
-            return _currentlyProcessing;
+            return _queue.Current;
+        }
+
+        /// <summary>
+        /// Gets the items held back by quiet hours, in the order they will run.
+        /// </summary>
+        public List<RefreshQueueItem> GetDeferredItems()
+        {
+            return _deferredItems.Values
+                .OrderBy(i => i.DeferredUntil)
+                .ThenBy(i => i.QueuedAt)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Checks whether quiet hours hold back refreshes of the given trigger type right now.
+        /// Returns when the current quiet hours end (UTC), or null if refreshes can run.
+        /// </summary>
+        public static DateTime? GetQuietHoursEnd(RefreshTriggerType triggerType)
+        {
+            var config = Plugin.Instance?.Configuration;
+            if (config == null || !config.QuietHoursEnabled)
+            {
+                return null;
+            }
+
+            if (triggerType == RefreshTriggerType.Manual && config.QuietHoursAllowManual)
+            {
+                return null;
+            }
+
+            var window = new QuietHoursWindow(config.QuietHoursStart, config.QuietHoursEnd);
+            return window.GetEnd(DateTime.Now)?.ToUniversalTime();
+        }
+
+        /// <summary>
+        /// Holds an item back until quiet hours end. A later request for the same list replaces the held one.
+        /// </summary>
+        private void DeferItem(RefreshQueueItem item, DateTime deferredUntil)
+        {
+            item.DeferredUntil = deferredUntil;
+            _deferredItems[item.ListId] = item;
+
+            _logger.LogInformation("Quiet hours: deferred {TriggerType} {OperationType} of list {ListId} ({ListName}) until {DeferredUntil}",
+                item.TriggerType, item.OperationType, item.ListId, item.ListName, deferredUntil.ToLocalTime());
+        }
+
+        /// <summary>
+        /// Moves deferred items back into the queue once quiet hours no longer apply to them
+        /// (the window ended, or quiet hours were disabled or changed in the settings).
+        /// </summary>
+        private void ReleaseDeferredItems()
+        {
+            if (_deferredItems.IsEmpty)
+            {
+                return;
+            }
+
+            foreach (var item in _deferredItems.Values)
+            {
+                var deferredUntil = GetQuietHoursEnd(item.TriggerType);
+                if (deferredUntil.HasValue)
+                {
+                    // Still quiet - keep the run time current in case the window was edited
+                    item.DeferredUntil = deferredUntil;
+                    continue;
+                }
+
+                if (_deferredItems.TryRemove(new KeyValuePair<string, RefreshQueueItem>(item.ListId, item)))
+                {
+                    item.DeferredUntil = null;
+                    _logger.LogInformation("Quiet hours ended: queuing deferred refresh of list {ListId} ({ListName})", item.ListId, item.ListName);
+                    EnqueueOperation(item);
+                }
+            }
         }
 
         /// <summary>
@@ -159,10 +301,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             {
                 try
                 {
+                    ReleaseDeferredItems();
+
                     // Wait for an item to be available
-                    while (_queue.IsEmpty && !_cancellationTokenSource.Token.IsCancellationRequested)
+                    while (_queue.Count == 0 && !_cancellationTokenSource.Token.IsCancellationRequested)
                     {
                         await Task.Delay(100, _cancellationTokenSource.Token);
+                        ReleaseDeferredItems();
                     }
 
                     if (_cancellationTokenSource.Token.IsCancellationRequested)
@@ -171,25 +316,41 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     // Process items one at a time
                     if (_queue.TryDequeue(out var item))
                     {
-                        // Remove from deduplication dictionary
-                        _queuedItems.TryRemove(item.ListId, out _);
+                        // Hold background refreshes (and manual ones, if configured) until quiet hours end
+                        var deferredUntil = GetQuietHoursEnd(item.TriggerType);
+                        if (deferredUntil.HasValue)
+                        {
+                            DeferItem(item, deferredUntil.Value);
+                            continue;
+                        }
+
+                        // This run supersedes any deferred refresh of the same list
+                        if (_deferredItems.TryRemove(item.ListId, out _))
+                        {
+                            _logger.LogDebug("Dropped deferred refresh of list {ListId} ({ListName}) - list is refreshing now", item.ListId, item.ListName);
+                        }
+
+                        // Lets the status page cancel this item without stopping the queue
+                        using var itemCancellation = CancellationTokenSource.CreateLinkedTokenSource(_cancellationTokenSource.Token);
 
                         // Acquire processing lock (single-threaded)
                         await _processingLock.WaitAsync(_cancellationTokenSource.Token);
 
                         try
                         {
-                            _currentlyProcessing = item;
-                            await ProcessQueueItemAsync(item, _cancellationTokenSource.Token);
+                            _queue.BeginProcessing(item, itemCancellation);
+
+                            await ProcessQueueItemAsync(item, itemCancellation.Token);
                         }
                         finally
                         {
-                            _currentlyProcessing = null;
+                            _queue.EndProcessing();
+
                             _processingLock.Release();
                         }
 
                         // Clear all user caches when queue is empty to free memory
-                        if (_queue.IsEmpty)
+                        if (_queue.Count == 0)
                         {
                             ClearCache();
                         }
@@ -249,7 +410,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
 
                 stopwatch.Stop();
                 var elapsedTime = stopwatch.Elapsed;
-                _refreshStatusService.CompleteOperation(listId, true, elapsedTime, null);
+                _refreshStatusService.CompleteOperation(listId, true, elapsedTime, null, item.ListData?.ItemCount);
 
                 _logger.LogInformation("Completed {OperationType} operation for list {ListId} ({ListName}) in {ElapsedMs}ms",
                     item.OperationType, item.ListId, item.ListName, elapsedTime.TotalMilliseconds);
@@ -259,7 +420,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 stopwatch.Stop();
                 if (operationStarted)
                 {
-                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, "Operation was cancelled");
+                    // Distinguish a cancel from the status page from the server shutting down
+                    var reason = _cancellationTokenSource.IsCancellationRequested ? "Operation was cancelled" : "Cancelled from the status page";
+                    _refreshStatusService.CompleteOperation(listId, false, stopwatch.Elapsed, reason);
                 }
                 _logger.LogInformation("Operation cancelled for list {ListId} ({ListName})", item.ListId, item.ListName);
             }
@@ -341,6 +504,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 var validUserCount = 0;
                 foreach (var userMapping in dto.UserPlaylists)
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
+
                     if (string.IsNullOrEmpty(userMapping.UserId) || !Guid.TryParse(userMapping.UserId, out var userId) || userId == Guid.Empty)
                     {
                         _logger.LogWarning("Skipping invalid user ID in UserPlaylists for playlist {PlaylistName}", dto.Name);
@@ -0,0 +1,188 @@
+using System;
+using System.Collections.Generic;
+using System.Diagnostics.CodeAnalysis;
+using System.Linq;
+using System.Threading;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// The waiting refresh operations, in the order they will run, and the one being processed.
+    /// Each list is queued at most once. Thread-safe; <see cref="RefreshQueueService"/> does the processing.
+    /// </summary>
+    public class RefreshQueueState
+    {
+        private readonly object _lock = new();
+        private readonly LinkedList<RefreshQueueItem> _items = new(); // A list rather than a queue so items can be removed or moved to the front
+        private readonly Dictionary<string, LinkedListNode<RefreshQueueItem>> _nodes = new(); // For deduplication by ListId
+        private RefreshQueueItem? _current;
+        private CancellationTokenSource? _currentCancellation; // Cancels only the item being processed
+
+        /// <summary>
+        /// Gets the number of waiting items (excludes the one being processed).
+        /// </summary>
+        public int Count
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    return _items.Count;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Gets the item being processed, if any.
+        /// </summary>
+        public RefreshQueueItem? Current
+        {
+            get
+            {
+                lock (_lock)
+                {
+                    return _current;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Adds an item to the back of the queue.
+        /// </summary>
+        /// <returns>False if the list is already waiting in the queue.</returns>
+        public bool TryEnqueue(RefreshQueueItem item)
+        {
+            ArgumentNullException.ThrowIfNull(item);
+
+            lock (_lock)
+            {
+                if (_nodes.ContainsKey(item.ListId))
+                {
+                    return false;
+                }
+
+                item.QueuedAt = DateTime.UtcNow;
+                _nodes[item.ListId] = _items.AddLast(item);
+                return true;
+            }
+        }
+
+        /// <summary>
+        /// Takes the item at the front of the queue.
+        /// </summary>
+        public bool TryDequeue([NotNullWhen(true)] out RefreshQueueItem? item)
+        {
+            lock (_lock)
+            {
+                if (_items.First == null)
+                {
+                    item = null;
+                    return false;
+                }
+
+                item = _items.First.Value;
+                _items.RemoveFirst();
+                _nodes.Remove(item.ListId);
+                return true;
+            }
+        }
+
+        /// <summary>
+        /// Gets the waiting items, in the order they will run.
+        /// </summary>
+        public List<RefreshQueueItem> GetItems()
+        {
+            lock (_lock)
+            {
+                return _items.ToList();
+            }
+        }
+
+        /// <summary>
+        /// Moves a waiting item to the front of the queue, so it runs after the current operation.
+        /// </summary>
+        /// <returns>The moved item, or null if the list isn't waiting in the queue.</returns>
+        public RefreshQueueItem? MoveToFront(string listId)
+        {
+            lock (_lock)
+            {
+                if (!_nodes.TryGetValue(listId, out var node))
+                {
+                    return null;
+                }
+
+                _items.Remove(node);
+                _items.AddFirst(node);
+                return node.Value;
+            }
+        }
+
+        /// <summary>
+        /// Removes a waiting item without running it.
+        /// </summary>
+        /// <returns>The removed item, or null if the list isn't waiting in the queue.</returns>
+        public RefreshQueueItem? Remove(string listId)
+        {
+            lock (_lock)
+            {
+                if (!_nodes.Remove(listId, out var node))
+                {
+                    return null;
+                }
+
+                _items.Remove(node);
+                return node.Value;
+            }
+        }
+
+        /// <summary>
+        /// Marks an item as being processed until <see cref="EndProcessing"/>, cancellable through <paramref name="cancellation"/>.
+        /// </summary>
+        public void BeginProcessing(RefreshQueueItem item, CancellationTokenSource cancellation)
+        {
+            lock (_lock)
+            {
+                _current = item;
+                _currentCancellation = cancellation;
+            }
+        }
+
+        /// <summary>
+        /// Clears the item being processed.
+        /// </summary>
+        public void EndProcessing()
+        {
+            lock (_lock)
+            {
+                _current = null;
+                _currentCancellation = null;
+            }
+        }
+
+        /// <summary>
+        /// Checks whether the given list is being processed right now.
+        /// </summary>
+        public bool IsProcessing(string listId)
+        {
+            return Current?.ListId == listId;
+        }
+
+        /// <summary>
+        /// Cancels the item being processed if it is for the given list.
+        /// </summary>
+        /// <returns>False if that list isn't being processed.</returns>
+        public bool CancelProcessing(string listId)
+        {
+            lock (_lock)
+            {
+                if (_currentCancellation == null || _current?.ListId != listId)
+                {
+                    return false;
+                }
+
+                _currentCancellation.Cancel();
+                return true;
+            }
+        }
+    }
+}
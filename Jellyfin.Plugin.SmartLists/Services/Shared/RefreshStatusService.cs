@@ -3,6 +3,7 @@ using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Diagnostics;
 using System.Linq;
+using Jellyfin.Plugin.SmartLists.Configuration;
 using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Microsoft.Extensions.Logging;
 
@@ -24,6 +25,11 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public string? ErrorMessage { get; set; }
         public int? BatchCurrentIndex { get; set; }
         public int? BatchTotalCount { get; set; }
+
+        /// <summary>
+        /// Owner of a user-managed list, so its events can be streamed to that user's page
+        /// </summary>
+        public string? OwnerUserId { get; set; }
         private readonly Stopwatch _stopwatch = Stopwatch.StartNew();
         private TimeSpan? _preservedElapsedTime;
 
@@ -87,6 +93,57 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public TimeSpan Duration { get; set; }
         public bool Success { get; set; }
         public string? ErrorMessage { get; set; }
+
+        /// <summary>
+        /// True when a conditional schedule came due but the refresh was skipped; SkipReason says why.
+        /// </summary>
+        public bool Skipped { get; set; }
+        public string? SkipReason { get; set; }
+
+        /// <summary>
+        /// Number of items in the list after the refresh, when the refresh reported it.
+        /// </summary>
+        public int? ItemCount { get; set; }
+
+        /// <summary>
+        /// Creates a copy, so callers can't mutate tracked history
+        /// </summary>
+        public RefreshHistoryEntry Copy()
+        {
+            return (RefreshHistoryEntry)MemberwiseClone();
+        }
+    }
+
+    /// <summary>
+    /// Kinds of live status events pushed to open status pages
+    /// </summary>
+    public enum RefreshStatusEventType
+    {
+        Queued,
+        Started,
+        Progress,
+        Completed,
+        Failed,
+        Skipped,
+        QueueChanged
+    }
+
+    /// <summary>
+    /// A change in a list's refresh status, raised by <see cref="RefreshStatusService.StatusChanged"/>
+    /// </summary>
+    public class RefreshStatusEventArgs : EventArgs
+    {
+        public RefreshStatusEventType EventType { get; set; }
+        public string ListId { get; set; } = string.Empty;
+        public string ListName { get; set; } = string.Empty;
+        public SmartListType ListType { get; set; }
+        public RefreshTriggerType TriggerType { get; set; }
+        public string? OwnerUserId { get; set; }
+        public int TotalItems { get; set; }
+        public int ProcessedItems { get; set; }
+        public TimeSpan? Duration { get; set; }
+        public string? Message { get; set; }
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
     }
 
     /// <summary>
@@ -97,13 +154,38 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         private readonly ILogger<RefreshStatusService> _logger;
         private readonly ConcurrentDictionary<string, RefreshOperation> _ongoingOperations = new();
         private readonly ConcurrentDictionary<string, RefreshHistoryEntry> _refreshHistory = new();
+        private readonly ConcurrentDictionary<string, RefreshHistoryEntry> _lastSkipped = new();
+        private readonly Lazy<ConcurrentDictionary<string, DateTime>> _lastSuccessfulStart; // Baseline for conditional schedules
+        private readonly ConcurrentDictionary<string, DateTime> _lastProgressEvent = new();
+        private readonly RefreshHistoryLog _historyLog;
+        private static readonly TimeSpan ProgressEventInterval = TimeSpan.FromMilliseconds(500);
         private RefreshQueueService? _refreshQueueService;
 
-        public RefreshStatusService(ILogger<RefreshStatusService> logger)
+        public RefreshStatusService(ILogger<RefreshStatusService> logger, ISmartListFileSystem fileSystem)
         {
+            ArgumentNullException.ThrowIfNull(fileSystem);
+
             _logger = logger;
+            _historyLog = new RefreshHistoryLog(
+                fileSystem.GetRefreshHistoryPath(),
+                () => Plugin.Instance?.Configuration.RefreshHistoryRetentionDays ?? PluginConfiguration.DefaultRefreshHistoryRetentionDays,
+                logger);
+
+            // Seeded from the persistent log so conditional schedules keep their baseline across restarts
+            _lastSuccessfulStart = new(() => new ConcurrentDictionary<string, DateTime>(_historyLog.GetLastSuccessfulStarts()));
         }
 
+        /// <summary>
+        /// Gets the persistent log of every refresh run, used for per-list trends
+        /// </summary>
+        public RefreshHistoryLog HistoryLog => _historyLog;
+
+        /// <summary>
+        /// Raised when an operation is queued, starts, progresses, completes, fails or is skipped.
+        /// Progress events are throttled per list. Handlers run on the refreshing thread and must not block.
+        /// </summary>
+        public event EventHandler<RefreshStatusEventArgs>? StatusChanged;
+
         /// <summary>
         /// Sets the RefreshQueueService reference (called during service registration)
         /// </summary>
@@ -130,7 +212,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             RefreshTriggerType triggerType,
             int totalItems = 0,
             int? batchCurrentIndex = null,
-            int? batchTotalCount = null)
+            int? batchTotalCount = null,
+            string? ownerUserId = null)
         {
             var operation = new RefreshOperation
             {
@@ -142,7 +225,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 TotalItems = totalItems,
                 ProcessedItems = 0,
                 BatchCurrentIndex = batchCurrentIndex,
-                BatchTotalCount = batchTotalCount
+                BatchTotalCount = batchTotalCount,
+                OwnerUserId = ownerUserId
             };
 
             _ongoingOperations.AddOrUpdate(listId, operation, (key, existing) =>
@@ -157,6 +241,38 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     ? $" - Batch {batchCurrentIndex.Value} of {batchTotalCount.Value}" 
                     : ""), 
                 listId, listName);
+
+            RaiseStatusChanged(RefreshStatusEventType.Started, operation);
+        }
+
+        /// <summary>
+        /// Announces that an operation was queued and will start when the queue reaches it
+        /// </summary>
+        public void NotifyQueued(string listId, string listName, SmartListType listType, RefreshTriggerType triggerType)
+        {
+            OnStatusChanged(new RefreshStatusEventArgs
+            {
+                EventType = RefreshStatusEventType.Queued,
+                ListId = listId,
+                ListName = listName,
+                ListType = listType,
+                TriggerType = triggerType
+            });
+        }
+
+        /// <summary>
+        /// Announces that a waiting operation was removed from the queue or moved within it
+        /// </summary>
+        public void NotifyQueueChanged(string listId, string listName, SmartListType listType, RefreshTriggerType triggerType)
+        {
+            OnStatusChanged(new RefreshStatusEventArgs
+            {
+                EventType = RefreshStatusEventType.QueueChanged,
+                ListId = listId,
+                ListName = listName,
+                ListType = listType,
+                TriggerType = triggerType
+            });
         }
 
         /// <summary>
@@ -197,6 +313,15 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                 }
 
                 operation.UpdateProgress(processedItems, operation.TotalItems);
+
+                // Throttle progress events; always send the final one
+                var now = DateTime.UtcNow;
+                var last = _lastProgressEvent.GetOrAdd(listId, DateTime.MinValue);
+                if (now - last >= ProgressEventInterval || processedItems >= operation.TotalItems)
+                {
+                    _lastProgressEvent[listId] = now;
+                    RaiseStatusChanged(RefreshStatusEventType.Progress, operation);
+                }
             }
         }
 
@@ -207,11 +332,13 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// <param name="success">Whether the operation succeeded</param>
         /// <param name="duration">The duration of the operation</param>
         /// <param name="errorMessage">Optional error message</param>
+        /// <param name="itemCount">Number of items in the list after the refresh, if known</param>
         public void CompleteOperation(
             string listId,
             bool success,
             TimeSpan duration,
-            string? errorMessage = null)
+            string? errorMessage = null,
+            int? itemCount = null)
         {
             if (_ongoingOperations.TryRemove(listId, out var operation))
             {
@@ -225,13 +352,29 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     EndTime = DateTime.UtcNow,
                     Duration = duration,
                     Success = success,
-                    ErrorMessage = errorMessage ?? operation.ErrorMessage
+                    ErrorMessage = errorMessage ?? operation.ErrorMessage,
+                    ItemCount = success ? itemCount : null
                 };
 
                 _refreshHistory.AddOrUpdate(listId, historyEntry, (key, existing) => historyEntry);
+                _lastSkipped.TryRemove(listId, out _);
+                _historyLog.Append(historyEntry);
+
+                if (success)
+                {
+                    _lastSuccessfulStart.Value[listId] = operation.StartTime;
+                }
+
+                _lastProgressEvent.TryRemove(listId, out _);
 
                 _logger.LogDebug("Completed refresh operation for list {ListId} ({ListName}): Success={Success}, Duration={Duration}ms",
                     listId, operation.ListName, success, duration.TotalMilliseconds);
+
+                RaiseStatusChanged(
+                    success ? RefreshStatusEventType.Completed : RefreshStatusEventType.Failed,
+                    operation,
+                    duration,
+                    historyEntry.ErrorMessage);
             }
             else
             {
@@ -239,6 +382,57 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             }
         }
 
+        /// <summary>
+        /// Records a scheduled refresh that was skipped (e.g. a conditional schedule with no changes) in history
+        /// </summary>
+        public void RecordSkipped(
+            string listId,
+            string listName,
+            SmartListType listType,
+            RefreshTriggerType triggerType,
+            string reason)
+        {
+            var now = DateTime.UtcNow;
+            var historyEntry = new RefreshHistoryEntry
+            {
+                ListId = listId,
+                ListName = listName,
+                ListType = listType,
+                TriggerType = triggerType,
+                StartTime = now,
+                EndTime = now,
+                Duration = TimeSpan.Zero,
+                Success = true,
+                Skipped = true,
+                SkipReason = reason
+            };
+
+            // Kept apart from the last real run, whose duration and item count still describe the list
+            _lastSkipped[listId] = historyEntry;
+            _historyLog.Append(historyEntry);
+
+            _logger.LogDebug("Skipped refresh of list {ListId} ({ListName}): {Reason}", listId, listName, reason);
+
+            OnStatusChanged(new RefreshStatusEventArgs
+            {
+                EventType = RefreshStatusEventType.Skipped,
+                ListId = listId,
+                ListName = listName,
+                ListType = listType,
+                TriggerType = triggerType,
+                Message = reason
+            });
+        }
+
+        /// <summary>
+        /// Gets when the list's last successful refresh started, or null if it has not succeeded
+        /// within the refresh history retention period
+        /// </summary>
+        public DateTime? GetLastSuccessfulRefreshStart(string listId)
+        {
+            return _lastSuccessfulStart.Value.TryGetValue(listId, out var start) ? start : null;
+        }
+
         /// <summary>
         /// Marks an operation as failed
         /// </summary>
@@ -274,7 +468,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     EstimatedTimeRemaining = op.EstimatedTimeRemaining,
                     ErrorMessage = op.ErrorMessage,
                     BatchCurrentIndex = op.BatchCurrentIndex,
-                    BatchTotalCount = op.BatchTotalCount
+                    BatchTotalCount = op.BatchTotalCount,
+                    OwnerUserId = op.OwnerUserId
                 };
                 
                 // Preserve the elapsed time from the original operation
@@ -307,18 +502,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         /// </summary>
         public List<RefreshHistoryEntry> GetRefreshHistory()
         {
-            return _refreshHistory.Values.Select(entry => new RefreshHistoryEntry
-            {
-                ListId = entry.ListId,
-                ListName = entry.ListName,
-                ListType = entry.ListType,
-                TriggerType = entry.TriggerType,
-                StartTime = entry.StartTime,
-                EndTime = entry.EndTime,
-                Duration = entry.Duration,
-                Success = entry.Success,
-                ErrorMessage = entry.ErrorMessage
-            }).ToList();
+            return _refreshHistory.Values.Select(entry => entry.Copy()).ToList();
         }
 
         /// <summary>
@@ -329,17 +513,53 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return _refreshHistory.TryGetValue(listId, out var entry) ? entry : null;
         }
 
+        private void RaiseStatusChanged(
+            RefreshStatusEventType eventType,
+            RefreshOperation operation,
+            TimeSpan? duration = null,
+            string? message = null)
+        {
+            OnStatusChanged(new RefreshStatusEventArgs
+            {
+                EventType = eventType,
+                ListId = operation.ListId,
+                ListName = operation.ListName,
+                ListType = operation.ListType,
+                TriggerType = operation.TriggerType,
+                OwnerUserId = operation.OwnerUserId,
+                TotalItems = operation.TotalItems,
+                ProcessedItems = operation.ProcessedItems,
+                Duration = duration,
+                Message = message
+            });
+        }
+
+        private void OnStatusChanged(RefreshStatusEventArgs args)
+        {
+            try
+            {
+                StatusChanged?.Invoke(this, args);
+            }
+            catch (Exception ex)
+            {
+                // A broken subscriber must never fail the refresh that raised the event
+                _logger.LogWarning(ex, "Error publishing {EventType} status event for list {ListId}", args.EventType, args.ListId);
+            }
+        }
+
         /// <summary>
         /// Gets statistics about refresh operations
         /// </summary>
         public RefreshStatistics GetStatistics()
         {
+            // Skipped runs did no work, so they are counted apart from the refresh outcomes and durations
             var history = _refreshHistory.Values.ToList();
+            var skipped = _lastSkipped.Values.ToList();
             var ongoing = _ongoingOperations.Values.ToList();
 
             return new RefreshStatistics
             {
-                TotalLists = history.Count,
+                TotalLists = history.Select(h => h.ListId).Union(skipped.Select(s => s.ListId)).Count(),
                 OngoingOperationsCount = ongoing.Count,
                 QueuedOperationsCount = GetQueuedCount(),
                 LastRefreshTime = history.OrderByDescending(h => h.EndTime ?? h.StartTime).FirstOrDefault()?.EndTime,
@@ -347,7 +567,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
                     ? TimeSpan.FromMilliseconds(history.Average(h => h.Duration.TotalMilliseconds))
                     : null,
                 SuccessfulRefreshes = history.Count(h => h.Success),
-                FailedRefreshes = history.Count(h => !h.Success)
+                FailedRefreshes = history.Count(h => !h.Success),
+                SkippedRefreshes = skipped.Count,
+                LastSkippedTime = skipped.Count > 0 ? skipped.Max(s => s.StartTime) : null
             };
         }
 
@@ -384,6 +606,12 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         public TimeSpan? AverageRefreshDuration { get; set; }
         public int SuccessfulRefreshes { get; set; }
         public int FailedRefreshes { get; set; }
+
+        /// <summary>
+        /// Number of lists whose last scheduled refresh was skipped
+        /// </summary>
+        public int SkippedRefreshes { get; set; }
+        public DateTime? LastSkippedTime { get; set; }
     }
 }
 
@@ -0,0 +1,178 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Store implementation for rule snippets.
+    /// All snippets are kept in a single snippets.json file next to the smart list files.
+    /// </summary>
+    public class RuleSnippetStore
+    {
+        // Stores are created per request, so the lock is shared to keep read-modify-write updates from overlapping
+        private static readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        private readonly ISmartListFileSystem _fileSystem;
+        private readonly ILogger<RuleSnippetStore>? _logger;
+
+        public RuleSnippetStore(ISmartListFileSystem fileSystem, ILogger<RuleSnippetStore>? logger = null)
+        {
+            _fileSystem = fileSystem;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets all snippets, ordered by name.
+        /// </summary>
+        /// <returns>List of snippets.</returns>
+        public async Task<List<RuleSnippet>> GetAllAsync()
+        {
+            var snippets = await LoadAllAsync().ConfigureAwait(false);
+            return snippets.OrderBy(s => s.Name, StringComparer.OrdinalIgnoreCase).ToList();
+        }
+
+        /// <summary>
+        /// Gets a snippet by ID.
+        /// </summary>
+        /// <param name="id">The snippet ID.</param>
+        /// <returns>The snippet, or null if not found.</returns>
+        public async Task<RuleSnippet?> GetByIdAsync(string id)
+        {
+            var snippets = await LoadAllAsync().ConfigureAwait(false);
+            return snippets.FirstOrDefault(s => string.Equals(s.Id, id, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Saves a snippet, replacing the snippet with the same ID if there is one.
+        /// </summary>
+        /// <param name="snippet">The snippet to save.</param>
+        /// <returns>The saved snippet.</returns>
+        public async Task<RuleSnippet> SaveAsync(RuleSnippet snippet)
+        {
+            ArgumentNullException.ThrowIfNull(snippet);
+
+            if (string.IsNullOrWhiteSpace(snippet.Id))
+            {
+                snippet.Id = Guid.NewGuid().ToString();
+            }
+
+            await _fileLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var snippets = await LoadAllAsync().ConfigureAwait(false);
+                var index = snippets.FindIndex(s => string.Equals(s.Id, snippet.Id, StringComparison.OrdinalIgnoreCase));
+                if (index >= 0)
+                {
+                    snippets[index] = snippet;
+                }
+                else
+                {
+                    snippets.Add(snippet);
+                }
+
+                await SaveAllAsync(snippets).ConfigureAwait(false);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+
+            _logger?.LogDebug("Saved rule snippet {SnippetId} ({SnippetName})", snippet.Id, snippet.Name);
+            return snippet;
+        }
+
+        /// <summary>
+        /// Deletes a snippet by ID.
+        /// </summary>
+        /// <param name="id">The snippet ID.</param>
+        /// <returns>True if removed, false if not found.</returns>
+        public async Task<bool> DeleteAsync(string id)
+        {
+            await _fileLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var snippets = await LoadAllAsync().ConfigureAwait(false);
+                var removed = snippets.RemoveAll(s => string.Equals(s.Id, id, StringComparison.OrdinalIgnoreCase)) > 0;
+                if (removed)
+                {
+                    await SaveAllAsync(snippets).ConfigureAwait(false);
+                    _logger?.LogDebug("Deleted rule snippet {SnippetId}", id);
+                }
+
+                return removed;
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        private async Task<List<RuleSnippet>> LoadAllAsync()
+        {
+            var filePath = _fileSystem.GetSnippetsPath();
+            if (!File.Exists(filePath))
+            {
+                return [];
+            }
+
+            try
+            {
+                await using var stream = File.OpenRead(filePath);
+                var snippets = await JsonSerializer.DeserializeAsync<List<RuleSnippet>>(
+                    stream, SmartListFileSystem.SharedJsonOptions).ConfigureAwait(false);
+                return snippets ?? [];
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogError(ex, "Failed to load rule snippets from {FilePath}", filePath);
+                throw;
+            }
+        }
+
+        private async Task SaveAllAsync(List<RuleSnippet> snippets)
+        {
+            var filePath = _fileSystem.GetSnippetsPath();
+            var tempPath = filePath + ".tmp";
+
+            try
+            {
+                await using (var writer = File.Create(tempPath))
+                {
+                    await JsonSerializer.SerializeAsync(writer, snippets, SmartListFileSystem.SharedJsonOptions)
+                        .ConfigureAwait(false);
+                    await writer.FlushAsync().ConfigureAwait(false);
+                }
+
+                if (File.Exists(filePath))
+                {
+                    File.Replace(tempPath, filePath, null);
+                }
+                else
+                {
+                    File.Move(tempPath, filePath);
+                }
+            }
+            finally
+            {
+                try
+                {
+                    if (File.Exists(tempPath))
+                    {
+                        File.Delete(tempPath);
+                    }
+                }
+                catch
+                {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+    }
+}
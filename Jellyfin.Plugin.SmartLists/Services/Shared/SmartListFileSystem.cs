@@ -24,6 +24,9 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         string GetSmartListPath(string fileName);
         string GetLegacyPath(string fileName);
         Task<(SmartPlaylistDto[] Playlists, SmartCollectionDto[] Collections)> GetAllSmartListsAsync();
+        string GetSnippetsPath();
+        string GetRefreshHistoryPath();
+        string GetChangeWatermarksPath();
 
         // User-specific paths for user-created smart playlists
         string GetUserBasePath(string userId);
@@ -106,10 +109,14 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
         {
             var files = new System.Collections.Generic.List<string>();
 
-            // Get files from new directory
+            // Get files from new directory (the rule snippets and change watermarks files are not lists)
             if (Directory.Exists(BasePath))
             {
-                files.AddRange(Directory.GetFiles(BasePath, "*.json", SearchOption.AllDirectories));
+                var snippetsPath = GetSnippetsPath();
+                var changeWatermarksPath = GetChangeWatermarksPath();
+                files.AddRange(Directory.GetFiles(BasePath, "*.json", SearchOption.AllDirectories)
+                    .Where(f => !string.Equals(f, snippetsPath, StringComparison.OrdinalIgnoreCase)
+                        && !string.Equals(f, changeWatermarksPath, StringComparison.OrdinalIgnoreCase)));
             }
 
             // Also check legacy directory for backward compatibility
@@ -155,6 +162,33 @@ namespace Jellyfin.Plugin.SmartLists.Services.Shared
             return Path.Combine(_legacyBasePath, $"{fileName}.json");
         }
 
+        /// <summary>
+        /// Gets the path of the file holding all rule snippets.
+        /// Structure: {BasePath}/snippets.json
+        /// </summary>
+        public string GetSnippetsPath()
+        {
+            return Path.Combine(BasePath, "snippets.json");
+        }
+
+        /// <summary>
+        /// Gets the path of the refresh history log (one JSON object per line, so not picked up as a list).
+        /// Structure: {BasePath}/refresh-history.jsonl
+        /// </summary>
+        public string GetRefreshHistoryPath()
+        {
+            return Path.Combine(BasePath, "refresh-history.jsonl");
+        }
+
+        /// <summary>
+        /// Gets the path of the change watermarks saved at shutdown for conditional schedules.
+        /// Structure: {BasePath}/change-watermarks.json
+        /// </summary>
+        public string GetChangeWatermarksPath()
+        {
+            return Path.Combine(BasePath, "change-watermarks.json");
+        }
+
         /// <summary>
         /// Tries to extract SmartListType from a JSON element.
         /// Handles both string and numeric type values for backward compatibility.
@@ -0,0 +1,110 @@
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.SmartLists.Core;
+using Jellyfin.Plugin.SmartLists.Core.Models;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.SmartLists.Services.Shared
+{
+    /// <summary>
+    /// Builds dry-run previews of unsaved smart lists.
+    /// Runs the same filtering, sorting and limits as a refresh, but never creates or updates anything.
+    /// </summary>
+    public static class SmartListPreviewBuilder
+    {
+        /// <summary>
+        /// Id assigned to unsaved lists so the rule cache is not filled with throwaway ids.
+        /// </summary>
+        public const string PreviewListId = "preview";
+
+        public const int DefaultSampleSize = 25;
+        public const int MaxSampleSize = 100;
+
+        public static SmartListPreviewResult Build(
+            SmartList smartList,
+            User user,
+            IReadOnlyList<BaseItem> candidates,
+            ILibraryManager libraryManager,
+            IUserDataManager userDataManager,
+            ILogger logger,
+            int sampleSize)
+        {
+            ArgumentNullException.ThrowIfNull(smartList);
+            ArgumentNullException.ThrowIfNull(candidates);
+
+            var stopwatch = Stopwatch.StartNew();
+            var refreshCache = new RefreshQueueService.RefreshCache();
+            var itemIds = smartList.FilterPlaylistItems(candidates, libraryManager, user, refreshCache, userDataManager, logger).ToList();
+
+            // Collections may expand to items outside the candidate set, so fall back to the library for those
+            var candidateLookup = new Dictionary<Guid, BaseItem>(candidates.Count);
+            foreach (var candidate in candidates)
+            {
+                candidateLookup.TryAdd(candidate.Id, candidate);
+            }
+
+            var items = new List<SmartListPreviewItem>();
+            foreach (var itemId in itemIds.Take(Math.Clamp(sampleSize, 0, MaxSampleSize)))
+            {
+                var item = candidateLookup.TryGetValue(itemId, out var found) ? found : libraryManager.GetItemById(itemId);
+                if (item != null)
+                {
+                    var previewItem = ToPreviewItem(item);
+                    previewItem.SortKeys = smartList.DescribeSortKeys(item, user, userDataManager, logger, refreshCache);
+                    items.Add(previewItem);
+                }
+            }
+
+            stopwatch.Stop();
+            logger.LogDebug("Preview of '{ListName}' evaluated {CandidateCount} items in {ElapsedTime}ms: {MatchCount} matches, {ItemCount} after limits",
+                smartList.Name, candidates.Count, stopwatch.ElapsedMilliseconds, smartList.LastMatchCount, itemIds.Count);
+
+            return new SmartListPreviewResult
+            {
+                Success = true,
+                CandidateCount = candidates.Count,
+                MatchCount = smartList.LastMatchCount,
+                ItemCount = itemIds.Count,
+                Items = items,
+                SortNames = smartList.Orders.Select(order => order.Name).ToList(),
+                ElapsedMilliseconds = stopwatch.ElapsedMilliseconds,
+            };
+        }
+
+        public static SmartListPreviewResult Failed(string message)
+        {
+            return new SmartListPreviewResult { Success = false, Message = message };
+        }
+
+        private static SmartListPreviewItem ToPreviewItem(BaseItem item)
+        {
+            var previewItem = new SmartListPreviewItem
+            {
+                Id = item.Id.ToString("N"),
+                Name = item.Name ?? string.Empty,
+                Type = item.GetBaseItemKind().ToString(),
+                ProductionYear = item.ProductionYear,
+                RuntimeTicks = item.RunTimeTicks,
+            };
+
+            switch (item)
+            {
+                case MediaBrowser.Controller.Entities.Audio.Audio audio:
+                    previewItem.Artist = audio.Artists?.FirstOrDefault();
+                    previewItem.Album = audio.Album;
+                    break;
+                case Episode episode:
+                    previewItem.SeriesName = episode.SeriesName;
+                    break;
+            }
+
+            return previewItem;
+        }
+    }
+}
@@ -3,6 +3,8 @@ using System.Collections.Concurrent;
 using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
+using Jellyfin.Plugin.SmartLists.Services.Shared;
 using MediaBrowser.Controller.Session;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
@@ -206,6 +208,14 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                     _logger.LogInformation("Cleaned up {Count} expired ignores for user {UserId}", cleanedUp, userId);
                 }
 
+                // Quiet hours hold these back too; the first periodic refresh after the window picks them up
+                var quietHoursEnd = RefreshQueueService.GetQuietHoursEnd(RefreshTriggerType.Auto);
+                if (quietHoursEnd.HasValue)
+                {
+                    _logger.LogInformation("Quiet hours: deferred user playlist refresh for user {UserId} until after {QuietHoursEnd}", userId, quietHoursEnd.Value);
+                    return;
+                }
+
                 // Get all enabled playlists for this user
                 var playlists = await _playlistStore.GetAllAsync(userIdStr).ConfigureAwait(false);
                 var enabledPlaylists = playlists.Where(p => p.Enabled).ToList();
@@ -237,7 +247,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                             continue;
                         }
 
-                        var (success, message, _) = await playlistService.RefreshAsync(playlist).ConfigureAwait(false);
+                        var (success, message, _) = await playlistService.RefreshAsync(playlist, RefreshTriggerType.Auto).ConfigureAwait(false);
 
                         if (success)
                         {
@@ -7,6 +7,7 @@ using System.Threading.Tasks;
 using Jellyfin.Database.Implementations.Entities;
 using Jellyfin.Plugin.SmartLists.Core;
 using Jellyfin.Plugin.SmartLists.Core.Constants;
+using Jellyfin.Plugin.SmartLists.Core.Enums;
 using Jellyfin.Plugin.SmartLists.Core.Models;
 using Jellyfin.Plugin.SmartLists.Services.Shared;
 using Jellyfin.Plugin.SmartLists.Utilities;
@@ -32,6 +33,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
         private readonly ILogger<UserPlaylistService> _logger;
         private readonly IProviderManager _providerManager;
         private readonly IgnoreStore _ignoreStore;
+        private readonly RefreshStatusService _refreshStatusService;
 
         public UserPlaylistService(
             IUserManager userManager,
@@ -40,7 +42,8 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             IUserDataManager userDataManager,
             ILogger<UserPlaylistService> logger,
             IProviderManager providerManager,
-            IgnoreStore ignoreStore)
+            IgnoreStore ignoreStore,
+            RefreshStatusService refreshStatusService)
         {
             _userManager = userManager;
             _libraryManager = libraryManager;
@@ -49,19 +52,23 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             _logger = logger;
             _providerManager = providerManager;
             _ignoreStore = ignoreStore;
+            _refreshStatusService = refreshStatusService;
         }
 
         /// <summary>
         /// Refreshes a user smart playlist, applying rules and ignore list filtering.
+        /// The refresh is tracked in the refresh status so its owner sees live progress.
         /// </summary>
         public async Task<(bool Success, string Message, string JellyfinPlaylistId)> RefreshAsync(
             UserSmartPlaylistDto dto,
+            RefreshTriggerType triggerType = RefreshTriggerType.Manual,
             Action<int, int>? progressCallback = null,
             CancellationToken cancellationToken = default)
         {
             ArgumentNullException.ThrowIfNull(dto);
 
             var stopwatch = Stopwatch.StartNew();
+            var tracked = false;
             try
             {
                 _logger.LogDebug("Refreshing user smart playlist: {PlaylistName} for user {UserId}", dto.Name, dto.UserId);
@@ -94,15 +101,24 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                     return (false, "No user found for playlist", string.Empty);
                 }
 
+                _refreshStatusService.StartOperation(dto.Id, dto.Name, SmartListType.Playlist, triggerType, ownerUserId: dto.UserId);
+                tracked = true;
+
+                void ReportProgress(int processed, int total)
+                {
+                    progressCallback?.Invoke(processed, total);
+                    _refreshStatusService.UpdateProgress(dto.Id, processed, total);
+                }
+
                 // Get all user media
                 var allUserMedia = GetAllUserMedia(user, dto.MediaTypes).ToArray();
                 _logger.LogDebug("Found {MediaCount} total media items for user {User}", allUserMedia.Length, user.Username);
 
                 // Report initial total items count
-                progressCallback?.Invoke(0, allUserMedia.Length);
+                ReportProgress(0, allUserMedia.Length);
 
                 // Apply rules filtering
-                var filteredItems = ApplyRulesFiltering(dto, allUserMedia, user, progressCallback);
+                var filteredItems = ApplyRulesFiltering(dto, allUserMedia, user, ReportProgress);
                 _logger.LogDebug("After rules filtering: {FilteredCount} items", filteredItems.Count);
 
                 // Apply ignore list filtering
@@ -139,6 +155,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                 stopwatch.Stop();
                 _logger.LogDebug("User playlist refresh completed in {ElapsedMs}ms: {Message}",
                     stopwatch.ElapsedMilliseconds, message);
+                _refreshStatusService.CompleteOperation(dto.Id, success, stopwatch.Elapsed, success ? null : message, dto.ItemCount);
 
                 return (success, message, jellyfinPlaylistId);
             }
@@ -147,6 +164,10 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
                 stopwatch.Stop();
                 _logger.LogError(ex, "Error refreshing user playlist '{PlaylistName}' after {ElapsedMs}ms",
                     dto.Name, stopwatch.ElapsedMilliseconds);
+                if (tracked)
+                {
+                    _refreshStatusService.CompleteOperation(dto.Id, false, stopwatch.Elapsed, ex.Message);
+                }
                 return (false, $"Error refreshing playlist: {ex.Message}", string.Empty);
             }
         }
@@ -192,7 +213,7 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
 
             // Apply expression sets if defined
             if (dto.ExpressionSets != null && dto.ExpressionSets.Count > 0 &&
-                dto.ExpressionSets.Any(es => es.Expressions != null && es.Expressions.Count > 0))
+                dto.ExpressionSets.Any(es => es != null && es.GetAllExpressions().Any()))
             {
                 // Create a temporary SmartPlaylistDto to use existing filtering logic
                 var tempDto = new SmartPlaylistDto
@@ -231,6 +252,133 @@ namespace Jellyfin.Plugin.SmartLists.Services.Users
             return resultItems.Distinct().ToList();
         }
 
+        /// <summary>
+        /// Evaluates the rules of an unsaved user playlist without creating or updating anything.
+        /// Manually included items and the ignore list are not applied.
+        /// </summary>
+        public SmartListPreviewResult Preview(UserSmartPlaylistDto dto, int sampleSize)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            var user = GetPlaylistUser(dto);
+            if (user == null)
+            {
+                return SmartListPreviewBuilder.Failed("User not found.");
+            }
+
+            if (dto.MediaTypes == null || dto.MediaTypes.Count == 0)
+            {
+                return SmartListPreviewBuilder.Failed("No media types specified. At least one media type must be selected.");
+            }
+
+            var allUserMedia = GetAllUserMedia(user, dto.MediaTypes).ToArray();
+
+            // Same temporary DTO as ApplyRulesFiltering so the preview matches a real refresh
+            var tempDto = new SmartPlaylistDto
+            {
+                Id = string.IsNullOrEmpty(dto.Id) ? SmartListPreviewBuilder.PreviewListId : dto.Id,
+                Name = dto.Name,
+                UserId = dto.UserId,
+                ExpressionSets = dto.ExpressionSets,
+                Order = dto.Order,
+                MediaTypes = dto.MediaTypes,
+                MaxItems = dto.MaxItems,
+                MaxPlayTimeMinutes = dto.MaxPlayTimeMinutes
+            };
+
+            var smartList = new SmartList(tempDto)
+            {
+                UserManager = _userManager
+            };
+
+            return SmartListPreviewBuilder.Build(smartList, user, allUserMedia, _libraryManager, _userDataManager, _logger, sampleSize);
+        }
+
+        /// <summary>
+        /// Explains why an item is or is not in a user playlist, including manually added items and the ignore list.
+        /// Returns null if the item doesn't exist or the playlist's user can't see it.
+        /// </summary>
+        public async Task<SmartListExplanation?> ExplainAsync(UserSmartPlaylistDto dto, Guid itemId)
+        {
+            ArgumentNullException.ThrowIfNull(dto);
+
+            var user = GetPlaylistUser(dto);
+            if (user == null)
+            {
+                return null;
+            }
+
+            // Don't reveal items from libraries the user has no access to
+            var item = _libraryManager.GetItemById(itemId);
+            if (item == null || !item.IsVisible(user))
+            {
+                return null;
+            }
+
+            var hasRules = dto.ExpressionSets != null && dto.ExpressionSets.Any(es => es != null && es.GetAllExpressions().Any());
+            SmartListExplanation explanation;
+            if (hasRules)
+            {
+                var allUserMedia = GetAllUserMedia(user, dto.MediaTypes).ToArray();
+
+                // Same temporary DTO as ApplyRulesFiltering so the explanation matches a real refresh
+                var tempDto = new SmartPlaylistDto
+                {
+                    Id = dto.Id,
+                    Name = dto.Name,
+                    UserId = dto.UserId,
+                    ExpressionSets = dto.ExpressionSets,
+                    Order = dto.Order,
+                    MediaTypes = dto.MediaTypes,
+                    MaxItems = dto.MaxItems,
+                    MaxPlayTimeMinutes = dto.MaxPlayTimeMinutes
+                };
+
+                var smartList = new SmartList(tempDto)
+                {
+                    UserManager = _userManager
+                };
+
+                explanation = smartList.ExplainItem(item, allUserMedia, _libraryManager, user, new RefreshQueueService.RefreshCache(), _userDataManager, _logger);
+            }
+            else
+            {
+                explanation = new SmartListExplanation { ItemId = item.Id.ToString("N"), ItemName = item.Name ?? string.Empty };
+            }
+
+            // Positions only cover rule matches; manually added items come first in the real playlist
+            explanation.Position = null;
+
+            var isManuallyIncluded = dto.IncludedItemIds?.Any(id => Guid.TryParse(id, out var includedId) && includedId == item.Id) == true;
+            if (!isManuallyIncluded && !string.IsNullOrEmpty(dto.SourcePlaylistId) && Guid.TryParse(dto.SourcePlaylistId, out var sourceId))
+            {
+                var sourcePlaylist = _libraryManager.GetItemById(sourceId) as Playlist;
+                isManuallyIncluded = sourcePlaylist?.LinkedChildren?.Any(lc => lc.ItemId == item.Id) == true;
+            }
+
+            if (isManuallyIncluded && !explanation.InList)
+            {
+                explanation.InList = true;
+                explanation.ExcludedBy = null;
+                explanation.Message = "Added manually, so it is included regardless of the rules.";
+            }
+
+            var ignoredTrackIds = await _ignoreStore.GetActiveIgnoredTrackIdsAsync(dto.UserId, dto.Id).ConfigureAwait(false);
+            if (explanation.InList && ignoredTrackIds.Any(id => Guid.TryParse(id, out var ignoredId) && ignoredId == item.Id))
+            {
+                explanation.InList = false;
+                explanation.ExcludedBy = "Ignored";
+                explanation.Message = "The item is on this playlist's ignore list.";
+            }
+            else if (!explanation.InList && explanation.ExcludedBy == null && !hasRules)
+            {
+                explanation.ExcludedBy = "Rules";
+                explanation.Message = "This playlist has no rules and the item was not added manually.";
+            }
+
+            return explanation;
+        }
+
         /// <summary>
         /// Applies ignore list filtering to remove ignored tracks.
         /// </summary>
@@ -51,7 +51,7 @@ namespace Jellyfin.Plugin.SmartLists.Utilities
             if (dto != null && baseItemKinds.Contains(BaseItemKind.Episode) && !baseItemKinds.Contains(BaseItemKind.Series))
             {
                 var hasCollectionsEpisodeExpansion = dto.ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr =>
+                    set.GetAllExpressions().Any(expr =>
                         expr.MemberName == "Collections" && expr.IncludeEpisodesWithinSeries == true) == true) == true;
 
                 if (hasCollectionsEpisodeExpansion)
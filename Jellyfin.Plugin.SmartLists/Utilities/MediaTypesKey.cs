@@ -42,7 +42,7 @@ namespace Jellyfin.Plugin.SmartLists.Utilities
                 // Include Collections episode expansion in cache key to avoid incorrect caching
                 // when same media types have different expansion settings
                 var hasCollectionsExpansion = dto.ExpressionSets?.Any(set =>
-                    set.Expressions?.Any(expr =>
+                    set.GetAllExpressions().Any(expr =>
                         expr.MemberName == "Collections" && expr.IncludeEpisodesWithinSeries == true) == true) == true;
 
                 // Use boolean flag instead of string marker to distinguish caches with Collections expansion